@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+import { join } from 'node:path';
 import meow from 'meow';
 import { render } from 'ink';
 import React from 'react';
@@ -7,18 +8,35 @@ import { startGame } from '../dist/index.js';
 import PackSelector from '../dist/ui/PackSelector.js';
 import { listPacks, getPack } from '../dist/packs/index.js';
 import { Storage } from '../dist/utils/storage.js';
+import { getAlgorithm, SRS_ALGORITHMS } from '../dist/core/srs.js';
+import { getCommandId } from '../dist/core/commands.js';
+import { registerUserPacks, getUserPacksDir, writeUserPack } from '../dist/utils/loader.js';
+import { IMPORTERS, getImporter, findConfigFile, importConfigFile } from '../dist/importers/index.js';
+import { PLATFORMS, LAYOUTS, getPlatform, getLayout, resolveKeyDisplay, describeKeys, formatKeyToken } from '../dist/utils/keydisplay.js';
+import { DEFAULT_CONTROL_KEYS, parseControlKey, resolveControlKey } from '../dist/core/controls.js';
 
 const cli = meow(`
   Usage
     $ keyblitz <pack>           Start training with specified pack
     $ keyblitz                  Show interactive pack selector
     $ keyblitz list             List all available packs
+    $ keyblitz import <tool> [path]  Build a personal pack from your config
     $ keyblitz <pack> --stats   Show stats for pack
     $ keyblitz <pack> --reset   Reset progress for pack
+    $ keyblitz <pack> --algorithm <id>  Choose the SRS scheduler for pack
+    $ keyblitz --platform <id> --layout <id>  Choose how keys are shown
+    $ keyblitz [pack] --control-key <keys>  Choose the key that opens the in-game menu
 
   Options
     --stats    Show statistics for a pack
     --reset    Reset progress for a pack
+    --algorithm  SRS scheduler: ${Object.keys(SRS_ALGORITHMS).join(', ')}
+    --platform Show keys for: ${Object.keys(PLATFORMS).join(', ')}
+    --layout   Keyboard layout for symbol hints: ${Object.keys(LAYOUTS).join(', ')}
+    --control-key  Menu key for pause, stats, hint, skip and quit (default: first free of ${DEFAULT_CONTROL_KEYS.join(', ')})
+    --id       Pack id for an imported pack
+    --name     Pack name for an imported pack
+    --force    Replace an existing imported pack
     --help     Show this help message
     --version  Show version number
 
@@ -27,9 +45,22 @@ const cli = meow(`
     $ keyblitz neovim           # Start Neovim training
     $ keyblitz hyprland         # Start Hyprland training
     $ keyblitz tmux             # Start Tmux training
+    $ keyblitz vscode           # Start VS Code training
     $ keyblitz tmux --stats     # Show Tmux statistics
     $ keyblitz neovim --reset   # Reset Neovim progress
+    $ keyblitz neovim --algorithm fsrs  # Schedule Neovim reviews with FSRS
+    $ keyblitz --platform mac   # Show keys as ⌃ ⌥ ⇧ ⌘
+    $ keyblitz --layout qwertz  # Show how to type symbols on a German keyboard
+    $ keyblitz tmux --control-key M-m  # Open the menu with Alt+m in Tmux
     $ keyblitz list             # List all packs
+    $ keyblitz import tmux      # Import ~/.tmux.conf as tmux-personal
+    $ keyblitz import hyprland ~/.config/hypr/hyprland.conf
+    $ keyblitz import neovim keymaps.json  # Import a nvim_get_keymap() dump
+    $ keyblitz import vscode    # Import your VS Code keybindings.json
+
+  Custom packs
+    Put .js, .json or .yaml packs in ${getUserPacksDir()}
+    Importers: ${Object.keys(IMPORTERS).join(', ')}
 `, {
   importMeta: import.meta,
   flags: {
@@ -40,6 +71,28 @@ const cli = meow(`
     reset: {
       type: 'boolean',
       default: false
+    },
+    algorithm: {
+      type: 'string'
+    },
+    platform: {
+      type: 'string'
+    },
+    layout: {
+      type: 'string'
+    },
+    controlKey: {
+      type: 'string'
+    },
+    id: {
+      type: 'string'
+    },
+    name: {
+      type: 'string'
+    },
+    force: {
+      type: 'boolean',
+      default: false
     }
   }
 });
@@ -47,17 +100,116 @@ const cli = meow(`
 async function main() {
   const packId = cli.input[0];
 
+  // Add user packs to the registry; a broken pack is skipped, not fatal
+  const { errors: packErrors } = await registerUserPacks();
+  packErrors.forEach(({ source, message }) => {
+    console.error(`Warning: skipped user pack ${source}: ${message}`);
+  });
+
   // List packs
   if (packId === 'list' || cli.flags.list) {
     const packs = listPacks();
     console.log('\nAvailable keybinding packs:\n');
     packs.forEach(pack => {
       console.log(`  ${pack.name.padEnd(20)} - ${pack.description}`);
-      console.log(`    ${pack.commandCount} commands across ${pack.groupCount} groups\n`);
+      console.log(`    ${pack.commandCount} commands across ${pack.groupCount} groups`);
+      if (pack.source !== 'built-in') {
+        console.log(`    User pack: ${pack.source}`);
+      }
+      console.log('');
     });
     return;
   }
 
+  // Import a personal pack from a config file
+  if (packId === 'import') {
+    const [, tool, configPath] = cli.input;
+    if (!tool) {
+      console.error(`Error: Please specify a tool (${Object.keys(IMPORTERS).join(', ')}). Example: keyblitz import tmux`);
+      process.exit(1);
+    }
+
+    try {
+      const importer = getImporter(tool);
+      const configFile = configPath || findConfigFile(tool);
+      if (!configFile) {
+        throw new Error(`No ${importer.name} config found in ${importer.defaultPaths.join(' or ')}. Pass its path: keyblitz import ${tool} <path>`);
+      }
+
+      const { pack, skipped, path } = await importConfigFile(tool, configFile, { id: cli.flags.id, name: cli.flags.name });
+      const existing = listPacks().find(p => p.id === pack.id);
+      const target = join(getUserPacksDir(), `${pack.id}.yaml`);
+      if (existing && existing.source !== target) {
+        throw new Error(`Pack id "${pack.id}" is already used by ${existing.source === 'built-in' ? 'a built-in pack' : existing.source}. Choose another with --id`);
+      }
+
+      const file = await writeUserPack(pack, getUserPacksDir(), { overwrite: cli.flags.force });
+      const commandCount = pack.groups.reduce((sum, group) => sum + group.commands.length, 0);
+      console.log(`\nImported ${commandCount} ${importer.name} bindings from ${path}`);
+      skipped.forEach(({ file: from, line, reason }) => {
+        console.log(`  Skipped ${from && from !== path ? `${from}:` : 'line '}${line}: ${reason}`);
+      });
+      console.log(`\nSaved ${pack.name} to ${file}`);
+      console.log(`Start training with: keyblitz ${pack.id}\n`);
+    } catch (error) {
+      const hint = /already exists/.test(error.message) ? ' (use --force to replace it)' : '';
+      console.error(`Error: ${error.message}${hint}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Choose how keys are displayed (every pack)
+  if (cli.flags.platform || cli.flags.layout) {
+    try {
+      const platform = cli.flags.platform && getPlatform(cli.flags.platform);
+      const layout = cli.flags.layout && getLayout(cli.flags.layout);
+      // Display settings are global, so they don't need a pack
+      const storage = new Storage(packId);
+      storage.updateSettings({
+        ...(platform && { keyPlatform: cli.flags.platform }),
+        ...(layout && { keyboardLayout: cli.flags.layout })
+      }, { global: true });
+      if (platform) console.log(`\nShowing keys for ${platform.name}`);
+      if (layout) console.log(`${platform ? '' : '\n'}Using the ${layout.name} layout for symbol hints`);
+      console.log('');
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Choose the menu key (one pack, or every pack without one)
+  if (cli.flags.controlKey) {
+    try {
+      const storage = new Storage(packId);
+      const label = formatKeyToken(parseControlKey(cli.flags.controlKey), resolveKeyDisplay(storage.getSettings()));
+      if (packId) {
+        const pack = getPack(packId);
+        resolveControlKey(pack, { controlKey: cli.flags.controlKey });
+        storage.updateSettings({ controlKey: cli.flags.controlKey });
+        console.log(`\n${label} opens the menu in ${pack.name}\n`);
+      } else {
+        storage.updateSettings({ controlKey: cli.flags.controlKey }, { global: true });
+        console.log(`\n${label} opens the menu`);
+        // The setting is global, so point out packs that need their own
+        listPacks().forEach(({ id }) => {
+          try {
+            resolveControlKey(getPack(id), { controlKey: cli.flags.controlKey });
+          } catch (error) {
+            console.log(`  Warning: ${error.message} (keyblitz ${id} --control-key <keys>)`);
+          }
+        });
+        console.log('');
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   // Show stats
   if (cli.flags.stats) {
     if (!packId) {
@@ -74,11 +226,26 @@ async function main() {
       console.log(`  Total commands attempted: ${progress.globalStats?.totalCommands || 0}`);
       console.log(`  Total score: ${(progress.globalStats?.totalScore || 0).toLocaleString()}`);
       console.log(`  Best combo: ${progress.globalStats?.bestCombo || 0}`);
-      console.log(`  Session time: ${Math.floor((progress.globalStats?.totalTime || 0) / 60000)} minutes\n`);
+      console.log(`  Time played: ${Math.floor((progress.globalStats?.totalTime || 0) / 60000)} minutes\n`);
 
       const masteredCount = Object.values(progress.commandStats || {}).filter(c => c.level === 5).length;
-      const totalCommands = pack.groups.flatMap(g => g.commands).length;
-      console.log(`  Mastered: ${masteredCount}/${totalCommands} commands\n`);
+      const commands = pack.groups.flatMap(g => g.commands);
+      console.log(`  Mastered: ${masteredCount}/${commands.length} commands\n`);
+
+      // Missed commands at the lowest levels, with keys shown for this player
+      const display = resolveKeyDisplay(storage.getSettings());
+      const weakest = commands
+        .map(cmd => ({ cmd, state: progress.commandStats?.[getCommandId(cmd)] }))
+        .filter(({ state }) => state?.failures > 0)
+        .sort((a, b) => a.state.level - b.state.level || b.state.failures - a.state.failures)
+        .slice(0, 5);
+      if (weakest.length > 0) {
+        console.log('  Needs practice:');
+        weakest.forEach(({ cmd, state }) => {
+          console.log(`    ${describeKeys(cmd.keys, display).padEnd(20)} ${cmd.concept} (level ${state.level}, ${state.failures} missed)`);
+        });
+        console.log('');
+      }
     } catch (error) {
       console.error(`Error: ${error.message}`);
       process.exit(1);
@@ -105,26 +272,69 @@ async function main() {
     return;
   }
 
+  // Choose SRS algorithm
+  if (cli.flags.algorithm) {
+    if (!packId) {
+      console.error('Error: Please specify a pack. Example: keyblitz neovim --algorithm fsrs');
+      process.exit(1);
+    }
+
+    try {
+      const pack = getPack(packId);
+      const algorithm = getAlgorithm(cli.flags.algorithm);
+      const storage = new Storage(packId);
+      storage.updateSettings({ srsAlgorithm: algorithm.id });
+      console.log(`\nUsing ${algorithm.name} scheduling for ${pack.name}`);
+      console.log('Existing progress will be converted the next time you train.\n');
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   // Start game with specific pack
   if (packId) {
     try {
       getPack(packId); // Validate pack exists
-      startGame(packId);
     } catch (error) {
       console.error(`Error: ${error.message}`);
       const packs = listPacks();
       console.log('\nAvailable packs:', packs.map(p => p.id).join(', '));
       process.exit(1);
     }
+    launchGame(packId);
     return;
   }
 
   // Interactive pack selector
-  render(React.createElement(PackSelector, {
-    onSelect: (selectedPackId) => {
-      startGame(selectedPackId);
+  let selectedPackId = null;
+  const selector = render(React.createElement(PackSelector, {
+    onSelect: (id) => {
+      selectedPackId = id;
+      selector.unmount();
     }
   }));
+  // The game needs its own Ink instance: render() would reuse this one and ignore the game's options
+  await selector.waitUntilExit();
+  if (selectedPackId) {
+    launchGame(selectedPackId);
+  }
+}
+
+/**
+ * Start training a pack once its menu key is known to be free
+ * @param {string} packId - Pack to train
+ */
+function launchGame(packId) {
+  try {
+    // The menu key must not be one of the pack's answers
+    resolveControlKey(getPack(packId), new Storage(packId).getSettings());
+    startGame(packId);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 }
 
 main().catch(error => {
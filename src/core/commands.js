@@ -0,0 +1,179 @@
+/**
+ * Command Identity
+ *
+ * Progress is stored per command id rather than per key string: two
+ * commands may share keys (Hyprland binds Super+j twice), and a pack may
+ * rebind a command without orphaning the player's history.
+ *
+ * Rules:
+ * 1. A command's id is its `id` field, falling back to `keys` for packs without ids
+ * 2. `aliases` lists earlier ids or key strings whose saved progress carries over
+ * 3. Progress for commands a pack no longer has is retired, not deleted, and
+ *    comes back if the command (or an alias of it) returns
+ */
+
+import { needsKittyKeyboard } from '../utils/keyparser.js';
+
+// Explicit ids: lowercase slugs, e.g. "delete-line", "focus-down"
+export const COMMAND_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+/**
+ * Get the id progress is stored under for a command
+ *
+ * @param {Object} cmd - Command object
+ * @returns {string} Command id (falls back to its keys)
+ *
+ * @example
+ * getCommandId({ id: 'delete-line', keys: 'dd' }) // 'delete-line'
+ * getCommandId({ keys: 'dd' })                    // 'dd'
+ */
+export function getCommandId(cmd) {
+  return cmd.id ?? cmd.keys;
+}
+
+/**
+ * Get every command in a pack, in group order
+ *
+ * @param {Object} pack - Pack object
+ * @returns {Array<Object>} Commands
+ */
+export function getPackCommands(pack) {
+  return (pack?.groups || []).flatMap(group => group.commands || []);
+}
+
+/**
+ * Get the pack as this terminal can play it
+ *
+ * Without the kitty keyboard protocol, commands whose keys need it (see
+ * needsKittyKeyboard) are left out. Groups keep their places, even when
+ * emptied, so saved group indexes mean the same in every terminal.
+ *
+ * @param {Object} pack - Pack object
+ * @param {Object} options - { kittyKeyboard: whether the protocol is on }
+ * @returns {Object} The pack itself, or a copy without the commands it cannot play
+ *
+ * @example
+ * getPlayablePack(vscode, { kittyKeyboard: false }).groups[0].commands
+ * // Essentials without Ctrl+Shift+P and Ctrl+/
+ */
+export function getPlayablePack(pack, { kittyKeyboard }) {
+  if (kittyKeyboard) {
+    return pack;
+  }
+  return {
+    ...pack,
+    groups: pack.groups.map(group => ({
+      ...group,
+      commands: group.commands.filter(cmd => !needsKittyKeyboard(cmd.keys))
+    }))
+  };
+}
+
+/**
+ * Find the first candidate key present in any source map
+ *
+ * @param {Array<string>} candidates - Keys to try, in order
+ * @param {Array<Object>} sources - Maps to search, in order
+ * @returns {Object|null} { key, source } or null
+ */
+function findRecord(candidates, sources) {
+  for (const key of candidates) {
+    for (const source of sources) {
+      if (Object.prototype.hasOwnProperty.call(source, key)) {
+        return { key, source };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Re-key saved progress to a pack's command ids
+ *
+ * Records already under a command's id stay put. Otherwise the command
+ * claims a record saved under one of its aliases or its key string (saves
+ * from before ids existed), or one retired earlier. When two commands share
+ * a key string, both inherit the shared record. Records no command claims
+ * move to `progress.retired`. Group indexes past the end of the pack are
+ * dropped.
+ *
+ * Returns a new progress object (the input is not mutated).
+ *
+ * @param {Object} progress - Progress object from Storage
+ * @param {Object} pack - Pack object
+ * @returns {Object} { progress, migrated: Array<{from, to}>, retired: Array<string> }
+ *
+ * @example
+ * // Saved before ids: { commandStats: { 'Super+j': {...} } }
+ * const { progress: next, migrated } = migrateProgressIds(saved, hyprland);
+ * // migrated: [{ from: 'Super+j', to: 'focus-down' }, { from: 'Super+j', to: 'toggle-split' }]
+ */
+export function migrateProgressIds(progress, pack) {
+  const commands = getPackCommands(pack);
+  const ids = new Set(commands.map(getCommandId));
+  const oldStats = progress.commandStats || {};
+  const oldLog = progress.attemptLog || {};
+  const retiredStats = { ...(progress.retired?.commandStats || {}) };
+  const retiredLog = { ...(progress.retired?.attemptLog || {}) };
+
+  const commandStats = {};
+  const attemptLog = {};
+  const migrated = [];
+  const claimed = new Set();
+
+  commands.forEach(cmd => {
+    const id = getCommandId(cmd);
+    // A key string that is another command's id belongs to that command
+    const candidates = [id, ...(cmd.aliases || []), cmd.keys]
+      .filter((key, index, all) => all.indexOf(key) === index)
+      .filter(key => key === id || !ids.has(key));
+
+    const stats = findRecord(candidates, [oldStats, retiredStats]);
+    if (stats) {
+      commandStats[id] = { ...stats.source[stats.key] };
+      claimed.add(stats.key);
+      if (stats.key !== id || stats.source === retiredStats) {
+        migrated.push({ from: stats.key, to: id });
+      }
+    }
+
+    const log = findRecord(candidates, [oldLog, retiredLog]);
+    if (log) {
+      attemptLog[id] = [...log.source[log.key]];
+      claimed.add(log.key);
+    }
+  });
+
+  // Restored records leave the archive; unclaimed ones join it
+  claimed.forEach(key => {
+    delete retiredStats[key];
+    delete retiredLog[key];
+  });
+  const retired = Object.keys(oldStats).filter(key => !ids.has(key) && !claimed.has(key));
+  retired.forEach(key => {
+    retiredStats[key] = oldStats[key];
+  });
+  Object.keys(oldLog)
+    .filter(key => !ids.has(key) && !claimed.has(key))
+    .forEach(key => {
+      retiredLog[key] = oldLog[key];
+    });
+
+  const groupCount = pack?.groups?.length || 1;
+  const unlockedGroups = Array.isArray(progress.unlockedGroups)
+    ? progress.unlockedGroups.filter(index => index < groupCount)
+    : [0];
+
+  return {
+    progress: {
+      ...progress,
+      currentGroup: Math.min(progress.currentGroup ?? 0, groupCount - 1),
+      unlockedGroups: unlockedGroups.length > 0 ? unlockedGroups : [0],
+      commandStats,
+      attemptLog,
+      retired: { commandStats: retiredStats, attemptLog: retiredLog }
+    },
+    migrated,
+    retired
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Controls
+ *
+ * Picks the key that opens the in-game menu (pause, stats, hint, skip,
+ * quit). Every other key is an answer, so the control key must be one the
+ * active pack never asks for: players may choose it (the `controlKey`
+ * setting), and it is checked against the pack's keys before a session
+ * starts. Without a choice, the first default the pack leaves free is used.
+ */
+
+import { parseKeySequence, tokenizeKeys } from '../utils/keyparser.js';
+import { getPackCommands } from './commands.js';
+
+// Tried in order when the player hasn't chosen a control key
+export const DEFAULT_CONTROL_KEYS = ['C-e', 'C-o', 'C-a', 'C-r'];
+
+// Menu entries, picked by their key once the menu is open
+export const MENU_ACTIONS = [
+  { id: 'pause', key: 'p', label: 'Pause' },
+  { id: 'stats', key: 's', label: 'Stats' },
+  { id: 'hint', key: 'h', label: 'Hint' },
+  { id: 'skip', key: 'n', label: 'Skip this command' },
+  { id: 'quit', key: 'q', label: 'Quit' }
+];
+
+/**
+ * Parse a control key into its canonical token
+ *
+ * @param {string} keys - One chord in pack notation (e.g. 'C-e', 'Alt+m')
+ * @returns {string} Canonical token (e.g. 'Ctrl+e')
+ * @throws {Error} If it isn't a single chord held with Ctrl, Alt or Super
+ *
+ * @example
+ * parseControlKey('C-e') // => 'Ctrl+e'
+ */
+export function parseControlKey(keys) {
+  const chords = parseKeySequence(keys);
+  if (chords.length !== 1) {
+    throw new Error(`Control key "${keys}" must be a single chord (e.g. C-e)`);
+  }
+  // A bare key could be part of a free-form answer, so a modifier is required
+  if (!chords[0].modifiers.some(mod => mod !== 'Shift')) {
+    throw new Error(`Control key "${keys}" needs Ctrl, Alt or Super (e.g. C-e)`);
+  }
+  return chords[0].token;
+}
+
+/**
+ * Find the pack command whose keys use a token
+ *
+ * @param {Object} pack - Pack object
+ * @param {string} token - Canonical key token
+ * @returns {Object|null} First command pressing that key at any step, or null
+ */
+export function findBinding(pack, token) {
+  return getPackCommands(pack).find(cmd => tokenizeKeys(cmd.keys).includes(token)) ?? null;
+}
+
+/**
+ * Resolve the control key for a pack
+ *
+ * @param {Object} pack - Pack being trained
+ * @param {Object} settings - User settings (may set `controlKey`)
+ * @returns {string} Canonical token of a key the pack never uses
+ * @throws {Error} If the chosen key is invalid or bound by the pack, or every default is
+ *
+ * @example
+ * resolveControlKey(vscodePack, {}) // => 'Ctrl+e'
+ */
+export function resolveControlKey(pack, settings = {}) {
+  if (settings?.controlKey) {
+    const token = parseControlKey(settings.controlKey);
+    const binding = findBinding(pack, token);
+    if (binding) {
+      throw new Error(`Control key "${settings.controlKey}" is used by "${binding.concept}" in pack "${pack.id}". Choose another with --control-key`);
+    }
+    return token;
+  }
+
+  const token = DEFAULT_CONTROL_KEYS.map(parseControlKey).find(candidate => !findBinding(pack, candidate));
+  if (!token) {
+    throw new Error(`Pack "${pack.id}" uses every default control key (${DEFAULT_CONTROL_KEYS.join(', ')}). Choose one with --control-key`);
+  }
+  return token;
+}
+
+/**
+ * Get the menu action a key picks
+ *
+ * @param {string} token - Canonical key token
+ * @returns {string|null} Action id from MENU_ACTIONS, or null
+ */
+export function getMenuAction(token) {
+  return MENU_ACTIONS.find(action => action.key === token)?.id ?? null;
+}
@@ -0,0 +1,131 @@
+/**
+ * Group Progression
+ *
+ * Controls which command groups are in play. Players start with the first
+ * group only; the next group unlocks once enough of the current group has
+ * reached a target SRS level.
+ *
+ * Rules:
+ * 1. Only commands from unlocked groups are fed to the queue
+ * 2. A group is "mastered" when `masteryShare` of its commands are at or above `masteryLevel`
+ * 3. Mastering the current group unlocks the next one and makes it current
+ */
+
+import { getCommandId } from './commands.js';
+
+// Default unlock thresholds (packs may override via `pack.unlock`)
+export const DEFAULT_UNLOCK = {
+  masteryShare: 0.8, // 80% of the group's commands...
+  masteryLevel: 2    // ...must reach FAMILIAR or above
+};
+
+/**
+ * Resolve unlock thresholds for a pack
+ *
+ * @param {Object} pack - Pack object (may carry an `unlock` override)
+ * @param {Object} overrides - Explicit thresholds (take precedence over the pack)
+ * @returns {Object} { masteryShare, masteryLevel }
+ */
+export function getUnlockRules(pack, overrides = {}) {
+  return {
+    ...DEFAULT_UNLOCK,
+    ...(pack?.unlock || {}),
+    ...overrides
+  };
+}
+
+/**
+ * Get the indexes of unlocked groups, always including group 0
+ *
+ * @param {Object} progress - Progress object from Storage
+ * @returns {Array<number>} Sorted unique group indexes
+ */
+export function getUnlockedGroups(progress) {
+  const unlocked = Array.isArray(progress?.unlockedGroups) ? progress.unlockedGroups : [];
+  return [...new Set([0, ...unlocked])].sort((a, b) => a - b);
+}
+
+/**
+ * Get commands from unlocked groups only
+ *
+ * @param {Object} pack - Pack object
+ * @param {Object} progress - Progress object from Storage
+ * @returns {Array<Object>} Commands available for practice, each tagged with its `group` index
+ *
+ * @example
+ * // Fresh progress: only the first group is in play
+ * getUnlockedCommands(neovim, { unlockedGroups: [0] }).length // 9
+ */
+export function getUnlockedCommands(pack, progress) {
+  const unlocked = new Set(getUnlockedGroups(progress));
+  return pack.groups.flatMap((group, index) =>
+    unlocked.has(index) ? group.commands.map(cmd => ({ ...cmd, group: index })) : []
+  );
+}
+
+/**
+ * Calculate the share of a group's commands at or above a level
+ *
+ * @param {Object} group - Pack group
+ * @param {Object} commandStats - Map of command id -> SRS state
+ * @param {number} level - Minimum SRS level that counts as mastered
+ * @returns {number} Share between 0 and 1
+ */
+export function getGroupMastery(group, commandStats, level) {
+  if (!group?.commands?.length) {
+    return 0;
+  }
+
+  const mastered = group.commands.filter(cmd => (commandStats?.[getCommandId(cmd)]?.level ?? 0) >= level);
+  return mastered.length / group.commands.length;
+}
+
+/**
+ * Unlock the next group if the current one is mastered
+ *
+ * Returns a new progress object (the input is not mutated) plus the index
+ * of the group that was just unlocked, or null if nothing changed.
+ * A group with no commands counts as mastered and unlocks together with
+ * the next group that has some.
+ *
+ * @param {Object} pack - Pack object
+ * @param {Object} progress - Progress object from Storage
+ * @param {Object} overrides - Optional { masteryShare, masteryLevel }
+ * @returns {Object} { progress, unlockedGroup }
+ *
+ * @example
+ * const { progress: next, unlockedGroup } = advanceGroups(pack, progress);
+ * if (unlockedGroup !== null) showIntro(pack.groups[unlockedGroup]);
+ */
+export function advanceGroups(pack, progress, overrides = {}) {
+  const { masteryShare, masteryLevel } = getUnlockRules(pack, overrides);
+  const unlocked = getUnlockedGroups(progress);
+  const currentGroup = Math.max(...unlocked);
+  const nextGroup = currentGroup + 1;
+
+  if (nextGroup >= pack.groups.length) {
+    return { progress, unlockedGroup: null };
+  }
+
+  const group = pack.groups[currentGroup];
+  const mastery = getGroupMastery(group, progress.commandStats, masteryLevel);
+  if (group.commands.length > 0 && mastery < masteryShare) {
+    return { progress, unlockedGroup: null };
+  }
+
+  // Groups left empty (see getPlayablePack) unlock along with the next one that has commands
+  let unlockedGroup = nextGroup;
+  while (pack.groups[unlockedGroup].commands.length === 0 && unlockedGroup + 1 < pack.groups.length) {
+    unlockedGroup++;
+  }
+  const opened = Array.from({ length: unlockedGroup - currentGroup }, (_, offset) => nextGroup + offset);
+
+  return {
+    progress: {
+      ...progress,
+      currentGroup: unlockedGroup,
+      unlockedGroups: [...unlocked, ...opened]
+    },
+    unlockedGroup: pack.groups[unlockedGroup].commands.length > 0 ? unlockedGroup : null
+  };
+}
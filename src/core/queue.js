@@ -5,12 +5,79 @@
  * Lower level commands (new/failed) appear more frequently than mastered ones.
  *
  * Algorithm:
- * 1. Filter commands by nextReview timestamp (only show commands due for review)
- * 2. Prioritize level 0 commands (new/failed - always show if available)
- * 3. For other levels, use weighted random selection: weight = 1/(level+1)
- * 4. Return selected command or null if queue is empty
+ * 1. Filter commands due for review (in-session count interval or calendar due date)
+ * 2. Drop recently shown commands (minimum gap scaled to pool size)
+ * 3. Prioritize level 0 commands (new/failed - always show if available)
+ * 4. Interleave: prefer a different group and colour than the last prompt
+ * 5. For other levels, use weighted random selection: weight = 1/(level+1)
+ * 6. Return selected command or null if queue is empty
+ *
+ * Repeat and interleave rules are soft: they relax when the pool is too
+ * small to honour them, rather than leaving the player without a prompt.
  */
 
+import { shouldReviewCommand } from './srs.js';
+import { getCommandId } from './commands.js';
+
+// Minimum gap between repeats: a share of the pool, capped
+export const REPEAT_GAP = {
+  share: 0.25, // Pool of 12 -> at least 3 other prompts before a repeat
+  max: 4
+};
+
+/**
+ * Calculate how many recent prompts must pass before a command repeats
+ *
+ * @param {number} poolSize - Number of commands available
+ * @param {Object} options - Overrides for REPEAT_GAP
+ * @returns {number} Minimum gap (0 when there is only one command)
+ *
+ * @example
+ * getMinimumGap(1)  // 0 - nothing else to show
+ * getMinimumGap(2)  // 1 - alternate
+ * getMinimumGap(12) // 3
+ * getMinimumGap(40) // 4 (capped)
+ */
+export function getMinimumGap(poolSize, options = {}) {
+  const { share, max } = { ...REPEAT_GAP, ...options };
+  if (poolSize <= 1) {
+    return 0;
+  }
+  return Math.max(1, Math.min(max, Math.floor(poolSize * share), poolSize - 1));
+}
+
+/**
+ * Prefer commands that differ from the previous prompt's group and colour
+ *
+ * Tries both constraints, then colour only, then group only, then gives up.
+ * Commands without a group or colour never count as "the same".
+ *
+ * @param {Array} commands - Candidate commands
+ * @param {Object|null} previous - Command shown last
+ * @returns {Array} Non-empty subset of commands (or commands itself)
+ */
+function interleave(commands, previous) {
+  if (!previous) {
+    return commands;
+  }
+
+  const sameGroup = cmd => cmd.group !== undefined && cmd.group === previous.group;
+  const sameColor = cmd => cmd.color !== undefined && cmd.color === previous.color;
+  const preferences = [
+    cmd => !sameGroup(cmd) && !sameColor(cmd),
+    cmd => !sameColor(cmd),
+    cmd => !sameGroup(cmd)
+  ];
+
+  for (const preference of preferences) {
+    const preferred = commands.filter(preference);
+    if (preferred.length > 0) {
+      return preferred;
+    }
+  }
+  return commands;
+}
+
 /**
  * Calculate weights for all commands based on their SRS level
  * Lower levels get higher weights (appear more frequently)
@@ -48,21 +115,54 @@ export function getCommandWeights(commands) {
   });
 }
 
+/**
+ * Check whether a command is due for review
+ *
+ * Commands carrying scheduling state (dueDate from the calendar tier, or
+ * commandsSinceLastSeen from the current session) use the two-tier SRS
+ * check; bare commands fall back to their nextReview timestamp.
+ *
+ * @param {Object} cmd - Command object with SRS state
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if the command is due
+ */
+export function isCommandDue(cmd, now = Date.now()) {
+  if (cmd.dueDate === undefined && cmd.commandsSinceLastSeen === undefined) {
+    // If nextReview is not set, command is due
+    if (cmd.nextReview === undefined || cmd.nextReview === null) {
+      return true;
+    }
+    // Otherwise check if it's time for review
+    return cmd.nextReview <= now;
+  }
+  return shouldReviewCommand(cmd, cmd.commandsSinceLastSeen ?? null, now);
+}
+
 /**
  * Select next command using weighted random selection
  *
  * @param {Array} commands - Array of command objects with SRS state
  * @param {number|null} currentCommandIndex - Index of current command (to avoid repeating)
+ * @param {Object} options - Selection options
+ * @param {boolean} options.allowEarlyReview - When nothing is due, pick from all commands instead of returning null
+ * @param {Array<string>} options.recent - Ids of recently shown commands, oldest first (see getCommandId)
+ * @param {number} options.minGap - Prompts before a repeat (defaults to getMinimumGap of the due pool)
+ * @param {boolean} options.interleave - Avoid the last prompt's group/colour (default true)
  * @returns {Object|null} Selected command object or null if no commands available
  *
  * Selection algorithm:
- * 1. Filter out commands not due for review (nextReview > now)
- * 2. Filter out current command to avoid immediate repetition
+ * 1. Filter out commands not due for review (see isCommandDue)
+ * 2. Filter out the current command and the last `minGap` recent ones,
+ *    shrinking the gap if that would leave nothing
  * 3. Prioritize level 0 commands (new/failed) - if any exist, randomly pick one
- * 4. For other levels, use weighted random selection
- * 5. Return null if no commands are available
+ * 4. Interleave against the most recent command (group, then colour)
+ * 5. For other levels, use weighted random selection
+ * 6. Return null if no commands are available
+ *
+ * @example
+ * const next = selectNextCommand(commands, null, { recent: ['h', 'j', 'w'] });
  */
-export function selectNextCommand(commands, currentCommandIndex = null) {
+export function selectNextCommand(commands, currentCommandIndex = null, options = {}) {
   // Validate input
   if (!Array.isArray(commands)) {
     throw new TypeError('commands must be an array');
@@ -76,42 +176,62 @@ export function selectNextCommand(commands, currentCommandIndex = null) {
   const now = Date.now();
 
   // Step 1: Filter commands due for review
-  // Only include commands where nextReview <= now (or nextReview is undefined/null)
-  const dueCommands = commands
-    .map((cmd, index) => ({ ...cmd, originalIndex: index }))
-    .filter(cmd => {
-      // If nextReview is not set, command is due
-      if (cmd.nextReview === undefined || cmd.nextReview === null) {
-        return true;
-      }
-      // Otherwise check if it's time for review
-      return cmd.nextReview <= now;
-    });
+  const indexedCommands = commands.map((cmd, index) => ({ ...cmd, originalIndex: index }));
+  let dueCommands = indexedCommands.filter(cmd => isCommandDue(cmd, now));
 
   // Edge case: no commands due for review
   if (dueCommands.length === 0) {
-    return null;
+    if (!options.allowEarlyReview) {
+      return null;
+    }
+    // Nothing is scheduled yet: review early rather than leave the player idle
+    dueCommands = indexedCommands;
   }
 
-  // Step 2: Filter out current command to avoid immediate repetition
-  const availableCommands = dueCommands.filter(
-    cmd => cmd.originalIndex !== currentCommandIndex
-  );
+  // Step 2: Filter out current and recently shown commands to avoid repetition
+  const recent = Array.isArray(options.recent) ? options.recent : [];
+  let gap = Math.min(options.minGap ?? getMinimumGap(dueCommands.length), recent.length);
+  let availableCommands = [];
+
+  // Shrink the gap until something is left; at gap 0 only the current command is excluded
+  for (; gap >= 0 && availableCommands.length === 0; gap--) {
+    const blocked = new Set(gap > 0 ? recent.slice(-gap) : []);
+    availableCommands = dueCommands.filter(
+      cmd => cmd.originalIndex !== currentCommandIndex && !blocked.has(getCommandId(cmd))
+    );
+  }
 
   // Edge case: only current command is available
   // In this case, we allow repetition (no choice)
   const commandPool = availableCommands.length > 0 ? availableCommands : dueCommands;
 
+  const lastId = recent[recent.length - 1];
+  const previous = options.interleave === false || lastId === undefined
+    ? null
+    : commands.find(cmd => getCommandId(cmd) === lastId) || null;
+
   // Step 3: Prioritize level 0 commands (new/failed)
   const level0Commands = commandPool.filter(cmd => cmd.level === 0);
 
   if (level0Commands.length > 0) {
-    // Randomly select from level 0 commands
-    const randomIndex = Math.floor(Math.random() * level0Commands.length);
-    return level0Commands[randomIndex];
+    // Randomly select from level 0 commands (step 4 applied within them)
+    const candidates = interleave(level0Commands, previous);
+    const randomIndex = Math.floor(Math.random() * candidates.length);
+    return candidates[randomIndex];
   }
 
-  // Step 4: Weighted random selection for other levels
+  // Step 4: Interleave, then step 5: weighted random selection for other levels
+  const interleavedPool = interleave(commandPool, previous);
+  return pickWeighted(interleavedPool);
+}
+
+/**
+ * Pick a command with probability proportional to its weight
+ *
+ * @param {Array} commandPool - Non-empty array of commands
+ * @returns {Object} Selected command
+ */
+function pickWeighted(commandPool) {
   const weights = getCommandWeights(commandPool);
   const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
 
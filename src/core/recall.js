@@ -0,0 +1,92 @@
+/**
+ * Recall
+ *
+ * Decides how much of a command's keys the CommandCard shows. New commands
+ * show their keys so they can be learned; as a command climbs SRS levels the
+ * keys fade, so answering becomes recall rather than copy-typing. Feedback
+ * reveals the keys after a miss, and a stuck player can press HINT_KEY to
+ * reveal the next hidden chord (for time, but fewer points and no credit
+ * toward levelling up; see timer, scorer and srs).
+ *
+ * Visibility:
+ * - 'full'  - every key
+ * - 'first' - the first chord only
+ * - 'none'  - just the concept and target
+ */
+
+import { parseKeySequence } from '../utils/keyparser.js';
+
+// Key that asks for a hint, in packs that never bind it
+export const HINT_KEY = 'Tab';
+
+// Default fading (packs may override via `pack.recall`, or set it to false to always show keys)
+export const DEFAULT_RECALL = {
+  fullKeysUntil: 0, // NEW commands show every key...
+  firstKeyUntil: 1  // ...LEARNING ones the first chord, and later levels nothing
+};
+
+/**
+ * Resolve fading thresholds for a pack
+ *
+ * @param {Object} pack - Pack object (may carry a `recall` override)
+ * @returns {Object|null} { fullKeysUntil, firstKeyUntil }, or null if the pack always shows keys
+ */
+export function getRecallRules(pack) {
+  if (pack?.recall === false) {
+    return null;
+  }
+  return {
+    ...DEFAULT_RECALL,
+    ...(pack?.recall || {})
+  };
+}
+
+/**
+ * How much of a command's keys to show at its SRS level
+ *
+ * @param {Object} command - Command with SRS state (level)
+ * @param {Object} pack - Pack the command belongs to
+ * @returns {string} 'full', 'first' or 'none'
+ *
+ * @example
+ * getKeyVisibility({ keys: 'diw', level: 1 }, neovimPack) // => 'first'
+ */
+export function getKeyVisibility(command, pack) {
+  const rules = getRecallRules(pack);
+  const level = command?.level ?? 0;
+  if (!rules || level <= rules.fullKeysUntil) {
+    return 'full';
+  }
+  return level <= rules.firstKeyUntil ? 'first' : 'none';
+}
+
+/**
+ * The chords of a key sequence that may be shown
+ *
+ * @param {string} keys - Key sequence in pack notation
+ * @param {string} visibility - From getKeyVisibility
+ * @param {number} hints - Hints taken, each revealing one more chord (default: 0)
+ * @returns {Array<Object>} Chords from parseKeySequence, cut to what is visible
+ *
+ * @example
+ * getVisibleChords('diw', 'first', 1).map(chord => chord.token) // => ['d', 'i']
+ */
+export function getVisibleChords(keys, visibility, hints = 0) {
+  const chords = parseKeySequence(keys);
+  if (visibility === 'full') {
+    return chords;
+  }
+  return chords.slice(0, (visibility === 'first' ? 1 : 0) + hints);
+}
+
+/**
+ * Check if a hint would reveal anything
+ *
+ * @param {string} keys - Key sequence in pack notation
+ * @param {string} visibility - From getKeyVisibility
+ * @param {number} hints - Hints taken so far
+ * @returns {boolean} True while some chords are still hidden
+ */
+export function canHint(keys, visibility, hints = 0) {
+  return getVisibleChords(keys, visibility, hints).length < parseKeySequence(keys).length;
+}
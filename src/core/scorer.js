@@ -5,6 +5,9 @@
  * Makes progress feel rewarding with escalating multipliers.
  */
 
+// Share of the points kept for each hint taken (compounds: 2 hints keep 25%)
+export const HINT_SCORE_FACTOR = 0.5;
+
 /**
  * Calculate score for a successful command execution
  *
@@ -12,6 +15,7 @@
  * @param {number} maxTime - Maximum time allowed for this command (in seconds)
  * @param {number} level - SRS level of the command (0-5)
  * @param {number} combo - Current combo streak count
+ * @param {number} hints - Hints taken for this command (default: 0)
  * @returns {number} - Calculated score (integer)
  *
  * Scoring Formula:
@@ -19,6 +23,7 @@
  * - Time bonus: Up to 50 points for speed (linear based on % time remaining)
  * - Level multiplier: (level + 1) - Higher level commands worth more
  * - Combo multiplier: Increases every 5 combo (+1 per 5 streak)
+ * - Hint penalty: HINT_SCORE_FACTOR per hint taken
  *
  * Example: Level 3 command, completed with 1.5s/2.0s remaining, 12 combo
  * - basePoints = 100
@@ -27,22 +32,24 @@
  * - comboMultiplier = Math.floor(12 / 5) + 1 = 3
  * - score = (100 + 37.5) * 4 * 3 = 1650
  */
-export function calculateScore(timeRemaining, maxTime, level, combo) {
+export function calculateScore(timeRemaining, maxTime, level, combo, hints = 0) {
   // Validate inputs
   if (timeRemaining < 0) timeRemaining = 0;
   if (maxTime <= 0) maxTime = 1; // Prevent division by zero
   if (level < 0) level = 0;
   if (level > 5) level = 5;
   if (combo < 0) combo = 0;
+  if (!(hints > 0)) hints = 0;
 
   // Base scoring components
   const basePoints = 100;
   const timeBonus = (timeRemaining / maxTime) * 50; // Faster = more points (0-50)
   const levelMultiplier = level + 1; // Levels 0-5 → multipliers 1-6
   const comboMultiplier = getComboMultiplier(combo);
+  const hintMultiplier = HINT_SCORE_FACTOR ** hints;
 
   // Calculate final score
-  const score = (basePoints + timeBonus) * levelMultiplier * comboMultiplier;
+  const score = (basePoints + timeBonus) * levelMultiplier * comboMultiplier * hintMultiplier;
 
   return Math.floor(score); // Return integer score
 }
@@ -106,9 +113,10 @@ export class SessionScorer {
    * @param {number} timeRemaining - Time remaining (seconds)
    * @param {number} maxTime - Max time allowed (seconds)
    * @param {number} level - Command SRS level (0-5)
+   * @param {number} hints - Hints taken for this command (default: 0)
    * @returns {Object} - Result with score and updated combo
    */
-  recordAttempt(isCorrect, timeRemaining, maxTime, level) {
+  recordAttempt(isCorrect, timeRemaining, maxTime, level, hints = 0) {
     // Update combo
     this.currentCombo = updateCombo(isCorrect, this.currentCombo);
 
@@ -122,7 +130,7 @@ export class SessionScorer {
       this.correctCount++;
 
       // Calculate and add score for correct answers
-      const earnedScore = calculateScore(timeRemaining, maxTime, level, this.currentCombo);
+      const earnedScore = calculateScore(timeRemaining, maxTime, level, this.currentCombo, hints);
       this.totalScore += earnedScore;
 
       return {
@@ -17,8 +17,18 @@
  * 3 - CONFIDENT: Every 25-30 commands (interval: 25)
  * 4 - PROFICIENT: Every 50-60 commands (interval: 50)
  * 5 - MASTERED: Every 100+ commands (validation only, interval: 100)
+ *
+ * SCHEDULING TIERS:
+ * - In-session: command-count intervals above (SRS_INTERVALS)
+ * - Cross-session: calendar due dates in days (SRS_DAY_INTERVALS: 1d, 3d, 7d, 21d, 60d)
+ *   A command not yet seen this session only comes back once its due date arrives.
+ *
+ * The rules above are the default "classic" algorithm. SM-2 and FSRS style
+ * schedulers are available through the SRS_ALGORITHMS registry (see below).
  */
 
+import { getBaseTime } from './timer.js';
+
 // SRS level names as object (for convenient access)
 export const SRS_LEVELS = {
   NEW: 0,
@@ -39,6 +49,19 @@ export const SRS_INTERVALS = [
   100   // Level 5: MASTERED - review every 100 commands (maintenance)
 ];
 
+// Calendar review intervals in days for each level (cross-session retention)
+export const SRS_DAY_INTERVALS = [
+  0,    // Level 0: NEW/FAILED - due immediately
+  1,    // Level 1: LEARNING - due tomorrow
+  3,    // Level 2: FAMILIAR - due in 3 days
+  7,    // Level 3: CONFIDENT - due in a week
+  21,   // Level 4: PROFICIENT - due in 3 weeks
+  60    // Level 5: MASTERED - due in 2 months
+];
+
+// Milliseconds in one day
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
 // Number of consecutive successes required to advance to next level
 export const SUCCESSES_TO_ADVANCE = 3;
 
@@ -62,18 +85,25 @@ export const LEVEL_NAMES = [
  * - Correct answer: increment successes, advance level after 3 consecutive successes
  * - Wrong answer: reset to level 0 and clear successes (harsh but effective for mastery)
  *
+ * When a grade is passed instead of a boolean, response speed shapes progress:
+ * - EASY (fast): counts as 2 successes
+ * - GOOD: counts as 1 success
+ * - HARD (slow but correct): no success credit, but no reset either
+ * - AGAIN: same as a wrong answer
+ *
  * @param {Object} command - The command object with current state
  * @param {number} command.level - Current SRS level (0-5)
  * @param {number} command.successes - Consecutive successes at current level
  * @param {number} command.failures - Total failures (lifetime counter)
  * @param {number} command.lastSeen - Timestamp of last review
  * @param {number} command.nextReview - Calculated timestamp for next review
- * @param {boolean} isCorrect - Whether the user answered correctly
+ * @param {boolean|string} isCorrect - Whether the user answered correctly, or a grade from GRADES
  * @param {number} currentTime - Current timestamp (defaults to Date.now())
- * @returns {Object} Updated command state with new level, successes, failures, lastSeen, nextReview
+ * @returns {Object} Updated command state with new level, successes, failures, lastSeen, nextReview, dueDate
  */
 export function updateCommandState(command, isCorrect, currentTime = Date.now()) {
   const now = currentTime;
+  const grade = toGrade(isCorrect);
 
   // Initialize state if command is new
   const currentLevel = command.level ?? 0;
@@ -84,9 +114,9 @@ export function updateCommandState(command, isCorrect, currentTime = Date.now())
   let newSuccesses = currentSuccesses;
   let newFailures = currentFailures;
 
-  if (isCorrect) {
-    // Correct answer: increment successes
-    newSuccesses++;
+  if (grade !== GRADES.AGAIN) {
+    // Correct answer: increment successes (fast answers earn an extra one, slow ones none)
+    newSuccesses += CLASSIC_SUCCESS_CREDIT[grade] ?? 1;
 
     // Check if ready to advance to next level
     if (newSuccesses >= SUCCESSES_TO_ADVANCE && newLevel < MAX_LEVEL) {
@@ -102,8 +132,9 @@ export function updateCommandState(command, isCorrect, currentTime = Date.now())
     newFailures++;
   }
 
-  // Calculate when this command should be reviewed next
+  // Calculate when this command should be reviewed next (in-session and calendar tiers)
   const nextReview = calculateNextReview(newLevel, now);
+  const dueDate = calculateDueDate(newLevel, now);
 
   // Return updated command state
   return {
@@ -112,26 +143,29 @@ export function updateCommandState(command, isCorrect, currentTime = Date.now())
     successes: newSuccesses,
     failures: newFailures,
     lastSeen: now,
-    nextReview
+    nextReview,
+    dueDate
   };
 }
 
 /**
  * Determines if a command should be reviewed based on SRS intervals
  *
- * A command should be reviewed when EITHER:
- * 1. Enough commands have passed since last review (primary mechanism)
- * 2. Enough time has passed based on nextReview timestamp (for cross-session persistence)
+ * A command should be reviewed when EITHER scheduling tier says so:
+ * 1. In-session: it has been shown this session and SRS_INTERVALS[level]
+ *    other commands have passed since
+ * 2. Cross-session: its calendar dueDate has arrived (falling back to
+ *    nextReview for saves that predate calendar scheduling)
  *
- * This dual-mechanism approach supports both:
- * - Within-session reviews (based on command count)
- * - Cross-session reviews (based on time elapsed since last review)
+ * A command not yet shown this session is therefore only due by calendar.
  *
  * @param {Object} command - The command object
  * @param {number} command.level - Current SRS level (0-5)
  * @param {number} command.lastSeen - Timestamp of last review
  * @param {number} command.nextReview - Calculated timestamp for next review
- * @param {number} commandsSinceLastSeen - Number of commands shown since this one last appeared
+ * @param {number} command.dueDate - Calendar due date timestamp
+ * @param {number|null} commandsSinceLastSeen - Number of commands shown since this one last appeared
+ *   in the current session, or null if it has not appeared this session
  * @param {number} currentTime - Current timestamp (defaults to Date.now())
  * @returns {boolean} True if command should be reviewed now
  */
@@ -141,26 +175,54 @@ export function shouldReviewCommand(command, commandsSinceLastSeen, currentTime
     return true;
   }
 
-  // Check 1: Has enough commands passed since last review? (primary for within-session)
+  // Check 1: In-session tier - enough commands since this one was last shown?
   const interval = SRS_INTERVALS[command.level] ?? 0;
-  const hasEnoughCommandsPassed = commandsSinceLastSeen >= interval;
+  const seenThisSession = commandsSinceLastSeen !== null && commandsSinceLastSeen !== undefined;
+  const hasEnoughCommandsPassed = seenThisSession && commandsSinceLastSeen >= interval;
 
-  // Check 2: Has enough time passed? (for cross-session persistence)
-  const hasEnoughTimePassed = command.nextReview && currentTime >= command.nextReview;
+  // Check 2: Cross-session tier - has the calendar due date arrived?
+  return hasEnoughCommandsPassed || isCalendarDue(command, currentTime);
+}
 
-  // Return true if EITHER condition is met
-  return hasEnoughCommandsPassed || hasEnoughTimePassed;
+/**
+ * Checks whether a command's calendar due date has arrived
+ *
+ * Commands saved before calendar scheduling have no dueDate; their
+ * nextReview timestamp is used instead.
+ *
+ * @param {Object} command - The command object
+ * @param {number} currentTime - Current timestamp (defaults to Date.now())
+ * @returns {boolean} True if the command is due
+ */
+export function isCalendarDue(command, currentTime = Date.now()) {
+  const due = command.dueDate ?? command.nextReview;
+  if (due === undefined || due === null) {
+    return true;
+  }
+  return currentTime >= due;
 }
 
 /**
- * Calculates the next review timestamp based on current level
+ * Calculates the calendar due date for cross-session review
+ *
+ * @param {number} level - Current SRS level (0-5)
+ * @param {number} currentTime - Current timestamp (defaults to Date.now())
+ * @returns {number} Timestamp when the command is next due in a later session
  *
- * This is a timestamp-based calculation that can be used for:
- * - Session-based review (within a single practice session)
- * - Time-based review (for daily/weekly review scheduling)
+ * @example
+ * calculateDueDate(3, now) // now + 7 days
+ */
+export function calculateDueDate(level, currentTime = Date.now()) {
+  const days = SRS_DAY_INTERVALS[level] ?? 0;
+  return currentTime + days * DAY_MS;
+}
+
+/**
+ * Calculates the next review timestamp based on current level
  *
- * The intervals are based on command counts, but we store as timestamps
- * to support future features like daily review reminders.
+ * This is a rough in-session estimate: command-count intervals converted
+ * to time at ~2.5 seconds per command. Cross-session scheduling uses the
+ * calendar due date from calculateDueDate instead.
  *
  * @param {number} level - Current SRS level (0-5)
  * @param {number} currentTime - Current timestamp (defaults to Date.now())
@@ -232,24 +294,450 @@ export function initializeCommandState(command) {
     successes: 0,
     failures: 0,
     lastSeen: null,
-    nextReview: Date.now() // New commands should be reviewed immediately
+    nextReview: Date.now(), // New commands should be reviewed immediately
+    dueDate: Date.now()
   };
 }
 
 // Legacy alias for backwards compatibility
 export const initializeCommand = initializeCommandState;
 
+/*
+ * PLUGGABLE ALGORITHMS
+ *
+ * Every algorithm implements the same interface so packs and users can swap
+ * schedulers without touching the rest of the game:
+ *
+ *   { id, name, update(command, grade, currentTime, { hints }), migrate(command, currentTime) }
+ *
+ * Whatever an algorithm tracks internally, it must keep the shared fields
+ * (level 0-5, successes, failures, lastSeen, nextReview, dueDate) current, since
+ * the queue, timer, unlocking and UI all read `level`. The `algorithm` field
+ * records which scheme produced the state. A correct answer given after a
+ * hint (`hints` > 0) was not recalled unaided, so no scheme may raise the
+ * level for it.
+ */
+
+// Answer grades understood by every algorithm
+export const GRADES = {
+  AGAIN: 'again', // Failed to recall
+  HARD: 'hard',   // Recalled with difficulty
+  GOOD: 'good',   // Recalled normally
+  EASY: 'easy'    // Recalled effortlessly
+};
+
+// Algorithm used when neither the pack nor the user picks one
+export const DEFAULT_ALGORITHM = 'classic';
+
+// Classic scheme: successes credited per grade
+const CLASSIC_SUCCESS_CREDIT = { hard: 0, good: 1, easy: 2 };
+
+// Response time thresholds as a share of the level's base time (see getBaseTime)
+export const LATENCY_THRESHOLDS = {
+  easy: 0.3, // At or under 30% of base time: instant recall
+  hard: 0.8  // At or over 80% of base time: hesitant recall
+};
+
+/**
+ * Grade an answer using response time as a recall-quality signal
+ *
+ * Thresholds scale with the command's base time for its level (and its
+ * complexity, like getTimeLimit), so "fast" at level 0 is slower than
+ * "fast" at level 5. An answer given after a hint was not recalled unaided,
+ * so it grades HARD at best: in the classic scheme it earns no success
+ * toward SUCCESSES_TO_ADVANCE. SM-2 and FSRS would still grow a HARD
+ * interval, so pass the hints to the algorithm's update() as well.
+ *
+ * @param {Object} command - Command with level and complexity
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {number|null} responseTime - Seconds taken to answer (null if unknown)
+ * @param {number} hints - Hints taken for this answer (default: 0)
+ * @returns {string} Grade from GRADES
+ *
+ * @example
+ * // Level 0 base time is 5.0s
+ * gradeAnswer({ level: 0, complexity: 1.0 }, true, 1.2)  // 'easy'
+ * gradeAnswer({ level: 0, complexity: 1.0 }, true, 2.5)  // 'good'
+ * gradeAnswer({ level: 0, complexity: 1.0 }, true, 4.8)  // 'hard'
+ * gradeAnswer({ level: 0, complexity: 1.0 }, true, 1.2, 1)  // 'hard'
+ */
+export function gradeAnswer(command, isCorrect, responseTime, hints = 0) {
+  if (!isCorrect) {
+    return GRADES.AGAIN;
+  }
+  if (hints > 0) {
+    return GRADES.HARD;
+  }
+  if (typeof responseTime !== 'number' || Number.isNaN(responseTime)) {
+    return GRADES.GOOD;
+  }
+
+  const complexity = Math.max(1.0, Math.min(2.0, command.complexity ?? 1.0));
+  const baseTime = getBaseTime(command.level ?? 0) * complexity;
+
+  if (responseTime <= baseTime * LATENCY_THRESHOLDS.easy) {
+    return GRADES.EASY;
+  }
+  if (responseTime >= baseTime * LATENCY_THRESHOLDS.hard) {
+    return GRADES.HARD;
+  }
+  return GRADES.GOOD;
+}
+
+/**
+ * Convert a pass/fail answer to a grade
+ *
+ * @param {boolean|string} answer - true/false, or a grade from GRADES
+ * @returns {string} Grade from GRADES
+ */
+export function toGrade(answer) {
+  if (typeof answer === 'string') {
+    return answer;
+  }
+  return answer ? GRADES.GOOD : GRADES.AGAIN;
+}
+
+/**
+ * Map a review interval in days onto the shared 0-5 level scale
+ * using the calendar thresholds in SRS_DAY_INTERVALS
+ *
+ * @param {number} days - Interval until next review, in days
+ * @returns {number} SRS level (0-5)
+ *
+ * @example
+ * levelFromInterval(0.4) // 0
+ * levelFromInterval(6)   // 2
+ * levelFromInterval(90)  // 5
+ */
+export function levelFromInterval(days) {
+  let level = 0;
+  for (let i = 1; i <= MAX_LEVEL; i++) {
+    if (days >= SRS_DAY_INTERVALS[i]) {
+      level = i;
+    }
+  }
+  return level;
+}
+
+/**
+ * Best estimate of a command's current review interval in days,
+ * whichever scheme produced its state
+ * @private
+ */
+function currentIntervalDays(command) {
+  if (typeof command.stability === 'number') return command.stability;
+  if (typeof command.intervalDays === 'number') return command.intervalDays;
+  return SRS_DAY_INTERVALS[command.level ?? 0] ?? 0;
+}
+
+/**
+ * Build the shared state fields from an interval in days
+ * @private
+ */
+function scheduleFromInterval(days, currentTime) {
+  const level = levelFromInterval(days);
+  return {
+    level,
+    lastSeen: currentTime,
+    nextReview: calculateNextReview(level, currentTime),
+    dueDate: currentTime + Math.round(days * DAY_MS)
+  };
+}
+
+// Fields each scheme tracks on top of the shared ones
+const SCHEME_FIELDS = {
+  sm2: ['ease', 'repetitions', 'intervalDays'],
+  fsrs: ['stability', 'difficulty']
+};
+
+/**
+ * Drop every scheme-specific field, so a migrated state carries only its new scheme's
+ * @private
+ */
+function withoutSchemeFields(command) {
+  const state = { ...command };
+  Object.values(SCHEME_FIELDS).flat().forEach(field => delete state[field]);
+  return state;
+}
+
+/**
+ * Classic 6-level scheme (the default): 3 consecutive successes per level,
+ * any failure resets to level 0. Best for drilling new material.
+ */
+const classicAlgorithm = {
+  id: 'classic',
+  name: 'Classic (6 levels)',
+
+  update(command, grade, currentTime = Date.now(), { hints = 0 } = {}) {
+    const credited = hints > 0 && grade !== GRADES.AGAIN ? GRADES.HARD : grade;
+    return {
+      ...updateCommandState(command, credited, currentTime),
+      algorithm: 'classic'
+    };
+  },
+
+  migrate(command) {
+    return {
+      ...withoutSchemeFields(command),
+      level: Math.max(0, Math.min(MAX_LEVEL, command.level ?? 0)),
+      successes: command.successes ?? 0,
+      algorithm: 'classic'
+    };
+  }
+};
+
+// SM-2 response quality (0-5) for each grade
+const SM2_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+const SM2_DEFAULT_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+
+/**
+ * SM-2 style scheduler: intervals grow by a per-command ease factor
+ * (1d, 6d, then interval * ease). A lapse restarts the interval at one day
+ * instead of wiping the command back to NEW. A success before the command
+ * is due (the in-session queue shows it again within minutes) adjusts ease
+ * but holds the interval, so a single session can't master a command; so
+ * does a hinted success.
+ */
+const sm2Algorithm = {
+  id: 'sm2',
+  name: 'SM-2 (ease factor)',
+
+  update(command, grade, currentTime = Date.now(), { hints = 0 } = {}) {
+    const quality = SM2_QUALITY[grade] ?? SM2_QUALITY.good;
+    let ease = command.ease ?? SM2_DEFAULT_EASE;
+    let repetitions = command.repetitions ?? 0;
+    let intervalDays = command.intervalDays ?? 0;
+    let successes = command.successes ?? 0;
+    let failures = command.failures ?? 0;
+
+    // A review is early until the current interval has passed
+    const dueAt = command.dueDate ?? (command.lastSeen ?? 0) + intervalDays * DAY_MS;
+    const held = (repetitions > 0 && currentTime < dueAt) || hints > 0;
+
+    if (quality < 3) {
+      repetitions = 0;
+      intervalDays = 1;
+      successes = 0;
+      failures++;
+    } else if (held) {
+      successes++;
+    } else {
+      repetitions++;
+      successes++;
+      if (repetitions === 1) {
+        intervalDays = 1;
+      } else if (repetitions === 2) {
+        intervalDays = 6;
+      } else {
+        intervalDays = Math.round(intervalDays * ease);
+      }
+    }
+
+    ease = Math.max(SM2_MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    // A held success keeps the level and due date, only the in-session spacing moves
+    const schedule = quality >= 3 && held
+      ? { lastSeen: currentTime, nextReview: calculateNextReview(command.level ?? 0, currentTime) }
+      : scheduleFromInterval(intervalDays, currentTime);
+
+    return {
+      ...command,
+      ...schedule,
+      successes,
+      failures,
+      ease,
+      repetitions,
+      intervalDays,
+      algorithm: 'sm2'
+    };
+  },
+
+  migrate(command) {
+    const level = command.level ?? 0;
+    const difficulty = command.difficulty;
+    const ease = typeof difficulty === 'number'
+      ? Math.max(SM2_MIN_EASE, SM2_DEFAULT_EASE - (difficulty - 5) * 0.15)
+      : SM2_DEFAULT_EASE;
+
+    return {
+      ...withoutSchemeFields(command),
+      ease,
+      repetitions: level,
+      intervalDays: level === 0 ? 0 : currentIntervalDays(command),
+      algorithm: 'sm2'
+    };
+  }
+};
+
+// FSRS default parameters (w0-w16)
+const FSRS_WEIGHTS = [
+  0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01, 1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61
+];
+const FSRS_RATING = { again: 1, hard: 2, good: 3, easy: 4 };
+
+/**
+ * Clamp FSRS difficulty to its 1-10 range
+ * @private
+ */
+function clampDifficulty(difficulty) {
+  return Math.max(1, Math.min(10, difficulty));
+}
+
+/**
+ * FSRS-style scheduler: models memory stability (days until recall drops to
+ * 90%) and difficulty (1-10). Stability only grows when time has passed
+ * since the last review, so same-session repeats don't inflate intervals,
+ * and a lapse shrinks stability rather than discarding it. A hinted success
+ * leaves stability where it was.
+ */
+const fsrsAlgorithm = {
+  id: 'fsrs',
+  name: 'FSRS (stability/difficulty)',
+
+  update(command, grade, currentTime = Date.now(), { hints = 0 } = {}) {
+    const w = FSRS_WEIGHTS;
+    const isLapse = grade === GRADES.AGAIN;
+    const rating = hints > 0 && !isLapse ? FSRS_RATING.hard : FSRS_RATING[grade] ?? FSRS_RATING.good;
+    let stability;
+    let difficulty;
+
+    if (typeof command.stability !== 'number') {
+      // First review: initial stability and difficulty by rating
+      stability = w[rating - 1];
+      difficulty = clampDifficulty(w[4] - (rating - 3) * w[5]);
+    } else {
+      const elapsedDays = command.lastSeen ? Math.max(0, (currentTime - command.lastSeen) / DAY_MS) : 0;
+      const retrievability = Math.pow(1 + elapsedDays / (9 * command.stability), -1);
+      const previous = command.difficulty ?? w[4];
+
+      // Difficulty moves with the rating, with slight mean reversion
+      difficulty = clampDifficulty(w[7] * w[4] + (1 - w[7]) * (previous - w[6] * (rating - 3)));
+
+      if (isLapse) {
+        stability = Math.min(
+          command.stability,
+          w[11] * Math.pow(difficulty, -w[12]) * (Math.pow(command.stability + 1, w[13]) - 1) *
+            Math.exp(w[14] * (1 - retrievability))
+        );
+      } else if (hints > 0) {
+        stability = command.stability;
+      } else {
+        const hardPenalty = rating === FSRS_RATING.hard ? w[15] : 1;
+        const easyBonus = rating === FSRS_RATING.easy ? w[16] : 1;
+        stability = command.stability * (1 + Math.exp(w[8]) * (11 - difficulty) *
+          Math.pow(command.stability, -w[9]) * (Math.exp(w[10] * (1 - retrievability)) - 1) *
+          hardPenalty * easyBonus);
+      }
+    }
+
+    // With 90% requested retention the next interval equals stability
+    return {
+      ...command,
+      ...scheduleFromInterval(stability, currentTime),
+      successes: isLapse ? 0 : (command.successes ?? 0) + 1,
+      failures: (command.failures ?? 0) + (isLapse ? 1 : 0),
+      stability,
+      difficulty,
+      algorithm: 'fsrs'
+    };
+  },
+
+  migrate(command) {
+    const level = command.level ?? 0;
+    const ease = command.ease;
+    const difficulty = typeof ease === 'number'
+      ? clampDifficulty(5 - (ease - SM2_DEFAULT_EASE) / 0.15)
+      : 5;
+
+    return {
+      ...withoutSchemeFields(command),
+      stability: level === 0 ? undefined : currentIntervalDays(command),
+      difficulty,
+      algorithm: 'fsrs'
+    };
+  }
+};
+
+/**
+ * Registry of available SRS algorithms
+ */
+export const SRS_ALGORITHMS = {
+  classic: classicAlgorithm,
+  sm2: sm2Algorithm,
+  fsrs: fsrsAlgorithm
+};
+
+/**
+ * Get an SRS algorithm by ID
+ *
+ * @param {string} id - Algorithm identifier ('classic', 'sm2', 'fsrs')
+ * @returns {Object} Algorithm implementing update() and migrate()
+ * @throws {Error} If algorithm ID is unknown
+ */
+export function getAlgorithm(id = DEFAULT_ALGORITHM) {
+  const algorithm = SRS_ALGORITHMS[id];
+  if (!algorithm) {
+    throw new Error(`Unknown SRS algorithm "${id}". Available algorithms: ${Object.keys(SRS_ALGORITHMS).join(', ')}`);
+  }
+  return algorithm;
+}
+
+/**
+ * Pick the algorithm for a pack: user config wins over the pack's default
+ *
+ * @param {Object} pack - Pack object (may set `srsAlgorithm`)
+ * @param {Object} settings - User settings (may set `srsAlgorithm`)
+ * @returns {string} Algorithm ID
+ */
+export function resolveAlgorithmId(pack, settings = {}) {
+  return settings?.srsAlgorithm ?? pack?.srsAlgorithm ?? DEFAULT_ALGORITHM;
+}
+
+/**
+ * Convert a command's state to another algorithm's scheme
+ *
+ * Level, successes, failures and due dates carry over; scheme-specific
+ * fields are seeded from whatever the previous scheme tracked, then dropped. State with no
+ * `algorithm` field is treated as classic.
+ *
+ * @param {Object} command - Command state
+ * @param {string} algorithmId - Target algorithm ID
+ * @returns {Object} Migrated command state (unchanged if already on that scheme)
+ */
+export function migrateCommandState(command, algorithmId) {
+  const current = command.algorithm ?? DEFAULT_ALGORITHM;
+  if (current === algorithmId) {
+    return command;
+  }
+  return getAlgorithm(algorithmId).migrate(command);
+}
+
 export default {
   SRS_LEVELS,
   SRS_INTERVALS,
+  SRS_DAY_INTERVALS,
+  DAY_MS,
   SUCCESSES_TO_ADVANCE,
   MAX_LEVEL,
   LEVEL_NAMES,
   updateCommandState,
   shouldReviewCommand,
+  isCalendarDue,
   calculateNextReview,
+  calculateDueDate,
   getLevelName,
   calculateMastery,
   initializeCommandState,
-  initializeCommand
+  initializeCommand,
+  GRADES,
+  DEFAULT_ALGORITHM,
+  SRS_ALGORITHMS,
+  LATENCY_THRESHOLDS,
+  toGrade,
+  gradeAnswer,
+  levelFromInterval,
+  getAlgorithm,
+  resolveAlgorithmId,
+  migrateCommandState
 };
@@ -0,0 +1,239 @@
+/**
+ * Session Summary
+ *
+ * Builds the end-of-session report: the session's score, accuracy and best
+ * combo (from SessionScorer), which commands levelled up or fell back to
+ * level 0, the slowest and most-missed commands, and how the session
+ * compares with earlier ones (progress.sessions). The same summary is shown
+ * on the summary screen and printed as plain text once the game exits.
+ */
+
+import { getCommandId, getPackCommands } from './commands.js';
+import { describeKeys } from '../utils/keydisplay.js';
+
+// How much the summary lists
+export const SUMMARY_LIMITS = {
+  listed: 3,           // Commands per list (slowest, most missed)
+  comparedSessions: 5  // Earlier sessions averaged for the comparison
+};
+
+/**
+ * Compare SRS levels at the start and end of a session
+ *
+ * @param {Object} startLevels - Map of command id -> level when the session began
+ * @param {Object} commandStats - Map of command id -> state now
+ * @returns {Object} { levelledUp: [{ id, from, to }], reset: [{ id, from }] }
+ */
+export function getLevelChanges(startLevels, commandStats) {
+  const levelledUp = [];
+  const reset = [];
+  for (const [id, state] of Object.entries(commandStats || {})) {
+    const from = startLevels?.[id] ?? 0;
+    const to = state?.level ?? 0;
+    if (to > from) {
+      levelledUp.push({ id, from, to });
+    } else if (to === 0 && from > 0) {
+      reset.push({ id, from });
+    }
+  }
+  return { levelledUp, reset };
+}
+
+/**
+ * Collect the attempts made during a session, grouped by command
+ *
+ * @param {Object} attemptLog - Map of command id -> attempt records (see Storage)
+ * @param {number} since - Session start (ms)
+ * @returns {Object} Map of command id -> attempts at or after `since`
+ */
+export function getSessionAttempts(attemptLog, since) {
+  const session = {};
+  for (const [id, attempts] of Object.entries(attemptLog || {})) {
+    const recent = attempts.filter(attempt => attempt.timestamp >= since);
+    if (recent.length > 0) {
+      session[id] = recent;
+    }
+  }
+  return session;
+}
+
+/**
+ * Find the commands answered most slowly (correct answers only)
+ *
+ * @param {Object} sessionAttempts - From getSessionAttempts
+ * @param {number} limit - Commands listed
+ * @returns {Array<Object>} [{ id, averageTime }] slowest first, averageTime in ms
+ */
+export function getSlowestCommands(sessionAttempts, limit = SUMMARY_LIMITS.listed) {
+  return Object.entries(sessionAttempts)
+    .map(([id, attempts]) => {
+      const times = attempts
+        .filter(a => a.outcome === 'correct' && typeof a.completionTime === 'number')
+        .map(a => a.completionTime);
+      return { id, averageTime: times.length > 0 ? times.reduce((sum, t) => sum + t, 0) / times.length : null };
+    })
+    .filter(entry => entry.averageTime !== null)
+    .sort((a, b) => b.averageTime - a.averageTime)
+    .slice(0, limit);
+}
+
+/**
+ * Find the commands missed most often (wrong answers and timeouts)
+ *
+ * @param {Object} sessionAttempts - From getSessionAttempts
+ * @param {number} limit - Commands listed
+ * @returns {Array<Object>} [{ id, failures, attempts }] most missed first
+ */
+export function getMostFailedCommands(sessionAttempts, limit = SUMMARY_LIMITS.listed) {
+  return Object.entries(sessionAttempts)
+    .map(([id, attempts]) => ({
+      id,
+      failures: attempts.filter(a => a.outcome !== 'correct').length,
+      attempts: attempts.length
+    }))
+    .filter(entry => entry.failures > 0)
+    .sort((a, b) => b.failures - a.failures)
+    .slice(0, limit);
+}
+
+/**
+ * Compare a session with the ones before it
+ *
+ * @param {Object} session - Session record (see appendSession)
+ * @param {Array<Object>} history - Earlier session records, oldest first
+ * @param {number} count - Most recent sessions averaged
+ * @returns {Object|null} { sessions, averageScore, averageAccuracy, scoreDelta, accuracyDelta, bestScore },
+ *   or null for a first session
+ *
+ * @example
+ * compareSessions({ score: 1200, accuracy: 90 }, [{ score: 1000, accuracy: 80 }])
+ * // => { sessions: 1, averageScore: 1000, averageAccuracy: 80, scoreDelta: 200, accuracyDelta: 10, bestScore: true }
+ */
+export function compareSessions(session, history = [], count = SUMMARY_LIMITS.comparedSessions) {
+  if (!Array.isArray(history) || history.length === 0) {
+    return null;
+  }
+  const recent = history.slice(-count);
+  const average = field => recent.reduce((sum, s) => sum + (s[field] || 0), 0) / recent.length;
+  const averageScore = Math.round(average('score'));
+  const averageAccuracy = Math.round(average('accuracy') * 10) / 10;
+  return {
+    sessions: recent.length,
+    averageScore,
+    averageAccuracy,
+    scoreDelta: session.score - averageScore,
+    accuracyDelta: Math.round((session.accuracy - averageAccuracy) * 10) / 10,
+    bestScore: history.every(s => session.score > (s.score || 0))
+  };
+}
+
+/**
+ * Build the end-of-session summary
+ *
+ * @param {Object} options
+ * @param {Object} options.pack - Pack trained
+ * @param {Object} options.progress - Progress after the session's last answer
+ * @param {Object} options.stats - SessionScorer.getStats()
+ * @param {number} options.duration - Time played (ms)
+ * @param {Object} options.startLevels - Map of command id -> level when the session began
+ * @param {number} options.since - Session start (ms)
+ * @param {number} options.now - Session end (ms, default: now)
+ * @returns {Object} { packName, session, levelledUp, reset, slowest, mostFailed, comparison },
+ *   lists of command entries carrying { command } (the pack's definition)
+ */
+export function summarizeSession({ pack, progress, stats, duration, startLevels, since, now = Date.now() }) {
+  const commands = new Map(getPackCommands(pack).map(cmd => [getCommandId(cmd), cmd]));
+  // Only commands the pack still has can be named
+  const named = entries => entries
+    .filter(entry => commands.has(entry.id))
+    .map(entry => ({ ...entry, command: commands.get(entry.id) }));
+
+  const session = {
+    timestamp: now,
+    duration,
+    score: stats.totalScore,
+    accuracy: stats.accuracy,
+    bestCombo: stats.bestCombo,
+    attempts: stats.totalAttempts
+  };
+  const { levelledUp, reset } = getLevelChanges(startLevels, progress.commandStats);
+  const sessionAttempts = getSessionAttempts(progress.attemptLog, since);
+
+  return {
+    packName: pack.name,
+    session,
+    levelledUp: named(levelledUp),
+    reset: named(reset),
+    slowest: named(getSlowestCommands(sessionAttempts)),
+    mostFailed: named(getMostFailedCommands(sessionAttempts)),
+    comparison: compareSessions(session, progress.sessions)
+  };
+}
+
+/**
+ * Format milliseconds as "4m 20s"
+ * @private
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Format a signed difference ("+200", "-3.5")
+ * @private
+ */
+function formatDelta(value) {
+  return `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+}
+
+/**
+ * Describe how a session compares with earlier ones
+ *
+ * @param {Object|null} comparison - From compareSessions
+ * @returns {string} One line, e.g. "Score +200 vs. your last 5 sessions (avg 1,000), accuracy +10 pts (avg 80%)"
+ */
+export function describeComparison(comparison) {
+  if (!comparison) {
+    return 'First session - nothing to compare yet';
+  }
+  const { sessions, averageScore, averageAccuracy, scoreDelta, accuracyDelta, bestScore } = comparison;
+  const against = sessions === 1 ? 'your last session' : `your last ${sessions} sessions`;
+  const line = `Score ${formatDelta(scoreDelta)} vs. ${against} (avg ${averageScore.toLocaleString()}), ` +
+    `accuracy ${formatDelta(accuracyDelta)} pts (avg ${averageAccuracy}%)`;
+  return bestScore ? `${line} - best score yet!` : line;
+}
+
+/**
+ * Format the summary as plain text (printed after the game exits)
+ *
+ * @param {Object} summary - From summarizeSession
+ * @param {Object} display - { platform } for key labels
+ * @returns {string} Text ending in a newline
+ */
+export function formatSummary(summary, display = {}) {
+  const { session } = summary;
+  const label = command => `${describeKeys(command.keys, display)} ${command.concept}`;
+  const lines = [
+    '',
+    `Session summary: ${summary.packName}`,
+    '',
+    `  Score: ${session.score.toLocaleString()}   Accuracy: ${session.accuracy}%   Best combo: ${session.bestCombo}`,
+    `  ${session.attempts} commands in ${formatDuration(session.duration)}`,
+    `  ${describeComparison(summary.comparison)}`,
+    ''
+  ];
+
+  const section = (title, entries, detail) => {
+    if (entries.length === 0) return;
+    lines.push(`  ${title}:`);
+    entries.forEach(entry => lines.push(`    ${label(entry.command)} (${detail(entry)})`));
+    lines.push('');
+  };
+  section('Levelled up', summary.levelledUp, entry => `level ${entry.from} → ${entry.to}`);
+  section('Back to level 0', summary.reset, entry => `was level ${entry.from}`);
+  section('Slowest', summary.slowest, entry => `${(entry.averageTime / 1000).toFixed(1)}s avg`);
+  section('Most missed', summary.mostFailed, entry => `${entry.failures} of ${entry.attempts} missed`);
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,175 @@
+/**
+ * Targets
+ *
+ * A target is the text a command acts on. Generators receive the command
+ * and return either plain text (shown as-is) or a preview of the command's
+ * effect:
+ *
+ *   {
+ *     before: { text: 'The quick brown fox', cursor: 5 },
+ *     after:  { text: 'The  brown fox', cursor: 4 }
+ *   }
+ *
+ * `cursor` is a character offset into `text` (null for no cursor; the
+ * length of a line for a cursor past its end). `after` may also carry a
+ * `highlight: [start, end]` range for commands that select or yank text
+ * without changing it, and the editor `mode` the command leaves.
+ *
+ * Packs with an `emulator` check answers by running the player's keys on
+ * `before` instead of matching the command's keys, so any keys that reach
+ * `after` count.
+ */
+
+import { VimChallenge } from './vim.js';
+
+/**
+ * Emulators that can check free-form answers, by pack `emulator` id
+ * Each is a class taking (target, keys) with ChordSequence's press interface
+ */
+export const EMULATORS = {
+  vim: VimChallenge
+};
+
+/**
+ * Normalize a buffer from a generator
+ * @param {string|Object} buffer - Text, or { text, cursor, highlight, mode }
+ * @returns {Object|null} { text, cursor, highlight, mode }, or null if missing
+ * @private
+ */
+function normalizeBuffer(buffer) {
+  if (buffer === null || buffer === undefined) {
+    return null;
+  }
+  if (typeof buffer === 'string') {
+    return { text: buffer, cursor: null, highlight: null, mode: null };
+  }
+  const text = String(buffer.text ?? '');
+  const cursor = Number.isInteger(buffer.cursor)
+    ? Math.max(0, Math.min(text.length, buffer.cursor))
+    : null;
+  return {
+    text,
+    cursor,
+    highlight: Array.isArray(buffer.highlight) ? buffer.highlight : null,
+    mode: typeof buffer.mode === 'string' ? buffer.mode : null
+  };
+}
+
+/**
+ * Normalize whatever a target generator returned
+ *
+ * @param {string|Object} target - Plain text, or { before, after }
+ * @returns {Object} { before, after } buffers (after is null for static targets)
+ *
+ * @example
+ * normalizeTarget('hello') // { before: { text: 'hello', cursor: null, highlight: null, mode: null }, after: null }
+ */
+export function normalizeTarget(target) {
+  if (target && typeof target === 'object' && 'before' in target) {
+    return { before: normalizeBuffer(target.before), after: normalizeBuffer(target.after) };
+  }
+  return { before: normalizeBuffer(target ?? ''), after: null };
+}
+
+/**
+ * Generate the target for a command
+ *
+ * @param {Object} pack - Pack with targetGenerators
+ * @param {Object} command - Command being practised (passed to the generator)
+ * @returns {Object|null} Normalized target, or null if the pack has no generator for it
+ */
+export function generateTarget(pack, command) {
+  const generator = pack?.targetGenerators?.[command?.targetType];
+  if (typeof generator !== 'function') {
+    return null;
+  }
+  return normalizeTarget(generator(command));
+}
+
+/**
+ * Create a free-form challenge for a target
+ *
+ * @param {Object} pack - Pack, which opts in with `emulator`
+ * @param {Object} command - Command being practised
+ * @param {Object} target - Normalized target
+ * @returns {Object|null} Challenge to grade keys with, or null when keys must match the command exactly
+ */
+export function createChallenge(pack, command, target) {
+  const Challenge = EMULATORS[pack?.emulator];
+  if (!Challenge || !target?.before || !target.after) {
+    return null;
+  }
+  return new Challenge(target, command.keys);
+}
+
+/**
+ * Find what changed between two texts
+ * Uses the common prefix and suffix, so one contiguous edit is reported exactly
+ *
+ * @param {string} before - Text before the command
+ * @param {string} after - Text after the command
+ * @returns {Object} { removed: [start, end] in before, inserted: [start, end] in after }
+ *
+ * @example
+ * diffText('a brown fox', 'a fox') // { removed: [2, 8], inserted: [2, 2] }
+ */
+export function diffText(before, after) {
+  const limit = Math.min(before.length, after.length);
+  let prefix = 0;
+  while (prefix < limit && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < limit - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+    suffix++;
+  }
+  return {
+    removed: [prefix, before.length - suffix],
+    inserted: [prefix, after.length - suffix]
+  };
+}
+
+/**
+ * Split a buffer into styled line segments for rendering
+ *
+ * Styles: 'cursor', plus the name of any mark covering the character.
+ * A cursor at the end of a line is drawn on an added space.
+ *
+ * @param {Object} buffer - { text, cursor }
+ * @param {Object} marks - Map of style name -> [start, end] range (empty ranges are ignored)
+ * @returns {Array<Array<Object>>} Lines of { text, style } segments (style null for plain text)
+ *
+ * @example
+ * bufferLines({ text: 'ab', cursor: 1 }) // [[{ text: 'a', style: null }, { text: 'b', style: 'cursor' }]]
+ */
+export function bufferLines(buffer, marks = {}) {
+  const { text, cursor } = buffer;
+  const ranges = Object.entries(marks).filter(([, range]) => range && range[1] > range[0]);
+  const styleAt = index => {
+    if (index === cursor) return 'cursor';
+    const mark = ranges.find(([, [start, end]]) => index >= start && index < end);
+    return mark ? mark[0] : null;
+  };
+
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const segments = [];
+    for (let i = 0; i < line.length; i++) {
+      const style = styleAt(offset + i);
+      const last = segments[segments.length - 1];
+      if (last && last.style === style) {
+        last.text += line[i];
+      } else {
+        segments.push({ text: line[i], style });
+      }
+    }
+    if (cursor === offset + line.length) {
+      segments.push({ text: ' ', style: 'cursor' });
+    }
+    lines.push(segments);
+    offset += line.length + 1;
+  }
+  return lines;
+}
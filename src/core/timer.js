@@ -3,16 +3,24 @@
  *
  * Handles time limits based on command level and complexity,
  * provides countdown timer with tick callbacks and cleanup.
+ * Limits can adapt to the player's recorded response times
+ * (getAdaptiveTimeLimit), bounded around the fixed table.
  *
  * Time limits decrease as player levels up, creating urgency
  * and building muscle memory through reflex training.
+ * A session clock (createSessionClock) tracks time played, pauses excluded.
  */
 
+import { getCommandId } from './commands.js';
+
 // Base time limits in seconds for each SRS level (0-5)
 // Level 0: New/failed commands get generous time
 // Level 5: Mastered commands require instant reflexes
 const BASE_TIMES = [5.0, 3.0, 2.0, 1.5, 1.2, 1.0];
 
+// Seconds each hint adds to the clock (see timer.addTime)
+export const HINT_TIME_BONUS = 2.0;
+
 /**
  * Calculate time limit for a command based on level and complexity
  *
@@ -35,6 +43,91 @@ export function getTimeLimit(command) {
   return BASE_TIMES[level] * complexity;
 }
 
+// Adaptive time limits: derived from the player's own correct answers
+export const ADAPTIVE_TIMING = {
+  percentile: 0.9,   // Cover 90% of the player's recent correct answers...
+  headroom: 1.2,     // ...plus 20% slack
+  minSamples: 5,     // Fewer correct answers than this: use the fixed table
+  window: 20,        // Only the most recent answers count
+  floorShare: 0.5,   // Never below half the fixed limit...
+  ceilingShare: 2.0, // ...nor above double it
+  minSeconds: 0.75   // Absolute floor so limits stay humanly reachable
+};
+
+/**
+ * Get the value at a percentile of a list of numbers (nearest-rank)
+ *
+ * @param {Array<number>} values - Samples (unsorted)
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number} Sample at that rank
+ */
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil(p * sorted.length) - 1;
+  return sorted[Math.max(0, Math.min(sorted.length - 1, rank))];
+}
+
+/**
+ * Collect recent correct response times (seconds) from attempt records
+ * Hinted answers are left out: the extra time they bought is not recall speed
+ *
+ * @param {Array<Object>} attempts - Attempt records (oldest first)
+ * @param {number} level - Only attempts made at this SRS level count
+ * @param {number} window - Maximum number of samples kept
+ * @returns {Array<number>} Response times in seconds
+ */
+function recentResponseTimes(attempts, level, window) {
+  return attempts
+    .filter(a => a.outcome === 'correct' && !(a.hints > 0) && a.level === level && typeof a.completionTime === 'number')
+    .slice(-window)
+    .map(a => a.completionTime / 1000);
+}
+
+/**
+ * Calculate a time limit adapted to the player's recorded response times
+ *
+ * Uses the command's own attempts at its current level when there are
+ * enough of them, otherwise the player's attempts on every command at that
+ * level, otherwise the fixed table (getTimeLimit). The adaptive limit is a
+ * percentile of recent correct answers with some headroom, clamped around
+ * the fixed limit so slow starters get more time and fast players get less.
+ *
+ * @param {Object} command - Command object with keys, level and complexity
+ * @param {Object} attemptLog - Map of command id -> attempt records (see Storage)
+ * @param {Object} options - Overrides for ADAPTIVE_TIMING
+ * @returns {number} Time limit in seconds
+ *
+ * @example
+ * // No history yet: same as the fixed table
+ * getAdaptiveTimeLimit({ keys: 'dd', level: 1, complexity: 1.0 }, {}) // 3.0
+ *
+ * @example
+ * // Player reliably answers in ~0.8s at level 1
+ * getAdaptiveTimeLimit({ keys: 'dd', level: 1, complexity: 1.0 }, progress.attemptLog) // ~1.5 (floor)
+ */
+export function getAdaptiveTimeLimit(command, attemptLog = {}, options = {}) {
+  const settings = { ...ADAPTIVE_TIMING, ...options };
+  const fixedLimit = getTimeLimit(command);
+  const level = Math.max(0, Math.min(5, command.level));
+
+  let samples = recentResponseTimes(attemptLog?.[getCommandId(command)] || [], level, settings.window);
+  if (samples.length < settings.minSamples) {
+    // Not enough history for this command: fall back to the player's pace at this level
+    const levelAttempts = Object.values(attemptLog || {})
+      .flat()
+      .sort((a, b) => a.timestamp - b.timestamp);
+    samples = recentResponseTimes(levelAttempts, level, settings.window);
+  }
+  if (samples.length < settings.minSamples) {
+    return fixedLimit;
+  }
+
+  const adaptive = percentile(samples, settings.percentile) * settings.headroom;
+  const floor = Math.max(settings.minSeconds, fixedLimit * settings.floorShare);
+  const ceiling = Math.max(floor, fixedLimit * settings.ceilingShare);
+  return Math.max(floor, Math.min(ceiling, adaptive));
+}
+
 /**
  * Create a countdown timer with precise tick callbacks
  *
@@ -231,6 +324,74 @@ export function createTimer(timeLimit, onTick, onComplete) {
   };
 }
 
+/**
+ * Create a clock for the time a session (or one attempt) is actually played
+ *
+ * Pauses (the pause screen, the menu, stats) don't count, so time stored
+ * in globalStats.totalTime is practice time rather than time the game
+ * was left open, and an attempt's logged response times leave out a break
+ * taken in the middle of it.
+ *
+ * @param {function} now - Clock in milliseconds (default: Date.now)
+ * @returns {Object} Clock control object
+ *
+ * @example
+ * const clock = createSessionClock();
+ * clock.pause();
+ * // Later...
+ * clock.resume();
+ * clock.getElapsed(); // ms played, pauses left out
+ */
+export function createSessionClock(now = Date.now) {
+  const startedAt = now();
+  let pausedAt = null;
+  let pausedTotal = 0;
+
+  /**
+   * Stop counting (no-op while already paused)
+   */
+  function pause() {
+    if (pausedAt === null) {
+      pausedAt = now();
+    }
+  }
+
+  /**
+   * Count again (no-op unless paused)
+   */
+  function resume() {
+    if (pausedAt !== null) {
+      pausedTotal += now() - pausedAt;
+      pausedAt = null;
+    }
+  }
+
+  /**
+   * Check if the clock is paused
+   *
+   * @returns {boolean} True if paused
+   */
+  function isPaused() {
+    return pausedAt !== null;
+  }
+
+  /**
+   * Get time played so far
+   *
+   * @returns {number} Milliseconds since the clock was created, pauses left out
+   */
+  function getElapsed() {
+    return (pausedAt ?? now()) - startedAt - pausedTotal;
+  }
+
+  return {
+    pause,
+    resume,
+    isPaused,
+    getElapsed
+  };
+}
+
 /**
  * Get base time for a specific level
  *
@@ -0,0 +1,1018 @@
+/**
+ * Vim Emulator
+ *
+ * A small modal editor for checking free-form answers: the player's keys
+ * run against a target's "before" buffer, and any keys that leave the
+ * buffer in the expected "after" state count, so `dw`, `diw` and `de` all
+ * delete a word from its first letter.
+ *
+ * Supported:
+ * - Modes: normal, insert, visual (v), visual-line (V); Ctrl+v starts a
+ *   visual-block selection that can be shown but not operated on
+ * - Counts: 3w, d2w, 2d3w, 5x
+ * - Operators: d, c, y (dd, cc, yy), plus x, X, s, D, C, Y, p, P and u
+ * - Motions: h j k l w b e W B E 0 ^ $ gg G f t F T %
+ * - Text objects: iw aw iW aW, quotes (i" a" i' a' i` a`) and brackets
+ *   (i( a( i[ a[ i{ a{ i< a<, with b/B and closing-bracket aliases)
+ * - Insert mode: i a I A o O, typing, Enter, Backspace, Delete, Escape
+ *
+ * Buffers are { text, cursor } with the cursor as a character offset (see
+ * core/targets.js). Like Neovim, new lines and cc keep the indent.
+ */
+
+import { tokenizeKeys } from '../utils/keyparser.js';
+
+const OPERATORS = ['d', 'c', 'y'];
+
+const MOTIONS = [
+  'h', 'j', 'k', 'l', 'w', 'b', 'e', 'W', 'B', 'E', '0', '^', '$', 'G', '%',
+  'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Space', 'Backspace'
+];
+
+// Motions that take the character to find as their next key
+const FIND_MOTIONS = ['f', 'F', 't', 'T'];
+
+// Commands that are shorthand for an operator and a motion
+const SHORTHANDS = {
+  x: ['d', 'l'],
+  X: ['d', 'h'],
+  s: ['c', 'l'],
+  D: ['d', '$'],
+  C: ['c', '$']
+};
+
+const SIMPLE_COMMANDS = ['Y', 'p', 'P', 'u', 'i', 'a', 'I', 'A', 'o', 'O', 'v', 'V', 'Ctrl+v', 'Escape'];
+
+// Bracket text objects: object key -> [open, close]
+const BRACKETS = {
+  '(': ['(', ')'], ')': ['(', ')'], b: ['(', ')'],
+  '[': ['[', ']'], ']': ['[', ']'],
+  '{': ['{', '}'], '}': ['{', '}'], B: ['{', '}'],
+  '<': ['<', '>'], '>': ['<', '>']
+};
+
+const QUOTES = ['"', "'", '`'];
+
+const TEXT_OBJECTS = ['w', 'W', ...QUOTES, ...Object.keys(BRACKETS)];
+
+const VISUAL_MODES = { v: 'visual', V: 'visual-line', 'Ctrl+v': 'visual-block' };
+
+/**
+ * Character class for word motions: 0 blank, 1 punctuation, 2 word character
+ * WORDs (W, B, E, iW) treat all non-blanks alike
+ * @private
+ */
+function charClass(char, bigWord = false) {
+  if (char === undefined || /\s/.test(char)) return 0;
+  if (bigWord) return 2;
+  return /\w/.test(char) ? 2 : 1;
+}
+
+/**
+ * The character a key token types, or null for keys that type nothing
+ * @private
+ */
+function tokenChar(token) {
+  if (token === 'Space') return ' ';
+  if (token === 'Tab') return '\t';
+  return token?.length === 1 ? token : null;
+}
+
+// Line helpers on offsets into the text
+// (lastIndexOf treats a -1 start as 0, so pos 0 would find a newline there)
+const lineStart = (text, pos) => (pos === 0 ? 0 : text.lastIndexOf('\n', pos - 1) + 1);
+const lineEnd = (text, pos) => {
+  const end = text.indexOf('\n', pos);
+  return end === -1 ? text.length : end;
+};
+const lineIndex = (text, pos) => text.slice(0, pos).split('\n').length - 1;
+const lineCount = text => text.split('\n').length;
+const rowStart = (text, row) => text.split('\n').slice(0, row).reduce((sum, line) => sum + line.length + 1, 0);
+const indentAt = (text, pos) => text.slice(lineStart(text, pos)).match(/^[ \t]*/)[0];
+
+/**
+ * First non-blank character of the line holding pos (its last character on a blank line)
+ * @private
+ */
+function firstNonBlank(text, pos) {
+  const start = lineStart(text, pos);
+  const end = lineEnd(text, pos);
+  const indent = indentAt(text, pos).length;
+  return start + indent < end ? start + indent : Math.max(start, end - 1);
+}
+
+/**
+ * Keep a normal-mode cursor on a character of its line
+ * @private
+ */
+function clampNormal(text, pos) {
+  const clamped = Math.max(0, Math.min(pos, text.length));
+  const start = lineStart(text, clamped);
+  const end = lineEnd(text, clamped);
+  return end === start ? start : Math.min(clamped, end - 1);
+}
+
+/**
+ * Start of the next word (w/W); an empty line counts as a word
+ * Returns text.length when there is no next word
+ * @private
+ */
+function nextWordStart(text, pos, bigWord) {
+  let i = pos;
+  const cls = charClass(text[i], bigWord);
+  if (cls !== 0) {
+    while (i < text.length && charClass(text[i], bigWord) === cls) i++;
+  } else if (text[i] === '\n') {
+    i++;
+    if (text[i] === '\n') return i;
+  }
+  while (i < text.length && charClass(text[i], bigWord) === 0) {
+    if (text[i] === '\n' && text[i + 1] === '\n') return i + 1;
+    i++;
+  }
+  return i;
+}
+
+/**
+ * End of the current or next word (e/E), or null at the end of the text
+ * @private
+ */
+function nextWordEnd(text, pos, bigWord) {
+  let i = pos + 1;
+  while (i < text.length && charClass(text[i], bigWord) === 0) i++;
+  if (i >= text.length) return null;
+  const cls = charClass(text[i], bigWord);
+  while (i + 1 < text.length && charClass(text[i + 1], bigWord) === cls) i++;
+  return i;
+}
+
+/**
+ * Start of the current or previous word (b/B), or null at the start of the text
+ * @private
+ */
+function prevWordStart(text, pos, bigWord) {
+  let i = pos - 1;
+  while (i >= 0 && charClass(text[i], bigWord) === 0) {
+    if (text[i] === '\n' && (i === 0 || text[i - 1] === '\n')) return i;
+    i--;
+  }
+  if (i < 0) return pos > 0 ? 0 : null;
+  const cls = charClass(text[i], bigWord);
+  while (i > 0 && charClass(text[i - 1], bigWord) === cls) i--;
+  return i;
+}
+
+/**
+ * Find the bracket matching the one at pos, or -1
+ * @private
+ */
+function matchBracket(text, pos) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const char = text[pos];
+  const forward = char in pairs;
+  const open = forward ? char : Object.keys(pairs).find(key => pairs[key] === char);
+  const close = pairs[open];
+  let depth = 0;
+  for (let i = pos; forward ? i < text.length : i >= 0; i += forward ? 1 : -1) {
+    if (text[i] === open) depth += forward ? 1 : -1;
+    if (text[i] === close) depth += forward ? -1 : 1;
+    if (depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Find the innermost open/close pair around pos, or null
+ * @private
+ */
+function enclosingPair(text, pos, open, close) {
+  let start = -1;
+  if (text[pos] === open) {
+    start = pos;
+  } else {
+    let depth = 0;
+    for (let i = text[pos] === close ? pos - 1 : pos; i >= 0; i--) {
+      if (text[i] === close) depth++;
+      if (text[i] === open) {
+        if (depth === 0) {
+          start = i;
+          break;
+        }
+        depth--;
+      }
+    }
+  }
+  if (start === -1) return null;
+
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === open) depth++;
+    if (text[i] === close && --depth === 0) return [start, i];
+  }
+  return null;
+}
+
+/**
+ * Read a count from the keys at index i
+ * @private
+ */
+function parseCount(tokens, i) {
+  let digits = '';
+  while (i < tokens.length && /^[0-9]$/.test(tokens[i]) && !(digits === '' && tokens[i] === '0')) {
+    digits += tokens[i];
+    i++;
+  }
+  return { count: digits ? Number(digits) : null, i };
+}
+
+/**
+ * Read a motion from the keys at index i
+ * @private
+ */
+function parseMotion(tokens, i) {
+  const key = tokens[i];
+  if (key === undefined) return { status: 'incomplete' };
+  if (key === 'g') {
+    if (i + 1 >= tokens.length) return { status: 'incomplete' };
+    return tokens[i + 1] === 'g' ? { status: 'complete', motion: 'gg' } : { status: 'invalid' };
+  }
+  if (FIND_MOTIONS.includes(key)) {
+    if (i + 1 >= tokens.length) return { status: 'incomplete' };
+    const char = tokenChar(tokens[i + 1]);
+    return char === null ? { status: 'invalid' } : { status: 'complete', motion: key, char };
+  }
+  return MOTIONS.includes(key) ? { status: 'complete', motion: key } : { status: 'invalid' };
+}
+
+/**
+ * Read a text object ('iw', 'a(') from the keys at index i
+ * @private
+ */
+function parseTextObject(tokens, i) {
+  if (i + 1 >= tokens.length) return { status: 'incomplete' };
+  if (!TEXT_OBJECTS.includes(tokens[i + 1])) return { status: 'invalid' };
+  return { status: 'complete', object: tokens[i + 1], around: tokens[i] === 'a' };
+}
+
+/**
+ * Parse the keys pressed so far into a command
+ *
+ * @param {Array<string>} tokens - Key tokens since the last complete command
+ * @param {string} mode - Current mode
+ * @returns {Object} { status: 'incomplete' | 'invalid' | 'complete', command }
+ * @private
+ */
+function parseCommand(tokens, mode) {
+  const first = parseCount(tokens, 0);
+  let i = first.i;
+  const key = tokens[i];
+  if (key === undefined) return { status: 'incomplete' };
+  const complete = command => ({ status: 'complete', command });
+
+  if (mode !== 'normal') {
+    if (OPERATORS.includes(key) || SHORTHANDS[key]) {
+      return complete({ type: 'visual-operator', operator: SHORTHANDS[key]?.[0] ?? key });
+    }
+    if (key === 'i' || key === 'a') {
+      const object = parseTextObject(tokens, i);
+      return object.status === 'complete' ? complete({ type: 'visual-object', ...object }) : object;
+    }
+    if (key === 'Escape' || VISUAL_MODES[key]) {
+      return complete({ type: 'visual-mode', key });
+    }
+    const motion = parseMotion(tokens, i);
+    return motion.status === 'complete' ? complete({ type: 'motion', count: first.count, ...motion }) : motion;
+  }
+
+  if (OPERATORS.includes(key)) {
+    const second = parseCount(tokens, i + 1);
+    i = second.i;
+    const count = first.count || second.count ? (first.count ?? 1) * (second.count ?? 1) : null;
+    if (tokens[i] === undefined) return { status: 'incomplete' };
+    if (tokens[i] === key) {
+      return complete({ type: 'lines', operator: key, count });
+    }
+    if (tokens[i] === 'i' || tokens[i] === 'a') {
+      const object = parseTextObject(tokens, i);
+      return object.status === 'complete' ? complete({ type: 'object', operator: key, ...object }) : object;
+    }
+    const motion = parseMotion(tokens, i);
+    return motion.status === 'complete' ? complete({ type: 'operator', operator: key, count, ...motion }) : motion;
+  }
+
+  if (SHORTHANDS[key]) {
+    const [operator, motion] = SHORTHANDS[key];
+    return complete({ type: 'operator', operator, motion, count: first.count });
+  }
+  if (SIMPLE_COMMANDS.includes(key)) {
+    return complete({ type: 'simple', key, count: first.count });
+  }
+  const motion = parseMotion(tokens, i);
+  return motion.status === 'complete' ? complete({ type: 'motion', count: first.count, ...motion }) : motion;
+}
+
+/**
+ * Vim Emulator Class - Runs normal, insert and visual mode keys on a buffer
+ */
+export class VimEmulator {
+  /**
+   * @param {Object} buffer - { text, cursor } to start from
+   */
+  constructor({ text = '', cursor = 0 } = {}) {
+    this.text = text;
+    this.cursor = clampNormal(text, cursor ?? 0);
+    this.mode = 'normal';
+    this.anchor = null;
+    this.pending = [];
+    this.register = { text: '', linewise: false };
+    this.undoStack = [];
+    this.yanked = null;
+  }
+
+  /**
+   * Press one key
+   * @param {string} token - Canonical key token (see keyparser.normalizeKeyEvent)
+   * @returns {string} 'pending' mid-command, 'done' once a key or command has run, 'error' for keys Vim would reject
+   */
+  press(token) {
+    this.yanked = null;
+    if (this.mode === 'insert') {
+      return this._insertKey(token) ? 'done' : 'error';
+    }
+
+    this.pending.push(token);
+    const parsed = parseCommand(this.pending, this.mode);
+    if (parsed.status === 'incomplete') {
+      return 'pending';
+    }
+    this.pending = [];
+    if (parsed.status === 'invalid') {
+      return 'error';
+    }
+    return this._execute(parsed.command) === false ? 'error' : 'done';
+  }
+
+  /**
+   * Press a key sequence in pack notation
+   * @param {string} keys - Keys such as 'diw' or 'ci"'
+   * @returns {string} Status of the last key ('done' if there were none)
+   */
+  pressKeys(keys) {
+    return tokenizeKeys(keys).reduce((status, token) => (status === 'error' ? status : this.press(token)), 'done');
+  }
+
+  /**
+   * Check if no command is waiting for more keys
+   * @returns {boolean} True between commands
+   */
+  isIdle() {
+    return this.pending.length === 0;
+  }
+
+  /**
+   * Get the buffer as a target preview shows it
+   * @returns {Object} { text, cursor, mode, highlight } - highlight is the visual selection or the text just yanked
+   */
+  getState() {
+    return { text: this.text, cursor: this.cursor, mode: this.mode, highlight: this._selection() ?? this.yanked };
+  }
+
+  /**
+   * Visual selection as a [start, end) range, or null outside visual modes
+   * @private
+   */
+  _selection() {
+    if (!this.mode.startsWith('visual')) return null;
+    const start = Math.min(this.anchor, this.cursor);
+    const end = Math.max(this.anchor, this.cursor);
+    if (this.mode === 'visual-line') {
+      return [lineStart(this.text, start), lineEnd(this.text, end)];
+    }
+    return [start, Math.min(end + 1, this.text.length)];
+  }
+
+  /**
+   * Save the buffer for undo
+   * @private
+   */
+  _snapshot() {
+    this.undoStack.push({ text: this.text, cursor: this.cursor });
+  }
+
+  /**
+   * Run a parsed command
+   * @returns {boolean|undefined} false if the command is not supported
+   * @private
+   */
+  _execute(command) {
+    switch (command.type) {
+      case 'motion': {
+        const target = this._motion(command, null);
+        if (target) {
+          this.cursor = ['gg', 'G'].includes(command.motion)
+            ? firstNonBlank(this.text, target.pos)
+            : clampNormal(this.text, target.pos);
+        }
+        return true;
+      }
+      case 'operator':
+        return this._operatorMotion(command);
+      case 'lines': {
+        const row = lineIndex(this.text, this.cursor);
+        const last = Math.min(lineCount(this.text) - 1, row + (command.count ?? 1) - 1);
+        this._applyLines(command.operator, row, last, this.cursor);
+        return true;
+      }
+      case 'object': {
+        const range = this._textObject(command);
+        if (range) this._applyObject(command.operator, range);
+        return true;
+      }
+      case 'simple':
+        return this._simple(command);
+      case 'visual-mode':
+        if (command.key === 'Escape' || VISUAL_MODES[command.key] === this.mode) {
+          this.mode = 'normal';
+          this.anchor = null;
+          this.cursor = clampNormal(this.text, this.cursor);
+        } else {
+          this.mode = VISUAL_MODES[command.key];
+        }
+        return true;
+      case 'visual-object': {
+        const range = this._textObject(command);
+        if (range) {
+          this.anchor = range.start;
+          this.cursor = Math.max(range.start, range.end - 1);
+        }
+        return true;
+      }
+      case 'visual-operator':
+        return this._visualOperator(command.operator);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Where a motion lands
+   * @param {Object} command - { motion, count, char }
+   * @param {string|null} operator - Pending operator, which lets l and w reach the end of the line
+   * @returns {Object|null} { pos, linewise, inclusive }, or null if the motion fails
+   * @private
+   */
+  _motion({ motion, count, char }, operator) {
+    const { text, cursor } = this;
+    const n = count ?? 1;
+    const start = lineStart(text, cursor);
+    const end = lineEnd(text, cursor);
+    const row = lineIndex(text, cursor);
+    const bigWord = ['W', 'B', 'E'].includes(motion);
+    const result = (pos, options = {}) => (pos === null || pos === undefined ? null : { pos, linewise: false, inclusive: false, ...options });
+
+    switch (motion) {
+      case 'h':
+      case 'ArrowLeft':
+      case 'Backspace': {
+        const pos = Math.max(start, cursor - n);
+        return pos === cursor ? null : result(pos);
+      }
+      case 'l':
+      case 'ArrowRight':
+      case 'Space': {
+        const limit = operator ? end : Math.max(start, end - 1);
+        const pos = Math.min(limit, cursor + n);
+        return pos === cursor ? null : result(pos);
+      }
+      case 'j':
+      case 'ArrowDown':
+      case 'k':
+      case 'ArrowUp': {
+        const target = ['j', 'ArrowDown'].includes(motion) ? row + n : row - n;
+        if (target < 0 || target >= lineCount(text)) return null;
+        const targetStart = rowStart(text, target);
+        return result(clampNormal(text, targetStart + (cursor - start)), { linewise: true });
+      }
+      case 'w':
+      case 'W': {
+        let pos = cursor;
+        for (let i = 0; i < n && pos < text.length; i++) {
+          pos = nextWordStart(text, pos, bigWord);
+        }
+        if (pos === cursor) return null;
+        return result(operator ? pos : Math.min(pos, text.length - 1));
+      }
+      case 'e':
+      case 'E': {
+        let pos = cursor;
+        for (let i = 0; i < n && pos !== null; i++) {
+          pos = nextWordEnd(text, pos, bigWord);
+        }
+        return result(pos, { inclusive: true });
+      }
+      case 'b':
+      case 'B': {
+        let pos = cursor;
+        for (let i = 0; i < n && pos !== null; i++) {
+          pos = prevWordStart(text, pos, bigWord);
+        }
+        return result(pos);
+      }
+      case '0':
+      case 'Home':
+        return result(start);
+      case '^':
+        return result(firstNonBlank(text, cursor));
+      case '$':
+      case 'End': {
+        const targetRow = Math.min(lineCount(text) - 1, row + n - 1);
+        const targetEnd = lineEnd(text, rowStart(text, targetRow));
+        const targetStart = rowStart(text, targetRow);
+        // An empty line has no last character to include
+        return targetEnd === targetStart ? result(targetStart) : result(targetEnd - 1, { inclusive: true });
+      }
+      case 'gg':
+      case 'G': {
+        const last = lineCount(text) - 1;
+        const target = count ? Math.min(count - 1, last) : (motion === 'gg' ? 0 : last);
+        return result(rowStart(text, target), { linewise: true });
+      }
+      case 'f':
+      case 't': {
+        let pos = cursor;
+        for (let i = 0; i < n; i++) {
+          pos = text.indexOf(char, pos + 1);
+          if (pos === -1 || pos >= end) return null;
+        }
+        return result(motion === 't' ? pos - 1 : pos, { inclusive: true });
+      }
+      case 'F':
+      case 'T': {
+        let pos = cursor;
+        for (let i = 0; i < n; i++) {
+          pos = pos > 0 ? text.lastIndexOf(char, pos - 1) : -1;
+          if (pos < start) return null;
+        }
+        return result(motion === 'T' ? pos + 1 : pos);
+      }
+      case '%': {
+        const offset = text.slice(cursor, end).search(/[()[\]{}]/);
+        if (offset === -1) return null;
+        const pos = matchBracket(text, cursor + offset);
+        return pos === -1 ? null : result(pos, { inclusive: true });
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Apply an operator over a motion (dw, c3e, yj)
+   * @private
+   */
+  _operatorMotion(command) {
+    const { text, cursor } = this;
+    let motionCommand = command;
+    // cw changes to the end of the word, like ce
+    if (command.operator === 'c' && ['w', 'W'].includes(command.motion) && charClass(text[cursor]) !== 0) {
+      motionCommand = { ...command, motion: command.motion === 'w' ? 'e' : 'E' };
+    }
+    const target = this._motion(motionCommand, command.operator);
+    if (!target) return true;
+
+    if (target.linewise) {
+      const rows = [lineIndex(text, cursor), lineIndex(text, target.pos)].sort((a, b) => a - b);
+      this._applyLines(command.operator, rows[0], rows[1], Math.min(cursor, target.pos));
+      return true;
+    }
+
+    const start = Math.min(cursor, target.pos);
+    let end = Math.max(cursor, target.pos) + (target.inclusive ? 1 : 0);
+    // dw on the last word of a line stops at the end of that line
+    if (['w', 'W'].includes(motionCommand.motion) && text.slice(start, end).includes('\n')) {
+      end = text.indexOf('\n', start);
+      while (end > start && /[ \t]/.test(text[end - 1]) && text.slice(start, end).trim() !== '') end--;
+    }
+    this._applyRange(command.operator, start, end);
+    return true;
+  }
+
+  /**
+   * Apply an operator to the characters in [start, end)
+   * @private
+   */
+  _applyRange(operator, start, end) {
+    const removed = this.text.slice(start, end);
+    this.register = { text: removed, linewise: false };
+    if (operator === 'y') {
+      this.yanked = [start, end];
+      this.cursor = clampNormal(this.text, start);
+      return;
+    }
+    this._snapshot();
+    this.text = this.text.slice(0, start) + this.text.slice(end);
+    if (operator === 'c') {
+      this.cursor = start;
+      this.mode = 'insert';
+    } else {
+      this.cursor = clampNormal(this.text, start);
+    }
+  }
+
+  /**
+   * Apply an operator to whole lines first..last (dd, cj, yy)
+   * @param {number} cursorAfterYank - Where a yank leaves the cursor
+   * @private
+   */
+  _applyLines(operator, first, last, cursorAfterYank) {
+    const { text } = this;
+    const start = rowStart(text, first);
+    const end = lineEnd(text, rowStart(text, last));
+    this.register = { text: `${text.slice(start, end)}\n`, linewise: true };
+
+    if (operator === 'y') {
+      this.yanked = [start, end];
+      this.cursor = first === lineIndex(text, this.cursor) ? this.cursor : cursorAfterYank;
+      return;
+    }
+    this._snapshot();
+    if (operator === 'c') {
+      const indent = indentAt(text, start);
+      this.text = text.slice(0, start) + indent + text.slice(end);
+      this.cursor = start + indent.length;
+      this.mode = 'insert';
+      return;
+    }
+    if (end < text.length) {
+      this.text = text.slice(0, start) + text.slice(end + 1);
+    } else {
+      this.text = text.slice(0, Math.max(0, start - 1));
+    }
+    const row = Math.min(first, lineCount(this.text) - 1);
+    this.cursor = firstNonBlank(this.text, rowStart(this.text, row));
+  }
+
+  /**
+   * Apply an operator to a text object range
+   * @private
+   */
+  _applyObject(operator, { start, end, linewise }) {
+    if (!linewise) {
+      this._applyRange(operator, start, end);
+      return;
+    }
+    // Inner block with the brackets on their own lines: the lines between them
+    this.register = { text: this.text.slice(start, end), linewise: true };
+    if (operator === 'y') {
+      this.yanked = [start, Math.max(start, end - 1)];
+      this.cursor = start;
+      return;
+    }
+    this._snapshot();
+    this.text = this.text.slice(0, start) + (operator === 'c' ? '\n' : '') + this.text.slice(end);
+    this.cursor = start;
+    if (operator === 'c') {
+      this.mode = 'insert';
+    }
+  }
+
+  /**
+   * Range of a text object around the cursor
+   * @returns {Object|null} { start, end, linewise }, or null if there is none
+   * @private
+   */
+  _textObject({ object, around }) {
+    const { text, cursor } = this;
+    if (object === 'w' || object === 'W') {
+      return this._wordObject(object === 'W', around);
+    }
+
+    if (QUOTES.includes(object)) {
+      const start = lineStart(text, cursor);
+      const line = text.slice(start, lineEnd(text, cursor));
+      const quotes = [...line].flatMap((char, i) => (char === object ? [start + i] : []));
+      for (let i = 0; i + 1 < quotes.length; i += 2) {
+        const [open, close] = [quotes[i], quotes[i + 1]];
+        if (cursor <= close) {
+          if (!around) return { start: open + 1, end: close };
+          // a" takes the white space after the closing quote, or before the opening one
+          const trailing = text.slice(close + 1).match(/^[ \t]*/)[0].length;
+          const leading = trailing ? 0 : text.slice(start, open).match(/[ \t]*$/)[0].length;
+          return { start: open - leading, end: close + 1 + trailing };
+        }
+      }
+      return null;
+    }
+
+    const [open, close] = BRACKETS[object];
+    const pair = enclosingPair(text, cursor, open, close);
+    if (!pair) return null;
+    const [start, end] = pair;
+    if (around) return { start, end: end + 1 };
+    const closeLineStart = lineStart(text, end);
+    if (text[start + 1] === '\n' && /^[ \t]*$/.test(text.slice(closeLineStart, end)) && closeLineStart > start + 1) {
+      return { start: start + 2, end: closeLineStart, linewise: true };
+    }
+    return { start: start + 1, end };
+  }
+
+  /**
+   * iw/aw/iW/aW range on the cursor's line
+   * @private
+   */
+  _wordObject(bigWord, around) {
+    const { text, cursor } = this;
+    const start = lineStart(text, cursor);
+    const end = lineEnd(text, cursor);
+    if (start === end) return null;
+    const cls = charClass(text[cursor], bigWord);
+    const run = pos => {
+      let from = pos;
+      let to = pos;
+      const runClass = charClass(text[pos], bigWord);
+      while (from > start && charClass(text[from - 1], bigWord) === runClass) from--;
+      while (to < end && charClass(text[to], bigWord) === runClass) to++;
+      return [from, to];
+    };
+
+    const [from, to] = run(cursor);
+    if (!around) return { start: from, end: to };
+    if (cls === 0) {
+      // aw on white space takes the word after it
+      return { start: from, end: to < end ? run(to)[1] : to };
+    }
+    if (to < end && charClass(text[to], bigWord) === 0) {
+      return { start: from, end: run(to)[1] };
+    }
+    if (from > start && charClass(text[from - 1], bigWord) === 0) {
+      return { start: run(from - 1)[0], end: to };
+    }
+    return { start: from, end: to };
+  }
+
+  /**
+   * Apply an operator to the visual selection and leave visual mode
+   * @private
+   */
+  _visualOperator(operator) {
+    if (this.mode === 'visual-block') return false;
+    const start = Math.min(this.anchor, this.cursor);
+    const end = Math.max(this.anchor, this.cursor);
+    const linewise = this.mode === 'visual-line';
+    this.mode = 'normal';
+    this.anchor = null;
+    if (linewise) {
+      this._applyLines(operator, lineIndex(this.text, start), lineIndex(this.text, end), start);
+      if (operator === 'y') this.cursor = clampNormal(this.text, lineStart(this.text, start));
+    } else {
+      this._applyRange(operator, start, Math.min(end + 1, this.text.length));
+    }
+    return true;
+  }
+
+  /**
+   * Run a command that is not an operator or motion
+   * @private
+   */
+  _simple({ key, count }) {
+    const { text, cursor } = this;
+    const n = count ?? 1;
+    const start = lineStart(text, cursor);
+    const end = lineEnd(text, cursor);
+
+    switch (key) {
+      case 'Escape':
+        return true;
+      case 'Y':
+        return this._execute({ type: 'lines', operator: 'y', count });
+      case 'i':
+      case 'a':
+      case 'I':
+      case 'A':
+        this._snapshot();
+        this.mode = 'insert';
+        this.cursor = {
+          i: cursor,
+          a: Math.min(cursor + 1, end),
+          I: start + indentAt(text, cursor).length,
+          A: end
+        }[key];
+        return true;
+      case 'o':
+      case 'O': {
+        this._snapshot();
+        const indent = indentAt(text, cursor);
+        if (key === 'o') {
+          this.text = `${text.slice(0, end)}\n${indent}${text.slice(end)}`;
+          this.cursor = end + 1 + indent.length;
+        } else {
+          this.text = `${text.slice(0, start)}${indent}\n${text.slice(start)}`;
+          this.cursor = start + indent.length;
+        }
+        this.mode = 'insert';
+        return true;
+      }
+      case 'v':
+      case 'V':
+      case 'Ctrl+v':
+        this.mode = VISUAL_MODES[key];
+        this.anchor = cursor;
+        return true;
+      case 'p':
+      case 'P': {
+        const { text: pasted, linewise } = this.register;
+        if (!pasted) return true;
+        this._snapshot();
+        if (linewise) {
+          const lines = pasted.replace(/\n$/, '').concat('\n').repeat(n).replace(/\n$/, '');
+          this.text = key === 'p'
+            ? `${text.slice(0, end)}\n${lines}${text.slice(end)}`
+            : `${text.slice(0, start)}${lines}\n${text.slice(start)}`;
+          this.cursor = firstNonBlank(this.text, key === 'p' ? end + 1 : start);
+        } else {
+          const at = key === 'p' && end > start ? cursor + 1 : cursor;
+          const inserted = pasted.repeat(n);
+          this.text = text.slice(0, at) + inserted + text.slice(at);
+          this.cursor = clampNormal(this.text, at + inserted.length - 1);
+        }
+        return true;
+      }
+      case 'u': {
+        for (let i = 0; i < n && this.undoStack.length > 0; i++) {
+          const previous = this.undoStack.pop();
+          this.text = previous.text;
+          this.cursor = clampNormal(previous.text, previous.cursor);
+        }
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Handle a key in insert mode
+   * @returns {boolean} false for keys insert mode does not handle
+   * @private
+   */
+  _insertKey(token) {
+    const { text, cursor } = this;
+    const start = lineStart(text, cursor);
+    const insert = chars => {
+      this.text = text.slice(0, cursor) + chars + text.slice(cursor);
+      this.cursor = cursor + chars.length;
+    };
+
+    switch (token) {
+      case 'Escape':
+        this.mode = 'normal';
+        this.cursor = cursor > start ? cursor - 1 : cursor;
+        return true;
+      case 'Enter':
+        insert(`\n${indentAt(text, cursor)}`);
+        return true;
+      case 'Backspace':
+        if (cursor > 0) {
+          this.text = text.slice(0, cursor - 1) + text.slice(cursor);
+          this.cursor = cursor - 1;
+        }
+        return true;
+      case 'Delete':
+        this.text = text.slice(0, cursor) + text.slice(cursor + 1);
+        return true;
+      case 'ArrowLeft':
+        this.cursor = Math.max(start, cursor - 1);
+        return true;
+      case 'ArrowRight':
+        this.cursor = Math.min(lineEnd(text, cursor), cursor + 1);
+        return true;
+      default: {
+        const char = tokenChar(token);
+        if (char === null) return false;
+        insert(char);
+        return true;
+      }
+    }
+  }
+}
+
+/**
+ * Run keys on a buffer and return the result
+ *
+ * @param {Object} buffer - { text, cursor } to start from
+ * @param {string} keys - Keys in pack notation
+ * @returns {Object} { text, cursor, mode, highlight } after the keys
+ *
+ * @example
+ * runVimKeys({ text: 'The quick fox', cursor: 5 }, 'diw') // { text: 'The  fox', cursor: 4, mode: 'normal', highlight: null }
+ */
+export function runVimKeys(buffer, keys) {
+  const vim = new VimEmulator(buffer);
+  vim.pressKeys(keys);
+  return vim.getState();
+}
+
+/**
+ * Check whether an emulator state is the expected result
+ * Text, cursor and mode must match, and so must the highlight of a yank or selection
+ *
+ * @param {Object} state - From VimEmulator.getState
+ * @param {Object} expected - Target "after" buffer ({ text, cursor, mode, highlight })
+ * @returns {boolean} True if they match
+ */
+export function statesMatch(state, expected) {
+  const sameRange = (a, b) => (!a || !b ? !a && !b : a[0] === b[0] && a[1] === b[1]);
+  return state.text === expected.text &&
+    state.cursor === expected.cursor &&
+    state.mode === (expected.mode ?? 'normal') &&
+    sameRange(state.highlight, expected.highlight);
+}
+
+// Extra keys allowed beyond twice the reference answer before a free-form attempt fails
+export const FREEFORM_SLACK = 2;
+
+/**
+ * Vim Challenge Class - Checks a free-form answer against a target
+ * Has the same press/getMismatch interface as keyparser's ChordSequence, so
+ * the game can grade either one. Fails on a key Vim rejects, on an edit that
+ * leaves the text different from both the start and the goal, or after too
+ * many keys.
+ */
+export class VimChallenge {
+  /**
+   * @param {Object} target - Normalized target with before and after buffers
+   * @param {string} keys - The command's own keys, used to size the key budget
+   */
+  constructor(target, keys) {
+    this.vim = new VimEmulator(target.before);
+    this.before = target.before;
+    this.goal = target.after;
+    this.keyBudget = tokenizeKeys(keys).length * 2 + FREEFORM_SLACK;
+    this.pressed = [];
+    this.reason = null;
+    this.steps = [];
+  }
+
+  /**
+   * Run a key and check the buffer
+   * @param {string} token - Canonical key token
+   * @returns {string} 'progress', 'complete' when the goal is reached, or 'wrong'
+   *   with reason set to 'not-a-command', 'wrong-edit' or 'too-many-keys'
+   */
+  press(token) {
+    this.pressed.push(token);
+    const status = this.vim.press(token);
+    const state = this.vim.getState();
+
+    if (statesMatch(state, this.goal)) {
+      return 'complete';
+    }
+    if (status === 'error') {
+      this.reason = 'not-a-command';
+    } else if (state.text !== this.before.text && state.text !== this.goal.text) {
+      this.reason = 'wrong-edit';
+    } else if (this.pressed.length >= this.keyBudget) {
+      this.reason = 'too-many-keys';
+    }
+    return this.reason ? 'wrong' : 'progress';
+  }
+
+  /**
+   * Get the buffer as it is now, for a live preview
+   * @returns {Object} { text, cursor, mode, highlight }
+   */
+  getState() {
+    return this.vim.getState();
+  }
+
+  /**
+   * Free-form answers have no expected key to compare against; see reason
+   * @returns {null} Always null
+   */
+  getMismatch() {
+    return null;
+  }
+
+  /**
+   * Free-form answers have no fixed steps
+   * @returns {Array} Always empty
+   */
+  getCurrentSteps() {
+    return [];
+  }
+
+  /**
+   * No prefix timer to hold; here for parity with ChordSequence
+   */
+  pause() {}
+
+  /**
+   * No prefix timer to restart; here for parity with ChordSequence
+   */
+  resume() {}
+
+  /**
+   * Nothing to clean up; here for parity with ChordSequence
+   */
+  dispose() {}
+}
@@ -0,0 +1,510 @@
+/**
+ * hyprland.conf Importer - Build a personal Hyprland pack from a user's config
+ *
+ * Reads `bind` lines (with any flag suffix: binde, bindm, bindd, bindl...),
+ * expands `$variables` such as `$mainMod`, follows `source =` includes and
+ * honours `unbind`. Each binding's dispatcher is mapped to a concept:
+ * standard ones (movefocus, workspace, movetoworkspace, togglefloating...)
+ * reuse the built-in pack's concept and id, everything else gets a concept
+ * generated from its description (bindd) or dispatcher and arguments.
+ *
+ * Bindings inside a `submap` only work after entering it, so they are
+ * reported as skipped, like other key tables in the tmux importer. So are
+ * keys a terminal never receives (F-keys, Insert, keypad, XF86 media keys,
+ * Print) and mouse binds (bindm buttons, mouse_up/mouse_down wheel binds).
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { basename, dirname, isAbsolute, join, resolve } from 'node:path';
+import hyprlandPack from '../packs/hyprland.js';
+
+// Hyprland modifier names, mapped to pack notation
+const MODIFIERS = {
+  SUPER: 'Super', WIN: 'Super', LOGO: 'Super', MOD4: 'Super',
+  CTRL: 'Ctrl', CONTROL: 'Ctrl',
+  ALT: 'Alt', MOD1: 'Alt',
+  SHIFT: 'Shift'
+};
+const MODIFIER_ORDER = ['Super', 'Ctrl', 'Alt', 'Shift'];
+
+// xkb key names that are easier to read as characters or pack key names
+const KEY_NAMES = {
+  return: 'Return', enter: 'Return', space: 'Space', tab: 'Tab', escape: 'Escape',
+  backspace: 'Backspace', delete: 'Delete', home: 'Home', end: 'End',
+  left: 'Left', right: 'Right', up: 'Up', down: 'Down',
+  prior: 'PageUp', page_up: 'PageUp', next: 'PageDown', page_down: 'PageDown',
+  comma: ',', period: '.', minus: '-', equal: '=', plus: '+', slash: '/', backslash: '\\',
+  semicolon: ';', apostrophe: "'", grave: '`', bracketleft: '[', bracketright: ']'
+};
+
+const DIRECTIONS = { l: 'left', r: 'right', u: 'up', t: 'up', d: 'down', b: 'down' };
+
+// Programs recognised as the built-in pack's terminal and launcher commands
+const TERMINALS = new Set(['kitty', 'alacritty', 'foot', 'wezterm', 'ghostty', 'konsole', 'gnome-terminal', 'xterm', 'st']);
+const LAUNCHERS = new Set(['wofi', 'rofi', 'fuzzel', 'tofi', 'bemenu-run', 'dmenu_run', 'walker', 'anyrun', 'ulauncher']);
+
+// Words that only wrap the real program in an exec line
+const EXEC_WRAPPERS = new Set(['uwsm', 'app', 'env', 'setsid', 'nohup', 'exec', 'sh', 'bash', '-c', '--']);
+
+// Standard actions not in the built-in pack, with their concepts
+const EXTRA_COMMANDS = {
+  'prev-workspace': { concept: 'PREV WORKSPACE', color: 'blue', complexity: 1.2, targetType: 'workspace', group: 'Workspace Control' },
+  'next-workspace': { concept: 'NEXT WORKSPACE', color: 'blue', complexity: 1.2, targetType: 'workspace', group: 'Workspace Control' },
+  'previous-workspace': { concept: 'LAST WORKSPACE', color: 'blue', complexity: 1.1, targetType: 'workspace', group: 'Workspace Control' },
+  'toggle-scratchpad': { concept: 'TOGGLE SCRATCHPAD', color: 'blue', complexity: 1.2, targetType: 'workspace', group: 'Workspace Control' },
+  'move-to-scratchpad': { concept: 'MOVE TO SCRATCHPAD', color: 'blue', complexity: 1.3, targetType: 'workspace', group: 'Workspace Control' },
+  'swap-window-left': { concept: 'SWAP WINDOW LEFT', color: 'cyan', complexity: 1.3, targetType: 'window', group: 'Window Movement' },
+  'swap-window-down': { concept: 'SWAP WINDOW DOWN', color: 'cyan', complexity: 1.3, targetType: 'window', group: 'Window Movement' },
+  'swap-window-up': { concept: 'SWAP WINDOW UP', color: 'cyan', complexity: 1.3, targetType: 'window', group: 'Window Movement' },
+  'swap-window-right': { concept: 'SWAP WINDOW RIGHT', color: 'cyan', complexity: 1.3, targetType: 'window', group: 'Window Movement' },
+  'next-in-group': { concept: 'NEXT IN GROUP', color: 'yellow', complexity: 1.2, targetType: 'layout', group: 'Advanced Commands' },
+  'prev-in-group': { concept: 'PREV IN GROUP', color: 'yellow', complexity: 1.3, targetType: 'layout', group: 'Advanced Commands' }
+};
+
+// Numbered actions beyond the ones the built-in pack lists
+const NUMBERED_COMMANDS = [
+  { pattern: /^workspace-(\d+)$/, concept: 'WORKSPACE', complexity: 1.0 },
+  { pattern: /^move-to-workspace-(\d+)$/, concept: 'MOVE TO WORKSPACE', complexity: 1.3 },
+  { pattern: /^send-to-workspace-(\d+)$/, concept: 'SEND TO WORKSPACE', complexity: 1.3 }
+];
+
+// Readable names for dispatchers used in generated concepts
+const DISPATCHER_PHRASES = {
+  exec: 'LAUNCH', execr: 'LAUNCH', focusmonitor: 'FOCUS MONITOR', movecurrentworkspacetomonitor: 'MOVE WORKSPACE TO MONITOR',
+  moveworkspacetomonitor: 'MOVE WORKSPACE TO MONITOR', swapactiveworkspaces: 'SWAP WORKSPACES', layoutmsg: 'LAYOUT',
+  splitratio: 'SPLIT RATIO', focusurgentorlast: 'FOCUS URGENT', bringactivetotop: 'BRING TO TOP', alterzorder: 'CHANGE Z ORDER',
+  fakefullscreen: 'FAKE FULLSCREEN', fullscreenstate: 'FULLSCREEN STATE', dpms: 'DISPLAY POWER', pass: 'PASS KEY',
+  sendshortcut: 'SEND SHORTCUT', moveintogroup: 'MOVE INTO GROUP', moveoutofgroup: 'MOVE OUT OF GROUP',
+  movegroupwindow: 'MOVE IN GROUP', renameworkspace: 'RENAME WORKSPACE', movecursortocorner: 'CURSOR TO CORNER',
+  togglespecialworkspace: 'TOGGLE SPECIAL', submap: 'MODE', global: 'GLOBAL', setprop: 'SET PROP', tagwindow: 'TAG WINDOW'
+};
+
+// Sample target text per target type (template syntax, see utils/templates.js)
+const TARGET_TEMPLATES = {
+  window: [
+    'Browser  Terminal  Editor  [current window]',
+    'Window Focus: [Firefox] Terminal Code Spotify',
+    '┌─────┬─────┐\n│  *  │     │  Focus: Window 1\n└─────┴─────┘'
+  ],
+  workspace: [
+    'Workspace: [ 1 2 3 4 5 6 7 8 9 ]',
+    'Current: {n}  →  Target: {n}',
+    '[ Code ] [ Web ] [ Music ] [ Chat ] [ Mail ]'
+  ],
+  layout: [
+    '┌─────┬─────┐\n│  A  │  B  │\n└─────┴─────┘',
+    '┌─────┬─────┐\n│  A  │  B  │\n├─────┼─────┤\n│  C  │  D  │\n└─────┴─────┘'
+  ],
+  app: ['Launcher: [Type to search apps]', 'Apps: Kitty | Firefox | Code | Spotify'],
+  system: ['Hyprland System Control', 'System: [Reload] [Exit] [Lock]']
+};
+
+/**
+ * Strip a `#` comment (`##` is a literal `#`)
+ * @private
+ */
+function stripComment(line) {
+  let result = '';
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] !== '#') {
+      result += line[i];
+    } else if (line[i + 1] === '#') {
+      result += '#';
+      i++;
+    } else {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Replace $variables with their values (unknown ones are left as written)
+ * @private
+ */
+function expandVariables(text, variables) {
+  return text.replace(/\$([A-Za-z_]\w*)/g, (match, name) => variables[name] ?? match);
+}
+
+/**
+ * Resolve a `source =` value to the files it names (globs in the file name)
+ * @private
+ */
+function resolveSource(value, fromFile) {
+  const expanded = value.replace(/^~(?=$|\/)/, homedir());
+  const path = isAbsolute(expanded) ? expanded : resolve(fromFile ? dirname(fromFile) : process.cwd(), expanded);
+  const name = basename(path);
+  if (!name.includes('*')) {
+    return [path];
+  }
+  const pattern = new RegExp(`^${name.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*')}$`);
+  return readdirSync(dirname(path)).filter(entry => pattern.test(entry)).sort().map(entry => join(dirname(path), entry));
+}
+
+/**
+ * Parse the binding-related lines of a hyprland.conf
+ *
+ * @param {string} text - hyprland.conf contents
+ * @param {Object} options - { path } of the file, used to resolve relative `source =` includes
+ * @returns {Object} { binds: Array<Object>, variables: Object, skipped: Array<{file, line, reason}> }
+ *
+ * Bind shape: { mods: Array<string>, key, dispatcher, params, description, repeat, mouse, file, line }
+ *
+ * @example
+ * const { binds } = parseHyprlandConf('$mod = SUPER\nbind = $mod, Q, killactive');
+ * binds[0] // { mods: ['Super'], key: 'Q', dispatcher: 'killactive', params: '', ... }
+ */
+export function parseHyprlandConf(text, options = {}) {
+  const state = { binds: [], variables: {}, skipped: [], visited: new Set() };
+  parseInto(state, text, options.path ?? null);
+  const { binds, variables, skipped } = state;
+  return { binds, variables, skipped };
+}
+
+/**
+ * Parse one file's text into the shared parser state
+ * @private
+ */
+function parseInto(state, text, file) {
+  if (file) {
+    state.visited.add(file);
+  }
+  let depth = 0;
+  let submap = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const content = stripComment(raw).trim();
+    if (!content) return;
+
+    // Category blocks (general { ... }) hold options, never binds
+    if (content.endsWith('{')) { depth++; return; }
+    if (content === '}') { depth = Math.max(0, depth - 1); return; }
+    if (depth > 0) return;
+
+    const match = content.match(/^([^=]+?)\s*=\s*(.*)$/);
+    if (!match) return;
+    const [, keyword, rawValue] = match;
+
+    if (keyword.startsWith('$')) {
+      state.variables[keyword.slice(1)] = expandVariables(rawValue, state.variables);
+      return;
+    }
+
+    const value = expandVariables(rawValue, state.variables);
+
+    if (keyword === 'source') {
+      let files;
+      try {
+        files = resolveSource(value, file);
+      } catch (error) {
+        state.skipped.push({ file, line, reason: `cannot read source "${value}": ${error.message}` });
+        return;
+      }
+      files.forEach(path => {
+        if (state.visited.has(path)) return;
+        try {
+          parseInto(state, readFileSync(path, 'utf8'), path);
+        } catch (error) {
+          state.skipped.push({ file, line, reason: `cannot read source "${path}": ${error.message}` });
+        }
+      });
+      return;
+    }
+
+    if (keyword === 'submap') {
+      submap = value === 'reset' ? null : value;
+      return;
+    }
+
+    if (keyword === 'unbind') {
+      const [mods = '', key = ''] = value.split(',').map(part => part.trim());
+      state.binds = state.binds.filter(bind => !(sameCombo(bind, parseModifiers(mods), key)));
+      return;
+    }
+
+    const bindMatch = keyword.match(/^bind([a-z]*)$/);
+    if (!bindMatch) return;
+
+    const flags = bindMatch[1];
+    if (submap) {
+      state.skipped.push({ file, line, reason: `submap "${submap}" is not imported` });
+      return;
+    }
+
+    const fields = value.split(',');
+    const hasDescription = flags.includes('d');
+    const [mods, key, ...rest] = fields;
+    const description = hasDescription ? rest.shift()?.trim() || null : null;
+    const [dispatcher, ...params] = rest;
+
+    if (!key?.trim() || !dispatcher?.trim()) {
+      state.skipped.push({ file, line, reason: `bind${flags} needs a key and a dispatcher` });
+      return;
+    }
+
+    state.binds.push({
+      mods: parseModifiers(mods),
+      key: key.trim(),
+      dispatcher: dispatcher.trim().toLowerCase(),
+      params: params.join(',').trim(),
+      description,
+      repeat: flags.includes('e'),
+      mouse: flags.includes('m'),
+      file,
+      line
+    });
+  });
+}
+
+/**
+ * Parse a Hyprland modifier list ('SUPER SHIFT', 'SUPER_SHIFT', 'SUPERSHIFT')
+ * @private
+ */
+function parseModifiers(text) {
+  const found = new Set();
+  for (const [name] of text.toUpperCase().matchAll(/SUPER|WIN|LOGO|MOD4|CONTROL|CTRL|ALT|MOD1|SHIFT/g)) {
+    found.add(MODIFIERS[name]);
+  }
+  return MODIFIER_ORDER.filter(mod => found.has(mod));
+}
+
+/**
+ * Check whether a bind uses the given modifiers and key
+ * @private
+ */
+function sameCombo(bind, mods, key) {
+  return bind.mods.join('+') === mods.join('+') && bind.key.toLowerCase() === key.toLowerCase();
+}
+
+/**
+ * Convert Hyprland modifiers and a key name to pack notation
+ *
+ * @param {Array<string>} mods - Modifiers in pack notation ('Super', 'Shift'...)
+ * @param {string} key - Hyprland key (xkb name, 'code:10', 'mouse:272'...)
+ * @returns {string|null} Pack notation chord, or null if a terminal cannot send the key
+ *
+ * @example
+ * hyprKeyToNotation(['Super', 'Shift'], 'Q') // 'Super+Shift+q'
+ * hyprKeyToNotation(['Super'], 'code:10') // 'Super+1'
+ * hyprKeyToNotation(['Super'], 'F1') // null
+ */
+export function hyprKeyToNotation(mods, key) {
+  const code = key.match(/^code:(\d+)$/);
+  let name;
+  if (code && Number(code[1]) >= 10 && Number(code[1]) <= 19) {
+    name = String((Number(code[1]) - 9) % 10); // xkb keycodes 10-19 are the number row
+  } else if (key.length === 1) {
+    name = key.toLowerCase();
+  } else {
+    name = KEY_NAMES[key.toLowerCase()]; // F-keys, keypad, media and mouse keys have none
+  }
+  return name ? [...mods, name].join('+') : null;
+}
+
+/**
+ * Find the first program an exec command runs
+ * @private
+ */
+function execProgram(params) {
+  const words = params.split(/\s+/).filter(Boolean);
+  const index = words.findIndex(word => !EXEC_WRAPPERS.has(word) && !word.includes('=') && !word.startsWith('-'));
+  if (index === -1) {
+    return { program: null, args: [] };
+  }
+  const program = basename(words[index].replace(/^["']|["']$/g, '')).replace(/\.(sh|py)$/, '');
+  return { program, args: words.slice(index + 1) };
+}
+
+/**
+ * Find the known command id a dispatcher call maps to, if any
+ *
+ * @param {string} dispatcher - Dispatcher name (e.g. 'movefocus')
+ * @param {string} params - Dispatcher arguments (e.g. 'l')
+ * @param {Object} options - { variables: config variables }
+ * @returns {string|null} Known command id
+ *
+ * @example
+ * matchDispatcher('movefocus', 'l') // 'focus-left'
+ * matchDispatcher('movetoworkspace', '3') // 'move-to-workspace-3'
+ * matchDispatcher('exec', 'firefox') // null
+ */
+export function matchDispatcher(dispatcher, params = '', options = {}) {
+  const arg = params.trim();
+  const direction = DIRECTIONS[arg.toLowerCase()];
+  const number = /^\d+$/.test(arg) ? Number(arg) : null;
+
+  switch (dispatcher) {
+    case 'movefocus': return direction ? `focus-${direction}` : null;
+    case 'movewindow': return direction ? `move-window-${direction}` : null;
+    case 'swapwindow': return direction ? `swap-window-${direction}` : null;
+    case 'cyclenext': return /prev/.test(arg) ? 'prev-window' : arg === '' ? 'next-window' : null;
+    case 'focuscurrentorlast': return 'cycle-recent';
+    case 'workspace':
+      if (number !== null) return `workspace-${number}`;
+      if (/^[emr]?\+1$/.test(arg)) return 'next-workspace';
+      if (/^[emr]?-1$/.test(arg)) return 'prev-workspace';
+      return arg === 'previous' ? 'previous-workspace' : null;
+    case 'movetoworkspace':
+      if (number !== null) return `move-to-workspace-${number}`;
+      return /^special(:|$)/.test(arg) ? 'move-to-scratchpad' : null;
+    case 'movetoworkspacesilent':
+      if (number !== null) return `send-to-workspace-${number}`;
+      return /^special(:|$)/.test(arg) ? 'move-to-scratchpad' : null;
+    case 'togglespecialworkspace': return 'toggle-scratchpad';
+    case 'togglesplit': return 'toggle-split';
+    case 'fullscreen': return arg === '1' ? 'maximize-toggle' : arg === '' || arg === '0' ? 'fullscreen-toggle' : null;
+    case 'killactive': return 'close-window';
+    case 'forcekillactive': return 'kill-window';
+    case 'togglefloating': return 'floating-toggle';
+    case 'pin': return 'pin-window';
+    case 'pseudo': return 'pseudo-tile';
+    case 'centerwindow': return 'center-float';
+    case 'togglegroup': return 'toggle-group';
+    case 'lockgroups':
+    case 'lockactivegroup': return 'lock-groups';
+    case 'changegroupactive': return arg === 'b' ? 'prev-in-group' : 'next-in-group';
+    case 'exit': return 'exit-hyprland';
+    case 'resizeactive': {
+      const [x = 0, y = 0] = arg.split(/\s+/).map(Number);
+      if (Math.abs(x) >= Math.abs(y) && x !== 0) return x < 0 ? 'resize-left' : 'resize-right';
+      if (y !== 0) return y < 0 ? 'resize-up' : 'resize-down';
+      return null;
+    }
+    case 'exec':
+    case 'execr': {
+      const { program, args } = execProgram(arg);
+      const variables = options.variables ?? {};
+      if (program === 'hyprctl' && args[0] === 'reload') return 'reload-config';
+      if (TERMINALS.has(program) || (variables.terminal && arg === variables.terminal)) return 'launch-terminal';
+      if (LAUNCHERS.has(program) || (variables.menu && arg === variables.menu)) return 'launch-menu';
+      return null;
+    }
+    default: return null;
+  }
+}
+
+/**
+ * Generate a concept for a custom binding
+ * @private
+ */
+function describeBind(bind) {
+  if (bind.description) {
+    return bind.description.toUpperCase().slice(0, 40);
+  }
+
+  const words = [DISPATCHER_PHRASES[bind.dispatcher] || bind.dispatcher.toUpperCase()];
+  if (bind.dispatcher === 'exec' || bind.dispatcher === 'execr') {
+    const { program, args } = execProgram(bind.params);
+    words.push(program || 'COMMAND');
+    const detail = args.find(arg => /^[a-z][\w.-]*$/i.test(arg));
+    if (detail) words.push(detail);
+  } else if (bind.params) {
+    const arg = bind.params.split(/[\s,]+/)[0];
+    words.push(DIRECTIONS[arg.toLowerCase()] || arg);
+  }
+  return words.join(' ').replace(/[^\w .:+-]/g, '').replace(/\s+/g, ' ').trim().toUpperCase().slice(0, 40);
+}
+
+/**
+ * Pick display attributes for a generated binding from its dispatcher
+ * @private
+ */
+function classifyDispatcher(dispatcher) {
+  if (dispatcher === 'exec' || dispatcher === 'execr') return { targetType: 'app', color: 'green' };
+  if (/workspace|monitor/.test(dispatcher)) return { targetType: 'workspace', color: 'blue' };
+  if (/group|layout|split|pseudo/.test(dispatcher)) return { targetType: 'layout', color: 'yellow' };
+  if (/exit|dpms|submap|pass|global/.test(dispatcher)) return { targetType: 'system', color: 'red' };
+  if (/kill/.test(dispatcher)) return { targetType: 'window', color: 'red' };
+  if (/focus|cycle|move|swap/.test(dispatcher)) return { targetType: 'window', color: 'cyan' };
+  return { targetType: 'window', color: 'magenta' };
+}
+
+/**
+ * Turn a concept into a command id slug
+ * @private
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'binding';
+}
+
+/**
+ * Build a personal Hyprland pack from a hyprland.conf
+ *
+ * The result is a data pack (target generators are template lists), so it
+ * can be saved as YAML/JSON and loaded with packFromData.
+ *
+ * @param {string} text - hyprland.conf contents
+ * @param {Object} options - { id, name, source, path } (path resolves `source =` includes)
+ * @returns {Object} { pack, skipped: Array<{file, line, reason}> }
+ *
+ * @example
+ * const path = '/home/me/.config/hypr/hyprland.conf';
+ * const { pack } = importHyprlandConf(readFileSync(path, 'utf8'), { path, source: path });
+ */
+export function importHyprlandConf(text, options = {}) {
+  const { binds, variables, skipped } = parseHyprlandConf(text, options);
+  const builtIn = Object.fromEntries(
+    hyprlandPack.groups.flatMap(group => group.commands.map(cmd => [cmd.id, { ...cmd, group: group.name }]))
+  );
+
+  const groups = new Map(hyprlandPack.groups.map(group => [group.name, { name: group.name, description: group.description, commands: [] }]));
+  const custom = { name: 'Custom Bindings', description: 'Bindings unique to your hyprland.conf', commands: [] };
+  const usedIds = new Set();
+  const uniqueId = base => {
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  binds.forEach(bind => {
+    const keys = hyprKeyToNotation(bind.mods, bind.key);
+    if (!keys) {
+      skipped.push({ file: bind.file, line: bind.line, reason: `key "${bind.key}" cannot be practised in a terminal` });
+      return;
+    }
+    const flags = bind.repeat ? { repeat: true } : {};
+
+    // The user's own description (bindd) says more than a stock concept
+    const knownId = bind.description ? null : matchDispatcher(bind.dispatcher, bind.params, { variables });
+
+    if (knownId && builtIn[knownId]) {
+      const { group, id, keys: _defaultKeys, ...known } = builtIn[knownId];
+      groups.get(group).commands.push({ id: uniqueId(id), keys, ...known, ...flags });
+      return;
+    }
+
+    const numbered = knownId && NUMBERED_COMMANDS.find(({ pattern }) => pattern.test(knownId));
+    const extra = EXTRA_COMMANDS[knownId] || (numbered && {
+      concept: `${numbered.concept} ${knownId.match(numbered.pattern)[1]}`,
+      color: 'blue',
+      complexity: numbered.complexity,
+      targetType: 'workspace',
+      group: 'Workspace Control'
+    });
+    if (extra) {
+      const { group, ...command } = extra;
+      groups.get(group).commands.push({ id: uniqueId(knownId), keys, ...command, ...flags });
+      return;
+    }
+
+    const concept = describeBind(bind);
+    const complexity = Math.min(1.6, Math.round((1.0 + 0.3 * Math.max(0, bind.mods.length - 1)) * 10) / 10);
+    custom.commands.push({ id: uniqueId(slugify(concept)), keys, concept, ...classifyDispatcher(bind.dispatcher), complexity, ...flags });
+  });
+
+  return {
+    pack: {
+      id: options.id || 'hyprland-personal',
+      name: options.name || 'Hyprland (Personal)',
+      description: options.source ? `Your Hyprland bindings, imported from ${options.source}` : 'Your Hyprland bindings',
+      version: '1.0.0',
+      groups: [...groups.values(), custom].filter(group => group.commands.length > 0),
+      targetGenerators: { ...TARGET_TEMPLATES },
+      keyNotation: { ...hyprlandPack.keyNotation }
+    },
+    skipped
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Importers - Build personal packs from a tool's own config file
+ *
+ * Each importer turns config text into a data pack (see loader.packFromData)
+ * plus a list of lines it could not import. This module picks the importer
+ * for a tool, finds its config file and reads it.
+ */
+
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { resolve } from 'node:path';
+import { importTmuxConf } from './tmux.js';
+import { importHyprlandConf } from './hyprland.js';
+import { importNeovimMappings } from './neovim.js';
+import { importVscodeKeybindings } from './vscode.js';
+
+/**
+ * Registered importers, keyed by tool name
+ * Each: { name, defaultPaths: config locations to try, import: (text, options) => { pack, skipped } }
+ */
+export const IMPORTERS = {
+  tmux: {
+    name: 'tmux',
+    defaultPaths: ['~/.tmux.conf', '~/.config/tmux/tmux.conf'],
+    import: importTmuxConf
+  },
+  hyprland: {
+    name: 'Hyprland',
+    defaultPaths: ['~/.config/hypr/hyprland.conf'],
+    import: importHyprlandConf
+  },
+  neovim: {
+    name: 'Neovim',
+    defaultPaths: ['~/.config/nvim/init.lua', '~/.config/nvim/init.vim', '~/.vimrc'],
+    import: importNeovimMappings
+  },
+  vscode: {
+    name: 'VS Code',
+    defaultPaths: [
+      '~/.config/Code/User/keybindings.json',
+      '~/Library/Application Support/Code/User/keybindings.json',
+      '~/AppData/Roaming/Code/User/keybindings.json',
+      '~/.config/VSCodium/User/keybindings.json'
+    ],
+    import: importVscodeKeybindings
+  }
+};
+
+/**
+ * Get an importer by tool name
+ *
+ * @param {string} tool - Tool name (e.g. 'tmux', 'hyprland')
+ * @returns {Object} Importer definition
+ * @throws {Error} If no importer exists for the tool
+ */
+export function getImporter(tool) {
+  const importer = IMPORTERS[tool];
+  if (!importer) {
+    throw new Error(`No importer for "${tool}". Available: ${Object.keys(IMPORTERS).join(', ')}`);
+  }
+  return importer;
+}
+
+/**
+ * Expand a leading ~ to the home directory and make the path absolute
+ * @private
+ */
+function expandPath(path) {
+  return resolve(path.replace(/^~(?=$|\/)/, homedir()));
+}
+
+/**
+ * Find the first default config file for a tool that exists
+ *
+ * @param {string} tool - Tool name
+ * @returns {string|null} Absolute path, or null if none exists
+ *
+ * @example
+ * findConfigFile('hyprland') // '/home/me/.config/hypr/hyprland.conf'
+ */
+export function findConfigFile(tool) {
+  return getImporter(tool).defaultPaths.map(expandPath).find(path => existsSync(path)) ?? null;
+}
+
+/**
+ * Read a config file and build a personal pack from it
+ *
+ * @param {string} tool - Tool name
+ * @param {string} filePath - Config file path (~ is expanded)
+ * @param {Object} options - { id, name } overrides for the pack
+ * @returns {Promise<Object>} { pack, skipped, path } - the importer's result and the file read
+ * @throws {Error} If the tool is unknown or the file cannot be read
+ *
+ * @example
+ * const { pack, skipped } = await importConfigFile('tmux', '~/.tmux.conf');
+ */
+export async function importConfigFile(tool, filePath, options = {}) {
+  const importer = getImporter(tool);
+  const path = expandPath(filePath);
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${importer.name} config ${path}: ${error.message}`);
+  }
+  return { ...importer.import(text, { ...options, path, source: path }), path };
+}
@@ -0,0 +1,741 @@
+/**
+ * Neovim Mapping Importer - Build a personal pack from a user's mappings
+ *
+ * Accepts three inputs, detected automatically:
+ * - a JSON dump of `nvim_get_keymap()` (an array, or an object keyed by mode)
+ * - the text of `:verbose map` / `:map`
+ * - config source (init.lua / init.vim): `vim.keymap.set`, `nvim_set_keymap`,
+ *   `nnoremap` and friends, plus `mapleader` / `maplocalleader`
+ *
+ * `<leader>` and `<localleader>` are resolved to the keys they stand for,
+ * a mapping's `desc` becomes its concept, and mappings without one get a
+ * concept from their right-hand side. Leader mappings are grouped by their
+ * prefix (`<leader>f...`, `<leader>g...`) since that is how they are learned.
+ *
+ * Normal and visual mode mappings are imported; other modes, and keys a
+ * terminal cannot send, are reported as skipped. `<Plug>` / `<SNR>`
+ * mappings and Neovim's own defaults are internal and left out silently.
+ */
+
+import neovimPack from '../packs/neovim.js';
+import { tokenizeKeys } from '../utils/keyparser.js';
+
+// Vim's default leader
+export const DEFAULT_LEADER = '\\';
+
+// Modes imported, with the target type their mappings default to
+const IMPORTED_MODES = { n: 'line', v: 'visual', x: 'visual' };
+
+// Special key names a terminal can send, in the spelling the neovim pack uses
+const SPECIAL_KEYS = {
+  cr: '<CR>', enter: '<CR>', return: '<CR>', esc: '<Esc>', tab: '<Tab>', space: '<Space>',
+  bs: '<BS>', del: '<Del>', up: '<Up>', down: '<Down>', left: '<Left>', right: '<Right>',
+  home: '<Home>', end: '<End>', pageup: '<PageUp>', pagedown: '<PageDown>'
+};
+
+// Key names that stand for a literal character
+const CHARACTER_KEYS = { lt: '<', bslash: '\\', bar: '|' };
+
+// Words dropped from command right-hand sides when building concepts
+const COMMAND_NOISE = /^(lua|require|silent|vim|cmd|call|exe|execute|normal!?)$/i;
+
+// Concepts for common Ex commands
+const EX_COMMANDS = {
+  w: 'SAVE FILE', write: 'SAVE FILE', q: 'QUIT', quit: 'QUIT', wq: 'SAVE AND QUIT', x: 'SAVE AND QUIT',
+  qa: 'QUIT ALL', wa: 'SAVE ALL', bd: 'DELETE BUFFER', bn: 'NEXT BUFFER', bp: 'PREV BUFFER',
+  ex: 'FILE EXPLORER', noh: 'CLEAR SEARCH HIGHLIGHT', nohlsearch: 'CLEAR SEARCH HIGHLIGHT',
+  vs: 'SPLIT VERTICAL', vsplit: 'SPLIT VERTICAL', sp: 'SPLIT HORIZONTAL', split: 'SPLIT HORIZONTAL'
+};
+
+// Keyword rules picking a target type and color for a mapping
+const CLASSIFY_RULES = [
+  { pattern: /\b(file|files|find|grep|explorer|tree|oil|harpoon|recent|oldfiles)\b/i, targetType: 'file', color: 'cyan' },
+  { pattern: /\b(buffer|buffers|bnext|bprev|bprevious|bdelete)\b/i, targetType: 'buffer', color: 'cyan' },
+  { pattern: /\b(search|nohl|nohlsearch|highlight)\b/i, targetType: 'search', color: 'cyan' },
+  { pattern: /\b(window|windows|split|vsplit)\b|<C-w>/i, targetType: 'window', color: 'blue' },
+  { pattern: /\b(tab|tabs|tabnext|tabprev)\b/i, targetType: 'tab', color: 'blue' },
+  { pattern: /\b(lsp|definition|references?|diagnostics?|format|hover|rename|symbols?|actions?|git|hunk|blame|diff|lazy|mason|telescope)\b/i, targetType: 'plugin', color: 'green' }
+];
+
+// Sample target text per target type (template syntax, see utils/templates.js)
+const TARGET_TEMPLATES = {
+  line: ['The quick brown fox jumps over the lazy dog', 'Pack my box with five dozen liquor jugs', 'Sphinx of black quartz, judge my vow'],
+  visual: ['Select this entire\nmultiline block\nof text here'],
+  // Types of built-in commands a mapping can be matched to
+  word: ['hello world goodbye', 'function argument parameter', 'variable {word} expression'],
+  block: ['{{\n  name: "{word}",\n  other: "data"\n}}', 'function example() {{\n  return {word}\n}}'],
+  quote: ['The "{word}" word is here', 'She said "hello world" quietly', 'Key is "{word}" in JSON'],
+  paren: ['function(arg1, arg2, arg3)', 'calculate(x, y, {word})', 'method({word})'],
+  file: ['src/{word}.lua', 'lua/plugins/{word}.lua', 'README.md  init.lua  lazy-lock.json'],
+  buffer: ['[1] init.lua  [2] keymaps.lua  [3] {word}.lua', 'Buffers: {n} open'],
+  search: ['/{word}', 'Match {n} of 9: {word}'],
+  window: ['┌──────┬──────┐\n│ init │ {word} │\n└──────┴──────┘', 'Windows: {n}'],
+  tab: ['Tabs: [1 init.lua] [2 {word}.lua] [3 notes.md]'],
+  plugin: ['{word}.lua  ●  LSP attached', 'Diagnostics: {n} warnings', 'Telescope: find files']
+};
+
+/**
+ * Split vim key notation into keys (`<...>` groups or single characters)
+ *
+ * @param {string} keys - Vim key notation
+ * @returns {Array<string>} Key groups
+ *
+ * @example
+ * splitVimKeys('<leader>ff') // ['<leader>', 'f', 'f']
+ */
+export function splitVimKeys(keys) {
+  return keys.match(/<[^<>\s]+>|[\s\S]/g) ?? [];
+}
+
+/**
+ * Convert a leader value (e.g. ' ' or ',') to key notation
+ * @private
+ */
+function leaderNotation(leader) {
+  return leader === ' ' ? '<Space>' : normalizeKey(leader);
+}
+
+/**
+ * Normalize one key group to the neovim pack's spelling
+ * @private
+ */
+function normalizeKey(key) {
+  if (key === ' ') return '<Space>';
+  const match = key.match(/^<(.+)>$/);
+  if (!match) return key;
+
+  const name = match[1];
+  const lower = name.toLowerCase();
+  if (SPECIAL_KEYS[lower]) return SPECIAL_KEYS[lower];
+  if (CHARACTER_KEYS[lower]) return CHARACTER_KEYS[lower];
+
+  const chord = name.match(/^((?:[CMASD]-)+)(.+)$/i);
+  if (chord) {
+    const base = chord[2].length === 1 ? chord[2] : normalizeKey(`<${chord[2]}>`).replace(/^<|>$/g, '');
+    const letter = base.length === 1 && chord[1].toUpperCase() !== 'S-' ? base.toLowerCase() : base;
+    return `<${chord[1].toUpperCase()}${letter}>`;
+  }
+  return key;
+}
+
+/**
+ * Convert a mapping's left-hand side to pack key notation
+ *
+ * @param {string} lhs - Left-hand side as written or dumped
+ * @param {Object} options - { leader, localleader } values (default '\\')
+ * @returns {string} Key notation for the pack
+ *
+ * @example
+ * vimKeysToNotation('<leader>ff', { leader: ' ' }) // '<Space>ff'
+ * vimKeysToNotation('<C-W>v') // '<C-w>v'
+ */
+export function vimKeysToNotation(lhs, options = {}) {
+  const leader = leaderNotation(options.leader ?? DEFAULT_LEADER);
+  const localleader = leaderNotation(options.localleader ?? DEFAULT_LEADER);
+
+  return splitVimKeys(lhs)
+    .map(key => {
+      const lower = key.toLowerCase();
+      if (lower === '<leader>') return leader;
+      if (lower === '<localleader>') return localleader;
+      return normalizeKey(key);
+    })
+    .join('');
+}
+
+/**
+ * Check that every key in the notation is one a terminal can send
+ * @private
+ */
+function isPracticable(keys) {
+  return splitVimKeys(keys).every(key => {
+    const match = key.match(/^<(.+)>$/);
+    if (!match) return true;
+    const chord = match[1].match(/^(?:[CMASD]-)+(.+)$/i);
+    const base = chord ? chord[1] : match[1];
+    return base.length === 1 || Boolean(SPECIAL_KEYS[base.toLowerCase()]);
+  });
+}
+
+/**
+ * Read a Lua or Vim string literal starting at `index`
+ * @private
+ */
+function readStringLiteral(text, index) {
+  const long = text.slice(index).match(/^\[(=*)\[([\s\S]*?)\]\1\]/);
+  if (long) {
+    return { value: long[2], end: index + long[0].length };
+  }
+
+  const quote = text[index];
+  if (quote !== '"' && quote !== "'") {
+    return null;
+  }
+  const escapes = { n: '\n', t: '\t' };
+  let value = '';
+  for (let i = index + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      const next = text[++i];
+      value += escapes[next] ?? next;
+    } else if (text[i] === quote) {
+      return { value, end: i + 1 };
+    } else {
+      value += text[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a Vim script string value (`" "`, `"\<Space>"`, `','`)
+ * @private
+ */
+function vimStringValue(raw) {
+  const literal = raw.trim();
+  const quote = literal[0];
+  if (quote !== '"' && quote !== "'") return null;
+  const body = literal.slice(1, literal.lastIndexOf(quote));
+  if (quote === "'") return body;
+  return body.replace(/\\<([^>]+)>/g, (match, name) => (name.toLowerCase() === 'space' ? ' ' : `<${name}>`))
+    .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Split call arguments at top-level commas
+ *
+ * Strings, brackets and Lua `function ... end` bodies are skipped over.
+ *
+ * @param {string} text - Source text
+ * @param {number} start - Index just after the opening parenthesis
+ * @returns {Object|null} { args: Array<string>, end } or null if unbalanced
+ * @private
+ */
+function splitCallArgs(text, start) {
+  const args = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    const literal = (char === '"' || char === "'" || (char === '[' && /^\[=*\[/.test(text.slice(i))))
+      ? readStringLiteral(text, i)
+      : null;
+    if (literal) {
+      current += text.slice(i, literal.end);
+      i = literal.end - 1;
+      continue;
+    }
+    if (char === '-' && text[i + 1] === '-') {
+      const newline = text.indexOf('\n', i);
+      i = newline === -1 ? text.length : newline;
+      continue;
+    }
+
+    const word = /[A-Za-z_]/.test(char) && !/[\w.]/.test(text[i - 1] ?? '') ? text.slice(i).match(/^[A-Za-z_]\w*/)[0] : null;
+    if (word) {
+      if (word === 'function' || word === 'if' || word === 'do') depth++;
+      if (word === 'end') depth--;
+      current += word;
+      i += word.length - 1;
+      continue;
+    }
+
+    if ('({['.includes(char)) depth++;
+    if (')}]'.includes(char)) {
+      if (depth === 0 && char === ')') {
+        args.push(current.trim());
+        return { args: args.filter((arg, index) => arg || index < args.length - 1), end: i + 1 };
+      }
+      depth--;
+    }
+    if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  return null;
+}
+
+/**
+ * Read the strings in an argument (a literal or a table of literals)
+ * @private
+ */
+function argStrings(arg) {
+  if (!arg) return [];
+  const single = readStringLiteral(arg, 0);
+  if (single && single.end === arg.length) return [single.value];
+  if (!arg.startsWith('{')) return null;
+
+  const values = [];
+  for (let i = 1; i < arg.length; i++) {
+    if (arg[i] === '"' || arg[i] === "'") {
+      const literal = readStringLiteral(arg, i);
+      if (!literal) break;
+      values.push(literal.value);
+      i = literal.end - 1;
+    }
+  }
+  return values;
+}
+
+/**
+ * Read a string field (e.g. desc = "...") from a Lua table argument
+ * @private
+ */
+function tableField(arg, field) {
+  const match = arg?.match(new RegExp(`\\b${field}\\s*=\\s*`));
+  if (!match) return null;
+  return readStringLiteral(arg, match.index + match[0].length)?.value ?? null;
+}
+
+/**
+ * Substitute a helper call's arguments into the keymap.set call it wraps
+ * (`nmap('<leader>x', fn, 'Desc')` with `vim.keymap.set('n', keys, func, { desc = desc })`)
+ * @private
+ */
+function expandHelper(helper, callArgs) {
+  const valueOf = name => {
+    const position = helper.params.indexOf(name);
+    return position === -1 ? null : callArgs[position] ?? '';
+  };
+  return helper.args.map(arg => {
+    if (/^\w+$/.test(arg) && valueOf(arg) !== null) return valueOf(arg);
+    if (!arg.startsWith('{')) return arg;
+    return arg.replace(/\bdesc\s*=\s*(\w+)/, (field, name) => (valueOf(name) !== null ? `desc = ${valueOf(name)}` : field));
+  });
+}
+
+/**
+ * Get the line number of a character index
+ * @private
+ */
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Scan init.lua / init.vim source for mappings
+ * @private
+ */
+function parseSource(text, options, skipped) {
+  const mappings = [];
+  let leader = options.leader ?? null;
+  let localleader = options.localleader ?? null;
+  const events = [];
+
+  // Leader assignments (Lua and Vim script)
+  for (const match of text.matchAll(/vim\.g\.(mapleader|maplocalleader)\s*=\s*/g)) {
+    const literal = readStringLiteral(text, match.index + match[0].length);
+    if (literal) events.push({ index: match.index, type: match[1], value: literal.value });
+  }
+  for (const match of text.matchAll(/^\s*let\s+(?:g:)?(mapleader|maplocalleader)\s*=\s*(.+)$/gm)) {
+    const value = vimStringValue(match[2]);
+    if (value !== null) events.push({ index: match.index, type: match[1], value });
+  }
+
+  // Lua calls, including local aliases (`local map = vim.keymap.set`) and
+  // small helpers (`local function map(mode, lhs, rhs, desc) ... vim.keymap.set`)
+  const setters = new Set(['vim.keymap.set', 'vim.api.nvim_set_keymap']);
+  const deleters = new Set(['vim.keymap.del', 'vim.api.nvim_del_keymap']);
+  const helpers = new Map();
+  for (const match of text.matchAll(/local\s+(\w+)\s*=\s*(vim\.keymap\.set|vim\.api\.nvim_set_keymap)\b/g)) {
+    setters.add(match[1]);
+  }
+  const helperPattern = /local\s+(?:function\s+(\w+)|(\w+)\s*=\s*function)\s*\(([^)]*)\)([\s\S]*?)\n\s*end\b/g;
+  for (const match of text.matchAll(helperPattern)) {
+    const inner = match[4].match(/(?:vim\.keymap\.set|vim\.api\.nvim_set_keymap)\s*\(/);
+    const call = inner && splitCallArgs(match[4], inner.index + inner[0].length);
+    if (call) {
+      const params = match[3].split(',').map(param => param.trim());
+      helpers.set(match[1] ?? match[2], { params, args: call.args });
+    }
+  }
+
+  const names = [...setters, ...deleters, ...helpers.keys()].map(name => name.replace(/\./g, '\\.'));
+  const callPattern = new RegExp(`(^|[^\\w.])(${names.join('|')})\\s*\\(`, 'g');
+  for (const match of text.matchAll(callPattern)) {
+    const name = match[2];
+    const index = match.index + match[1].length;
+    const call = splitCallArgs(text, match.index + match[0].length);
+    if (!call) continue;
+    const args = helpers.has(name) ? expandHelper(helpers.get(name), call.args) : call.args;
+    const [modeArg, lhsArg, rhsArg, optsArg] = args;
+    const modes = argStrings(modeArg);
+    const [lhs] = argStrings(lhsArg) ?? [];
+    if (!modes || typeof lhs !== 'string') continue; // Arguments computed at runtime
+
+    if (deleters.has(name)) {
+      events.push({ index, type: 'unmap', modes, lhs });
+      continue;
+    }
+    const [rhs] = argStrings(rhsArg) ?? [];
+    const description = tableField(optsArg, 'desc');
+    events.push({
+      index,
+      type: 'map',
+      modes: modes.length === 0 ? ['n'] : modes.map(mode => mode || 'n'), // '' is normal, visual and operator-pending
+      lhs,
+      rhs: rhs ?? rhsArg ?? '',
+      description
+    });
+  }
+
+  // Vim script map commands (also inside vim.cmd blocks)
+  for (const match of text.matchAll(/^\s*(?:silent!?\s+)?([nvxsoilct]?)(nore)?map(!?)\s+((?:<(?:silent|buffer|expr|nowait|unique|script|special)>\s*)*)(\S+)\s+(.+?)\s*$/gim)) {
+    const modes = match[3] ? ['i', 'c'] : [match[1] || 'n'];
+    events.push({ index: match.index, type: 'map', modes, lhs: match[5], rhs: match[6], description: null });
+  }
+  for (const match of text.matchAll(/^\s*([nvxsoilct]?)unmap(!?)\s+(?:<buffer>\s*)?(\S+)/gim)) {
+    events.push({ index: match.index, type: 'unmap', modes: [match[1] || 'n'], lhs: match[3] });
+  }
+
+  events.sort((a, b) => a.index - b.index).forEach(event => {
+    if (event.type === 'mapleader') {
+      leader = options.leader ?? event.value;
+      return;
+    }
+    if (event.type === 'maplocalleader') {
+      localleader = options.localleader ?? event.value;
+      return;
+    }
+
+    const keys = vimKeysToNotation(event.lhs, { leader: leader ?? DEFAULT_LEADER, localleader: localleader ?? DEFAULT_LEADER });
+    if (event.type === 'unmap') {
+      for (let i = mappings.length - 1; i >= 0; i--) {
+        if (mappings[i].keys === keys && event.modes.includes(mappings[i].mode)) mappings.splice(i, 1);
+      }
+      return;
+    }
+
+    event.modes.forEach(mode => mappings.push({
+      mode,
+      keys,
+      lhs: event.lhs,
+      rhs: event.rhs,
+      description: event.description,
+      line: lineAt(text, event.index)
+    }));
+  });
+
+  return { mappings, leader: leader ?? DEFAULT_LEADER, localleader: localleader ?? DEFAULT_LEADER };
+}
+
+/**
+ * Parse a `nvim_get_keymap()` JSON dump
+ * @private
+ */
+function parseDump(data) {
+  const entries = Array.isArray(data)
+    ? data
+    : Object.entries(data).flatMap(([mode, list]) => (Array.isArray(list) ? list.map(entry => ({ mode, ...entry })) : []));
+
+  return entries
+    .filter(entry => entry && typeof entry.lhs === 'string')
+    .flatMap((entry, index) => {
+      const modes = !entry.mode || entry.mode === ' ' ? ['n'] : entry.mode.trim().split('');
+      return modes.map(mode => ({
+        mode,
+        keys: vimKeysToNotation(entry.lhs),
+        lhs: entry.lhs,
+        rhs: entry.rhs ?? '',
+        description: entry.desc || null,
+        line: index + 1
+      }));
+    });
+}
+
+/**
+ * Parse `:map` / `:verbose map` output
+ * @private
+ */
+function parseMapListing(text) {
+  const mappings = [];
+  let last = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const match = raw.match(/^([nvxsoilct! ]{3})(\S+)\s+([*&@]*)\s*(.*)$/);
+    if (match && raw.trim() && !/^\s+Last set from/.test(raw)) {
+      const modeField = match[1].trim();
+      const modes = modeField === '' ? ['n'] : modeField === '!' ? ['i', 'c'] : modeField.split('');
+      last = modes.map(mode => ({
+        mode,
+        keys: vimKeysToNotation(match[2]),
+        lhs: match[2],
+        rhs: match[4],
+        description: null,
+        line: index + 1
+      }));
+      mappings.push(...last);
+      return;
+    }
+
+    // An indented follow-up line carries the description; "Last set from" is verbose info
+    const detail = raw.trim();
+    if (last && last[0].description === null && /^\s{4,}/.test(raw) && detail && !/^Last set from/.test(detail)) {
+      last.forEach(mapping => { mapping.description = detail; });
+    }
+  });
+
+  return mappings;
+}
+
+/**
+ * Detect which kind of input the text is
+ * @private
+ */
+function detectFormat(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return { format: 'dump', data: JSON.parse(trimmed) };
+    } catch {
+      // Not JSON; fall through to the text formats
+    }
+  }
+  const isSource = /vim\.keymap\.set|nvim_set_keymap|mapleader|^\s*[nvxsoilct]?(nore)?map!?\s/m.test(text);
+  return { format: isSource ? 'source' : 'listing' };
+}
+
+/**
+ * Parse mappings from a keymap dump, `:map` output or config source
+ *
+ * @param {string} text - Input text
+ * @param {Object} options - { leader, localleader } to use instead of the detected ones
+ * @returns {Object} { format, mappings, leader, localleader }
+ *
+ * Mapping shape: { mode, keys, lhs, rhs, description, line }
+ *
+ * @example
+ * const { mappings } = parseNeovimMappings("vim.g.mapleader = ' '\nvim.keymap.set('n', '<leader>w', '<cmd>w<cr>')");
+ * mappings[0].keys // '<Space>w'
+ */
+export function parseNeovimMappings(text, options = {}) {
+  const { format, data } = detectFormat(text);
+
+  if (format === 'source') {
+    return { format, ...parseSource(text, options) };
+  }
+  const mappings = format === 'dump' ? parseDump(data) : parseMapListing(text);
+  return {
+    format,
+    mappings,
+    leader: options.leader ?? guessLeader(mappings),
+    localleader: options.localleader ?? DEFAULT_LEADER
+  };
+}
+
+/**
+ * Guess the leader of dumped mappings, where it is already resolved
+ *
+ * The common leader key that starts the most multi-key mappings wins;
+ * with fewer than three such mappings Vim's default is assumed.
+ *
+ * @param {Array<Object>} mappings - Parsed mappings
+ * @returns {string} Leader value
+ * @private
+ */
+function guessLeader(mappings) {
+  const candidates = { '<Space>': ' ', ',': ',', '\\': '\\', ';': ';' };
+  const counts = Object.fromEntries(Object.keys(candidates).map(keys => [keys, 0]));
+  mappings.forEach(({ keys }) => {
+    const [first, ...rest] = splitVimKeys(keys);
+    if (rest.length > 0 && first in counts) counts[first]++;
+  });
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count >= 3 ? candidates[best] : DEFAULT_LEADER;
+}
+
+/**
+ * Turn a right-hand side into concept words
+ * @private
+ */
+function describeRhs(rhs) {
+  // Plain key sequences ("_dP, <C-d>zz) have no words worth reading
+  const isCommand = /^\s*(:|<cmd>|<lua>)/i.test(rhs) || /^[\w.]+(\([^)]*\))?[\w.]*$/.test(rhs.trim()) && /[.(]/.test(rhs);
+  if (!isCommand) {
+    return '';
+  }
+
+  const text = rhs
+    .replace(/<cmd>|<CR>|<Esc>|<silent>/gi, ' ')
+    .replace(/^\s*:\s*!?/, '')
+    .replace(/^\s*function\s*\([^)]*\)[\s\S]*$/, '');
+
+  // `require('telescope.builtin').find_files` -> the last name
+  const reference = text.match(/^[\s\w.'"()[\]]*?([A-Za-z_]\w*)\s*(\(\s*\))?\s*$/);
+  const words = (reference && /[.(]/.test(text) ? reference[1] : text)
+    .split(/[\s_.()'"]+/)
+    .filter(word => /^[A-Za-z][\w-]*$/.test(word) && !COMMAND_NOISE.test(word));
+
+  if (words.length === 1 && EX_COMMANDS[words[0].toLowerCase()]) {
+    return EX_COMMANDS[words[0].toLowerCase()];
+  }
+  return words.slice(0, 4).join(' ').toUpperCase();
+}
+
+/**
+ * Find the built-in command a mapping stands in for
+ *
+ * `nnoremap Q 0` is LINE START on new keys, and `nnoremap <C-d> <C-d>zz`
+ * still scrolls half a page.
+ *
+ * @private
+ */
+function findKnownCommand(mapping, builtInByKeys) {
+  if (mapping.description || !mapping.rhs) {
+    return null;
+  }
+  const rhsKeys = vimKeysToNotation(mapping.rhs);
+  return builtInByKeys[rhsKeys] || (rhsKeys.startsWith(mapping.keys) && builtInByKeys[mapping.keys]) || null;
+}
+
+/**
+ * Generate a concept for a mapping
+ *
+ * The concept never repeats the mapping's own keys, since it is the prompt.
+ *
+ * @private
+ */
+function describeMapping(mapping) {
+  const concept = mapping.description
+    ? mapping.description.replace(/\s*\([^)]*\)/g, '').replace(/[.:]+$/, '').toUpperCase()
+    : describeRhs(mapping.rhs ?? '') || `RUN ${mapping.rhs || 'MAPPING'}`;
+
+  // Keep concepts short enough for the command card, cutting at a word
+  if (concept.length <= 40) {
+    return concept;
+  }
+  const cut = concept.slice(0, 41).lastIndexOf(' ');
+  return concept.slice(0, cut > 0 ? cut : 40).trim();
+}
+
+/**
+ * Turn a concept into a command id slug
+ * @private
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'mapping';
+}
+
+/**
+ * Build a personal Neovim pack from mappings
+ *
+ * The result is a data pack (target generators are template lists), so it
+ * can be saved as YAML/JSON and loaded with packFromData. Keys use the same
+ * vim notation as the built-in neovim pack.
+ *
+ * @param {string} text - Keymap JSON dump, `:map` output or init.lua/init.vim source
+ * @param {Object} options - { id, name, source, leader, localleader }
+ * @returns {Object} { pack, leader, localleader, skipped: Array<{line, reason}> }
+ *
+ * @example
+ * const { pack } = importNeovimMappings(readFileSync('keymaps.json', 'utf8'), { leader: ' ' });
+ */
+export function importNeovimMappings(text, options = {}) {
+  const { mappings, leader, localleader } = parseNeovimMappings(text, options);
+  const leaderKeys = leaderNotation(leader);
+  const localKeys = leaderNotation(localleader);
+  const builtInByKeys = Object.fromEntries(
+    neovimPack.groups.flatMap(group => group.commands.map(cmd => [cmd.keys, cmd]))
+  );
+  const skipped = [];
+  const seen = new Set();
+  const imported = [];
+
+  mappings.forEach(mapping => {
+    if (/<(plug|snr)>/i.test(mapping.lhs) || /-default\b/.test(mapping.description ?? '')) {
+      return; // Internal and built-in mappings
+    }
+    if (!IMPORTED_MODES[mapping.mode]) {
+      skipped.push({ line: mapping.line, reason: `${mapping.lhs}: mode "${mapping.mode}" is not imported` });
+      return;
+    }
+    if (!isPracticable(mapping.keys) || tokenizeKeys(mapping.keys).length === 0) {
+      skipped.push({ line: mapping.line, reason: `${mapping.lhs}: keys cannot be practised in a terminal` });
+      return;
+    }
+    if (seen.has(mapping.keys)) {
+      return; // Same keys in another mode (nvo, n + v)
+    }
+    seen.add(mapping.keys);
+    imported.push(mapping);
+  });
+
+  const usedIds = new Set();
+  const uniqueId = base => {
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  // Leader mappings sharing a prefix with at least two others get their own group
+  const prefixOf = keys => (keys.startsWith(leaderKeys) ? splitVimKeys(keys.slice(leaderKeys.length))[0] : null);
+  const prefixCounts = {};
+  imported.forEach(mapping => {
+    const prefix = prefixOf(mapping.keys);
+    if (prefix && mapping.keys.length > leaderKeys.length + prefix.length) {
+      prefixCounts[prefix] = (prefixCounts[prefix] ?? 0) + 1;
+    }
+  });
+
+  const groupFor = (keys, targetType) => {
+    const prefix = prefixOf(keys);
+    if (targetType === 'visual') return ['Visual Mode Mappings', 'Your visual mode mappings'];
+    if (prefix && prefixCounts[prefix] >= 3) return [`Leader ${prefix}`, `Your <leader>${prefix} mappings`];
+    if (prefix !== null) return ['Leader Mappings', 'Your other <leader> mappings'];
+    if (localKeys !== leaderKeys && keys.startsWith(localKeys)) return ['Local Leader Mappings', 'Your <localleader> mappings'];
+    return ['Normal Mode Mappings', 'Your mappings without a leader'];
+  };
+
+  const groups = new Map();
+  const addTo = (name, description, command) => {
+    if (!groups.has(name)) groups.set(name, { name, description, commands: [] });
+    groups.get(name).commands.push(command);
+  };
+
+  imported.forEach(mapping => {
+    const known = findKnownCommand(mapping, builtInByKeys);
+    if (known) {
+      const { id, keys: _defaultKeys, aliases: _aliases, ...meaning } = known;
+      const targetType = IMPORTED_MODES[mapping.mode] === 'visual' ? 'visual' : meaning.targetType;
+      const command = { id: uniqueId(id), keys: mapping.keys, ...meaning, targetType };
+      addTo(...groupFor(mapping.keys, targetType), command);
+      return;
+    }
+
+    const concept = describeMapping(mapping);
+    const context = `${concept} ${mapping.description ?? ''} ${mapping.rhs ?? ''}`;
+    const rule = CLASSIFY_RULES.find(({ pattern }) => pattern.test(context));
+    const targetType = IMPORTED_MODES[mapping.mode] === 'visual' ? 'visual' : rule?.targetType ?? 'line';
+    const color = /\b(delete|close|quit|kill|remove)\b/i.test(context) ? 'red'
+      : /\btoggle\b/i.test(context) ? 'magenta'
+        : rule?.color ?? 'yellow';
+    const complexity = Math.min(1.8, Math.round((1.0 + 0.1 * (tokenizeKeys(mapping.keys).length - 1)) * 10) / 10);
+    const command = { id: uniqueId(slugify(concept)), keys: mapping.keys, concept, color, complexity, targetType };
+
+    addTo(...groupFor(mapping.keys, targetType), command);
+  });
+
+  // Leader groups first (that is where custom mappings live), visual last
+  const order = name => (name.startsWith('Leader ') ? 0 : name === 'Leader Mappings' ? 1 : name === 'Visual Mode Mappings' ? 4 : name.startsWith('Local') ? 2 : 3);
+  const packGroups = [...groups.values()].sort((a, b) => order(a.name) - order(b.name));
+  const usedTypes = new Set(packGroups.flatMap(group => group.commands.map(cmd => cmd.targetType)));
+
+  return {
+    pack: {
+      id: options.id || 'neovim-personal',
+      name: options.name || 'Neovim (Personal)',
+      description: options.source ? `Your Neovim mappings, imported from ${options.source}` : 'Your Neovim mappings',
+      version: '1.0.0',
+      groups: packGroups,
+      targetGenerators: Object.fromEntries(Object.entries(TARGET_TEMPLATES).filter(([type]) => usedTypes.has(type))),
+      keyNotation: { ...neovimPack.keyNotation }
+    },
+    leader,
+    localleader,
+    skipped
+  };
+}
@@ -0,0 +1,590 @@
+/**
+ * tmux.conf Importer - Build a personal tmux pack from a user's config
+ *
+ * Starts from tmux's default prefix-table bindings (the built-in tmux pack),
+ * then replays the config: `set-option prefix` moves every prefix binding,
+ * `unbind-key` removes bindings and `bind-key` adds or replaces them.
+ *
+ * Bindings running a standard command reuse the built-in pack's concept
+ * (and id), so `bind | split-window -h` is still SPLIT VERTICAL. Anything
+ * else gets a concept generated from its note (-N) or command line.
+ *
+ * Only the prefix and root (-n) tables are imported; other key tables
+ * (copy-mode-vi, custom modes) are reported as skipped. So are keys a
+ * terminal game never receives (F1-F12, Insert, keypad and mouse keys).
+ */
+
+import tmuxPack from '../packs/tmux.js';
+import { escapeTemplate } from '../utils/templates.js';
+
+// tmux's built-in prefix
+export const DEFAULT_PREFIX = 'C-b';
+
+// Command aliases tmux accepts, mapped to full command names
+const COMMAND_ALIASES = {
+  splitw: 'split-window', neww: 'new-window', selectp: 'select-pane', selectw: 'select-window',
+  killp: 'kill-pane', killw: 'kill-window', resizep: 'resize-pane', swapp: 'swap-pane',
+  renamew: 'rename-window', rename: 'rename-session', detach: 'detach-client', lastp: 'last-pane',
+  last: 'last-window', next: 'next-window', prev: 'previous-window', pasteb: 'paste-buffer',
+  source: 'source-file', lsk: 'list-keys', displayp: 'display-panes', display: 'display-message',
+  run: 'run-shell', confirm: 'confirm-before', switchc: 'switch-client', breakp: 'break-pane',
+  joinp: 'join-pane', rotatew: 'rotate-window', nextl: 'next-layout', movew: 'move-window',
+  popup: 'display-popup', menu: 'display-menu', set: 'set-option', setw: 'set-window-option'
+};
+
+// tmux key names a terminal can send, mapped to keyparser's named keys
+const KEY_NAMES = {
+  BSpace: 'BS', PPage: 'PageUp', PageUp: 'PageUp', NPage: 'PageDown', PageDown: 'PageDown',
+  DC: 'Del', Enter: 'Enter', Escape: 'Esc', Space: 'Space', Tab: 'Tab',
+  Up: 'Up', Down: 'Down', Left: 'Left', Right: 'Right', Home: 'Home', End: 'End'
+};
+
+// Standard commands not in the built-in pack, with their concepts
+const EXTRA_COMMANDS = {
+  'pane-left': { concept: 'PANE LEFT', color: 'cyan', complexity: 1.0, targetType: 'pane' },
+  'pane-down': { concept: 'PANE DOWN', color: 'cyan', complexity: 1.0, targetType: 'pane' },
+  'pane-up': { concept: 'PANE UP', color: 'cyan', complexity: 1.0, targetType: 'pane' },
+  'pane-right': { concept: 'PANE RIGHT', color: 'cyan', complexity: 1.0, targetType: 'pane' },
+  'resize-pane-left': { concept: 'RESIZE PANE LEFT', color: 'blue', complexity: 1.2, targetType: 'pane' },
+  'resize-pane-down': { concept: 'RESIZE PANE DOWN', color: 'blue', complexity: 1.2, targetType: 'pane' },
+  'resize-pane-up': { concept: 'RESIZE PANE UP', color: 'blue', complexity: 1.2, targetType: 'pane' },
+  'resize-pane-right': { concept: 'RESIZE PANE RIGHT', color: 'blue', complexity: 1.2, targetType: 'pane' },
+  'break-pane': { concept: 'BREAK PANE', color: 'yellow', complexity: 1.3, targetType: 'pane' },
+  'next-layout': { concept: 'NEXT LAYOUT', color: 'blue', complexity: 1.0, targetType: 'pane' },
+  'send-prefix': { concept: 'SEND PREFIX', color: 'magenta', complexity: 1.0, targetType: 'command' },
+  'reload-config': { concept: 'RELOAD CONFIG', color: 'green', complexity: 1.0, targetType: 'command' }
+};
+
+const DIRECTIONS = { L: 'left', D: 'down', U: 'up', R: 'right' };
+
+/**
+ * Rules matching a parsed command to a known command id
+ * Each rule: { name, flags?: letters that must be set, match?: (cmd) => id|null, id? }
+ * More specific rules come first.
+ */
+const COMMAND_RULES = [
+  { name: 'split-window', flags: 'h', id: 'split-vertical' },
+  { name: 'split-window', id: 'split-horizontal' },
+  { name: 'select-pane', match: cmd => ({ ':.+': 'next-pane', '+': 'next-pane' })[cmd.options.t] || null },
+  { name: 'select-pane', match: cmd => directionId(cmd, 'pane-') },
+  { name: 'resize-pane', flags: 'Z', id: 'zoom-pane' },
+  { name: 'resize-pane', match: cmd => directionId(cmd, 'resize-pane-') },
+  { name: 'last-pane', id: 'last-pane' },
+  { name: 'kill-pane', id: 'close-pane' },
+  { name: 'swap-pane', flags: 'U', id: 'swap-pane-left' },
+  { name: 'swap-pane', flags: 'D', id: 'swap-pane-right' },
+  { name: 'display-panes', id: 'show-pane-numbers' },
+  { name: 'break-pane', id: 'break-pane' },
+  { name: 'next-layout', id: 'next-layout' },
+  { name: 'new-window', id: 'new-window' },
+  { name: 'next-window', id: 'next-window' },
+  { name: 'previous-window', id: 'previous-window' },
+  { name: 'last-window', id: 'last-window' },
+  { name: 'select-window', match: cmd => windowId(cmd.options.t) },
+  { name: 'kill-window', id: 'close-window' },
+  { name: 'rename-window', id: 'rename-window' },
+  { name: 'choose-tree', flags: 'w', id: 'list-windows' },
+  { name: 'choose-tree', flags: 's', id: 'list-sessions' },
+  { name: 'choose-window', id: 'list-windows' },
+  { name: 'choose-session', id: 'list-sessions' },
+  { name: 'detach-client', id: 'detach-session' },
+  { name: 'rename-session', id: 'rename-session' },
+  { name: 'copy-mode', id: 'copy-mode' },
+  { name: 'paste-buffer', id: 'paste-buffer' },
+  { name: 'list-keys', id: 'show-bindings' },
+  { name: 'send-prefix', id: 'send-prefix' },
+  { name: 'source-file', id: 'reload-config' }
+];
+
+// Options that take a value, per command (so their value isn't mistaken for an argument)
+const VALUE_OPTIONS = new Set(['t', 's', 'c', 'e', 'l', 'p', 'F', 'I', 'x', 'y', 'w', 'h', 'T', 'N', 'd']);
+const VALUE_OPTIONS_EXCEPT = {
+  'split-window': new Set(['h', 'd']),
+  'resize-pane': new Set(['x', 'y']),
+  'choose-tree': new Set(['w', 's']),
+  'new-window': new Set(['d']),
+  'set-option': new Set(['s', 'w', 'p', 'g', 'u', 'o', 'q', 'a', 'F']),
+  'set-window-option': new Set(['g', 'u', 'o', 'q', 'a', 'F'])
+};
+
+/**
+ * Pick a direction-based id (select-pane -L -> pane-left)
+ * @private
+ */
+function directionId(cmd, prefix) {
+  const flag = Object.keys(DIRECTIONS).find(letter => cmd.flags.has(letter));
+  return flag ? `${prefix}${DIRECTIONS[flag]}` : null;
+}
+
+/**
+ * Map a select-window target (0, :0, :=0, :+, :-) to a command id
+ * @private
+ */
+function windowId(target) {
+  const relative = { ':+': 'next-window', '+': 'next-window', ':-': 'previous-window', '-': 'previous-window', ':!': 'last-window' };
+  const match = String(target ?? '').match(/^:?=?(\d+)$/);
+  return match ? `window-${match[1]}` : relative[target] || null;
+}
+
+/**
+ * Split a config line into words, honouring quotes and backslash escapes
+ *
+ * Unquoted `;` and `\;` become separator tokens between commands.
+ *
+ * @param {string} line - Config line (continuations already joined)
+ * @returns {Array<Object>} Tokens: { value, separator }
+ */
+export function tokenizeTmuxLine(line) {
+  const tokens = [];
+  let current = '';
+  let started = false;
+  let quote = null;
+
+  const push = () => {
+    if (started) {
+      tokens.push({ value: current, separator: false });
+    }
+    current = '';
+    started = false;
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < line.length) {
+        current += line[++i];
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (char === '#' && !started) {
+      break; // Comment
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+      started = true;
+    } else if (char === '\\' && i + 1 < line.length) {
+      const next = line[++i];
+      if (next === ';' && !started && (i + 1 >= line.length || /\s/.test(line[i + 1]))) {
+        tokens.push({ value: ';', separator: true, escaped: true });
+      } else {
+        current += next;
+        started = true;
+      }
+    } else if (char === ';' && !started) {
+      tokens.push({ value: ';', separator: true });
+    } else if (/\s/.test(char)) {
+      push();
+    } else {
+      current += char;
+      started = true;
+    }
+  }
+  push();
+  return tokens;
+}
+
+/**
+ * Parse a command's words into name, flags, option values and arguments
+ *
+ * @param {Array<string>} words - Command words
+ * @returns {Object} { name, flags: Set, options: {}, args: [] }
+ * @private
+ */
+function parseCommand(words) {
+  // Brace blocks ({ kill-pane }) only group words; the words inside still count
+  const [rawName, ...rest] = words.filter(word => word !== '{' && word !== '}');
+  const name = COMMAND_ALIASES[rawName] || rawName;
+  const takesValue = letter => VALUE_OPTIONS.has(letter) && !VALUE_OPTIONS_EXCEPT[name]?.has(letter);
+  const flags = new Set();
+  const options = {};
+  const args = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    const word = rest[i];
+    if (word === '--') {
+      args.push(...rest.slice(i + 1));
+      break;
+    }
+    if (/^-[A-Za-z]+$/.test(word) && args.length === 0) {
+      const letters = word.slice(1).split('');
+      for (let j = 0; j < letters.length; j++) {
+        const letter = letters[j];
+        if (takesValue(letter)) {
+          const inline = letters.slice(j + 1).join('');
+          options[letter] = inline || rest[++i];
+          break;
+        }
+        flags.add(letter);
+      }
+    } else {
+      args.push(word);
+    }
+  }
+  return { name, flags, options, args };
+}
+
+/**
+ * Group tokens into commands (split at separators)
+ * @private
+ */
+function splitCommands(tokens) {
+  const commands = [[]];
+  tokens.forEach(token => {
+    if (token.separator) {
+      commands.push([]);
+    } else {
+      commands[commands.length - 1].push(token.value);
+    }
+  });
+  return commands.filter(words => words.length > 0);
+}
+
+/**
+ * Parse the bind-key / unbind-key / set-option lines of a tmux.conf
+ *
+ * @param {string} text - tmux.conf contents
+ * @returns {Object} { statements: Array<Object>, skipped: Array<{line, reason}> }
+ *
+ * Statement shapes:
+ * - { type: 'prefix', key }
+ * - { type: 'bind', key, table, repeat, note, commands: Array<Array<string>>, line }
+ * - { type: 'unbind', key, table, all, line }
+ */
+export function parseTmuxConf(text) {
+  const statements = [];
+  const skipped = [];
+
+  // Join continuation lines, remembering where each logical line started
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const previous = lines[lines.length - 1];
+    if (previous?.continued) {
+      previous.text += raw;
+      previous.continued = /\\$/.test(raw) && !/\\\\$/.test(raw);
+      if (previous.continued) previous.text = previous.text.slice(0, -1);
+      return;
+    }
+    const continued = /\\$/.test(raw) && !/\\\\$/.test(raw);
+    lines.push({ text: continued ? raw.slice(0, -1) : raw, number: index + 1, continued });
+  });
+
+  lines.forEach(({ text: lineText, number }) => {
+    const tokens = tokenizeTmuxLine(lineText.trim());
+    if (tokens.length === 0 || tokens[0].separator) {
+      return;
+    }
+    const words = tokens.map(token => token.value);
+    const command = COMMAND_ALIASES[words[0]] || words[0];
+
+    if (command === 'set-option' || command === 'set-window-option') {
+      const parsed = parseCommand(words);
+      const [option, value] = parsed.args;
+      if (option === 'prefix' && value && !parsed.flags.has('u')) {
+        statements.push({ type: 'prefix', key: value });
+      }
+      return;
+    }
+
+    if (command === 'bind-key' || command === 'bind') {
+      statements.push(parseBind(tokens.slice(1), number, skipped));
+      return;
+    }
+
+    if (command === 'unbind-key' || command === 'unbind') {
+      statements.push(parseUnbind(words.slice(1), number));
+    }
+  });
+
+  return { statements: statements.filter(Boolean), skipped };
+}
+
+/**
+ * Parse the words after bind-key
+ * @private
+ */
+function parseBind(tokens, line, skipped) {
+  let table = 'prefix';
+  let repeat = false;
+  let note = null;
+  let i = 0;
+
+  for (; i < tokens.length; i++) {
+    const word = tokens[i].value;
+    if (tokens[i].separator || !/^-[A-Za-z]+$/.test(word)) break;
+    const letters = word.slice(1);
+    if (letters.includes('n')) table = 'root';
+    if (letters.includes('r')) repeat = true;
+    if (letters.endsWith('T')) table = tokens[++i]?.value;
+    if (letters.endsWith('N')) note = tokens[++i]?.value;
+  }
+
+  const keyToken = tokens[i];
+  if (!keyToken) {
+    skipped.push({ line, reason: 'bind-key without a key' });
+    return null;
+  }
+  // A lone ";" in key position is the key itself, not a separator
+  const key = keyToken.value;
+  const commandTokens = tokens.slice(i + 1);
+  if (commandTokens.length === 0) {
+    skipped.push({ line, reason: `bind-key ${key} has no command` });
+    return null;
+  }
+
+  return {
+    type: 'bind',
+    key,
+    table,
+    repeat,
+    note,
+    commands: splitCommands(commandTokens),
+    line
+  };
+}
+
+/**
+ * Parse the words after unbind-key
+ * @private
+ */
+function parseUnbind(words, line) {
+  let table = 'prefix';
+  let all = false;
+  let i = 0;
+
+  for (; i < words.length && /^-[A-Za-z]+$/.test(words[i]); i++) {
+    const letters = words[i].slice(1);
+    if (letters.includes('n')) table = 'root';
+    if (letters.includes('a')) all = true;
+    if (letters.endsWith('T')) table = words[++i];
+  }
+
+  return { type: 'unbind', key: words[i] ?? null, table, all, line };
+}
+
+/**
+ * Convert a tmux key name to pack notation
+ *
+ * Named keys are bracketed so they stay one key on their own as well as
+ * after the prefix ('<Home>', 'C-b <Home>').
+ *
+ * @param {string} key - tmux key (e.g. 'C-a', 'M-Left', 'BSpace', '|')
+ * @returns {string|null} Pack notation key, or null if a terminal cannot send it
+ *
+ * @example
+ * tmuxKeyToNotation('M-Left') // '<M-Left>'
+ * tmuxKeyToNotation('BSpace') // '<BS>'
+ * tmuxKeyToNotation('C-PPage') // '<C-PageUp>'
+ * tmuxKeyToNotation('F2') // null
+ */
+export function tmuxKeyToNotation(key) {
+  const [, modifiers, base] = key.match(/^((?:[CMS]-)*)(.+)$/);
+  if (base.length === 1) {
+    return `${modifiers}${base}`;
+  }
+  return KEY_NAMES[base] ? `<${modifiers}${KEY_NAMES[base]}>` : null;
+}
+
+/**
+ * Find the known command id a bound command runs, if any
+ *
+ * Wrappers are unwrapped: `confirm-before kill-pane` is kill-pane, and
+ * `command-prompt "rename-window '%%'"` is rename-window.
+ *
+ * @param {Array<Array<string>>} commands - Command word lists
+ * @returns {string|null} Known command id
+ */
+export function matchKnownCommand(commands) {
+  for (const words of commands) {
+    const cmd = parseCommand(words);
+
+    if (cmd.name === 'confirm-before' || (cmd.name === 'command-prompt' && cmd.args.length > 0)) {
+      const innerId = matchKnownCommand(splitCommands(tokenizeTmuxLine(cmd.args.join(' '))));
+      if (innerId) return innerId;
+      continue;
+    }
+    if (cmd.name === 'command-prompt') {
+      return 'command-prompt';
+    }
+
+    for (const rule of COMMAND_RULES) {
+      if (rule.name !== cmd.name) continue;
+      if (rule.flags && ![...rule.flags].every(letter => cmd.flags.has(letter))) continue;
+      const id = rule.match ? rule.match(cmd) : rule.id;
+      if (id) return id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate a concept for a custom binding
+ *
+ * @param {Object} binding - Parsed bind statement
+ * @returns {string} Upper-case concept
+ */
+function describeBinding(binding) {
+  if (binding.note) {
+    return binding.note.toUpperCase().slice(0, 40);
+  }
+
+  const cmd = parseCommand(binding.commands[0]);
+  const words = cmd.name.split('-');
+  const detail = [...cmd.args, ...Object.values(cmd.options)]
+    .find(arg => arg && /[a-z0-9]/i.test(arg) && !arg.includes('#{') && !arg.startsWith('-') && arg.length <= 40);
+  if (detail) {
+    const program = detail.trim().split(/\s+/)[0].split('/').pop();
+    words.push(program.replace(/[^\w.-]/g, ''));
+  }
+  return words.filter(Boolean).join(' ').toUpperCase().slice(0, 40);
+}
+
+/**
+ * Pick display attributes for a generated binding from its command
+ * @private
+ */
+function classifyCommand(name) {
+  const targetType = /pane|split|layout/.test(name) ? 'pane'
+    : /window/.test(name) ? 'window'
+      : /session|client/.test(name) ? 'session'
+        : /copy|paste|buffer/.test(name) ? 'mode'
+          : 'command';
+  const color = /^kill|^unlink/.test(name) ? 'red'
+    : /^(select|next|previous|last|switch|choose)/.test(name) ? 'cyan'
+      : /^(split|new|rename)/.test(name) ? 'yellow'
+        : /^(resize|swap|move|rotate)/.test(name) ? 'blue'
+          : 'magenta';
+  return { targetType, color };
+}
+
+/**
+ * Turn a concept into a command id slug
+ * @private
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'binding';
+}
+
+/**
+ * Build a personal tmux pack from a tmux.conf
+ *
+ * The result is a data pack (target generators are template lists), so it
+ * can be saved as YAML/JSON and loaded with packFromData.
+ *
+ * @param {string} text - tmux.conf contents
+ * @param {Object} options - { id, name, source } for the resulting pack
+ * @returns {Object} { pack, prefix, skipped: Array<{line, reason}> }
+ *
+ * @example
+ * const { pack } = importTmuxConf(readFileSync('~/.tmux.conf', 'utf8'));
+ * pack.groups[0].commands[0].keys // 'C-a %'
+ */
+export function importTmuxConf(text, options = {}) {
+  const { statements, skipped } = parseTmuxConf(text);
+  const builtIn = Object.fromEntries(
+    tmuxPack.groups.flatMap(group => group.commands.map(cmd => [cmd.id, { ...cmd, groupName: group.name }]))
+  );
+
+  // Default prefix-table bindings, keyed by table + key
+  const bindings = new Map();
+  tmuxPack.groups.forEach(group => group.commands.forEach(cmd => {
+    const key = cmd.keys.slice(DEFAULT_PREFIX.length + 1);
+    bindings.set(`prefix ${key}`, { key, table: 'prefix', knownId: cmd.id, repeat: false });
+  }));
+
+  let prefix = DEFAULT_PREFIX;
+  statements.forEach(statement => {
+    if (statement.type === 'prefix') {
+      prefix = statement.key;
+    } else if (statement.type === 'unbind') {
+      if (statement.all) {
+        [...bindings.keys()].filter(k => k.startsWith(`${statement.table} `)).forEach(k => bindings.delete(k));
+      } else if (statement.key) {
+        bindings.delete(`${statement.table} ${statement.key}`);
+      }
+    } else if (statement.table !== 'prefix' && statement.table !== 'root') {
+      skipped.push({ line: statement.line, reason: `key table "${statement.table}" is not imported` });
+    } else {
+      bindings.set(`${statement.table} ${statement.key}`, {
+        key: statement.key,
+        table: statement.table,
+        knownId: matchKnownCommand(statement.commands),
+        repeat: statement.repeat,
+        binding: statement
+      });
+    }
+  });
+
+  const groups = new Map(tmuxPack.groups.map(group => [group.name, { name: group.name, description: group.description, commands: [] }]));
+  const groupForType = { pane: 'Pane Management', window: 'Window Management' };
+  const custom = { name: 'Custom Bindings', description: 'Bindings unique to your tmux.conf', commands: [] };
+  const usedIds = new Set();
+  const uniqueId = base => {
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  bindings.forEach(({ key, table, knownId: matchedId, repeat, binding }) => {
+    let knownId = matchedId;
+    const notation = tmuxKeyToNotation(key);
+    if (!notation) {
+      skipped.push({ line: binding.line, reason: `key "${key}" cannot be practised in a terminal` });
+      return;
+    }
+    const keys = table === 'root' ? notation : `${prefix} ${notation}`;
+    const baseComplexity = table === 'root' ? 1.0 : 1.2;
+    const flags = repeat ? { repeat: true } : {};
+
+    // The user's own note (-N) describes the binding better than a stock concept
+    if (binding?.note) {
+      knownId = null;
+    }
+
+    if (knownId && builtIn[knownId]) {
+      const { groupName, id, keys: _defaultKeys, ...known } = builtIn[knownId];
+      groups.get(groupName).commands.push({ id: uniqueId(id), keys, ...known, ...flags });
+      return;
+    }
+
+    const windowMatch = knownId?.match(/^window-(\d+)$/);
+    const extra = EXTRA_COMMANDS[knownId] || (windowMatch && {
+      concept: `WINDOW ${windowMatch[1]}`, color: 'blue', complexity: 1.0, targetType: 'window'
+    });
+    if (extra) {
+      const groupName = groupForType[extra.targetType] || 'Session & Other';
+      groups.get(groupName).commands.push({ id: uniqueId(knownId), keys, ...extra, ...flags });
+      return;
+    }
+
+    const concept = describeBinding(binding);
+    const { targetType, color } = classifyCommand(parseCommand(binding.commands[0]).name);
+    const complexity = Math.round((baseComplexity + (/^<?[CMS]-/.test(notation) ? 0.2 : 0)) * 10) / 10;
+    custom.commands.push({ id: uniqueId(slugify(concept)), keys, concept, color, complexity, targetType, ...flags });
+  });
+
+  const packGroups = [...groups.values(), custom].filter(group => group.commands.length > 0);
+
+  return {
+    pack: {
+      id: options.id || 'tmux-personal',
+      name: options.name || 'Tmux (Personal)',
+      description: options.source ? `Your tmux bindings, imported from ${options.source}` : 'Your tmux bindings',
+      version: '1.0.0',
+      groups: packGroups,
+      // The built-in tmux targets are fixed strings, so one call captures each
+      targetGenerators: Object.fromEntries(
+        Object.entries(tmuxPack.targetGenerators).map(([type, generate]) => [type, escapeTemplate(generate())])
+      ),
+      keyNotation: { 'C-': 'Ctrl+', 'M-': 'Alt+' }
+    },
+    prefix,
+    skipped
+  };
+}
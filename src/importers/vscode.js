@@ -0,0 +1,419 @@
+/**
+ * keybindings.json Importer - Build a personal VS Code pack from a user's keybindings
+ *
+ * keybindings.json only lists changes to VS Code's defaults, so the import
+ * starts from the built-in vscode pack (for the platform the file was
+ * written on) and replays the file in order:
+ * - `"command": "-editor.action.x"` removes that command's default binding
+ *   (only the one on `key`, when a key is given)
+ * - a binding for a standard command replaces its default keys and keeps
+ *   the built-in concept and id
+ * - a binding on keys a default uses takes those keys over
+ * - anything else gets a concept from its command id and is grouped by the
+ *   command's category (Terminal, Debug, Source Control, an extension...)
+ *
+ * `when` clauses are kept as the command's context, so bindings that only
+ * apply in some places say where. Keys a terminal cannot send (function
+ * keys, numpad, media keys) are reported as skipped.
+ */
+
+import { createVscodePack, VSCODE_TARGETS } from '../packs/vscode.js';
+import { escapeTemplate } from '../utils/templates.js';
+
+// VS Code command ids of the built-in pack's commands
+const KNOWN_COMMANDS = {
+  'workbench.action.showCommands': 'command-palette',
+  'workbench.action.quickOpen': 'quick-open',
+  'workbench.action.files.save': 'save-file',
+  'workbench.action.files.newUntitledFile': 'new-file',
+  'actions.find': 'find',
+  'editor.action.commentLine': 'toggle-comment',
+  'workbench.action.toggleSidebarVisibility': 'toggle-sidebar',
+  'workbench.action.terminal.toggleTerminal': 'toggle-terminal',
+  'editor.action.moveLinesUpAction': 'move-line-up',
+  'editor.action.moveLinesDownAction': 'move-line-down',
+  'editor.action.copyLinesUpAction': 'copy-line-up',
+  'editor.action.copyLinesDownAction': 'copy-line-down',
+  'editor.action.deleteLines': 'delete-line',
+  'editor.action.insertLineAfter': 'insert-line-below',
+  'editor.action.insertLineBefore': 'insert-line-above',
+  'editor.action.indentLines': 'indent-line',
+  'editor.action.outdentLines': 'outdent-line',
+  'editor.action.blockComment': 'toggle-block-comment',
+  'editor.action.formatDocument': 'format-document',
+  'editor.action.triggerSuggest': 'trigger-suggest',
+  'editor.action.quickFix': 'quick-fix',
+  'editor.action.addSelectionToNextFindMatch': 'add-next-match',
+  'editor.action.selectHighlights': 'select-all-matches',
+  'expandLineSelection': 'select-line',
+  'editor.action.insertCursorAbove': 'cursor-above',
+  'editor.action.insertCursorBelow': 'cursor-below',
+  'editor.action.smartSelect.expand': 'expand-selection',
+  'editor.action.smartSelect.shrink': 'shrink-selection',
+  'cursorUndo': 'cursor-undo',
+  'workbench.action.gotoLine': 'go-to-line',
+  'workbench.action.gotoSymbol': 'go-to-symbol',
+  'workbench.action.showAllSymbols': 'workspace-symbol',
+  'editor.action.jumpToBracket': 'jump-to-bracket',
+  'workbench.action.navigateBack': 'go-back',
+  'workbench.action.navigateForward': 'go-forward',
+  'workbench.action.closeActiveEditor': 'close-editor',
+  'workbench.action.reopenClosedEditor': 'reopen-editor',
+  'workbench.action.nextEditor': 'next-editor',
+  'workbench.action.previousEditor': 'previous-editor',
+  'workbench.action.quickOpenPreviousRecentlyUsedEditorInGroup': 'recent-editor',
+  'workbench.action.splitEditor': 'split-editor',
+  'workbench.action.focusFirstEditorGroup': 'focus-group-1',
+  'workbench.action.focusSecondEditorGroup': 'focus-group-2',
+  'workbench.action.files.saveAll': 'save-all',
+  'editor.action.startFindReplaceAction': 'replace',
+  'workbench.action.findInFiles': 'find-in-files',
+  'workbench.action.replaceInFiles': 'replace-in-files',
+  'workbench.view.explorer': 'show-explorer',
+  'workbench.view.scm': 'show-source-control',
+  'workbench.view.extensions': 'show-extensions',
+  'workbench.actions.view.problems': 'show-problems',
+  'workbench.action.togglePanel': 'toggle-panel',
+  'workbench.action.terminal.new': 'new-terminal',
+  'workbench.action.openGlobalKeybindings': 'keyboard-shortcuts',
+  'workbench.action.closeAllEditors': 'close-all-editors',
+  'editor.foldAll': 'fold-all',
+  'editor.unfoldAll': 'unfold-all',
+  'editor.action.addCommentLine': 'add-line-comment',
+  'editor.action.removeCommentLine': 'remove-line-comment',
+  'editor.action.trimTrailingWhitespace': 'trim-whitespace',
+  'workbench.action.selectTheme': 'color-theme',
+  'workbench.action.toggleZenMode': 'zen-mode',
+  'workbench.action.editor.changeLanguageMode': 'change-language',
+  'markdown.showPreviewToSide': 'markdown-preview-side'
+};
+
+// keybindings.json key names, mapped to pack notation (letters, digits and symbols pass through)
+const KEY_NAMES = {
+  enter: 'Enter', escape: 'Escape', tab: 'Tab', space: 'Space', backspace: 'Backspace', delete: 'Delete',
+  up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+  home: 'Home', end: 'End', pageup: 'PageUp', pagedown: 'PageDown'
+};
+
+/**
+ * Categories for commands outside the built-in pack, tried in order
+ * Each: { pattern, category, targetType, color, prefix?: word put before generated concepts }
+ */
+const CATEGORY_RULES = [
+  { pattern: /^(workbench\.action\.terminal|terminal)\./, category: 'Terminal', targetType: 'pane', color: 'magenta', prefix: 'TERMINAL' },
+  { pattern: /^(workbench\.action\.debug|editor\.debug|debug)\./, category: 'Debug', targetType: 'command', color: 'yellow', prefix: 'DEBUG' },
+  { pattern: /^(git|gitlens|scm|workbench\.scm)\./, category: 'Source Control', targetType: 'command', color: 'green', prefix: 'GIT' },
+  { pattern: /^(search|workbench\.view\.search|workbench\.action\.(find|replace)|editor\.action\.(next|previous)\w*Match)/, category: 'Search', targetType: 'search', color: 'cyan' },
+  { pattern: /^(explorer|filesExplorer|fileutils|workbench\.files|workbench\.action\.(files|quickOpen|openRecent|\w*Editor))/, category: 'Editors & Files', targetType: 'tab', color: 'blue' },
+  { pattern: /^(cursor|scroll|workbench\.action\.(navigate|goto))/, category: 'Navigation', targetType: 'motion', color: 'cyan' },
+  { pattern: /^(workbench\.view|workbench\.actions\.view|workbench\.action\.(toggle|focus|view|\w*(Panel|Sidebar)))/, category: 'Views & Layout', targetType: 'pane', color: 'magenta' },
+  { pattern: /^(editor\.|editor$|delete|undo|redo|type$|tab$|outdent$|\w*Line)/, category: 'Editing', targetType: 'text', color: 'yellow' },
+  { pattern: /^workbench\./, category: 'Workbench', targetType: 'command', color: 'yellow' }
+];
+
+/**
+ * Remove comments and trailing commas from JSON with comments (JSONC),
+ * keeping every character's position so line numbers still match
+ * @private
+ */
+function stripJsonComments(text) {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      const end = text.slice(i).match(/^"(?:[^"\\\n]|\\.)*"?/)[0].length;
+      result += text.slice(i, i + end);
+      i += end - 1;
+    } else if (char === '/' && text[i + 1] === '/') {
+      const newline = text.indexOf('\n', i);
+      const end = newline === -1 ? text.length : newline;
+      result += ' '.repeat(end - i);
+      i = end - 1;
+    } else if (char === '/' && text[i + 1] === '*') {
+      const close = text.indexOf('*/', i + 2);
+      const end = close === -1 ? text.length : close + 2;
+      result += text.slice(i, end).replace(/[^\n]/g, ' ');
+      i = end - 1;
+    } else {
+      result += char;
+    }
+  }
+  return result.replace(/,(\s*[\]}])/g, ' $1');
+}
+
+/**
+ * Parse a keybindings.json file
+ *
+ * Accepts the comments and trailing commas VS Code allows in its settings
+ * files. Entries without a key and command are reported as skipped;
+ * removals (`-command`) may leave out the key to remove every binding.
+ *
+ * @param {string} text - keybindings.json contents
+ * @returns {Object} { entries: Array<{key, command, when, args, line}>, skipped: Array<{line, reason}> }
+ * @throws {Error} If the file is not a JSON array
+ *
+ * @example
+ * parseKeybindingsJson('[{ "key": "ctrl+k ctrl+t", "command": "workbench.action.selectTheme" }]').entries
+ * // [{ key: 'ctrl+k ctrl+t', command: 'workbench.action.selectTheme', when: null, args: undefined, line: 1 }]
+ */
+export function parseKeybindingsJson(text) {
+  const stripped = stripJsonComments(text);
+  let data;
+  try {
+    data = stripped.trim() === '' ? [] : JSON.parse(stripped);
+  } catch (error) {
+    throw new Error(`Invalid keybindings.json: ${error.message}`);
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid keybindings.json: expected an array of keybindings');
+  }
+
+  // Line of each top-level entry, found by walking the brackets outside strings
+  const lines = [];
+  let depth = 0;
+  let line = 1;
+  for (let i = 0; i < stripped.length; i++) {
+    const char = stripped[i];
+    if (char === '\n') line++;
+    if (char === '"') {
+      i += stripped.slice(i).match(/^"(?:[^"\\\n]|\\.)*"?/)[0].length - 1;
+    } else if ('[{'.includes(char)) {
+      if (depth === 1) lines.push(line);
+      depth++;
+    } else if (']}'.includes(char)) {
+      depth--;
+    }
+  }
+
+  const entries = [];
+  const skipped = [];
+  data.forEach((entry, index) => {
+    const entryLine = lines[index] ?? null;
+    const key = typeof entry?.key === 'string' ? entry.key.trim().toLowerCase() : '';
+    const isRemoval = typeof entry?.command === 'string' && entry.command.startsWith('-');
+    if (typeof entry?.command !== 'string' || !entry.command || (!key && !isRemoval)) {
+      skipped.push({ line: entryLine, reason: 'entry needs a "key" and a "command"' });
+      return;
+    }
+    entries.push({
+      key,
+      command: entry.command,
+      when: typeof entry.when === 'string' && entry.when.trim() ? entry.when.trim() : null,
+      args: entry.args,
+      line: entryLine
+    });
+  });
+  return { entries, skipped };
+}
+
+/**
+ * Convert a keybindings.json key to pack notation
+ *
+ * Modifiers use the platform's names and the order the vscode pack writes
+ * them in: Cmd, Ctrl, Option, Shift on macOS (`alt` is Option, `meta` is
+ * Cmd) and Ctrl, Shift, Alt, then Super (Linux) or Win (Windows) elsewhere. Letters after a modifier
+ * are uppercase, as VS Code shows them; a bare letter stays lowercase
+ * because it is pressed without Shift.
+ *
+ * @param {string} key - Key as written in keybindings.json (e.g. 'ctrl+k ctrl+s')
+ * @param {Object} options - { platform } (default process.platform)
+ * @returns {string|null} Key notation, or null if a key cannot be sent from a terminal
+ *
+ * @example
+ * vscodeKeyToNotation('ctrl+k ctrl+s') // 'Ctrl+K Ctrl+S'
+ * vscodeKeyToNotation('alt+cmd+up', { platform: 'darwin' }) // 'Cmd+Option+Up'
+ * vscodeKeyToNotation('ctrl+k z') // 'Ctrl+K z'
+ * vscodeKeyToNotation('f12') // null
+ */
+export function vscodeKeyToNotation(key, options = {}) {
+  const platform = options.platform ?? process.platform;
+  const metaName = platform === 'darwin' ? 'Cmd' : platform === 'win32' ? 'Win' : 'Super';
+  const modifierNames = {
+    ctrl: 'Ctrl',
+    shift: 'Shift',
+    alt: platform === 'darwin' ? 'Option' : 'Alt',
+    cmd: metaName, meta: metaName, win: metaName
+  };
+  const order = platform === 'darwin' ? ['Cmd', 'Ctrl', 'Option', 'Shift'] : ['Ctrl', 'Shift', 'Alt', metaName];
+
+  const chords = key.trim().toLowerCase().split(/\s+/).map(chord => {
+    const parts = chord.split(/\+(?!$)/);
+    const base = parts.pop();
+    const mods = parts.map(part => modifierNames[part]);
+    if (mods.some(mod => !mod)) return null;
+
+    const name = base.length === 1 ? base : KEY_NAMES[base];
+    if (!name) return null; // f1-f19, numpad, media and oem_ keys
+    const display = mods.length > 0 && /^[a-z]$/.test(name) ? name.toUpperCase() : name;
+    return [...order.filter(mod => mods.includes(mod)), display].join('+');
+  });
+
+  return chords.includes(null) ? null : chords.join(' ');
+}
+
+/**
+ * Find the category rule for a command id
+ * @private
+ */
+function categorize(command) {
+  const rule = CATEGORY_RULES.find(({ pattern }) => pattern.test(command));
+  if (rule) return rule;
+
+  // Extension commands: 'rust-analyzer.run' -> Rust Analyzer
+  const owner = command.includes('.') ? command.split('.')[0] : 'commands';
+  const category = owner === 'extension' || owner === 'commands'
+    ? 'Extensions'
+    : owner.split(/[-_]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  return { category, targetType: 'plugin', color: 'green', prefix: category === 'Extensions' ? null : category.toUpperCase() };
+}
+
+/**
+ * Build a concept from a command id: 'workbench.action.terminal.focusNext' -> 'TERMINAL FOCUS NEXT'
+ *
+ * Text arguments (`type`, `sendSequence`) are added, since they are what
+ * the binding is for.
+ *
+ * @private
+ */
+function describeCommand(command, args, rule) {
+  const name = command.split('.').pop();
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[-_]+/g, ' ').toUpperCase();
+  const detail = typeof args === 'string' ? args : typeof args?.text === 'string' ? args.text : '';
+  const described = rule.prefix && !words.includes(rule.prefix) ? `${rule.prefix} ${words}` : words;
+  const concept = `${described} ${detail.replace(/[\r\n]+/g, ' ')}`.replace(/\s+/g, ' ').trim();
+
+  // Keep concepts short enough for the command card, cutting at a word
+  if (concept.length <= 40) {
+    return concept;
+  }
+  const cut = concept.slice(0, 41).lastIndexOf(' ');
+  return concept.slice(0, cut > 0 ? cut : 40).trim();
+}
+
+/**
+ * Turn a concept into a command id slug
+ * @private
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'binding';
+}
+
+/**
+ * Build a personal VS Code pack from a keybindings.json
+ *
+ * The result is a data pack (target generators are template lists), so it
+ * can be saved as YAML/JSON and loaded with packFromData.
+ *
+ * @param {string} text - keybindings.json contents
+ * @param {Object} options - { id, name, source, platform } (platform defaults to process.platform)
+ * @returns {Object} { pack, skipped: Array<{line, reason}> }
+ * @throws {Error} If the file is not a JSON array
+ *
+ * @example
+ * const { pack } = importVscodeKeybindings(readFileSync(path, 'utf8'), { source: path });
+ */
+export function importVscodeKeybindings(text, options = {}) {
+  const { entries, skipped } = parseKeybindingsJson(text);
+  const platform = options.platform ?? process.platform;
+  const vscodePack = createVscodePack(platform);
+  const commandFor = Object.fromEntries(Object.entries(KNOWN_COMMANDS).map(([command, id]) => [id, command]));
+  const builtIn = Object.fromEntries(
+    vscodePack.groups.flatMap(group => group.commands.map(cmd => [cmd.id, { ...cmd, groupName: group.name }]))
+  );
+
+  // Default bindings first, then the file's changes in order
+  const bindings = Object.values(builtIn).map(cmd => ({ command: commandFor[cmd.id], keys: cmd.keys, knownId: cmd.id, isDefault: true }));
+  const sameKeys = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  entries.forEach(entry => {
+    const keys = entry.key ? vscodeKeyToNotation(entry.key, { platform }) : null;
+
+    if (entry.command.startsWith('-')) {
+      if (entry.key && !keys) return; // Nothing in the pack uses keys a terminal cannot send
+      const command = entry.command.slice(1);
+      const removed = bindings.filter(binding => binding.command === command &&
+        (!entry.key || sameKeys(binding.keys, keys)) &&
+        (binding.isDefault || !entry.when || binding.when === entry.when));
+      removed.forEach(binding => bindings.splice(bindings.indexOf(binding), 1));
+      return;
+    }
+
+    if (!keys) {
+      skipped.push({ line: entry.line, reason: `key "${entry.key}" cannot be practised in a terminal` });
+      return;
+    }
+
+    const knownId = entry.args === undefined ? KNOWN_COMMANDS[entry.command] ?? null : null;
+    const binding = { command: entry.command, args: entry.args, keys, knownId, when: entry.when, isDefault: false };
+
+    // The first binding for a standard command replaces its default keys, in place
+    const replaced = knownId ? bindings.findIndex(other => other.isDefault && other.knownId === knownId) : -1;
+    if (replaced !== -1) {
+      bindings[replaced] = binding;
+    } else {
+      bindings.push(binding);
+    }
+
+    // A binding on a default's keys takes them over
+    bindings.filter(other => other.isDefault && sameKeys(other.keys, keys))
+      .forEach(other => bindings.splice(bindings.indexOf(other), 1));
+  });
+
+  const groups = new Map(vscodePack.groups.map(group => [group.name, { name: group.name, description: group.description, commands: [] }]));
+  const usedIds = new Set();
+  const uniqueId = base => {
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  bindings.forEach(binding => {
+    const context = binding.when ? { context: binding.when } : {};
+
+    if (binding.knownId) {
+      const { groupName, id, keys: _defaultKeys, ...known } = builtIn[binding.knownId];
+      groups.get(groupName).commands.push({ id: uniqueId(id), keys: binding.keys, ...known, ...context });
+      return;
+    }
+
+    const rule = categorize(binding.command);
+    if (!groups.has(rule.category)) {
+      groups.set(rule.category, { name: rule.category, description: `Your ${rule.category} keybindings`, commands: [] });
+    }
+    const concept = describeCommand(binding.command, binding.args, rule);
+    const steps = binding.keys.split(' ');
+    const modifiers = steps.reduce((sum, step) => sum + step.split('+').length - 1, 0);
+    const complexity = Math.min(1.8, Math.round((1.0 + 0.1 * Math.max(0, modifiers - 1) + 0.3 * (steps.length - 1)) * 10) / 10);
+    const color = /^(CLOSE|DELETE|KILL|REMOVE)\b|\b(CLOSE|DELETE|KILL|REMOVE)$/.test(concept) ? 'red' : rule.color;
+    groups.get(rule.category).commands.push({
+      id: uniqueId(slugify(concept)),
+      keys: binding.keys,
+      concept,
+      color,
+      complexity,
+      targetType: rule.targetType,
+      ...context
+    });
+  });
+
+  const packGroups = [...groups.values()].filter(group => group.commands.length > 0);
+  const usedTypes = new Set(packGroups.flatMap(group => group.commands.map(cmd => cmd.targetType)));
+
+  return {
+    pack: {
+      id: options.id || 'vscode-personal',
+      name: options.name || 'VS Code (Personal)',
+      description: options.source ? `Your VS Code keybindings, imported from ${options.source}` : 'Your VS Code keybindings',
+      version: '1.0.0',
+      groups: packGroups,
+      targetGenerators: Object.fromEntries(
+        Object.entries(VSCODE_TARGETS)
+          .filter(([type]) => usedTypes.has(type))
+          .map(([type, samples]) => [type, samples.map(escapeTemplate)])
+      ),
+      keyNotation: { ...vscodePack.keyNotation }
+    },
+    skipped: skipped.sort((a, b) => a.line - b.line)
+  };
+}
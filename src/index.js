@@ -1,79 +1,183 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { render, Box, Text, useInput, useApp } from 'ink';
+import { render, Box, Text, useInput, useApp, useStdout } from 'ink';
 import { getPack } from './packs/index.js';
-import { Storage } from './utils/storage.js';
-import { selectNextCommand } from './core/queue.js';
-import { updateCommandState, initializeCommandState, shouldReviewCommand } from './core/srs.js';
-import { calculateScore, updateCombo } from './core/scorer.js';
-import { getTimeLimit, createTimer } from './core/timer.js';
-import { InputBuffer, parseKeyNotation } from './utils/keyparser.js';
+import { Storage, appendAttempt, appendSession } from './utils/storage.js';
+import { selectNextCommand, REPEAT_GAP } from './core/queue.js';
+import { getCommandId, getPackCommands, getPlayablePack, migrateProgressIds } from './core/commands.js';
+import { initializeCommandState, getAlgorithm, resolveAlgorithmId, migrateCommandState, gradeAnswer } from './core/srs.js';
+import { SessionScorer } from './core/scorer.js';
+import { getAdaptiveTimeLimit, createTimer, createSessionClock, HINT_TIME_BONUS } from './core/timer.js';
+import { getUnlockedCommands, advanceGroups } from './core/progression.js';
+import { ChordSequence, parseKeyNotation, normalizeKeyEvent, parseFocusEvent, detectKittyKeyboard, FOCUS_REPORTING } from './utils/keyparser.js';
+import { resolveKeyDisplay } from './utils/keydisplay.js';
+import { generateTarget, createChallenge } from './core/targets.js';
+import { getKeyVisibility, canHint, HINT_KEY } from './core/recall.js';
+import { resolveControlKey, findBinding, getMenuAction } from './core/controls.js';
+import { summarizeSession, formatSummary } from './core/summary.js';
 import Header from './ui/Header.js';
 import Footer from './ui/Footer.js';
 import CommandCard from './ui/CommandCard.js';
 import Feedback from './ui/Feedback.js';
 import GroupIntro from './ui/GroupIntro.js';
 import Stats from './ui/Stats.js';
+import ControlMenu from './ui/ControlMenu.js';
+import PauseScreen from './ui/PauseScreen.js';
+import SessionSummary from './ui/SessionSummary.js';
 
-export function GameController({ packId }) {
+export function GameController({ packId, onSessionEnd, kittyKeyboard = true }) {
   const { exit } = useApp();
+  const { stdout } = useStdout();
   const [pack, setPack] = useState(null);
+  // The commands this terminal can send keys for; groups and progress still follow the full pack
+  const [playablePack, setPlayablePack] = useState(null);
   const [storage, setStorage] = useState(null);
   const [progress, setProgress] = useState(null);
+  const [algorithm, setAlgorithm] = useState(null);
+  // Platform and keyboard layout keys are shown for; matching ignores both
+  const [keyDisplay, setKeyDisplay] = useState(() => resolveKeyDisplay());
+  // Opens the in-game menu; never one of the pack's keys, so every other key is an answer
+  const [controlKey, setControlKey] = useState(null);
+  // Asks for a hint; null when the pack binds it, leaving hints to the menu
+  const [hintKey, setHintKey] = useState(null);
   const [currentCommand, setCurrentCommand] = useState(null);
-  const [inputBuffer] = useState(() => new InputBuffer(2000));
-  const [sessionState, setSessionState] = useState({
-    startTime: Date.now(),
-    combo: 0,
-    score: 0,
-    correct: 0,
-    total: 0
-  });
+  // Generated once per prompt so the text stays put while the timer ticks
+  const [target, setTarget] = useState(null);
+  // Time played this session; pauses, the menu and stats don't count
+  const [sessionClock] = useState(() => createSessionClock());
+  // Score, combo and accuracy for this session; the state copy re-renders Header and Footer
+  const [scorer] = useState(() => new SessionScorer());
+  const [sessionStats, setSessionStats] = useState(() => scorer.getStats());
+  // Shown once the player quits
+  const [summary, setSummary] = useState(null);
   const [screen, setScreen] = useState('game');
-  const [feedback, setFeedback] = useState({ show: false, isCorrect: false, correctKeys: '' });
+  // Why the pause screen is up: 'player' (from the menu) or 'focus' (terminal lost focus)
+  const [pauseReason, setPauseReason] = useState('player');
+  const [introGroup, setIntroGroup] = useState(null);
+  const [feedback, setFeedback] = useState({ show: false, isCorrect: false, correctKeys: '', mismatch: null, reason: null, hints: 0, steps: [] });
+  // Steps done in the current command's chord sequence, and whether a pending prefix just expired
+  const [chordProgress, setChordProgress] = useState({ position: 0, expired: false });
+  // The target buffer as the player's keys have left it, for packs with an emulator
+  const [liveBuffer, setLiveBuffer] = useState(null);
+  // Hints taken for the current command, each revealing one more chord
+  const [hints, setHints] = useState(0);
   const [timeRemaining, setTimeRemaining] = useState(5.0);
   
   const timerRef = useRef(null);
+  const timeoutRef = useRef(null);
+  // The current prompt: its own clock (paused with the game), ms to the first key, keys typed, time limit
+  const attemptRef = useRef({ clock: null, firstKeyLatency: null, keys: [], timeLimit: null });
+  const sequenceRef = useRef(null);
+  // In-session schedule: how many prompts have been shown, when each command last appeared, and the latest ids
+  const sessionQueueRef = useRef({ shown: 0, lastShownAt: {}, recent: [] });
+  // Whether the terminal has focus, as last reported
+  const focusRef = useRef(true);
+  // Time played in earlier sessions, which this session's time is added to
+  const earlierTimeRef = useRef(0);
+  // When the session began and every command's level then, for the summary
+  const sessionStartRef = useRef(Date.now());
+  const startLevelsRef = useRef({});
+  const feedbackTimeoutRef = useRef(null);
   
   useEffect(() => {
     try {
       const loadedPack = getPack(packId);
+      const playable = getPlayablePack(loadedPack, { kittyKeyboard });
+      if (getPackCommands(playable).length === 0) {
+        throw new Error(`${loadedPack.name} keys need a terminal with the kitty keyboard protocol (kitty, WezTerm, Ghostty)`);
+      }
       setPack(loadedPack);
+      setPlayablePack(playable);
       
       const storageInstance = new Storage(packId);
       setStorage(storageInstance);
       
-      let savedProgress = storageInstance.loadProgress();
+      // Saved progress is keyed by command id; re-key older or outdated saves
+      let savedProgress = migrateProgressIds(storageInstance.loadProgress(), loadedPack).progress;
       
-      const allCommands = loadedPack.groups.flatMap(g => g.commands);
-      if (!savedProgress.commandStats) {
-        savedProgress.commandStats = {};
-      }
-      allCommands.forEach(cmd => {
-        if (!savedProgress.commandStats[cmd.keys]) {
-          savedProgress.commandStats[cmd.keys] = initializeCommandState(cmd);
-        }
+      const activeAlgorithm = getAlgorithm(resolveAlgorithmId(loadedPack, storageInstance.getSettings()));
+      setAlgorithm(activeAlgorithm);
+      setKeyDisplay(resolveKeyDisplay(storageInstance.getSettings()));
+      setControlKey(resolveControlKey(loadedPack, storageInstance.getSettings()));
+      setHintKey(findBinding(loadedPack, HINT_KEY) ? null : HINT_KEY);
+      
+      getPackCommands(loadedPack).forEach(cmd => {
+        const id = getCommandId(cmd);
+        const state = savedProgress.commandStats[id] || initializeCommandState(cmd);
+        // Carry existing progress over if the pack or user switched algorithms
+        savedProgress.commandStats[id] = migrateCommandState(state, activeAlgorithm.id);
       });
       
+      // Nothing playable unlocked yet: open the way to the first group that has some
+      if (getUnlockedCommands(playable, savedProgress).length === 0) {
+        savedProgress = advanceGroups(playable, savedProgress).progress;
+      }
+      
+      earlierTimeRef.current = savedProgress.globalStats?.totalTime || 0;
+      startLevelsRef.current = Object.fromEntries(
+        Object.entries(savedProgress.commandStats).map(([id, state]) => [id, state.level])
+      );
       setProgress(savedProgress);
       storageInstance.saveProgress(savedProgress);
       
-      selectNext(savedProgress, allCommands);
+      selectNext(savedProgress, getUnlockedCommands(playable, savedProgress));
     } catch (error) {
       console.error('Failed to initialize game:', error);
       exit();
     }
-  }, [packId, exit]);
+  }, [packId, kittyKeyboard, exit]);
+  
+  // Terminals that support it report focus changes, so looking away pauses the game
+  useEffect(() => {
+    stdout.write(FOCUS_REPORTING.enable);
+    return () => {
+      stdout.write(FOCUS_REPORTING.disable);
+    };
+  }, [stdout]);
+  
+  // Nothing may keep ticking once the game is gone
+  useEffect(() => () => {
+    timerRef.current?.stop();
+    sequenceRef.current?.dispose();
+    clearTimeout(feedbackTimeoutRef.current);
+  }, []);
+  
+  useEffect(() => {
+    const nextTarget = pack && currentCommand ? generateTarget(pack, currentCommand) : null;
+    setTarget(nextTarget);
+    // Packs with an emulator grade the keys by their effect on the target instead
+    const challenge = nextTarget ? createChallenge(pack, currentCommand, nextTarget) : null;
+    if (challenge) {
+      sequenceRef.current?.dispose();
+      sequenceRef.current = challenge;
+    }
+    setLiveBuffer(challenge ? challenge.getState() : null);
+  }, [pack, currentCommand]);
   
   const selectNext = (currentProgress, commands) => {
-    const commandsWithState = commands.map(cmd => ({
-      ...cmd,
-      ...(currentProgress.commandStats[cmd.keys] || initializeCommandState(cmd))
-    }));
+    const sessionQueue = sessionQueueRef.current;
+    const commandsWithState = commands.map(cmd => {
+      const id = getCommandId(cmd);
+      return {
+        ...(currentProgress.commandStats[id] || initializeCommandState(cmd)),
+        // The pack's current definition wins over whatever was saved with the state
+        ...cmd,
+        commandsSinceLastSeen: id in sessionQueue.lastShownAt
+          ? sessionQueue.shown - sessionQueue.lastShownAt[id] - 1
+          : null
+      };
+    });
     
-    const next = selectNextCommand(commandsWithState, 0);
+    const next = selectNextCommand(commandsWithState, null, {
+      allowEarlyReview: true,
+      recent: sessionQueue.recent
+    });
     if (next) {
+      const nextId = getCommandId(next);
+      sessionQueue.lastShownAt[nextId] = sessionQueue.shown;
+      sessionQueue.shown++;
+      sessionQueue.recent = [...sessionQueue.recent, nextId].slice(-REPEAT_GAP.max);
       setCurrentCommand(next);
-      const timeLimit = getTimeLimit(next);
+      const timeLimit = getAdaptiveTimeLimit(next, currentProgress.attemptLog);
       setTimeRemaining(timeLimit);
       
       if (timerRef.current) {
@@ -81,76 +185,267 @@ export function GameController({ packId }) {
       }
       timerRef.current = createTimer(timeLimit, 
         (remaining) => setTimeRemaining(remaining),
-        () => handleTimeout()
+        () => timeoutRef.current()
       );
       timerRef.current.start();
+      attemptRef.current = { clock: createSessionClock(), firstKeyLatency: null, keys: [], timeLimit };
+      // Looked away while the last answer was shown: hold the new prompt
+      if (!focusRef.current) {
+        pauseGame('focus');
+      }
+      
+      sequenceRef.current?.dispose();
+      sequenceRef.current = new ChordSequence(next.keys, {
+        onExpire: sequence => setChordProgress({ position: sequence.position, expired: true })
+      });
+      setChordProgress({ position: 0, expired: false });
+      setHints(0);
     }
   };
   
   const handleTimeout = () => {
     handleAnswer(false);
   };
+  // The timer outlives the render that created it, so it calls through a ref
+  timeoutRef.current = handleTimeout;
   
-  const handleAnswer = (isCorrect) => {
+  const handleAnswer = (isCorrect, mismatch = null) => {
     if (!currentCommand || !storage || !progress) return;
     
+    // Response time feeds the grade: slow recall is weaker than instant recall
+    const { timeLimit } = attemptRef.current;
+    let responseTime = null;
     if (timerRef.current) {
+      responseTime = timeLimit - timerRef.current.getRemaining();
       timerRef.current.stop();
     }
+    const sequence = sequenceRef.current;
+    sequence?.dispose();
+    const reason = isCorrect ? null : sequence?.reason ?? null;
+    const grade = gradeAnswer(currentCommand, isCorrect, responseTime, hints);
     
-    const updatedCommand = updateCommandState(currentCommand, isCorrect);
-    const newProgress = { ...progress };
-    newProgress.commandStats[currentCommand.keys] = updatedCommand;
+    // Session-only scheduling fields are not persisted
+    const { commandsSinceLastSeen, originalIndex, group, ...commandState } = currentCommand;
+    const updatedCommand = algorithm.update(commandState, grade, Date.now(), { hints });
+    let newProgress = { ...progress };
+    newProgress.commandStats[getCommandId(currentCommand)] = updatedCommand;
     
-    const newCombo = updateCombo(isCorrect, sessionState.combo);
-    const points = isCorrect ? calculateScore(timeRemaining, getTimeLimit(currentCommand), currentCommand.level, sessionState.combo) : 0;
-    
-    setSessionState({
-      ...sessionState,
-      combo: newCombo,
-      score: sessionState.score + points,
-      correct: sessionState.correct + (isCorrect ? 1 : 0),
-      total: sessionState.total + 1
+    const answeredAt = Date.now();
+    const attempt = attemptRef.current;
+    appendAttempt(newProgress, getCommandId(currentCommand), {
+      timestamp: answeredAt,
+      firstKeyLatency: attempt.firstKeyLatency,
+      completionTime: attempt.clock.getElapsed(),
+      keys: attempt.keys,
+      steps: sequence ? sequence.steps : [],
+      hints,
+      outcome: isCorrect ? 'correct' : (mismatch || reason ? 'wrong' : 'timeout'),
+      grade,
+      level: currentCommand.level
     });
     
+    const { score: points, combo: newCombo } = scorer.recordAttempt(isCorrect, timeRemaining, timeLimit, currentCommand.level, hints);
+    setSessionStats(scorer.getStats());
+    
     newProgress.globalStats = {
       ...newProgress.globalStats,
       totalCommands: (newProgress.globalStats?.totalCommands || 0) + 1,
       totalScore: (newProgress.globalStats?.totalScore || 0) + points,
       bestCombo: Math.max(newProgress.globalStats?.bestCombo || 0, newCombo),
-      totalTime: Date.now() - sessionState.startTime
+      totalTime: earlierTimeRef.current + sessionClock.getElapsed()
     };
     
+    const advanced = advanceGroups(playablePack, newProgress);
+    newProgress = advanced.progress;
+    
     setProgress(newProgress);
     storage.saveProgress(newProgress);
     
     setFeedback({ 
       show: true, 
       isCorrect, 
-      correctKeys: currentCommand.keys 
+      correctKeys: currentCommand.keys,
+      mismatch,
+      reason,
+      hints,
+      steps: sequence ? sequence.getCurrentSteps() : []
     });
     
-    setTimeout(() => {
-      setFeedback({ show: false, isCorrect: false, correctKeys: '' });
+    feedbackTimeoutRef.current = setTimeout(() => {
+      setFeedback({ show: false, isCorrect: false, correctKeys: '', mismatch: null, reason: null, hints: 0, steps: [] });
       
-      const allCommands = pack.groups.flatMap(g => g.commands);
-      selectNext(newProgress, allCommands);
-    }, isCorrect ? 500 : 1000);
+      if (advanced.unlockedGroup !== null) {
+        // Hold the queue until the player has seen the new group
+        setIntroGroup(playablePack.groups[advanced.unlockedGroup]);
+        setScreen('intro');
+        return;
+      }
+      selectNext(newProgress, getUnlockedCommands(playablePack, newProgress));
+    }, isCorrect ? (target?.after ? 750 : 500) : 1000);
   };
   
-  useInput((input, key) => {
-    if (key.escape || input === 'q') {
+  const takeHint = () => {
+    if (canHint(currentCommand.keys, getKeyVisibility(currentCommand, pack), hints)) {
+      setHints(hints + 1);
+      timerRef.current?.addTime(HINT_TIME_BONUS);
+      // The attempt's limit grows with the clock so response time stays right
+      attemptRef.current.timeLimit += HINT_TIME_BONUS;
+    }
+  };
+  
+  // The clocks stand still while the menu, stats or pause screen is up, so the
+  // time limit, a pending chord prefix, the logged response times and the
+  // session time all skip it
+  const stopClocks = () => {
+    timerRef.current?.pause();
+    sequenceRef.current?.pause();
+    attemptRef.current.clock?.pause();
+    sessionClock.pause();
+  };
+  
+  const openMenu = () => {
+    stopClocks();
+    setScreen('menu');
+  };
+  
+  const pauseGame = (reason) => {
+    stopClocks();
+    setPauseReason(reason);
+    setScreen('paused');
+  };
+  
+  const resumeGame = () => {
+    setScreen('game');
+    sessionClock.resume();
+    attemptRef.current.clock?.resume();
+    sequenceRef.current?.resume();
+    if (timerRef.current?.isPaused()) {
+      timerRef.current.start();
+    }
+  };
+  
+  // Stop play, save the session and report it; false if nothing was answered
+  const endSession = () => {
+    timerRef.current?.stop();
+    sequenceRef.current?.dispose();
+    clearTimeout(feedbackTimeoutRef.current);
+    sessionClock.pause();
+    
+    const stats = scorer.getStats();
+    if (!progress || stats.totalAttempts === 0) {
+      return false;
+    }
+    const sessionSummary = summarizeSession({
+      pack,
+      progress,
+      stats,
+      duration: sessionClock.getElapsed(),
+      startLevels: startLevelsRef.current,
+      since: sessionStartRef.current
+    });
+    const newProgress = appendSession({ ...progress }, sessionSummary.session);
+    setProgress(newProgress);
+    storage.saveProgress(newProgress);
+    setSummary(sessionSummary);
+    onSessionEnd?.(formatSummary(sessionSummary, keyDisplay));
+    return true;
+  };
+  
+  const quit = () => {
+    if (endSession()) {
+      setScreen('summary');
+    } else {
       exit();
-    } else if (input === 's') {
+    }
+  };
+  
+  const handleMenuAction = (action) => {
+    if (action === 'pause') {
+      pauseGame('player');
+    } else if (action === 'stats') {
       setScreen('stats');
-    } else if (screen === 'stats' && key.escape) {
+    } else if (action === 'hint') {
+      takeHint();
+      resumeGame();
+    } else if (action === 'skip') {
+      // Skipped commands are neither graded nor logged
+      setScreen('game');
+      sessionClock.resume();
+      timerRef.current?.stop();
+      selectNext(progress, getUnlockedCommands(playablePack, progress));
+    } else if (action === 'quit') {
+      quit();
+    }
+  };
+  
+  useInput((input, key) => {
+    // Focus reports are never keys; only an unanswered prompt has a clock to stop
+    const focus = parseFocusEvent(input);
+    if (focus) {
+      focusRef.current = focus === 'in';
+      if (focus === 'out' && screen === 'game' && currentCommand && !feedback.show) {
+        pauseGame('focus');
+      }
+      return;
+    }
+    
+    const tokens = normalizeKeyEvent(input, key);
+    const isControlKey = tokens.length === 1 && tokens[0] === controlKey;
+    
+    if (tokens[0] === 'Ctrl+c' && !(screen === 'game' && findBinding(pack, 'Ctrl+c'))) {
+      // Ctrl+C quits at once from any screen (the summary is still printed), except where it is an answer
+      if (screen !== 'summary') {
+        endSession();
+      }
+      exit();
+    } else if (screen === 'summary') {
+      exit();
+    } else if (screen === 'intro') {
+      setIntroGroup(null);
       setScreen('game');
-    } else if (screen === 'game' && currentCommand) {
-      inputBuffer.addKey(input);
+      selectNext(progress, getUnlockedCommands(playablePack, progress));
+    } else if (screen === 'menu') {
+      if (isControlKey || key.escape) {
+        resumeGame();
+      } else {
+        handleMenuAction(getMenuAction(tokens[0]));
+      }
+    } else if (screen === 'stats' || screen === 'paused') {
+      if (isControlKey || key.escape) {
+        resumeGame();
+      }
+    } else if (isControlKey && screen === 'game' && currentCommand && !feedback.show) {
+      openMenu();
+    } else if (screen === 'game' && currentCommand && !feedback.show && sequenceRef.current) {
+      const sequence = sequenceRef.current;
+      
+      // The hint key is never an answer: packs that bind it get hints from the menu only
+      if (tokens.length === 1 && tokens[0] === hintKey) {
+        takeHint();
+        return;
+      }
+      if (tokens.length > 0 && attemptRef.current.firstKeyLatency === null) {
+        attemptRef.current.firstKeyLatency = attemptRef.current.clock.getElapsed();
+      }
       
-      if (inputBuffer.matches(currentCommand.keys)) {
-        handleAnswer(true);
-        inputBuffer.clear();
+      // Grade one step per key; pasted text stops at the first step that settles the answer
+      for (const token of tokens) {
+        attemptRef.current.keys.push(token);
+        const status = sequence.press(token);
+        if (status === 'complete') {
+          handleAnswer(true);
+          return;
+        }
+        if (status === 'wrong') {
+          // Fail as soon as a step is pressed wrong (or a free-form edit goes astray)
+          handleAnswer(false, sequence.getMismatch());
+          return;
+        }
+      }
+      if (tokens.length > 0 && sequence instanceof ChordSequence) {
+        setChordProgress({ position: sequence.position, expired: false });
+      } else if (tokens.length > 0) {
+        setLiveBuffer(sequence.getState());
       }
     }
   });
@@ -159,16 +454,34 @@ export function GameController({ packId }) {
     return <Text>Loading...</Text>;
   }
   
+  if (screen === 'summary' && summary) {
+    return <SessionSummary summary={summary} display={keyDisplay} />;
+  }
+  
+  if (screen === 'intro' && introGroup) {
+    return <GroupIntro group={introGroup} />;
+  }
+  
   if (screen === 'stats') {
-    return <Stats progress={progress} commands={pack.groups.flatMap(g => g.commands)} onClose={() => setScreen('game')} />;
+    return <Stats progress={progress} commands={pack.groups.flatMap(g => g.commands)} onClose={resumeGame} />;
   }
   
-  const accuracy = sessionState.total > 0 ? Math.round((sessionState.correct / sessionState.total) * 100) : 100;
-  const sessionTime = Date.now() - sessionState.startTime;
+  if (screen === 'menu') {
+    return (
+      <ControlMenu
+        controlKey={controlKey}
+        hintAvailable={canHint(currentCommand.keys, getKeyVisibility(currentCommand, pack), hints)}
+        display={keyDisplay}
+      />
+    );
+  }
   
-  const targetText = currentCommand && pack.targetGenerators?.[currentCommand.targetType]
-    ? pack.targetGenerators[currentCommand.targetType]()
-    : '';
+  if (screen === 'paused') {
+    return <PauseScreen controlKey={controlKey} reason={pauseReason} display={keyDisplay} />;
+  }
+  
+  const accuracy = sessionStats.totalAttempts > 0 ? Math.round(sessionStats.accuracy) : 100;
+  const sessionTime = sessionClock.getElapsed();
   
   return (
     <Box flexDirection="column">
@@ -177,13 +490,24 @@ export function GameController({ packId }) {
         currentGroup={progress.currentGroup}
         totalGroups={pack.groups.length}
         sessionTime={sessionTime}
-        combo={sessionState.combo}
+        combo={sessionStats.currentCombo}
       />
       
       <Box flexDirection="column" flexGrow={1} justifyContent="center" alignItems="center">
         {currentCommand && (
           <>
-            <CommandCard command={currentCommand} targetText={targetText} />
+            <CommandCard
+              command={currentCommand}
+              target={target}
+              buffer={liveBuffer}
+              showResult={feedback.show && feedback.isCorrect}
+              chords={sequenceRef.current?.chords}
+              chordProgress={chordProgress}
+              keyVisibility={getKeyVisibility(currentCommand, pack)}
+              hints={hints}
+              hintKey={hintKey}
+              display={keyDisplay}
+            />
             <Box marginTop={1}>
               <Text color="yellow">⏱  {timeRemaining.toFixed(1)}s remaining</Text>
             </Box>
@@ -193,20 +517,41 @@ export function GameController({ packId }) {
         <Feedback 
           isCorrect={feedback.isCorrect}
           correctKeys={feedback.correctKeys}
+          mismatch={feedback.mismatch}
+          reason={feedback.reason}
+          hints={feedback.hints}
+          steps={feedback.steps}
+          display={keyDisplay}
           show={feedback.show}
         />
       </Box>
       
       <Footer 
         accuracy={accuracy}
-        score={sessionState.score}
+        score={sessionStats.totalScore}
         masteredCount={Object.values(progress.commandStats).filter(c => c.level === 5).length}
         totalCommands={pack.groups.flatMap(g => g.commands).length}
+        controlKey={controlKey}
+        display={keyDisplay}
       />
     </Box>
   );
 }
 
 export function startGame(packId) {
-  return render(<GameController packId={packId} />);
+  let summary = null;
+  // Kitty keyboard protocol lets supporting terminals report Super and Ctrl+Shift chords;
+  // in other terminals the commands that need it are left out of play
+  // Ctrl+C is an answer in some packs, so the controller decides when it quits
+  const instance = render(<GameController packId={packId} kittyKeyboard={detectKittyKeyboard()} onSessionEnd={text => { summary = text; }} />, {
+    kittyKeyboard: { mode: 'auto' },
+    exitOnCtrlC: false
+  });
+  // Printed once Ink has let go of the terminal, so the summary stays in the scrollback
+  instance.waitUntilExit().then(() => {
+    if (summary) {
+      process.stdout.write(summary);
+    }
+  });
+  return instance;
 }
@@ -9,81 +9,79 @@ export default {
       name: 'Window Navigation',
       description: 'Core movement between windows',
       commands: [
-        {keys: 'Super+h', concept: 'FOCUS LEFT', color: 'cyan', complexity: 1.0, targetType: 'window'},
-        {keys: 'Super+j', concept: 'FOCUS DOWN', color: 'cyan', complexity: 1.0, targetType: 'window'},
-        {keys: 'Super+k', concept: 'FOCUS UP', color: 'cyan', complexity: 1.0, targetType: 'window'},
-        {keys: 'Super+l', concept: 'FOCUS RIGHT', color: 'cyan', complexity: 1.0, targetType: 'window'},
-        {keys: 'Super+Tab', concept: 'NEXT WINDOW', color: 'cyan', complexity: 1.1, targetType: 'window'},
-        {keys: 'Super+Shift+Tab', concept: 'PREV WINDOW', color: 'cyan', complexity: 1.2, targetType: 'window'},
-        {keys: 'Alt+Tab', concept: 'CYCLE RECENT', color: 'blue', complexity: 1.0, targetType: 'window'}
+        {id: 'focus-left', keys: 'Super+h', concept: 'FOCUS LEFT', color: 'cyan', complexity: 1.0, targetType: 'window'},
+        {id: 'focus-down', keys: 'Super+j', concept: 'FOCUS DOWN', color: 'cyan', complexity: 1.0, targetType: 'window'},
+        {id: 'focus-up', keys: 'Super+k', concept: 'FOCUS UP', color: 'cyan', complexity: 1.0, targetType: 'window'},
+        {id: 'focus-right', keys: 'Super+l', concept: 'FOCUS RIGHT', color: 'cyan', complexity: 1.0, targetType: 'window'},
+        {id: 'next-window', keys: 'Super+Tab', concept: 'NEXT WINDOW', color: 'cyan', complexity: 1.1, targetType: 'window'},
+        {id: 'prev-window', keys: 'Super+Shift+Tab', concept: 'PREV WINDOW', color: 'cyan', complexity: 1.2, targetType: 'window'},
+        {id: 'cycle-recent', keys: 'Alt+Tab', concept: 'CYCLE RECENT', color: 'blue', complexity: 1.0, targetType: 'window'}
       ]
     },
     {
       name: 'Workspace Control',
       description: 'Switch and manage workspaces',
       commands: [
-        {keys: 'Super+1', concept: 'WORKSPACE 1', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+2', concept: 'WORKSPACE 2', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+3', concept: 'WORKSPACE 3', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+4', concept: 'WORKSPACE 4', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+5', concept: 'WORKSPACE 5', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+6', concept: 'WORKSPACE 6', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+7', concept: 'WORKSPACE 7', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+8', concept: 'WORKSPACE 8', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+9', concept: 'WORKSPACE 9', color: 'blue', complexity: 1.0, targetType: 'workspace'},
-        {keys: 'Super+Shift+1', concept: 'MOVE TO WORKSPACE 1', color: 'blue', complexity: 1.3, targetType: 'workspace'},
-        {keys: 'Super+Shift+2', concept: 'MOVE TO WORKSPACE 2', color: 'blue', complexity: 1.3, targetType: 'workspace'},
-        {keys: 'Super+Shift+3', concept: 'MOVE TO WORKSPACE 3', color: 'blue', complexity: 1.3, targetType: 'workspace'},
-        {keys: 'Super+Shift+4', concept: 'MOVE TO WORKSPACE 4', color: 'blue', complexity: 1.3, targetType: 'workspace'},
-        {keys: 'Super+Shift+5', concept: 'MOVE TO WORKSPACE 5', color: 'blue', complexity: 1.3, targetType: 'workspace'},
-        {keys: 'Super+mouse_down', concept: 'PREV WORKSPACE', color: 'blue', complexity: 1.2, targetType: 'workspace'},
-        {keys: 'Super+mouse_up', concept: 'NEXT WORKSPACE', color: 'blue', complexity: 1.2, targetType: 'workspace'}
+        {id: 'workspace-1', keys: 'Super+1', concept: 'WORKSPACE 1', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'workspace-2', keys: 'Super+2', concept: 'WORKSPACE 2', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'workspace-3', keys: 'Super+3', concept: 'WORKSPACE 3', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'workspace-4', keys: 'Super+4', concept: 'WORKSPACE 4', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'workspace-5', keys: 'Super+5', concept: 'WORKSPACE 5', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'workspace-6', keys: 'Super+6', concept: 'WORKSPACE 6', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'workspace-7', keys: 'Super+7', concept: 'WORKSPACE 7', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'workspace-8', keys: 'Super+8', concept: 'WORKSPACE 8', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'workspace-9', keys: 'Super+9', concept: 'WORKSPACE 9', color: 'blue', complexity: 1.0, targetType: 'workspace'},
+        {id: 'move-to-workspace-1', keys: 'Super+Shift+1', concept: 'MOVE TO WORKSPACE 1', color: 'blue', complexity: 1.3, targetType: 'workspace'},
+        {id: 'move-to-workspace-2', keys: 'Super+Shift+2', concept: 'MOVE TO WORKSPACE 2', color: 'blue', complexity: 1.3, targetType: 'workspace'},
+        {id: 'move-to-workspace-3', keys: 'Super+Shift+3', concept: 'MOVE TO WORKSPACE 3', color: 'blue', complexity: 1.3, targetType: 'workspace'},
+        {id: 'move-to-workspace-4', keys: 'Super+Shift+4', concept: 'MOVE TO WORKSPACE 4', color: 'blue', complexity: 1.3, targetType: 'workspace'},
+        {id: 'move-to-workspace-5', keys: 'Super+Shift+5', concept: 'MOVE TO WORKSPACE 5', color: 'blue', complexity: 1.3, targetType: 'workspace'}
       ]
     },
     {
       name: 'Window Management',
       description: 'Manipulate window layout and state',
       commands: [
-        {keys: 'Super+v', concept: 'SPLIT VERTICAL', color: 'yellow', complexity: 1.2, targetType: 'layout'},
-        {keys: 'Super+b', concept: 'SPLIT HORIZONTAL', color: 'yellow', complexity: 1.2, targetType: 'layout'},
-        {keys: 'Super+f', concept: 'FULLSCREEN TOGGLE', color: 'magenta', complexity: 1.0, targetType: 'window'},
-        {keys: 'Super+q', concept: 'CLOSE WINDOW', color: 'red', complexity: 1.0, targetType: 'window'},
-        {keys: 'Super+Shift+q', concept: 'KILL WINDOW', color: 'red', complexity: 1.3, targetType: 'window'},
-        {keys: 'Super+t', concept: 'FLOATING TOGGLE', color: 'magenta', complexity: 1.2, targetType: 'window'},
-        {keys: 'Super+m', concept: 'MAXIMIZE TOGGLE', color: 'magenta', complexity: 1.0, targetType: 'window'},
-        {keys: 'Super+p', concept: 'PIN WINDOW', color: 'yellow', complexity: 1.2, targetType: 'window'},
-        {keys: 'Super+s', concept: 'PSEUDO TILE', color: 'yellow', complexity: 1.3, targetType: 'layout'},
-        {keys: 'Super+j', concept: 'TOGGLE SPLIT', color: 'yellow', complexity: 1.2, targetType: 'layout'}
+        {id: 'split-vertical', keys: 'Super+v', concept: 'SPLIT VERTICAL', color: 'yellow', complexity: 1.2, targetType: 'layout'},
+        {id: 'split-horizontal', keys: 'Super+b', concept: 'SPLIT HORIZONTAL', color: 'yellow', complexity: 1.2, targetType: 'layout'},
+        {id: 'fullscreen-toggle', keys: 'Super+f', concept: 'FULLSCREEN TOGGLE', color: 'magenta', complexity: 1.0, targetType: 'window'},
+        {id: 'close-window', keys: 'Super+q', concept: 'CLOSE WINDOW', color: 'red', complexity: 1.0, targetType: 'window'},
+        {id: 'kill-window', keys: 'Super+Shift+q', concept: 'KILL WINDOW', color: 'red', complexity: 1.3, targetType: 'window'},
+        {id: 'floating-toggle', keys: 'Super+t', concept: 'FLOATING TOGGLE', color: 'magenta', complexity: 1.2, targetType: 'window'},
+        {id: 'maximize-toggle', keys: 'Super+m', concept: 'MAXIMIZE TOGGLE', color: 'magenta', complexity: 1.0, targetType: 'window'},
+        {id: 'pin-window', keys: 'Super+p', concept: 'PIN WINDOW', color: 'yellow', complexity: 1.2, targetType: 'window'},
+        {id: 'pseudo-tile', keys: 'Super+s', concept: 'PSEUDO TILE', color: 'yellow', complexity: 1.3, targetType: 'layout'},
+        {id: 'toggle-split', keys: 'Super+j', concept: 'TOGGLE SPLIT', color: 'yellow', complexity: 1.2, targetType: 'layout'}
       ]
     },
     {
       name: 'Window Movement',
       description: 'Move windows around workspace',
       commands: [
-        {keys: 'Super+Shift+h', concept: 'MOVE WINDOW LEFT', color: 'cyan', complexity: 1.3, targetType: 'window'},
-        {keys: 'Super+Shift+j', concept: 'MOVE WINDOW DOWN', color: 'cyan', complexity: 1.3, targetType: 'window'},
-        {keys: 'Super+Shift+k', concept: 'MOVE WINDOW UP', color: 'cyan', complexity: 1.3, targetType: 'window'},
-        {keys: 'Super+Shift+l', concept: 'MOVE WINDOW RIGHT', color: 'cyan', complexity: 1.3, targetType: 'window'},
-        {keys: 'Super+Ctrl+h', concept: 'RESIZE LEFT', color: 'yellow', complexity: 1.4, targetType: 'window'},
-        {keys: 'Super+Ctrl+j', concept: 'RESIZE DOWN', color: 'yellow', complexity: 1.4, targetType: 'window'},
-        {keys: 'Super+Ctrl+k', concept: 'RESIZE UP', color: 'yellow', complexity: 1.4, targetType: 'window'},
-        {keys: 'Super+Ctrl+l', concept: 'RESIZE RIGHT', color: 'yellow', complexity: 1.4, targetType: 'window'}
+        {id: 'move-window-left', keys: 'Super+Shift+h', concept: 'MOVE WINDOW LEFT', color: 'cyan', complexity: 1.3, targetType: 'window'},
+        {id: 'move-window-down', keys: 'Super+Shift+j', concept: 'MOVE WINDOW DOWN', color: 'cyan', complexity: 1.3, targetType: 'window'},
+        {id: 'move-window-up', keys: 'Super+Shift+k', concept: 'MOVE WINDOW UP', color: 'cyan', complexity: 1.3, targetType: 'window'},
+        {id: 'move-window-right', keys: 'Super+Shift+l', concept: 'MOVE WINDOW RIGHT', color: 'cyan', complexity: 1.3, targetType: 'window'},
+        {id: 'resize-left', keys: 'Super+Ctrl+h', concept: 'RESIZE LEFT', color: 'yellow', complexity: 1.4, targetType: 'window'},
+        {id: 'resize-down', keys: 'Super+Ctrl+j', concept: 'RESIZE DOWN', color: 'yellow', complexity: 1.4, targetType: 'window'},
+        {id: 'resize-up', keys: 'Super+Ctrl+k', concept: 'RESIZE UP', color: 'yellow', complexity: 1.4, targetType: 'window'},
+        {id: 'resize-right', keys: 'Super+Ctrl+l', concept: 'RESIZE RIGHT', color: 'yellow', complexity: 1.4, targetType: 'window'}
       ]
     },
     {
       name: 'Advanced Commands',
       description: 'Power user shortcuts',
       commands: [
-        {keys: 'Super+Return', concept: 'LAUNCH TERMINAL', color: 'green', complexity: 1.0, targetType: 'app'},
-        {keys: 'Super+d', concept: 'LAUNCH MENU', color: 'green', complexity: 1.0, targetType: 'app'},
-        {keys: 'Super+e', concept: 'TOGGLE LAYOUT', color: 'yellow', complexity: 1.2, targetType: 'layout'},
-        {keys: 'Super+w', concept: 'WORKSPACE OVERVIEW', color: 'blue', complexity: 1.2, targetType: 'workspace'},
-        {keys: 'Super+Shift+r', concept: 'RELOAD CONFIG', color: 'yellow', complexity: 1.3, targetType: 'system'},
-        {keys: 'Super+Shift+e', concept: 'EXIT HYPRLAND', color: 'red', complexity: 1.5, targetType: 'system'},
-        {keys: 'Super+Shift+Space', concept: 'TOGGLE FLOAT', color: 'magenta', complexity: 1.2, targetType: 'window'},
-        {keys: 'Super+Ctrl+Space', concept: 'CENTER FLOAT', color: 'magenta', complexity: 1.3, targetType: 'window'},
-        {keys: 'Super+g', concept: 'TOGGLE GROUP', color: 'yellow', complexity: 1.3, targetType: 'layout'},
-        {keys: 'Super+Shift+g', concept: 'LOCK GROUPS', color: 'yellow', complexity: 1.4, targetType: 'layout'}
+        {id: 'launch-terminal', keys: 'Super+Return', concept: 'LAUNCH TERMINAL', color: 'green', complexity: 1.0, targetType: 'app'},
+        {id: 'launch-menu', keys: 'Super+d', concept: 'LAUNCH MENU', color: 'green', complexity: 1.0, targetType: 'app'},
+        {id: 'toggle-layout', keys: 'Super+e', concept: 'TOGGLE LAYOUT', color: 'yellow', complexity: 1.2, targetType: 'layout'},
+        {id: 'workspace-overview', keys: 'Super+w', concept: 'WORKSPACE OVERVIEW', color: 'blue', complexity: 1.2, targetType: 'workspace'},
+        {id: 'reload-config', keys: 'Super+Shift+r', concept: 'RELOAD CONFIG', color: 'yellow', complexity: 1.3, targetType: 'system'},
+        {id: 'exit-hyprland', keys: 'Super+Shift+e', concept: 'EXIT HYPRLAND', color: 'red', complexity: 1.5, targetType: 'system'},
+        {id: 'toggle-float', keys: 'Super+Shift+Space', concept: 'TOGGLE FLOAT', color: 'magenta', complexity: 1.2, targetType: 'window'},
+        {id: 'center-float', keys: 'Super+Ctrl+Space', concept: 'CENTER FLOAT', color: 'magenta', complexity: 1.3, targetType: 'window'},
+        {id: 'toggle-group', keys: 'Super+g', concept: 'TOGGLE GROUP', color: 'yellow', complexity: 1.3, targetType: 'layout'},
+        {id: 'lock-groups', keys: 'Super+Shift+g', concept: 'LOCK GROUPS', color: 'yellow', complexity: 1.4, targetType: 'layout'}
       ]
     }
   ],
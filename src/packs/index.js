@@ -1,16 +1,71 @@
 import neovim from './neovim.js';
 import hyprland from './hyprland.js';
 import tmux from './tmux.js';
+import vscode from './vscode.js';
 
 /**
  * Pack Registry - Auto-discovers and exports all available packs
+ *
+ * Built-in packs are registered here; user packs are added at startup
+ * via registerPack (see registerUserPacks in utils/loader.js).
  */
 export const PACKS = {
   neovim,
   hyprland,
-  tmux
+  tmux,
+  vscode
 };
 
+// Where each registered pack came from: 'built-in' or a file path
+const PACK_SOURCES = Object.fromEntries(Object.keys(PACKS).map(id => [id, 'built-in']));
+
+/**
+ * Add a pack to the registry
+ *
+ * The pack should already be validated (see validatePack).
+ *
+ * @param {Object} pack - Pack object
+ * @param {string} source - Where the pack came from (file path), for messages
+ * @returns {Object} The registered pack
+ * @throws {Error} If a pack with the same id is already registered
+ */
+export function registerPack(pack, source = 'unknown') {
+  if (PACKS[pack.id]) {
+    const existing = PACK_SOURCES[pack.id] === 'built-in'
+      ? `the built-in pack "${pack.id}"`
+      : `pack "${pack.id}" from ${PACK_SOURCES[pack.id]}`;
+    throw new Error(`Pack "${pack.id}" from ${source} clashes with ${existing}`);
+  }
+  PACKS[pack.id] = pack;
+  PACK_SOURCES[pack.id] = source;
+  return pack;
+}
+
+/**
+ * Remove a pack added with registerPack (built-in packs stay)
+ *
+ * @param {string} id - The pack identifier
+ * @returns {boolean} True if a pack was removed
+ */
+export function unregisterPack(id) {
+  if (!PACKS[id] || PACK_SOURCES[id] === 'built-in') {
+    return false;
+  }
+  delete PACKS[id];
+  delete PACK_SOURCES[id];
+  return true;
+}
+
+/**
+ * Get where a registered pack came from
+ *
+ * @param {string} id - The pack identifier
+ * @returns {string|null} 'built-in', a file path, or null if not registered
+ */
+export function getPackSource(id) {
+  return PACK_SOURCES[id] ?? null;
+}
+
 /**
  * Retrieve a single pack by ID
  * @param {string} id - The pack identifier
@@ -36,7 +91,8 @@ export function listPacks() {
     description: PACKS[id].description,
     version: PACKS[id].version || '1.0.0',
     commandCount: PACKS[id].groups.reduce((sum, g) => sum + g.commands.length, 0),
-    groupCount: PACKS[id].groups.length
+    groupCount: PACKS[id].groups.length,
+    source: PACK_SOURCES[id]
   }));
 }
 
@@ -1,166 +1,315 @@
+/**
+ * Target text and effect previews for the Neovim pack
+ *
+ * Buffers are { text, cursor } with the cursor as a character offset; see
+ * core/targets.js for the preview format. Each previewed command has a setup
+ * that places the cursor, and running its keys in the Vim emulator
+ * (core/vim.js) gives the result.
+ */
+
+import { runVimKeys } from '../core/vim.js'
+
+const SAMPLES = {
+  line: [
+    'The quick brown fox jumps over the lazy dog',
+    'Pack my box with five dozen liquor jugs',
+    'How vexingly quick daft zebras jump',
+    'Sphinx of black quartz, judge my vow'
+  ],
+  word: [
+    'hello world goodbye',
+    'function argument parameter',
+    'variable constant expression',
+    'iterate traverse navigate'
+  ],
+  block: [
+    '{\n  name: "value",\n  other: "data"\n}',
+    '{\n  x: 10,\n  y: 20,\n  z: 30\n}',
+    'function example() {\n  return true\n}'
+  ],
+  quote: [
+    'The "important" word is here',
+    'She said "hello world" quietly',
+    'Key is "value" in JSON'
+  ],
+  paren: [
+    'function(arg1, arg2, arg3)',
+    'calculate(x, y, z)',
+    'method(param)'
+  ],
+  bracket: [
+    'const list = [1, 2, 3]',
+    'items[index + 1]',
+    'const point = [x, y]'
+  ],
+  code: [
+    'const total = 0',
+    'for (const item of items) {',
+    '  total += item.price',
+    '}',
+    'console.log(total)',
+    'return total',
+    'export default total'
+  ],
+  visual: ['Select this entire\nmultiline block\nof text here']
+}
+
+const pick = list => list[Math.floor(Math.random() * list.length)]
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1))
+
+// Vim words: runs of word characters, or runs of other non-blank characters
+const wordSpans = text => [...text.matchAll(/\w+|[^\w\s]+/g)].map(m => [m.index, m.index + m[0].length])
+
+// Some consecutive lines of sample code, and the offset of each line
+const codeLines = count => {
+  const first = randomInt(0, SAMPLES.code.length - count)
+  return SAMPLES.code.slice(first, first + count)
+}
+const lineOffset = (lines, row) => lines.slice(0, row).reduce((sum, line) => sum + line.length + 1, 0)
+const firstNonBlank = line => line.search(/\S|$/)
+
+// A cursor position on a character (not a line break) between from and to
+const randomCursor = (text, from, to) => {
+  const positions = []
+  for (let i = from; i <= to; i++) {
+    if (text[i] !== '\n') positions.push(i)
+  }
+  return pick(positions)
+}
+
+// Cursor somewhere inside the first pair of delimiters
+const insidePair = (samples, open, close) => {
+  const text = pick(samples.filter(sample => sample.includes(open)))
+  const start = text.indexOf(open)
+  const end = text.lastIndexOf(close)
+  return { text, cursor: randomCursor(text, start + 1, Math.max(start + 1, end - 1)) }
+}
+
+const onLine = (from = 0, to = -1) => {
+  const text = pick(SAMPLES.line)
+  return { text, cursor: randomInt(from, text.length + to) }
+}
+const onWord = (first = 0, last = -1) => {
+  const text = pick(SAMPLES.line)
+  const spans = wordSpans(text)
+  return { text, cursor: spans[randomInt(first, spans.length + last)][0] }
+}
+const inWord = () => {
+  const text = pick(SAMPLES.line)
+  const [start, end] = pick(wordSpans(text))
+  return { text, cursor: randomInt(start, end - 1) }
+}
+const onCodeRow = (count, row) => {
+  const lines = codeLines(count)
+  const text = lines.join('\n')
+  const col = Math.min(...lines.map(line => line.length)) - 1
+  return { text, cursor: lineOffset(lines, row) + randomInt(0, Math.max(0, col)) }
+}
+const inBlock = () => {
+  const text = pick(SAMPLES.block)
+  return { text, cursor: randomCursor(text, text.indexOf('{') + 2, text.lastIndexOf('}') - 1) }
+}
+
+// Where each command starts; the result comes from running its keys in the Vim emulator
+const SETUPS = {
+  'move-left': () => onLine(1),
+  'move-right': () => onLine(0, -2),
+  'move-down': () => onCodeRow(2, 0),
+  'move-up': () => onCodeRow(2, 1),
+  'word-forward': () => onWord(0, -2),
+  'word-back': () => onWord(1),
+  'word-end': () => {
+    const text = pick(SAMPLES.line)
+    const [start] = pick(wordSpans(text).filter(([s, e]) => e - s > 1))
+    return { text, cursor: start }
+  },
+  'line-start': () => onLine(1),
+  'line-end': () => onLine(0, -2),
+  'insert-before': () => onLine(),
+  'insert-after': () => onLine(),
+  'insert-line-start': () => {
+    const text = `    ${pick(SAMPLES.line)}`
+    return { text, cursor: randomInt(6, text.length - 1) }
+  },
+  'insert-line-end': () => onLine(0, -2),
+  'delete-char': () => onLine(0, -2),
+  'delete-line': () => onCodeRow(3, 1),
+  'new-line-below': () => onCodeRow(2, 0),
+  'new-line-above': () => onCodeRow(2, 1),
+  'delete-word': () => onWord(0, -2),
+  'change-word': () => onWord(),
+  'yank-line': () => onLine(),
+  'yank-word': () => onWord(0, -2),
+  'top-of-file': () => {
+    const lines = codeLines(4)
+    const row = randomInt(2, 3)
+    return { text: lines.join('\n'), cursor: lineOffset(lines, row) + firstNonBlank(lines[row]) }
+  },
+  'bottom-of-file': () => {
+    const lines = codeLines(4)
+    return { text: lines.join('\n'), cursor: firstNonBlank(lines[0]) }
+  },
+  'matching-bracket': () => {
+    const text = pick(SAMPLES.paren)
+    return { text, cursor: text.indexOf('(') }
+  },
+  'delete-inner-word': inWord,
+  'delete-around-word': inWord,
+  'change-inner-quotes': () => insidePair(SAMPLES.quote, '"', '"'),
+  'change-around-quotes': () => insidePair(SAMPLES.quote, '"', '"'),
+  'delete-inner-parens': () => insidePair(SAMPLES.paren, '(', ')'),
+  'delete-around-parens': () => insidePair(SAMPLES.paren, '(', ')'),
+  'delete-inner-braces': inBlock,
+  'delete-around-braces': inBlock,
+  'change-inner-bracket': () => insidePair(SAMPLES.bracket, '[', ']'),
+  'yank-around-brace': inBlock,
+  'visual-char': () => onLine(),
+  'visual-block': () => onCodeRow(2, 0),
+  'visual-line': () => onCodeRow(3, 1),
+  'three-words-forward': () => onWord(0, -4),
+  'five-lines-down': () => onCodeRow(6, 0),
+  'delete-to-quote': () => {
+    const text = pick(SAMPLES.quote)
+    return { text, cursor: randomInt(0, text.indexOf('"') - 2) }
+  },
+  'delete-find-paren': () => insidePair(SAMPLES.paren, '(', ')')
+}
+
+// Preview a command's effect, or null for commands without a setup
+const preview = command => {
+  const setup = SETUPS[command?.id]
+  if (!setup) return null
+  const before = setup()
+  return { before, after: runVimKeys(before, command.keys) }
+}
+
 export default {
   id: 'neovim',
   name: 'Neovim',
   description: 'Master Vim/Neovim keybindings through muscle memory',
   version: '1.0.0',
+  // Answers run in the Vim emulator, so any keys with the same result count
+  emulator: 'vim',
 
   groups: [
     {
       name: 'Core Movement',
       description: 'Essential navigation - you cannot edit without this',
       commands: [
-        {keys: 'h', concept: 'MOVE LEFT', color: 'cyan', complexity: 1.0, targetType: 'line'},
-        {keys: 'j', concept: 'MOVE DOWN', color: 'cyan', complexity: 1.0, targetType: 'line'},
-        {keys: 'k', concept: 'MOVE UP', color: 'cyan', complexity: 1.0, targetType: 'line'},
-        {keys: 'l', concept: 'MOVE RIGHT', color: 'cyan', complexity: 1.0, targetType: 'line'},
-        {keys: 'w', concept: 'WORD FORWARD', color: 'cyan', complexity: 1.0, targetType: 'word'},
-        {keys: 'b', concept: 'WORD BACK', color: 'cyan', complexity: 1.0, targetType: 'word'},
-        {keys: 'e', concept: 'WORD END', color: 'cyan', complexity: 1.0, targetType: 'word'},
-        {keys: '0', concept: 'LINE START', color: 'blue', complexity: 1.0, targetType: 'line'},
-        {keys: '$', concept: 'LINE END', color: 'blue', complexity: 1.0, targetType: 'line'}
+        {id: 'move-left', keys: 'h', concept: 'MOVE LEFT', color: 'cyan', complexity: 1.0, targetType: 'line'},
+        {id: 'move-down', keys: 'j', concept: 'MOVE DOWN', color: 'cyan', complexity: 1.0, targetType: 'line'},
+        {id: 'move-up', keys: 'k', concept: 'MOVE UP', color: 'cyan', complexity: 1.0, targetType: 'line'},
+        {id: 'move-right', keys: 'l', concept: 'MOVE RIGHT', color: 'cyan', complexity: 1.0, targetType: 'line'},
+        {id: 'word-forward', keys: 'w', concept: 'WORD FORWARD', color: 'cyan', complexity: 1.0, targetType: 'word'},
+        {id: 'word-back', keys: 'b', concept: 'WORD BACK', color: 'cyan', complexity: 1.0, targetType: 'word'},
+        {id: 'word-end', keys: 'e', concept: 'WORD END', color: 'cyan', complexity: 1.0, targetType: 'word'},
+        {id: 'line-start', keys: '0', concept: 'LINE START', color: 'blue', complexity: 1.0, targetType: 'line'},
+        {id: 'line-end', keys: '$', concept: 'LINE END', color: 'blue', complexity: 1.0, targetType: 'line'}
       ]
     },
     {
       name: 'Essential Editing',
       description: '80% of basic edits - master these first',
       commands: [
-        {keys: 'i', concept: 'INSERT BEFORE', color: 'yellow', complexity: 1.0, targetType: 'line'},
-        {keys: 'a', concept: 'INSERT AFTER', color: 'yellow', complexity: 1.0, targetType: 'line'},
-        {keys: 'x', concept: 'DELETE CHAR', color: 'red', complexity: 1.0, targetType: 'line'},
-        {keys: 'dd', concept: 'DELETE LINE', color: 'red', complexity: 1.3, targetType: 'line'},
-        {keys: 'u', concept: 'UNDO', color: 'magenta', complexity: 1.0, targetType: 'line'},
-        {keys: 'p', concept: 'PASTE AFTER', color: 'magenta', complexity: 1.0, targetType: 'line'}
+        {id: 'insert-before', keys: 'i', concept: 'INSERT BEFORE', color: 'yellow', complexity: 1.0, targetType: 'line'},
+        {id: 'insert-after', keys: 'a', concept: 'INSERT AFTER', color: 'yellow', complexity: 1.0, targetType: 'line'},
+        {id: 'delete-char', keys: 'x', concept: 'DELETE CHAR', color: 'red', complexity: 1.0, targetType: 'line'},
+        {id: 'delete-line', keys: 'dd', concept: 'DELETE LINE', color: 'red', complexity: 1.3, targetType: 'line'},
+        {id: 'undo', keys: 'u', concept: 'UNDO', color: 'magenta', complexity: 1.0, targetType: 'line'},
+        {id: 'paste-after', keys: 'p', concept: 'PASTE AFTER', color: 'magenta', complexity: 1.0, targetType: 'line'}
       ]
     },
     {
       name: 'Efficient Insert',
       description: 'Speed up text entry and line creation',
       commands: [
-        {keys: 'I', concept: 'INSERT LINE START', color: 'yellow', complexity: 1.2, targetType: 'line'},
-        {keys: 'A', concept: 'INSERT LINE END', color: 'yellow', complexity: 1.2, targetType: 'line'},
-        {keys: 'o', concept: 'NEW LINE BELOW', color: 'yellow', complexity: 1.2, targetType: 'line'},
-        {keys: 'O', concept: 'NEW LINE ABOVE', color: 'yellow', complexity: 1.2, targetType: 'line'}
+        {id: 'insert-line-start', keys: 'I', concept: 'INSERT LINE START', color: 'yellow', complexity: 1.2, targetType: 'line'},
+        {id: 'insert-line-end', keys: 'A', concept: 'INSERT LINE END', color: 'yellow', complexity: 1.2, targetType: 'line'},
+        {id: 'new-line-below', keys: 'o', concept: 'NEW LINE BELOW', color: 'yellow', complexity: 1.2, targetType: 'line'},
+        {id: 'new-line-above', keys: 'O', concept: 'NEW LINE ABOVE', color: 'yellow', complexity: 1.2, targetType: 'line'}
       ]
     },
     {
       name: 'Word Operations',
       description: 'Professional speed - operate on words efficiently',
       commands: [
-        {keys: 'dw', concept: 'DELETE WORD', color: 'red', complexity: 1.4, targetType: 'word'},
-        {keys: 'cw', concept: 'CHANGE WORD', color: 'red', complexity: 1.4, targetType: 'word'},
-        {keys: 'yy', concept: 'YANK LINE', color: 'magenta', complexity: 1.3, targetType: 'line'},
-        {keys: 'yw', concept: 'YANK WORD', color: 'magenta', complexity: 1.4, targetType: 'word'}
+        {id: 'delete-word', keys: 'dw', concept: 'DELETE WORD', color: 'red', complexity: 1.4, targetType: 'word'},
+        {id: 'change-word', keys: 'cw', concept: 'CHANGE WORD', color: 'red', complexity: 1.4, targetType: 'word'},
+        {id: 'yank-line', keys: 'yy', concept: 'YANK LINE', color: 'magenta', complexity: 1.3, targetType: 'line'},
+        {id: 'yank-word', keys: 'yw', concept: 'YANK WORD', color: 'magenta', complexity: 1.4, targetType: 'word'}
       ]
     },
     {
       name: 'Line Power Moves',
       description: 'Navigate files like a pro',
       commands: [
-        {keys: 'gg', concept: 'TOP OF FILE', color: 'blue', complexity: 1.3, targetType: 'line'},
-        {keys: 'G', concept: 'BOTTOM OF FILE', color: 'blue', complexity: 1.0, targetType: 'line'},
-        {keys: '<C-d>', concept: 'HALF PAGE DOWN', color: 'blue', complexity: 1.2, targetType: 'line'},
-        {keys: '<C-u>', concept: 'HALF PAGE UP', color: 'blue', complexity: 1.2, targetType: 'line'},
-        {keys: '%', concept: 'MATCHING BRACKET', color: 'blue', complexity: 1.0, targetType: 'paren'}
+        {id: 'top-of-file', keys: 'gg', concept: 'TOP OF FILE', color: 'blue', complexity: 1.3, targetType: 'line'},
+        {id: 'bottom-of-file', keys: 'G', concept: 'BOTTOM OF FILE', color: 'blue', complexity: 1.0, targetType: 'line'},
+        {id: 'half-page-down', keys: '<C-d>', concept: 'HALF PAGE DOWN', color: 'blue', complexity: 1.2, targetType: 'line'},
+        {id: 'half-page-up', keys: '<C-u>', concept: 'HALF PAGE UP', color: 'blue', complexity: 1.2, targetType: 'line'},
+        {id: 'matching-bracket', keys: '%', concept: 'MATCHING BRACKET', color: 'blue', complexity: 1.0, targetType: 'paren'}
       ]
     },
     {
       name: 'Text Objects',
       description: 'Game-changing power - operate on semantic units',
       commands: [
-        {keys: 'diw', concept: 'DELETE INNER WORD', color: 'red', complexity: 1.8, targetType: 'word'},
-        {keys: 'daw', concept: 'DELETE AROUND WORD', color: 'red', complexity: 1.8, targetType: 'word'},
-        {keys: 'ci"', concept: 'CHANGE INNER QUOTES', color: 'red', complexity: 1.8, targetType: 'quote'},
-        {keys: 'ca"', concept: 'CHANGE AROUND QUOTES', color: 'red', complexity: 1.8, targetType: 'quote'},
-        {keys: 'di(', concept: 'DELETE INNER PARENS', color: 'red', complexity: 1.8, targetType: 'paren'},
-        {keys: 'da(', concept: 'DELETE AROUND PARENS', color: 'red', complexity: 1.8, targetType: 'paren'},
-        {keys: 'di{', concept: 'DELETE INNER BRACES', color: 'red', complexity: 1.8, targetType: 'block'},
-        {keys: 'da{', concept: 'DELETE AROUND BRACES', color: 'red', complexity: 1.8, targetType: 'block'}
+        {id: 'delete-inner-word', keys: 'diw', concept: 'DELETE INNER WORD', color: 'red', complexity: 1.8, targetType: 'word'},
+        {id: 'delete-around-word', keys: 'daw', concept: 'DELETE AROUND WORD', color: 'red', complexity: 1.8, targetType: 'word'},
+        {id: 'change-inner-quotes', keys: 'ci"', concept: 'CHANGE INNER QUOTES', color: 'red', complexity: 1.8, targetType: 'quote'},
+        {id: 'change-around-quotes', keys: 'ca"', concept: 'CHANGE AROUND QUOTES', color: 'red', complexity: 1.8, targetType: 'quote'},
+        {id: 'delete-inner-parens', keys: 'di(', concept: 'DELETE INNER PARENS', color: 'red', complexity: 1.8, targetType: 'paren'},
+        {id: 'delete-around-parens', keys: 'da(', concept: 'DELETE AROUND PARENS', color: 'red', complexity: 1.8, targetType: 'paren'},
+        {id: 'delete-inner-braces', keys: 'di{', concept: 'DELETE INNER BRACES', color: 'red', complexity: 1.8, targetType: 'block'},
+        {id: 'delete-around-braces', keys: 'da{', concept: 'DELETE AROUND BRACES', color: 'red', complexity: 1.8, targetType: 'block'}
       ]
     },
     {
       name: 'Visual Mode',
       description: 'Select and operate on regions',
       commands: [
-        {keys: 'v', concept: 'VISUAL CHAR', color: 'magenta', complexity: 1.0, targetType: 'visual'},
-        {keys: 'V', concept: 'VISUAL LINE', color: 'magenta', complexity: 1.0, targetType: 'visual'},
-        {keys: '<C-v>', concept: 'VISUAL BLOCK', color: 'magenta', complexity: 1.2, targetType: 'visual'}
+        {id: 'visual-char', keys: 'v', concept: 'VISUAL CHAR', color: 'magenta', complexity: 1.0, targetType: 'visual'},
+        {id: 'visual-line', keys: 'V', concept: 'VISUAL LINE', color: 'magenta', complexity: 1.0, targetType: 'visual'},
+        {id: 'visual-block', keys: '<C-v>', concept: 'VISUAL BLOCK', color: 'magenta', complexity: 1.2, targetType: 'visual'}
       ]
     },
     {
       name: 'Search',
       description: 'Find anything instantly',
       commands: [
-        {keys: '/', concept: 'SEARCH FORWARD', color: 'cyan', complexity: 1.0, targetType: 'line'},
-        {keys: '?', concept: 'SEARCH BACKWARD', color: 'cyan', complexity: 1.0, targetType: 'line'},
-        {keys: 'n', concept: 'NEXT RESULT', color: 'cyan', complexity: 1.0, targetType: 'line'},
-        {keys: 'N', concept: 'PREV RESULT', color: 'cyan', complexity: 1.0, targetType: 'line'},
-        {keys: 'f', concept: 'FIND CHAR FORWARD', color: 'cyan', complexity: 1.2, targetType: 'line'},
-        {keys: 'F', concept: 'FIND CHAR BACK', color: 'cyan', complexity: 1.2, targetType: 'line'},
-        {keys: 't', concept: 'TO CHAR FORWARD', color: 'cyan', complexity: 1.3, targetType: 'line'},
-        {keys: 'T', concept: 'TO CHAR BACK', color: 'cyan', complexity: 1.3, targetType: 'line'}
+        {id: 'search-forward', keys: '/', concept: 'SEARCH FORWARD', color: 'cyan', complexity: 1.0, targetType: 'line'},
+        {id: 'search-backward', keys: '?', concept: 'SEARCH BACKWARD', color: 'cyan', complexity: 1.0, targetType: 'line'},
+        {id: 'next-result', keys: 'n', concept: 'NEXT RESULT', color: 'cyan', complexity: 1.0, targetType: 'line'},
+        {id: 'prev-result', keys: 'N', concept: 'PREV RESULT', color: 'cyan', complexity: 1.0, targetType: 'line'},
+        {id: 'find-char-forward', keys: 'f', concept: 'FIND CHAR FORWARD', color: 'cyan', complexity: 1.2, targetType: 'line'},
+        {id: 'find-char-back', keys: 'F', concept: 'FIND CHAR BACK', color: 'cyan', complexity: 1.2, targetType: 'line'},
+        {id: 'to-char-forward', keys: 't', concept: 'TO CHAR FORWARD', color: 'cyan', complexity: 1.3, targetType: 'line'},
+        {id: 'to-char-back', keys: 'T', concept: 'TO CHAR BACK', color: 'cyan', complexity: 1.3, targetType: 'line'}
       ]
     },
     {
       name: 'Advanced Combos',
       description: 'Mastery level - chain commands for maximum efficiency',
       commands: [
-        {keys: '3w', concept: 'THREE WORDS FORWARD', color: 'cyan', complexity: 1.6, targetType: 'word'},
-        {keys: '5j', concept: 'FIVE LINES DOWN', color: 'cyan', complexity: 1.6, targetType: 'line'},
-        {keys: 'dt"', concept: 'DELETE TO QUOTE', color: 'red', complexity: 1.8, targetType: 'quote'},
-        {keys: 'df)', concept: 'DELETE FIND PAREN', color: 'red', complexity: 1.8, targetType: 'paren'},
-        {keys: 'ci[', concept: 'CHANGE INNER BRACKET', color: 'red', complexity: 1.8, targetType: 'block'},
-        {keys: 'ya}', concept: 'YANK AROUND BRACE', color: 'magenta', complexity: 1.8, targetType: 'block'},
-        {keys: '.', concept: 'REPEAT LAST', color: 'yellow', complexity: 1.0, targetType: 'line'}
+        {id: 'three-words-forward', keys: '3w', concept: 'THREE WORDS FORWARD', color: 'cyan', complexity: 1.6, targetType: 'word'},
+        {id: 'five-lines-down', keys: '5j', concept: 'FIVE LINES DOWN', color: 'cyan', complexity: 1.6, targetType: 'line'},
+        {id: 'delete-to-quote', keys: 'dt"', concept: 'DELETE TO QUOTE', color: 'red', complexity: 1.8, targetType: 'quote'},
+        {id: 'delete-find-paren', keys: 'df)', concept: 'DELETE FIND PAREN', color: 'red', complexity: 1.8, targetType: 'paren'},
+        {id: 'change-inner-bracket', keys: 'ci[', concept: 'CHANGE INNER BRACKET', color: 'red', complexity: 1.8, targetType: 'block'},
+        {id: 'yank-around-brace', keys: 'ya}', concept: 'YANK AROUND BRACE', color: 'magenta', complexity: 1.8, targetType: 'block'},
+        {id: 'repeat-last', keys: '.', concept: 'REPEAT LAST', color: 'yellow', complexity: 1.0, targetType: 'line'}
       ]
     }
   ],
 
+  // Commands with an effect preview get a cursor and the result; the rest get sample text
   targetGenerators: {
-    line: () => {
-      const lines = [
-        'The quick brown fox jumps over the lazy dog',
-        'Pack my box with five dozen liquor jugs',
-        'How vexingly quick daft zebras jump',
-        'Sphinx of black quartz, judge my vow'
-      ]
-      return lines[Math.floor(Math.random() * lines.length)]
-    },
-    word: () => {
-      const words = [
-        'hello world goodbye',
-        'function argument parameter',
-        'variable constant expression',
-        'iterate traverse navigate'
-      ]
-      return words[Math.floor(Math.random() * words.length)]
-    },
-    block: () => {
-      const blocks = [
-        '{\n  name: "value",\n  other: "data"\n}',
-        '{\n  x: 10,\n  y: 20,\n  z: 30\n}',
-        'function example() {\n  return true\n}'
-      ]
-      return blocks[Math.floor(Math.random() * blocks.length)]
-    },
-    quote: () => {
-      const quotes = [
-        'The "important" word is here',
-        'She said "hello world" quietly',
-        'Key is "value" in JSON'
-      ]
-      return quotes[Math.floor(Math.random() * quotes.length)]
-    },
-    paren: () => {
-      const parens = [
-        'function(arg1, arg2, arg3)',
-        'calculate(x, y, z)',
-        'method(param)'
-      ]
-      return parens[Math.floor(Math.random() * parens.length)]
-    },
-    visual: () => {
-      return 'Select this entire\nmultiline block\nof text here'
-    }
+    line: command => preview(command) ?? pick(SAMPLES.line),
+    word: command => preview(command) ?? pick(SAMPLES.word),
+    block: command => preview(command) ?? pick(SAMPLES.block),
+    quote: command => preview(command) ?? pick(SAMPLES.quote),
+    paren: command => preview(command) ?? pick(SAMPLES.paren),
+    visual: command => preview(command) ?? SAMPLES.visual[0]
   },
 
   keyNotation: {
@@ -9,43 +9,43 @@ export default {
       name: 'Pane Management',
       description: 'Split, navigate, and manage panes',
       commands: [
-        {keys: 'C-b %', concept: 'SPLIT VERTICAL', color: 'yellow', complexity: 1.3, targetType: 'pane'},
-        {keys: 'C-b "', concept: 'SPLIT HORIZONTAL', color: 'yellow', complexity: 1.3, targetType: 'pane'},
-        {keys: 'C-b o', concept: 'NEXT PANE', color: 'cyan', complexity: 1.0, targetType: 'pane'},
-        {keys: 'C-b ;', concept: 'LAST PANE', color: 'cyan', complexity: 1.0, targetType: 'pane'},
-        {keys: 'C-b x', concept: 'CLOSE PANE', color: 'red', complexity: 1.0, targetType: 'pane'},
-        {keys: 'C-b z', concept: 'ZOOM PANE', color: 'magenta', complexity: 1.0, targetType: 'pane'},
-        {keys: 'C-b {', concept: 'SWAP PANE LEFT', color: 'blue', complexity: 1.4, targetType: 'pane'},
-        {keys: 'C-b }', concept: 'SWAP PANE RIGHT', color: 'blue', complexity: 1.4, targetType: 'pane'},
-        {keys: 'C-b q', concept: 'SHOW PANE NUMBERS', color: 'cyan', complexity: 1.0, targetType: 'pane'},
+        {id: 'split-vertical', keys: 'C-b %', concept: 'SPLIT VERTICAL', color: 'yellow', complexity: 1.3, targetType: 'pane'},
+        {id: 'split-horizontal', keys: 'C-b "', concept: 'SPLIT HORIZONTAL', color: 'yellow', complexity: 1.3, targetType: 'pane'},
+        {id: 'next-pane', keys: 'C-b o', concept: 'NEXT PANE', color: 'cyan', complexity: 1.0, targetType: 'pane'},
+        {id: 'last-pane', keys: 'C-b ;', concept: 'LAST PANE', color: 'cyan', complexity: 1.0, targetType: 'pane'},
+        {id: 'close-pane', keys: 'C-b x', concept: 'CLOSE PANE', color: 'red', complexity: 1.0, targetType: 'pane'},
+        {id: 'zoom-pane', keys: 'C-b z', concept: 'ZOOM PANE', color: 'magenta', complexity: 1.0, targetType: 'pane'},
+        {id: 'swap-pane-left', keys: 'C-b {', concept: 'SWAP PANE LEFT', color: 'blue', complexity: 1.4, targetType: 'pane'},
+        {id: 'swap-pane-right', keys: 'C-b }', concept: 'SWAP PANE RIGHT', color: 'blue', complexity: 1.4, targetType: 'pane'},
+        {id: 'show-pane-numbers', keys: 'C-b q', concept: 'SHOW PANE NUMBERS', color: 'cyan', complexity: 1.0, targetType: 'pane'},
       ]
     },
     {
       name: 'Window Management',
       description: 'Create and navigate windows',
       commands: [
-        {keys: 'C-b c', concept: 'NEW WINDOW', color: 'yellow', complexity: 1.0, targetType: 'window'},
-        {keys: 'C-b n', concept: 'NEXT WINDOW', color: 'cyan', complexity: 1.0, targetType: 'window'},
-        {keys: 'C-b p', concept: 'PREVIOUS WINDOW', color: 'cyan', complexity: 1.0, targetType: 'window'},
-        {keys: 'C-b l', concept: 'LAST WINDOW', color: 'cyan', complexity: 1.0, targetType: 'window'},
-        {keys: 'C-b 0', concept: 'WINDOW 0', color: 'blue', complexity: 1.0, targetType: 'window'},
-        {keys: 'C-b 1', concept: 'WINDOW 1', color: 'blue', complexity: 1.0, targetType: 'window'},
-        {keys: 'C-b &', concept: 'CLOSE WINDOW', color: 'red', complexity: 1.2, targetType: 'window'},
-        {keys: 'C-b ,', concept: 'RENAME WINDOW', color: 'yellow', complexity: 1.2, targetType: 'window'},
-        {keys: 'C-b w', concept: 'LIST WINDOWS', color: 'cyan', complexity: 1.0, targetType: 'window'},
+        {id: 'new-window', keys: 'C-b c', concept: 'NEW WINDOW', color: 'yellow', complexity: 1.0, targetType: 'window'},
+        {id: 'next-window', keys: 'C-b n', concept: 'NEXT WINDOW', color: 'cyan', complexity: 1.0, targetType: 'window'},
+        {id: 'previous-window', keys: 'C-b p', concept: 'PREVIOUS WINDOW', color: 'cyan', complexity: 1.0, targetType: 'window'},
+        {id: 'last-window', keys: 'C-b l', concept: 'LAST WINDOW', color: 'cyan', complexity: 1.0, targetType: 'window'},
+        {id: 'window-0', keys: 'C-b 0', concept: 'WINDOW 0', color: 'blue', complexity: 1.0, targetType: 'window'},
+        {id: 'window-1', keys: 'C-b 1', concept: 'WINDOW 1', color: 'blue', complexity: 1.0, targetType: 'window'},
+        {id: 'close-window', keys: 'C-b &', concept: 'CLOSE WINDOW', color: 'red', complexity: 1.2, targetType: 'window'},
+        {id: 'rename-window', keys: 'C-b ,', concept: 'RENAME WINDOW', color: 'yellow', complexity: 1.2, targetType: 'window'},
+        {id: 'list-windows', keys: 'C-b w', concept: 'LIST WINDOWS', color: 'cyan', complexity: 1.0, targetType: 'window'},
       ]
     },
     {
       name: 'Session & Other',
       description: 'Session management and utilities',
       commands: [
-        {keys: 'C-b d', concept: 'DETACH SESSION', color: 'magenta', complexity: 1.0, targetType: 'session'},
-        {keys: 'C-b s', concept: 'LIST SESSIONS', color: 'cyan', complexity: 1.0, targetType: 'session'},
-        {keys: 'C-b $', concept: 'RENAME SESSION', color: 'yellow', complexity: 1.2, targetType: 'session'},
-        {keys: 'C-b [', concept: 'COPY MODE', color: 'magenta', complexity: 1.3, targetType: 'mode'},
-        {keys: 'C-b ]', concept: 'PASTE BUFFER', color: 'magenta', complexity: 1.3, targetType: 'mode'},
-        {keys: 'C-b ?', concept: 'SHOW BINDINGS', color: 'cyan', complexity: 1.0, targetType: 'help'},
-        {keys: 'C-b :', concept: 'COMMAND PROMPT', color: 'yellow', complexity: 1.4, targetType: 'command'},
+        {id: 'detach-session', keys: 'C-b d', concept: 'DETACH SESSION', color: 'magenta', complexity: 1.0, targetType: 'session'},
+        {id: 'list-sessions', keys: 'C-b s', concept: 'LIST SESSIONS', color: 'cyan', complexity: 1.0, targetType: 'session'},
+        {id: 'rename-session', keys: 'C-b $', concept: 'RENAME SESSION', color: 'yellow', complexity: 1.2, targetType: 'session'},
+        {id: 'copy-mode', keys: 'C-b [', concept: 'COPY MODE', color: 'magenta', complexity: 1.3, targetType: 'mode'},
+        {id: 'paste-buffer', keys: 'C-b ]', concept: 'PASTE BUFFER', color: 'magenta', complexity: 1.3, targetType: 'mode'},
+        {id: 'show-bindings', keys: 'C-b ?', concept: 'SHOW BINDINGS', color: 'cyan', complexity: 1.0, targetType: 'help'},
+        {id: 'command-prompt', keys: 'C-b :', concept: 'COMMAND PROMPT', color: 'yellow', complexity: 1.4, targetType: 'command'},
       ]
     }
   ],
@@ -0,0 +1,229 @@
+/**
+ * VS Code pack - Visual Studio Code default keybindings
+ *
+ * VS Code's defaults differ by platform: macOS uses Cmd (and Option) where
+ * Linux and Windows use Ctrl (and Alt), and a few commands have their own
+ * bindings per platform. The pack is built for the platform it runs on;
+ * command ids are the same everywhere, so progress carries across machines.
+ *
+ * Chords are space separated, as VS Code writes them: 'Ctrl+K Ctrl+S'.
+ * Modifiers are written Ctrl, Shift, Alt on Linux and Windows and
+ * Cmd, Ctrl, Option, Shift on macOS.
+ *
+ * Many of these only reach a terminal under the kitty keyboard protocol:
+ * elsewhere Ctrl+Shift+P arrives as Ctrl+P and Ctrl+H as Backspace. The
+ * game leaves those commands out in such terminals (see needsKittyKeyboard).
+ */
+
+/**
+ * Sample target text per targetType (also used by the keybindings.json importer)
+ */
+export const VSCODE_TARGETS = {
+  command: [
+    '> Format Document\n> Reload Window\n> Toggle Word Wrap',
+    '> [type a command name]',
+    'Preferences: Open Keyboard Shortcuts'
+  ],
+  file: [
+    'src/index.js  •  src/app.js  •  README.md',
+    'Untitled-1 ●',
+    'package.json  tsconfig.json  .gitignore'
+  ],
+  tab: [
+    '[ index.js ] [ app.js ] [ utils.js ]',
+    ' index.js  [ app.js ●]  utils.js',
+    '[ README.md ] [ Settings ] [ Keyboard Shortcuts ]'
+  ],
+  pane: [
+    '┌──────┬─────────────┐\n│ EXPL │   editor    │\n│      ├─────────────┤\n│      │  terminal   │\n└──────┴─────────────┘',
+    '┌─────────┬─────────┐\n│ group 1 │ group 2 │\n└─────────┴─────────┘',
+    'EXPLORER | SEARCH | SOURCE CONTROL | EXTENSIONS'
+  ],
+  window: ['Visual Studio Code — my-project'],
+  line: [
+    'const total = items.reduce((sum, x) => sum + x, 0);',
+    'if (user.isAdmin) {\n  grantAccess(user);\n}',
+    'import { readFile } from "node:fs/promises";'
+  ],
+  motion: [
+    '@ handleRequest  ƒ parseBody  ƒ sendJson',
+    '# class Server  ƒ listen  ƒ close',
+    'Go to: app.js:42'
+  ],
+  word: [
+    'count = count + 1; return count;',
+    'user.name, user.email, user.id',
+    'item item item'
+  ],
+  paren: [
+    'render(items.map(item => format(item)))',
+    'if ((a && b) || c) { run() }',
+    'calculate(x, [y, z])'
+  ],
+  block: ['function example() {\n  return true;\n}'],
+  text: [
+    'function  add(a,b){return a+b}   ',
+    'const x = {a:1,b:2}',
+    'console.log(resul|'
+  ],
+  fold: ['> function setup() { … }\n> function main() { … }'],
+  search: [
+    'Find: [ TODO        ] Aa ab .*',
+    'Replace: [ oldName ] → [ newName ]',
+    '3 results in 2 files'
+  ],
+  plugin: [
+    'Extension: GitLens — Git supercharged',
+    '> Rust Analyzer: Run',
+    'Extensions: 24 installed'
+  ]
+};
+
+/**
+ * Build the VS Code pack for a platform
+ *
+ * @param {string} platform - Node platform name ('linux', 'darwin', 'win32')
+ * @returns {Object} Pack object with that platform's default keys
+ *
+ * @example
+ * createVscodePack('darwin').groups[0].commands[0].keys // 'Cmd+Shift+P'
+ * createVscodePack('linux').groups[0].commands[0].keys // 'Ctrl+Shift+P'
+ */
+export function createVscodePack(platform = process.platform) {
+  const isMac = platform === 'darwin';
+  const isWindows = platform === 'win32';
+  const mod = isMac ? 'Cmd' : 'Ctrl';
+  const alt = isMac ? 'Option' : 'Alt';
+  // Keys for commands whose bindings differ beyond Ctrl -> Cmd
+  const pick = ({ linux, mac, win = linux }) => (isMac ? mac : isWindows ? win : linux);
+
+  return {
+    id: 'vscode',
+    name: 'VS Code',
+    description: 'Master Visual Studio Code shortcuts, chords included',
+    version: '1.0.0',
+
+    groups: [
+      {
+        name: 'Essentials',
+        description: 'The shortcuts everything else is reached from',
+        commands: [
+          {id: 'command-palette', keys: `${mod}+Shift+P`, concept: 'COMMAND PALETTE', color: 'yellow', complexity: 1.0, targetType: 'command'},
+          {id: 'quick-open', keys: `${mod}+P`, concept: 'QUICK OPEN FILE', color: 'cyan', complexity: 1.0, targetType: 'file'},
+          {id: 'save-file', keys: `${mod}+S`, concept: 'SAVE FILE', color: 'green', complexity: 1.0, targetType: 'file'},
+          {id: 'new-file', keys: `${mod}+N`, concept: 'NEW FILE', color: 'green', complexity: 1.0, targetType: 'file'},
+          {id: 'find', keys: `${mod}+F`, concept: 'FIND', color: 'cyan', complexity: 1.0, targetType: 'search'},
+          {id: 'toggle-comment', keys: `${mod}+/`, concept: 'TOGGLE LINE COMMENT', color: 'yellow', complexity: 1.0, targetType: 'line'},
+          {id: 'toggle-sidebar', keys: `${mod}+B`, concept: 'TOGGLE SIDEBAR', color: 'magenta', complexity: 1.0, targetType: 'pane'},
+          {id: 'toggle-terminal', keys: 'Ctrl+`', concept: 'TOGGLE TERMINAL', color: 'magenta', complexity: 1.1, targetType: 'pane'}
+        ]
+      },
+      {
+        name: 'Editing',
+        description: 'Move, copy and reshape lines without the mouse',
+        commands: [
+          {id: 'move-line-up', keys: `${alt}+Up`, concept: 'MOVE LINE UP', color: 'blue', complexity: 1.1, targetType: 'line'},
+          {id: 'move-line-down', keys: `${alt}+Down`, concept: 'MOVE LINE DOWN', color: 'blue', complexity: 1.1, targetType: 'line'},
+          {id: 'copy-line-up', keys: pick({ linux: 'Ctrl+Shift+Alt+Up', win: 'Shift+Alt+Up', mac: 'Option+Shift+Up' }), concept: 'COPY LINE UP', color: 'blue', complexity: 1.3, targetType: 'line'},
+          {id: 'copy-line-down', keys: pick({ linux: 'Ctrl+Shift+Alt+Down', win: 'Shift+Alt+Down', mac: 'Option+Shift+Down' }), concept: 'COPY LINE DOWN', color: 'blue', complexity: 1.3, targetType: 'line'},
+          {id: 'delete-line', keys: `${mod}+Shift+K`, concept: 'DELETE LINE', color: 'red', complexity: 1.2, targetType: 'line'},
+          {id: 'insert-line-below', keys: `${mod}+Enter`, concept: 'INSERT LINE BELOW', color: 'green', complexity: 1.1, targetType: 'line'},
+          {id: 'insert-line-above', keys: `${mod}+Shift+Enter`, concept: 'INSERT LINE ABOVE', color: 'green', complexity: 1.2, targetType: 'line'},
+          {id: 'indent-line', keys: `${mod}+]`, concept: 'INDENT LINE', color: 'yellow', complexity: 1.1, targetType: 'line'},
+          {id: 'outdent-line', keys: `${mod}+[`, concept: 'OUTDENT LINE', color: 'yellow', complexity: 1.1, targetType: 'line'},
+          {id: 'toggle-block-comment', keys: pick({ linux: 'Ctrl+Shift+A', win: 'Shift+Alt+A', mac: 'Option+Shift+A' }), concept: 'TOGGLE BLOCK COMMENT', color: 'yellow', complexity: 1.3, targetType: 'block'},
+          {id: 'format-document', keys: pick({ linux: 'Ctrl+Shift+I', win: 'Shift+Alt+F', mac: 'Option+Shift+F' }), concept: 'FORMAT DOCUMENT', color: 'magenta', complexity: 1.2, targetType: 'text'},
+          {id: 'trigger-suggest', keys: 'Ctrl+Space', concept: 'TRIGGER SUGGEST', color: 'magenta', complexity: 1.1, targetType: 'text'},
+          {id: 'quick-fix', keys: `${mod}+.`, concept: 'QUICK FIX', color: 'magenta', complexity: 1.1, targetType: 'text'}
+        ]
+      },
+      {
+        name: 'Selection & Multi-Cursor',
+        description: 'Edit many places at once',
+        commands: [
+          {id: 'add-next-match', keys: `${mod}+D`, concept: 'ADD NEXT MATCH', color: 'cyan', complexity: 1.1, targetType: 'word'},
+          {id: 'select-all-matches', keys: `${mod}+Shift+L`, concept: 'SELECT ALL MATCHES', color: 'cyan', complexity: 1.3, targetType: 'word'},
+          {id: 'select-line', keys: `${mod}+L`, concept: 'SELECT LINE', color: 'cyan', complexity: 1.0, targetType: 'line'},
+          {id: 'cursor-above', keys: pick({ linux: 'Shift+Alt+Up', win: 'Ctrl+Alt+Up', mac: 'Cmd+Option+Up' }), concept: 'ADD CURSOR ABOVE', color: 'blue', complexity: 1.3, targetType: 'line'},
+          {id: 'cursor-below', keys: pick({ linux: 'Shift+Alt+Down', win: 'Ctrl+Alt+Down', mac: 'Cmd+Option+Down' }), concept: 'ADD CURSOR BELOW', color: 'blue', complexity: 1.3, targetType: 'line'},
+          {id: 'expand-selection', keys: pick({ linux: 'Shift+Alt+Right', mac: 'Cmd+Ctrl+Shift+Right' }), concept: 'EXPAND SELECTION', color: 'cyan', complexity: 1.4, targetType: 'paren'},
+          {id: 'shrink-selection', keys: pick({ linux: 'Shift+Alt+Left', mac: 'Cmd+Ctrl+Shift+Left' }), concept: 'SHRINK SELECTION', color: 'cyan', complexity: 1.4, targetType: 'paren'},
+          {id: 'cursor-undo', keys: `${mod}+U`, concept: 'UNDO CURSOR', color: 'yellow', complexity: 1.3, targetType: 'word'}
+        ]
+      },
+      {
+        name: 'Navigation',
+        description: 'Jump through code instead of scrolling',
+        commands: [
+          {id: 'go-to-line', keys: 'Ctrl+G', concept: 'GO TO LINE', color: 'cyan', complexity: 1.0, targetType: 'line'},
+          {id: 'go-to-symbol', keys: `${mod}+Shift+O`, concept: 'GO TO SYMBOL', color: 'cyan', complexity: 1.2, targetType: 'motion'},
+          {id: 'workspace-symbol', keys: `${mod}+T`, concept: 'WORKSPACE SYMBOL', color: 'cyan', complexity: 1.2, targetType: 'motion'},
+          {id: 'jump-to-bracket', keys: `${mod}+Shift+\\`, concept: 'JUMP TO BRACKET', color: 'cyan', complexity: 1.3, targetType: 'paren'},
+          {id: 'go-back', keys: pick({ linux: 'Ctrl+Alt+-', win: 'Alt+Left', mac: 'Ctrl+-' }), concept: 'GO BACK', color: 'blue', complexity: 1.2, targetType: 'motion'},
+          {id: 'go-forward', keys: pick({ linux: 'Ctrl+Shift+-', win: 'Alt+Right', mac: 'Ctrl+Shift+-' }), concept: 'GO FORWARD', color: 'blue', complexity: 1.3, targetType: 'motion'}
+        ]
+      },
+      {
+        name: 'Editors & Files',
+        description: 'Open, switch and close editor tabs',
+        commands: [
+          {id: 'close-editor', keys: `${mod}+W`, concept: 'CLOSE EDITOR', color: 'red', complexity: 1.0, targetType: 'tab'},
+          {id: 'reopen-editor', keys: `${mod}+Shift+T`, concept: 'REOPEN CLOSED EDITOR', color: 'green', complexity: 1.2, targetType: 'tab'},
+          {id: 'next-editor', keys: pick({ linux: 'Ctrl+PageDown', mac: 'Cmd+Option+Right' }), concept: 'NEXT EDITOR', color: 'blue', complexity: 1.1, targetType: 'tab'},
+          {id: 'previous-editor', keys: pick({ linux: 'Ctrl+PageUp', mac: 'Cmd+Option+Left' }), concept: 'PREVIOUS EDITOR', color: 'blue', complexity: 1.1, targetType: 'tab'},
+          {id: 'recent-editor', keys: 'Ctrl+Tab', concept: 'RECENT EDITOR', color: 'blue', complexity: 1.0, targetType: 'tab'},
+          {id: 'split-editor', keys: `${mod}+\\`, concept: 'SPLIT EDITOR', color: 'yellow', complexity: 1.1, targetType: 'pane'},
+          {id: 'focus-group-1', keys: `${mod}+1`, concept: 'FOCUS EDITOR GROUP 1', color: 'blue', complexity: 1.0, targetType: 'pane'},
+          {id: 'focus-group-2', keys: `${mod}+2`, concept: 'FOCUS EDITOR GROUP 2', color: 'blue', complexity: 1.0, targetType: 'pane'},
+          {id: 'save-all', keys: pick({ linux: 'Ctrl+K S', mac: 'Cmd+Option+S' }), concept: 'SAVE ALL', color: 'green', complexity: 1.3, targetType: 'file'}
+        ]
+      },
+      {
+        name: 'Search & Views',
+        description: 'Search the workspace and toggle the side views',
+        commands: [
+          {id: 'replace', keys: pick({ linux: 'Ctrl+H', mac: 'Cmd+Option+F' }), concept: 'FIND AND REPLACE', color: 'cyan', complexity: 1.1, targetType: 'search'},
+          {id: 'find-in-files', keys: `${mod}+Shift+F`, concept: 'FIND IN FILES', color: 'cyan', complexity: 1.2, targetType: 'search'},
+          {id: 'replace-in-files', keys: `${mod}+Shift+H`, concept: 'REPLACE IN FILES', color: 'cyan', complexity: 1.3, targetType: 'search'},
+          {id: 'show-explorer', keys: `${mod}+Shift+E`, concept: 'SHOW EXPLORER', color: 'magenta', complexity: 1.2, targetType: 'pane'},
+          {id: 'show-source-control', keys: 'Ctrl+Shift+G', concept: 'SHOW SOURCE CONTROL', color: 'magenta', complexity: 1.2, targetType: 'pane'},
+          {id: 'show-extensions', keys: `${mod}+Shift+X`, concept: 'SHOW EXTENSIONS', color: 'magenta', complexity: 1.2, targetType: 'pane'},
+          {id: 'show-problems', keys: `${mod}+Shift+M`, concept: 'SHOW PROBLEMS', color: 'magenta', complexity: 1.2, targetType: 'pane'},
+          {id: 'toggle-panel', keys: `${mod}+J`, concept: 'TOGGLE PANEL', color: 'magenta', complexity: 1.1, targetType: 'pane'},
+          {id: 'new-terminal', keys: 'Ctrl+Shift+`', concept: 'NEW TERMINAL', color: 'green', complexity: 1.3, targetType: 'pane'}
+        ]
+      },
+      {
+        name: 'Chords',
+        description: `Two-step ${mod}+K shortcuts`,
+        commands: [
+          {id: 'keyboard-shortcuts', keys: `${mod}+K ${mod}+S`, concept: 'KEYBOARD SHORTCUTS', color: 'yellow', complexity: 1.4, targetType: 'command'},
+          {id: 'close-all-editors', keys: `${mod}+K ${mod}+W`, concept: 'CLOSE ALL EDITORS', color: 'red', complexity: 1.4, targetType: 'tab'},
+          {id: 'fold-all', keys: `${mod}+K ${mod}+0`, concept: 'FOLD ALL', color: 'yellow', complexity: 1.4, targetType: 'fold'},
+          {id: 'unfold-all', keys: `${mod}+K ${mod}+J`, concept: 'UNFOLD ALL', color: 'yellow', complexity: 1.4, targetType: 'fold'},
+          {id: 'add-line-comment', keys: `${mod}+K ${mod}+C`, concept: 'ADD LINE COMMENT', color: 'yellow', complexity: 1.4, targetType: 'line'},
+          {id: 'remove-line-comment', keys: `${mod}+K ${mod}+U`, concept: 'REMOVE LINE COMMENT', color: 'yellow', complexity: 1.4, targetType: 'line'},
+          {id: 'trim-whitespace', keys: `${mod}+K ${mod}+X`, concept: 'TRIM TRAILING WHITESPACE', color: 'yellow', complexity: 1.5, targetType: 'text'},
+          {id: 'color-theme', keys: `${mod}+K ${mod}+T`, concept: 'COLOR THEME', color: 'magenta', complexity: 1.4, targetType: 'window'},
+          {id: 'zen-mode', keys: `${mod}+K z`, concept: 'ZEN MODE', color: 'magenta', complexity: 1.4, targetType: 'window'},
+          {id: 'change-language', keys: `${mod}+K m`, concept: 'CHANGE LANGUAGE MODE', color: 'magenta', complexity: 1.5, targetType: 'file'},
+          {id: 'markdown-preview-side', keys: `${mod}+K v`, concept: 'PREVIEW TO THE SIDE', color: 'magenta', complexity: 1.5, targetType: 'pane'}
+        ]
+      }
+    ],
+
+    targetGenerators: Object.fromEntries(
+      Object.entries(VSCODE_TARGETS).map(([type, samples]) => [type, () => samples[Math.floor(Math.random() * samples.length)]])
+    ),
+
+    keyNotation: {
+      'Ctrl+': 'Ctrl+',
+      'Cmd+': 'Cmd+',
+      'Shift+': 'Shift+',
+      'Alt+': 'Alt+',
+      'Option+': 'Option+'
+    }
+  };
+}
+
+export default createVscodePack();
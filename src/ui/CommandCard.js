@@ -1,24 +1,88 @@
 import React from 'react';
 import { Box, Text } from 'ink';
+import { formatChord, formatKeys, formatKeyToken, getLayoutHints } from '../utils/keydisplay.js';
+import { parseKeySequence } from '../utils/keyparser.js';
+import { getVisibleChords, canHint, HINT_KEY } from '../core/recall.js';
+import TargetPreview from './TargetPreview.js';
 
-export default function CommandCard({ command, targetText }) {
+/**
+ * Progress through a multi-step chord sequence: "Ctrl+b ✓ then %"
+ * Steps still hidden by recall show as "?"
+ * @private
+ */
+function ChordProgress({ chords, position, expired, visibleCount, display }) {
+  if (expired) {
+    const restart = visibleCount > 0 ? ` from ${formatChord(chords[0], display)}` : '';
+    return <Text color="yellow">Prefix timed out, start again{restart}</Text>;
+  }
+
+  return (
+    <Text>
+      {chords.map((chord, i) => (
+        <Text key={i}>
+          {i > 0 && <Text color="gray"> then </Text>}
+          {i < position
+            ? <Text color="green">{formatChord(chord, display)} ✓</Text>
+            : <Text color="cyan" bold={i === position}>{i < visibleCount ? formatChord(chord, display) : '?'}</Text>}
+        </Text>
+      ))}
+    </Text>
+  );
+}
+
+/**
+ * The keys to press, as far as recall shows them
+ * @private
+ */
+function KeysPrompt({ keys, visibleChords, hiddenCount, display }) {
+  if (hiddenCount === 0) {
+    return <Text bold color="cyan">Press: {formatKeys(keys, display)}</Text>;
+  }
+  if (visibleChords.length === 0) {
+    return <Text color="gray">Recall the keys</Text>;
+  }
+  return <Text bold color="cyan">Press: {visibleChords.map(chord => formatChord(chord, display)).join(' ')} …</Text>;
+}
+
+export default function CommandCard({ command, target, buffer = null, showResult = false, chords = [], chordProgress = { position: 0, expired: false }, keyVisibility = 'full', hints = 0, hintKey = HINT_KEY, display = {} }) {
   if (!command) return null;
 
+  // Only multi-step sequences get a progress line, once the first step is in
+  const showProgress = chords.length > 1 && (chordProgress.position > 0 || chordProgress.expired);
+  // Layout hints would give hidden keys away, so they cover the visible ones only
+  const visibleChords = getVisibleChords(command.keys, keyVisibility, hints);
+  const hiddenCount = parseKeySequence(command.keys).length - visibleChords.length;
+  const layoutHints = getLayoutHints(visibleChords.map(chord => chord.token).join(' '), display);
+
   return (
     <Box flexDirection="column" alignItems="center" padding={2}>
       <Box marginBottom={1}>
         <Text bold color={command.color || 'white'}>{command.concept}</Text>
       </Box>
-      <Box marginBottom={2}>
-        <Text bold color="cyan">Press: {command.keys}</Text>
+      {command.context && (
+        <Box marginBottom={1}>
+          <Text color="gray">when {command.context}</Text>
+        </Box>
+      )}
+      <Box marginBottom={showProgress || layoutHints.length > 0 ? 1 : 2}>
+        <KeysPrompt keys={command.keys} visibleChords={visibleChords} hiddenCount={hiddenCount} display={display} />
       </Box>
-      {targetText && (
-        <Box borderStyle="round" padding={1} borderColor="gray">
-          <Text color="gray">{targetText}</Text>
+      {layoutHints.length > 0 && (
+        <Box marginBottom={showProgress ? 1 : 2}>
+          <Text color="gray">{layoutHints.map(hint => `${hint.char} is ${hint.keys}`).join(' • ')}</Text>
+        </Box>
+      )}
+      {showProgress && (
+        <Box marginBottom={2}>
+          <ChordProgress chords={chords} {...chordProgress} visibleCount={visibleChords.length} display={display} />
         </Box>
       )}
+      <TargetPreview target={target} current={buffer} showResult={showResult} />
       <Box marginTop={1}>
-        <Text color="gray" dimColor>Level {command.level} • {command.successes || 0}/3 successes</Text>
+        <Text color="gray" dimColor>
+          Level {command.level} • {command.successes || 0}/3 successes
+          {hintKey && canHint(command.keys, keyVisibility, hints) && ` • ${formatKeyToken(hintKey, display)} for a hint`}
+        </Text>
       </Box>
     </Box>
   );
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Box, Text } from 'ink';
+import { MENU_ACTIONS } from '../core/controls.js';
+import { formatKeyToken } from '../utils/keydisplay.js';
+
+export default function ControlMenu({ controlKey, hintAvailable = false, display = {} }) {
+  return (
+    <Box flexDirection="column" alignItems="center" padding={2}>
+      <Box marginBottom={1}>
+        <Text bold color="cyan">Menu</Text>
+      </Box>
+      <Box flexDirection="column" marginBottom={1}>
+        {MENU_ACTIONS.map(action => (
+          <Text key={action.id} dimColor={action.id === 'hint' && !hintAvailable}>
+            <Text bold color="yellow">{action.key}</Text>  {action.label}
+          </Text>
+        ))}
+      </Box>
+      <Text dimColor>{formatKeyToken(controlKey, display)} or ESC to return to game</Text>
+    </Box>
+  );
+}
@@ -1,17 +1,54 @@
 import React from 'react';
 import { Box, Text } from 'ink';
+import { describeKeys, formatKeyToken } from '../utils/keydisplay.js';
 
-export default function Feedback({ isCorrect, correctKeys, show }) {
+// Why a free-form answer failed (see core/vim.js VimChallenge)
+const REASONS = {
+  'not-a-command': 'That key is not a command there',
+  'wrong-edit': 'That edit changed the text differently',
+  'too-many-keys': 'Too many keys without reaching the result'
+};
+
+/**
+ * Per-step results of a multi-step answer: "Ctrl+b ✓ then % ✗"
+ * @private
+ */
+function StepResults({ steps, display }) {
+  return (
+    <Text>
+      {steps.map((step, i) => (
+        <Text key={i}>
+          {i > 0 && <Text color="gray"> then </Text>}
+          {step.outcome === 'correct'
+            ? <Text color="green">{formatKeyToken(step.expected, display)} ✓</Text>
+            : <Text color="red">{formatKeyToken(step.expected ?? step.pressed, display)} ✗</Text>}
+        </Text>
+      ))}
+    </Text>
+  );
+}
+
+export default function Feedback({ isCorrect, correctKeys, mismatch, reason = null, hints = 0, steps = [], show, display = {} }) {
   if (!show) return null;
 
   return (
     <Box marginTop={2}>
       {isCorrect ? (
-        <Text bold color="green">✓ Correct!</Text>
+        <Text bold color="green">
+          ✓ Correct!{hints > 0 && <Text color="yellow"> ({hints} {hints === 1 ? 'hint' : 'hints'}, no level credit)</Text>}
+        </Text>
       ) : (
         <Box flexDirection="column" alignItems="center">
           <Text bold color="red">✗ Wrong!</Text>
-          <Text color="yellow">Correct answer: {correctKeys}</Text>
+          {steps.length > 1 && <StepResults steps={steps} display={display} />}
+          {mismatch && (
+            <Text color="red">
+              Step {mismatch.index + 1}: pressed {formatKeyToken(mismatch.pressed, display)}
+              {mismatch.expected ? `, expected ${formatKeyToken(mismatch.expected, display)}` : ', sequence was already complete'}
+            </Text>
+          )}
+          {REASONS[reason] && <Text color="red">{REASONS[reason]}</Text>}
+          <Text color="yellow">Correct answer: {describeKeys(correctKeys, display)}</Text>
         </Box>
       )}
     </Box>
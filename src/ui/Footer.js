@@ -1,13 +1,15 @@
 import React from 'react';
 import { Box, Text } from 'ink';
+import { formatKeyToken } from '../utils/keydisplay.js';
 
-export default function Footer({ accuracy, score, masteredCount, totalCommands }) {
+export default function Footer({ accuracy, score, masteredCount, totalCommands, controlKey = null, display = {} }) {
   return (
     <Box borderStyle="single" borderColor="cyan" padding={1} marginTop={1}>
       <Box justifyContent="space-between" width="100%">
         <Text color="green">Accuracy: {accuracy}%</Text>
         <Text color="yellow">Score: {score}</Text>
         <Text color="magenta">Mastered: {masteredCount}/{totalCommands}</Text>
+        {controlKey && <Text color="gray">{formatKeyToken(controlKey, display)} menu</Text>}
       </Box>
     </Box>
   );
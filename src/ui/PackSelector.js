@@ -25,6 +25,7 @@ export default function PackSelector({ onSelect }) {
             <Text color={index === selectedIndex ? 'cyan' : 'white'}>
               {index === selectedIndex ? '▶ ' : '  '}
               <Text bold>{pack.name}</Text> - {pack.description} ({pack.commandCount} commands)
+              {pack.source !== 'built-in' && <Text color="gray"> [user]</Text>}
             </Text>
           </Box>
         ))}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { Box, Text } from 'ink';
+import { formatKeyToken } from '../utils/keydisplay.js';
+
+export default function PauseScreen({ controlKey, reason = 'player', display = {} }) {
+  return (
+    <Box flexDirection="column" alignItems="center" padding={4}>
+      <Box marginBottom={2}>
+        <Text bold color="cyan">Paused</Text>
+      </Box>
+      {reason === 'focus' && (
+        <Box marginBottom={2}>
+          <Text color="gray">The terminal lost focus, so the clock stopped</Text>
+        </Box>
+      )}
+      <Text dimColor>{formatKeyToken(controlKey, display)} or ESC to resume</Text>
+    </Box>
+  );
+}
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Box, Text } from 'ink';
+import { describeKeys } from '../utils/keydisplay.js';
+import { describeComparison } from '../core/summary.js';
+
+/**
+ * One list of commands, skipped when empty
+ * @private
+ */
+function CommandList({ title, color, entries, detail, display }) {
+  if (entries.length === 0) return null;
+  return (
+    <Box flexDirection="column" marginBottom={1}>
+      <Text bold color={color}>{title}</Text>
+      {entries.map(entry => (
+        <Text key={entry.id}>
+          <Text color="cyan">{describeKeys(entry.command.keys, display)}</Text> {entry.command.concept} <Text color="gray">({detail(entry)})</Text>
+        </Text>
+      ))}
+    </Box>
+  );
+}
+
+export default function SessionSummary({ summary, display = {} }) {
+  const { session } = summary;
+
+  return (
+    <Box flexDirection="column" padding={2}>
+      <Box marginBottom={1}>
+        <Text bold color="cyan">Session Summary: {summary.packName}</Text>
+      </Box>
+      <Box flexDirection="column" marginBottom={1}>
+        <Text>
+          <Text color="yellow">Score: {session.score.toLocaleString()}</Text>
+          {'   '}<Text color="green">Accuracy: {session.accuracy}%</Text>
+          {'   '}<Text color="magenta">Best combo: {session.bestCombo}</Text>
+        </Text>
+        <Text color="gray">{describeComparison(summary.comparison)}</Text>
+      </Box>
+      <CommandList title="Levelled up" color="green" entries={summary.levelledUp} detail={entry => `level ${entry.from} → ${entry.to}`} display={display} />
+      <CommandList title="Back to level 0" color="red" entries={summary.reset} detail={entry => `was level ${entry.from}`} display={display} />
+      <CommandList title="Slowest" color="yellow" entries={summary.slowest} detail={entry => `${(entry.averageTime / 1000).toFixed(1)}s avg`} display={display} />
+      <CommandList title="Most missed" color="red" entries={summary.mostFailed} detail={entry => `${entry.failures} of ${entry.attempts} missed`} display={display} />
+      <Text dimColor>Press any key to exit</Text>
+    </Box>
+  );
+}
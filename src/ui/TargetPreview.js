@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Text } from 'ink';
+import { bufferLines, diffText } from '../core/targets.js';
+
+// How long the changed text stays marked before the result is shown (ms)
+export const CHANGE_FRAME_MS = 250;
+
+const SEGMENT_STYLES = {
+  cursor: { inverse: true },
+  removed: { color: 'red', strikethrough: true },
+  inserted: { color: 'green' },
+  highlight: { color: 'black', backgroundColor: 'magenta' }
+};
+
+// Status line for editor modes other than normal, as Vim shows it
+const MODE_LABELS = {
+  insert: '-- INSERT --',
+  visual: '-- VISUAL --',
+  'visual-line': '-- VISUAL LINE --',
+  'visual-block': '-- VISUAL BLOCK --'
+};
+
+/**
+ * Lines and marks to draw for each animation frame
+ * 'before' shows the cursor (or the buffer as the player's keys left it),
+ * 'change' marks what the command removes, 'after' shows the result with
+ * inserted or highlighted text
+ * @private
+ */
+function frameLines(target, frame, current) {
+  const { before, after } = target;
+  if (frame === 'before' || !after) {
+    const buffer = current ?? before;
+    return bufferLines(buffer, { highlight: buffer.highlight });
+  }
+
+  const { removed, inserted } = diffText(before.text, after.text);
+  if (frame === 'change') {
+    // Pure motions change nothing, so the cursor stays until the result
+    const changes = removed[1] > removed[0];
+    return bufferLines({ text: before.text, cursor: changes ? null : before.cursor }, { removed });
+  }
+  return bufferLines(after, { inserted, highlight: after.highlight });
+}
+
+export default function TargetPreview({ target, current = null, showResult = false }) {
+  const [frame, setFrame] = useState('before');
+
+  useEffect(() => {
+    if (!showResult || !target?.after) {
+      setFrame('before');
+      return undefined;
+    }
+    setFrame('change');
+    const timer = setTimeout(() => setFrame('after'), CHANGE_FRAME_MS);
+    return () => clearTimeout(timer);
+  }, [showResult, target]);
+
+  if (!target?.before || target.before.text === '') return null;
+
+  const lines = frameLines(target, frame, current);
+  const modeLabel = frame === 'before' ? MODE_LABELS[current?.mode] : null;
+  return (
+    <Box borderStyle="round" padding={1} borderColor={frame === 'after' ? 'green' : 'gray'} flexDirection="column">
+      {lines.map((segments, i) => (
+        <Text key={i} color="gray">
+          {segments.length === 0 ? ' ' : segments.map((segment, j) => (
+            <Text key={j} {...(SEGMENT_STYLES[segment.style] || {})}>{segment.text}</Text>
+          ))}
+        </Text>
+      ))}
+      {modeLabel && <Text bold color="yellow">{modeLabel}</Text>}
+    </Box>
+  );
+}
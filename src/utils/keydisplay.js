@@ -0,0 +1,262 @@
+/**
+ * Key Display - Render key sequences for the player's platform and layout
+ *
+ * Matching works on canonical key tokens (see keyparser), which name the
+ * character the terminal sends and are the same on every platform and
+ * layout. This module only decides how those keys are shown: macOS symbols
+ * (⌃ ⌥ ⇧ ⌘) or Linux/Windows names, plus hints for symbols that take a
+ * different key combination on the player's keyboard layout.
+ */
+
+import { parseChord, parseKeySequence } from './keyparser.js';
+
+/**
+ * Build a layout's key combinations from "base shifted" key pairs
+ * @param {string} pairs - Characters in pairs: unshifted legend, then shifted character
+ * @param {string} altGr - Characters in pairs: key legend, then its AltGr character
+ * @returns {Object} Map of character -> combination ('Shift+2', 'AltGr+7')
+ * @private
+ */
+function layoutKeys(pairs, altGr = '') {
+  const keys = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    keys[pairs[i + 1]] = `Shift+${pairs[i]}`;
+  }
+  for (let i = 0; i < altGr.length; i += 2) {
+    keys[altGr[i + 1]] = `AltGr+${altGr[i]}`;
+  }
+  return keys;
+}
+
+/**
+ * Platform display styles
+ * Each: { name, modifiers: canonical name -> label, order, separator, keys: named key labels }
+ */
+export const PLATFORMS = {
+  mac: {
+    name: 'macOS',
+    modifiers: { Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Super: '⌘' },
+    // Apple's menu order
+    order: ['Ctrl', 'Alt', 'Shift', 'Super'],
+    separator: '',
+    keys: {
+      Enter: '↩', Escape: '⎋', Tab: '⇥', Backspace: '⌫', Delete: '⌦',
+      ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+      Home: '↖', End: '↘', PageUp: '⇞', PageDown: '⇟', Space: 'Space'
+    }
+  },
+  linux: {
+    name: 'Linux',
+    modifiers: { Super: 'Super', Ctrl: 'Ctrl', Alt: 'Alt', Shift: 'Shift' },
+    order: ['Super', 'Ctrl', 'Alt', 'Shift'],
+    separator: '+',
+    keys: {
+      Escape: 'Esc', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+      PageUp: 'PgUp', PageDown: 'PgDn'
+    }
+  },
+  windows: {
+    name: 'Windows',
+    modifiers: { Super: 'Win', Ctrl: 'Ctrl', Alt: 'Alt', Shift: 'Shift' },
+    order: ['Super', 'Ctrl', 'Alt', 'Shift'],
+    separator: '+',
+    keys: {
+      Escape: 'Esc', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+      PageUp: 'PgUp', PageDown: 'PgDn'
+    }
+  }
+};
+
+/**
+ * Keyboard layouts (PC variants), as the key combination that types each symbol
+ * Keys are named by their unshifted legend on that layout
+ */
+export const LAYOUTS = {
+  us: {
+    name: 'US QWERTY',
+    keys: layoutKeys('1!2@3#4$5%6^7&8*9(0)-_=+[{]}\\|;:\'",<.>/?`~')
+  },
+  azerty: {
+    name: 'French AZERTY',
+    keys: layoutKeys(
+      '&1é2"3\'4(5-6è7_8ç9à0)°=+$£*µù%,?;.:/!§<>',
+      'é~"#\'{([-|è`_\\ç^à@)]=}'
+    )
+  },
+  qwertz: {
+    name: 'German QWERTZ',
+    keys: layoutKeys(
+      '1!2"3§4$5%6&7/8(9)0=ß?+*#\',;.:-_<>^°',
+      '7{8[9]0}ß\\q@+~<|'
+    )
+  },
+  dvorak: {
+    // Same symbol pairs as US QWERTY, on other keys
+    name: 'US Dvorak',
+    keys: layoutKeys('1!2@3#4$5%6^7&8*9(0)[{]}\'",<.>/?=+-_;:\\|`~')
+  }
+};
+
+/**
+ * Default display platform for the running OS
+ * @param {string} osPlatform - Node platform name (default: process.platform)
+ * @returns {string} Platform id from PLATFORMS
+ */
+export function getDefaultPlatform(osPlatform = process.platform) {
+  if (osPlatform === 'darwin') return 'mac';
+  if (osPlatform === 'win32') return 'windows';
+  return 'linux';
+}
+
+/**
+ * Get a platform display style by id
+ *
+ * @param {string} id - Platform id ('mac', 'linux', 'windows')
+ * @returns {Object} Platform from PLATFORMS
+ * @throws {Error} If the platform is unknown
+ */
+export function getPlatform(id) {
+  const platform = PLATFORMS[id];
+  if (!platform) {
+    throw new Error(`Unknown platform "${id}". Available platforms: ${Object.keys(PLATFORMS).join(', ')}`);
+  }
+  return platform;
+}
+
+/**
+ * Get a keyboard layout by id
+ *
+ * @param {string} id - Layout id ('us', 'azerty', 'qwertz', 'dvorak')
+ * @returns {Object} Layout from LAYOUTS
+ * @throws {Error} If the layout is unknown
+ */
+export function getLayout(id) {
+  const layout = LAYOUTS[id];
+  if (!layout) {
+    throw new Error(`Unknown keyboard layout "${id}". Available layouts: ${Object.keys(LAYOUTS).join(', ')}`);
+  }
+  return layout;
+}
+
+/**
+ * Resolve display options from user settings
+ * Unknown ids fall back to the defaults so a stale setting never blocks training
+ *
+ * @param {Object} settings - User settings (may set `keyPlatform` and `keyboardLayout`)
+ * @returns {Object} { platform, layout } ids
+ */
+export function resolveKeyDisplay(settings = {}) {
+  return {
+    platform: PLATFORMS[settings?.keyPlatform] ? settings.keyPlatform : getDefaultPlatform(),
+    layout: LAYOUTS[settings?.keyboardLayout] ? settings.keyboardLayout : 'us'
+  };
+}
+
+/**
+ * Format one chord (from parseChord) for display
+ *
+ * @param {Object} chord - { modifiers, key } from parseChord or parseKeySequence
+ * @param {Object} options - { platform } id (default: this OS)
+ * @returns {string} Display label
+ *
+ * @example
+ * formatChord(parseChord('C-b'), { platform: 'linux' }) // => 'Ctrl+B'
+ * formatChord(parseChord('Cmd+Shift+P'), { platform: 'mac' }) // => '⇧⌘P'
+ */
+export function formatChord(chord, { platform = getDefaultPlatform() } = {}) {
+  const style = getPlatform(platform);
+  const hasModifiers = chord.modifiers.length > 0;
+  let key = style.keys[chord.key] ?? chord.key;
+  // Menus show letter keys in capitals; Shift is always spelled out with other modifiers
+  if (hasModifiers && key.length === 1) {
+    key = key.toUpperCase();
+  }
+
+  const modifiers = style.order
+    .filter(mod => chord.modifiers.includes(mod))
+    .map(mod => style.modifiers[mod]);
+  return [...modifiers, key].join(style.separator);
+}
+
+/**
+ * Format a canonical key token (from normalizeKeyEvent) for display
+ *
+ * @param {string} token - Key token such as 'Ctrl+b' or '%'
+ * @param {Object} options - { platform }
+ * @returns {string} Display label
+ */
+export function formatKeyToken(token, options = {}) {
+  return formatChord(parseChord(token), options);
+}
+
+/**
+ * Format a pack key sequence for display
+ * Plain character sequences ('dd', 'ci"') stay joined; chords are spaced
+ *
+ * @param {string} keys - Key sequence in pack notation
+ * @param {Object} options - { platform }
+ * @returns {string} Display label
+ *
+ * @example
+ * formatKeys('C-b %', { platform: 'linux' }) // => 'Ctrl+B %'
+ * formatKeys('<C-w>v', { platform: 'mac' }) // => '⌃W v'
+ * formatKeys('diw') // => 'diw'
+ */
+export function formatKeys(keys, options = {}) {
+  const chords = parseKeySequence(keys);
+  const plain = chords.every(chord => chord.modifiers.length === 0 && chord.key.length === 1);
+  return chords.map(chord => formatChord(chord, options)).join(plain ? '' : ' ');
+}
+
+/**
+ * List how to type the symbols in a key sequence on the player's layout
+ *
+ * Only symbols typed differently than on US QWERTY are listed, since pack
+ * notation is written for that layout. Modifier chords are left out: they
+ * name the key, not the character it types.
+ *
+ * @param {string} keys - Key sequence in pack notation
+ * @param {Object} options - { layout, platform }
+ * @returns {Array<Object>} Hints: { char, keys } with keys formatted for the platform
+ *
+ * @example
+ * getLayoutHints('C-b "', { layout: 'qwertz', platform: 'linux' }) // => [{ char: '"', keys: 'Shift+2' }]
+ * getLayoutHints('C-b "', { layout: 'azerty' }) // => [] (unshifted on AZERTY)
+ */
+export function getLayoutHints(keys, { layout = 'us', platform = getDefaultPlatform() } = {}) {
+  const layoutKeys = getLayout(layout).keys;
+  const usKeys = LAYOUTS.us.keys;
+  const style = getPlatform(platform);
+  const hints = [];
+
+  parseKeySequence(keys).forEach(({ modifiers, key }) => {
+    const combination = layoutKeys[key];
+    if (modifiers.length > 0 || !combination || combination === usKeys[key] || hints.some(hint => hint.char === key)) {
+      return;
+    }
+    // AltGr has no macOS symbol, so it keeps its name everywhere
+    const [modifier, base] = combination.split(/\+(?=.$)/);
+    const label = modifier === 'Shift' ? [style.modifiers.Shift, base].join(style.separator) : combination;
+    hints.push({ char: key, keys: label });
+  });
+  return hints;
+}
+
+/**
+ * Format a key sequence with layout hints, for plain-text output
+ *
+ * @param {string} keys - Key sequence in pack notation
+ * @param {Object} options - { platform, layout }
+ * @returns {string} Display label, followed by hints in parentheses
+ *
+ * @example
+ * describeKeys('C-b "', { platform: 'linux', layout: 'qwertz' }) // => 'Ctrl+B " (" = Shift+2)'
+ */
+export function describeKeys(keys, options = {}) {
+  const label = formatKeys(keys, options);
+  const hints = getLayoutHints(keys, options);
+  if (hints.length === 0) {
+    return label;
+  }
+  return `${label} (${hints.map(hint => `${hint.char} = ${hint.keys}`).join(', ')})`;
+}
@@ -1,6 +1,7 @@
 /**
  * Key Parser - Handle special key notation and input buffering
- * Converts vim-style notation like '<C-d>' to standard key representations
+ * Converts vim-style notation like '<C-d>' to standard key representations,
+ * and splits multi-step commands like 'C-b %' into chords graded one by one
  */
 
 /**
@@ -111,6 +112,381 @@ export function normalizeKeys(keys) {
     .replace(/\s+/g, ' '); // Normalize multiple spaces to single space
 }
 
+/**
+ * Canonical modifier order used by key tokens
+ * (matches the 'Super+Ctrl+h' / 'Ctrl+Shift+p' ordering used by the packs)
+ */
+const MODIFIER_ORDER = ['Super', 'Ctrl', 'Alt', 'Shift'];
+
+/**
+ * Modifier spellings accepted in pack notation, mapped to canonical names
+ */
+const MODIFIER_ALIASES = {
+  c: 'Ctrl', ctrl: 'Ctrl', control: 'Ctrl',
+  m: 'Alt', a: 'Alt', alt: 'Alt', meta: 'Alt', option: 'Alt', opt: 'Alt',
+  d: 'Super', super: 'Super', cmd: 'Super', command: 'Super', win: 'Super', mod4: 'Super',
+  s: 'Shift', shift: 'Shift',
+};
+
+/**
+ * Named keys accepted in pack notation (case-insensitive), mapped to the
+ * names parseKeyNotation displays
+ */
+const NAMED_KEYS = {
+  cr: 'Enter', enter: 'Enter', return: 'Enter',
+  esc: 'Escape', escape: 'Escape',
+  tab: 'Tab',
+  space: 'Space',
+  bs: 'Backspace', backspace: 'Backspace',
+  del: 'Delete', delete: 'Delete',
+  up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+  home: 'Home', end: 'End',
+  pageup: 'PageUp', pagedown: 'PageDown',
+};
+
+/**
+ * US layout shifted symbols (base key -> shifted character)
+ */
+const SHIFTED_SYMBOLS = {
+  '1': '!', '2': '@', '3': '#', '4': '$', '5': '%', '6': '^', '7': '&', '8': '*', '9': '(', '0': ')',
+  '-': '_', '=': '+', '[': '{', ']': '}', '\\': '|', ';': ':', "'": '"', ',': '<', '.': '>', '/': '?', '`': '~',
+};
+
+const UNSHIFTED_SYMBOLS = Object.fromEntries(
+  Object.entries(SHIFTED_SYMBOLS).map(([base, shifted]) => [shifted, base])
+);
+
+/**
+ * Build a canonical chord from a set of modifiers and a base key
+ *
+ * Printable characters with no modifier other than Shift collapse to the
+ * character the terminal actually sends ('S-a' -> 'A', Shift+1 -> '!').
+ * With Ctrl/Alt/Super held, letters are lowercased and shifted symbols are
+ * unshifted with Shift kept explicit ('Super+Shift+1', 'Ctrl+Shift+p').
+ *
+ * @param {Set<string>|Array<string>} modifiers - Canonical modifier names
+ * @param {string} key - Base key (single character or canonical key name)
+ * @returns {Object} Chord: { modifiers, key, token }
+ * @private
+ */
+function buildChord(modifiers, key) {
+  const mods = new Set(modifiers);
+  let base = key === ' ' ? 'Space' : key;
+
+  if (base.length === 1) {
+    const onlyShift = [...mods].every(mod => mod === 'Shift');
+
+    if (onlyShift) {
+      if (mods.has('Shift')) {
+        base = SHIFTED_SYMBOLS[base] || base.toUpperCase();
+      }
+      mods.clear();
+    } else if (UNSHIFTED_SYMBOLS[base]) {
+      base = UNSHIFTED_SYMBOLS[base];
+      mods.add('Shift');
+    } else {
+      // Ctrl+K and <C-D> name the letter key; Shift must be spelled out
+      base = base.toLowerCase();
+    }
+  }
+
+  const ordered = MODIFIER_ORDER.filter(mod => mods.has(mod));
+  return { modifiers: ordered, key: base, token: [...ordered, base].join('+') };
+}
+
+/**
+ * Build a canonical key token from a set of modifiers and a base key
+ * @param {Set<string>|Array<string>} modifiers - Canonical modifier names
+ * @param {string} key - Base key
+ * @returns {string} Canonical key token (see buildChord)
+ * @private
+ */
+function formatToken(modifiers, key) {
+  return buildChord(modifiers, key).token;
+}
+
+/**
+ * Resolve a key name from notation to its canonical form
+ * @param {string} name - Key name (e.g. 'CR', 'Return', 'PageDown', 'x')
+ * @returns {string} Canonical key name or the character itself
+ * @private
+ */
+function resolveKeyName(name) {
+  if (name.length === 1) return name;
+  return NAMED_KEYS[name.toLowerCase()] || name;
+}
+
+/**
+ * Parse a single chord such as 'C-b', 'Super+Shift+1', 'Alt+Tab' or 'x'
+ *
+ * @param {string} chord - Chord in pack notation
+ * @returns {Object} Chord: { modifiers, key, token } - canonical modifier
+ *   names in MODIFIER_ORDER, the base key, and the key token tokenizeKeys
+ *   and normalizeKeyEvent produce for it
+ *
+ * @example
+ * parseChord('C-b') // => { modifiers: ['Ctrl'], key: 'b', token: 'Ctrl+b' }
+ * parseChord('%') // => { modifiers: [], key: '%', token: '%' }
+ * parseChord('Super+Shift+1') // => { modifiers: ['Super', 'Shift'], key: '1', token: 'Super+Shift+1' }
+ */
+export function parseChord(chord) {
+  const modifiers = new Set();
+  let rest = chord;
+
+  // Vim/tmux style prefixes: C-x, M-x, S-x, C-S-x
+  let match;
+  while ((match = rest.match(/^([a-z])-(.+)$/i)) && MODIFIER_ALIASES[match[1].toLowerCase()]) {
+    modifiers.add(MODIFIER_ALIASES[match[1].toLowerCase()]);
+    rest = match[2];
+  }
+
+  // Plus-joined style: Ctrl+x, Super+Shift+Tab (a trailing '+' is the key itself)
+  while ((match = rest.match(/^([a-z0-9]+)\+(.+)$/i)) && MODIFIER_ALIASES[match[1].toLowerCase()]) {
+    modifiers.add(MODIFIER_ALIASES[match[1].toLowerCase()]);
+    rest = match[2];
+  }
+
+  return buildChord(modifiers, resolveKeyName(rest));
+}
+
+/**
+ * Check if the inside of a <...> group names a key ('C-d', 'Home') rather than literal text
+ * @private
+ */
+function isBracketedKey(inner) {
+  return /^([a-z]-)+./i.test(inner) || Boolean(NAMED_KEYS[inner.toLowerCase()]);
+}
+
+/**
+ * Parse one whitespace-separated chord, unwrapping '<Home>' style groups
+ * @private
+ */
+function parseSpacedChord(word) {
+  const bracket = word.match(/^<([^<>\s]+)>$/);
+  return parseChord(bracket && isBracketedKey(bracket[1]) ? bracket[1] : word);
+}
+
+/**
+ * Split pack key notation into a sequence of chords
+ *
+ * Each chord is one physical keypress (a key plus any held modifiers), so
+ * a prefix sequence like 'C-b %' is two steps the game can show and grade
+ * one at a time. Supported notations:
+ * - vim sequences: 'gg', 'diw', '<C-d>', '<C-w>h'
+ * - space-separated chords: 'C-b %', 'Ctrl+K Ctrl+S', 'C-b <Home>'
+ * - single plus-joined chords: 'Super+Shift+1', 'Alt+Tab'
+ *
+ * @param {string} keys - Key sequence in pack notation
+ * @returns {Array<Object>} Chords from parseChord, in the order they are pressed
+ *
+ * @example
+ * parseKeySequence('C-b %')
+ * // => [{ modifiers: ['Ctrl'], key: 'b', token: 'Ctrl+b' }, { modifiers: [], key: '%', token: '%' }]
+ * parseKeySequence('Super+h') // => [{ modifiers: ['Super'], key: 'h', token: 'Super+h' }]
+ */
+export function parseKeySequence(keys) {
+  if (!keys || typeof keys !== 'string') {
+    return [];
+  }
+
+  const trimmed = keys.trim();
+
+  // Whitespace separates chords ('C-b %'), unless the key itself is a space
+  if (/\s/.test(trimmed)) {
+    return trimmed.split(/\s+/).map(parseSpacedChord);
+  }
+
+  // A single modifier chord ('Super+h', 'C-x')
+  const leading = trimmed.match(/^([a-z0-9]+)\+.|^([a-z])-./i);
+  if (leading && MODIFIER_ALIASES[(leading[1] || leading[2]).toLowerCase()]) {
+    return [parseChord(trimmed)];
+  }
+
+  // Vim-style sequence: plain characters and <...> groups
+  const chords = [];
+  let i = 0;
+  while (i < keys.length) {
+    const bracket = keys.slice(i).match(/^<([^<>\s]+)>/);
+    if (bracket && isBracketedKey(bracket[1])) {
+      chords.push(parseChord(bracket[1]));
+      i += bracket[0].length;
+      continue;
+    }
+    chords.push(buildChord([], keys[i]));
+    i++;
+  }
+  return chords;
+}
+
+/**
+ * Split pack key notation into canonical key tokens
+ *
+ * Same steps as parseKeySequence, as the token strings normalizeKeyEvent
+ * produces for each keypress.
+ *
+ * @param {string} keys - Key sequence in pack notation
+ * @returns {Array<string>} Canonical key tokens
+ *
+ * @example
+ * tokenizeKeys('diw') // => ['d', 'i', 'w']
+ * tokenizeKeys('<C-d>') // => ['Ctrl+d']
+ * tokenizeKeys('C-b %') // => ['Ctrl+b', '%']
+ * tokenizeKeys('Super+Shift+1') // => ['Super+Shift+1']
+ */
+export function tokenizeKeys(keys) {
+  return parseKeySequence(keys).map(chord => chord.token);
+}
+
+/**
+ * Convert an Ink keypress into canonical key tokens
+ *
+ * Produces the same tokens tokenizeKeys does for the pack's notation, so
+ * the two can be compared directly. Ctrl, Alt (meta), Super (kitty keyboard
+ * protocol) and Shift are folded into the token; Escape, Return, Tab,
+ * arrows and paging keys map to their names. Pasted text yields one token
+ * per character.
+ *
+ * @param {string} input - Input string passed to Ink's useInput handler
+ * @param {Object} key - Key flags passed to Ink's useInput handler
+ * @returns {Array<string>} Canonical key tokens (empty if unrecognized)
+ *
+ * @example
+ * normalizeKeyEvent('d', { ctrl: true }) // => ['Ctrl+d']
+ * normalizeKeyEvent('', { escape: true, meta: true }) // => ['Escape']
+ * normalizeKeyEvent('!', { super: true, shift: true }) // => ['Super+Shift+1']
+ */
+export function normalizeKeyEvent(input, key = {}) {
+  // Ink reports Escape with meta set, so it must be checked first
+  if (key.escape) {
+    return ['Escape'];
+  }
+
+  const modifiers = new Set();
+  if (key.ctrl) modifiers.add('Ctrl');
+  if (key.meta) modifiers.add('Alt');
+  if (key.super) modifiers.add('Super');
+  if (key.shift) modifiers.add('Shift');
+
+  const named = [
+    ['return', 'Enter'], ['tab', 'Tab'], ['backspace', 'Backspace'], ['delete', 'Delete'],
+    ['upArrow', 'ArrowUp'], ['downArrow', 'ArrowDown'], ['leftArrow', 'ArrowLeft'], ['rightArrow', 'ArrowRight'],
+    ['home', 'Home'], ['end', 'End'], ['pageUp', 'PageUp'], ['pageDown', 'PageDown'],
+  ].find(([flag]) => key[flag]);
+
+  if (named) {
+    return [formatToken(modifiers, named[1])];
+  }
+
+  if (!input) {
+    return [];
+  }
+
+  if (input.length === 1) {
+    return [formatToken(modifiers, input)];
+  }
+
+  // Pasted or batched text: one token per character
+  return [...input].map(char => formatToken([], char));
+}
+
+// Ask the terminal to report focus changes (xterm; most modern terminals follow)
+export const FOCUS_REPORTING = {
+  enable: '\x1b[?1004h',
+  disable: '\x1b[?1004l'
+};
+
+/**
+ * Recognize a terminal focus report in an Ink keypress
+ *
+ * With FOCUS_REPORTING enabled the terminal sends ESC [ I on focus-in and
+ * ESC [ O on focus-out. Ink strips the ESC before useInput sees them, so
+ * they arrive as '[I' and '[O'; typed keys arrive one at a time and never
+ * look like this.
+ *
+ * @param {string} input - Input string passed to Ink's useInput handler
+ * @returns {string|null} 'in', 'out', or null for any other keypress
+ *
+ * @example
+ * parseFocusEvent('[O') // => 'out'
+ * parseFocusEvent('d') // => null
+ */
+export function parseFocusEvent(input) {
+  if (input === '[I') return 'in';
+  if (input === '[O') return 'out';
+  return null;
+}
+
+// Keys a legacy terminal sends as one control byte; Ctrl held with them arrives as something else
+const LEGACY_CONTROL_KEYS = new Set(['Enter', 'Tab', 'Backspace', 'Escape', 'Space']);
+
+/**
+ * Check whether a chord only reaches Ink under the kitty keyboard protocol
+ *
+ * Without it a terminal sends Ctrl+letter as one control byte, so Shift is
+ * lost (Ctrl+Shift+p arrives as Ctrl+p) and some letters collide with named
+ * keys (Ctrl+h is Backspace, Ctrl+i is Tab, Ctrl+m is Enter, Ctrl+j is a
+ * line feed). Ctrl with a digit or symbol, Ctrl or Alt with Enter, Tab,
+ * Backspace, Escape or Space, Ctrl+Alt, and anything with Super cannot be
+ * told apart at all. Alt alone is an Escape prefix, which Ink reads back
+ * for letters and digits only.
+ *
+ * @param {Object} chord - Chord from parseChord
+ * @returns {boolean} True if the chord needs the kitty keyboard protocol
+ * @private
+ */
+function chordNeedsKitty({ modifiers, key }) {
+  const held = mod => modifiers.includes(mod);
+  if (held('Super')) {
+    return true;
+  }
+  if (key.length > 1) {
+    return LEGACY_CONTROL_KEYS.has(key) && modifiers.length > 0 && modifiers.join('+') !== 'Shift';
+  }
+  const isLetter = /^[a-z]$/.test(key);
+  if (held('Ctrl')) {
+    return held('Alt') || held('Shift') || !(isLetter || key === '`') || 'hijm'.includes(key);
+  }
+  if (held('Alt')) {
+    return !(isLetter || (/^\d$/.test(key) && !held('Shift')));
+  }
+  return false;
+}
+
+/**
+ * Check whether a key sequence only reaches Ink under the kitty keyboard protocol
+ *
+ * @param {string} keys - Key sequence in pack notation
+ * @returns {boolean} True if any of its chords needs the protocol
+ *
+ * @example
+ * needsKittyKeyboard('C-b %') // => false
+ * needsKittyKeyboard('Ctrl+Shift+P') // => true (arrives as Ctrl+p)
+ * needsKittyKeyboard('Super+h') // => true
+ */
+export function needsKittyKeyboard(keys) {
+  return parseKeySequence(keys).some(chordNeedsKitty);
+}
+
+// Terminals Ink's auto mode asks for the kitty keyboard protocol (TERM_PROGRAM values)
+const KITTY_TERM_PROGRAMS = new Set(['WezTerm', 'ghostty']);
+
+/**
+ * Check whether Ink will turn the kitty keyboard protocol on
+ *
+ * Mirrors the check Ink's `kittyKeyboard: { mode: 'auto' }` makes before it
+ * queries the terminal: both streams are TTYs, this is not CI, and the
+ * terminal is one known to support the protocol.
+ *
+ * @param {Object} options - Optional { env, stdin, stdout } (defaults to the process's)
+ * @returns {boolean} True if kitty-only chords can be practised
+ */
+export function detectKittyKeyboard({ env = process.env, stdin = process.stdin, stdout = process.stdout } = {}) {
+  if (!stdin.isTTY || !stdout.isTTY || (env.CI && env.CI !== 'false')) {
+    return false;
+  }
+  return 'KITTY_WINDOW_ID' in env || env.TERM === 'xterm-kitty' || KITTY_TERM_PROGRAMS.has(env.TERM_PROGRAM);
+}
+
 /**
  * Input Buffer Class - Accumulates keypresses with timeout
  * Used for multi-key sequences like 'gg', 'dd', etc.
@@ -121,16 +497,18 @@ export class InputBuffer {
    */
   constructor(timeout = 2000) {
     this.buffer = '';
+    this.keys = [];
     this.timeout = timeout;
     this.timer = null;
   }
 
   /**
    * Add a key to the buffer and reset timeout
-   * @param {string} key - Key to add to buffer
+   * @param {string} key - Key (or canonical key token) to add to buffer
    */
   addKey(key) {
     this.buffer += key;
+    this.keys.push(key);
     this._resetTimer();
   }
 
@@ -139,6 +517,7 @@ export class InputBuffer {
    */
   clear() {
     this.buffer = '';
+    this.keys = [];
     if (this.timer) {
       clearTimeout(this.timer);
       this.timer = null;
@@ -147,22 +526,46 @@ export class InputBuffer {
 
   /**
    * Check if current buffer matches target sequence
-   * @param {string} target - Target key sequence to match
+   * @param {string|Array<string>} target - Target key sequence, or key tokens from tokenizeKeys
    * @returns {boolean} True if buffer matches target
    */
   matches(target) {
+    if (Array.isArray(target)) {
+      return this.keys.length === target.length && target.every((key, i) => this.keys[i] === key);
+    }
     return this.buffer === target;
   }
 
   /**
    * Check if target sequence starts with current buffer
-   * @param {string} target - Target key sequence
+   * @param {string|Array<string>} target - Target key sequence, or key tokens from tokenizeKeys
    * @returns {boolean} True if target starts with buffer
    */
   isPartialMatch(target) {
+    if (Array.isArray(target)) {
+      return this.keys.length > 0 && this.keys.length < target.length &&
+        this.keys.every((key, i) => target[i] === key);
+    }
     return this.buffer.length > 0 && target.startsWith(this.buffer) && this.buffer.length < target.length;
   }
 
+  /**
+   * Find the first buffered key that diverges from the target sequence
+   * @param {Array<string>} target - Key tokens from tokenizeKeys
+   * @returns {Object|null} { index, pressed, expected } or null while the buffer is still a prefix
+   */
+  getMismatch(target) {
+    const index = this.keys.findIndex((key, i) => target[i] !== key);
+    if (index === -1) {
+      return null;
+    }
+    return {
+      index,
+      pressed: this.keys[index],
+      expected: target[index] ?? null
+    };
+  }
+
   /**
    * Get current buffer contents
    * @returns {string} Current buffer
@@ -171,6 +574,14 @@ export class InputBuffer {
     return this.buffer;
   }
 
+  /**
+   * Get keys added since the last clear, one entry per addKey call
+   * @returns {Array<string>} Buffered keys
+   */
+  getKeys() {
+    return [...this.keys];
+  }
+
   /**
    * Get buffer length
    * @returns {number} Number of characters in buffer
@@ -192,3 +603,166 @@ export class InputBuffer {
     }, this.timeout);
   }
 }
+
+/**
+ * Default time allowed between the steps of a chord sequence (ms)
+ * Shorter than InputBuffer's 2000ms: as with Vim's timeoutlen, a prefix
+ * left waiting is dropped and has to be pressed again
+ */
+export const PREFIX_TIMEOUT = 1500;
+
+/**
+ * Chord Sequence Class - Tracks progress through a multi-step command
+ * Grades each keypress against its step ('C-b' then '%'). Once a step
+ * other than the last is done, the next one must follow within the prefix
+ * timeout, or the pending prefix expires and the sequence starts over.
+ * While paused, the prefix timer is held with the time it had left.
+ */
+export class ChordSequence {
+  /**
+   * @param {string} keys - Key sequence in pack notation
+   * @param {Object} options
+   * @param {number} options.prefixTimeout - Time in ms allowed between steps (default: PREFIX_TIMEOUT)
+   * @param {Function} options.onExpire - Called with the sequence when a pending prefix expires
+   */
+  constructor(keys, { prefixTimeout = PREFIX_TIMEOUT, onExpire = null } = {}) {
+    this.chords = parseKeySequence(keys);
+    this.prefixTimeout = prefixTimeout;
+    this.onExpire = onExpire;
+    this.position = 0;
+    this.steps = [];
+    this.expired = false;
+    this.lastStepAt = Date.now();
+    this.timer = null;
+    this.timerEndsAt = null;
+    this.pausedAt = null;
+    this.remaining = null;
+  }
+
+  /**
+   * Grade a keypress against the next step
+   * @param {string} token - Canonical key token from normalizeKeyEvent
+   * @returns {string} 'progress' while steps remain, 'complete' after the last step, 'wrong' on a mismatch
+   */
+  press(token) {
+    const now = Date.now();
+    const expected = this.chords[this.position]?.token ?? null;
+    const outcome = token === expected ? 'correct' : 'wrong';
+    this.steps.push({ index: this.position, expected, pressed: token, outcome, time: now - this.lastStepAt });
+    this.lastStepAt = now;
+    this.expired = false;
+    this._clearTimer();
+
+    if (outcome === 'wrong') {
+      return 'wrong';
+    }
+    this.position++;
+    if (this.isComplete()) {
+      return 'complete';
+    }
+    this._startTimer();
+    return 'progress';
+  }
+
+  /**
+   * Check if every step has been pressed
+   * @returns {boolean} True once the last step is done
+   */
+  isComplete() {
+    return this.chords.length > 0 && this.position === this.chords.length;
+  }
+
+  /**
+   * Get the failed step of the last press, in the shape InputBuffer.getMismatch uses
+   * @returns {Object|null} { index, pressed, expected } or null if the last step was not wrong
+   */
+  getMismatch() {
+    const last = this.steps[this.steps.length - 1];
+    if (!last || last.outcome !== 'wrong') {
+      return null;
+    }
+    return { index: last.index, pressed: last.pressed, expected: last.expected };
+  }
+
+  /**
+   * Get the steps of the current run through the sequence
+   * Earlier runs that ended in an expired prefix are left out
+   * @returns {Array<Object>} Graded steps: { index, expected, pressed, outcome, time }
+   */
+  getCurrentSteps() {
+    const lastExpiry = this.steps.map(step => step.outcome).lastIndexOf('expired');
+    return this.steps.slice(lastExpiry + 1);
+  }
+
+  /**
+   * Hold the prefix timer, keeping the time it has left
+   */
+  pause() {
+    if (this.pausedAt !== null) {
+      return;
+    }
+    this.pausedAt = Date.now();
+    if (this.timer) {
+      this.remaining = Math.max(0, this.timerEndsAt - this.pausedAt);
+      this._clearTimer();
+    }
+  }
+
+  /**
+   * Restart a held prefix timer with the time it had left
+   * The paused time is left out of the next step's time
+   */
+  resume() {
+    if (this.pausedAt === null) {
+      return;
+    }
+    this.lastStepAt += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+    if (this.remaining !== null) {
+      this._startTimer(this.remaining);
+      this.remaining = null;
+    }
+  }
+
+  /**
+   * Stop the prefix timer (the answer is in or the prompt is gone)
+   */
+  dispose() {
+    this._clearTimer();
+    this.remaining = null;
+  }
+
+  /**
+   * Start the prefix timer for the pending step
+   * @param {number} delay - Time in ms before the prefix expires (default: prefixTimeout)
+   * @private
+   */
+  _startTimer(delay = this.prefixTimeout) {
+    this.timerEndsAt = Date.now() + delay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.steps.push({
+        index: this.position,
+        expected: this.chords[this.position].token,
+        pressed: null,
+        outcome: 'expired',
+        time: this.prefixTimeout
+      });
+      this.position = 0;
+      this.expired = true;
+      this.lastStepAt = Date.now();
+      this.onExpire?.(this);
+    }, delay);
+  }
+
+  /**
+   * Cancel the prefix timer
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
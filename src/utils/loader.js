@@ -1,14 +1,27 @@
 /**
  * Pack Loader - Validate and load training packs
  * Ensures pack integrity and provides auto-discovery
+ *
+ * User packs live in ~/.config/keyblitz/packs (or $XDG_CONFIG_HOME/keyblitz/packs,
+ * or $KEYBLITZ_PACKS_DIR) as .js/.mjs modules or .json/.yaml/.yml data files.
  */
 
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join, extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import YAML from 'yaml';
 import { COLORS } from './colors.js';
+import { compileTargetGenerators } from './templates.js';
+import { SRS_ALGORITHMS } from '../core/srs.js';
+import { EMULATORS } from '../core/targets.js';
+import { DEFAULT_RECALL } from '../core/recall.js';
+import { COMMAND_ID_PATTERN, getCommandId } from '../core/commands.js';
 
 /**
  * Valid target types for pack commands
  */
-const VALID_TARGET_TYPES = new Set([
+export const VALID_TARGET_TYPES = new Set([
   'pane', 'window', 'session', 'mode', 'help', 'command',
   'workspace', 'split', 'container', 'output',
   'motion', 'text', 'line', 'word', 'char', 'search',
@@ -66,6 +79,13 @@ export function validatePack(pack) {
       if (!cmd.keys || typeof cmd.keys !== 'string') {
         throw new Error(`${cmdLabel} must have a valid "keys" field (string)`);
       }
+      if (cmd.id !== undefined && (typeof cmd.id !== 'string' || !COMMAND_ID_PATTERN.test(cmd.id))) {
+        throw new Error(`${cmdLabel} has invalid "id" "${cmd.id}" (use lowercase letters, digits, ".", "_" or "-")`);
+      }
+      if (cmd.aliases !== undefined &&
+          (!Array.isArray(cmd.aliases) || cmd.aliases.some(alias => typeof alias !== 'string' || !alias))) {
+        throw new Error(`${cmdLabel} has invalid "aliases" field (must be an array of non-empty strings)`);
+      }
       if (!cmd.concept || typeof cmd.concept !== 'string') {
         throw new Error(`${cmdLabel} must have a valid "concept" field (string)`);
       }
@@ -87,6 +107,19 @@ export function validatePack(pack) {
     });
   });
 
+  // Command ids key saved progress, so they must be unique within the pack
+  const seenIds = new Map();
+  pack.groups.forEach(group => {
+    group.commands.forEach(cmd => {
+      const id = getCommandId(cmd);
+      if (seenIds.has(id)) {
+        const hint = cmd.id === undefined ? ' (commands sharing keys need explicit "id" fields)' : '';
+        throw new Error(`Pack "${pack.id}" has duplicate command id "${id}" in groups "${seenIds.get(id)}" and "${group.name}"${hint}`);
+      }
+      seenIds.set(id, group.name);
+    });
+  });
+
   // Validate targetGenerators
   if (!pack.targetGenerators || typeof pack.targetGenerators !== 'object') {
     throw new Error(`Pack "${pack.id}" must have a "targetGenerators" object`);
@@ -120,12 +153,55 @@ export function validatePack(pack) {
     }
   }
 
+  // Validate unlock thresholds if present
+  if (pack.unlock !== undefined) {
+    if (typeof pack.unlock !== 'object' || pack.unlock === null) {
+      throw new Error(`Pack "${pack.id}" has invalid "unlock" field (must be object)`);
+    }
+    const { masteryShare, masteryLevel } = pack.unlock;
+    if (masteryShare !== undefined && (typeof masteryShare !== 'number' || masteryShare <= 0 || masteryShare > 1)) {
+      throw new Error(`Pack "${pack.id}" unlock.masteryShare must be a number in (0, 1] (got: ${masteryShare})`);
+    }
+    if (masteryLevel !== undefined && (!Number.isInteger(masteryLevel) || masteryLevel < 0 || masteryLevel > 5)) {
+      throw new Error(`Pack "${pack.id}" unlock.masteryLevel must be an integer between 0 and 5 (got: ${masteryLevel})`);
+    }
+  }
+
+  // Validate recall fading if present
+  if (pack.recall !== undefined && pack.recall !== false) {
+    if (typeof pack.recall !== 'object' || pack.recall === null) {
+      throw new Error(`Pack "${pack.id}" has invalid "recall" field (must be object or false)`);
+    }
+    const { fullKeysUntil, firstKeyUntil } = { ...DEFAULT_RECALL, ...pack.recall };
+    for (const [name, value] of Object.entries({ fullKeysUntil, firstKeyUntil })) {
+      if (!Number.isInteger(value) || value < -1 || value > 5) {
+        throw new Error(`Pack "${pack.id}" recall.${name} must be an integer between -1 and 5 (got: ${value})`);
+      }
+    }
+    if (firstKeyUntil < fullKeysUntil) {
+      throw new Error(`Pack "${pack.id}" recall.firstKeyUntil (${firstKeyUntil}) must not be below recall.fullKeysUntil (${fullKeysUntil})`);
+    }
+  }
+
+  // Validate default SRS algorithm if present
+  if (pack.srsAlgorithm !== undefined && !SRS_ALGORITHMS[pack.srsAlgorithm]) {
+    throw new Error(`Pack "${pack.id}" has unknown srsAlgorithm "${pack.srsAlgorithm}". Available algorithms: ${Object.keys(SRS_ALGORITHMS).join(', ')}`);
+  }
+
+  // Validate free-form emulator if present
+  if (pack.emulator !== undefined && !EMULATORS[pack.emulator]) {
+    throw new Error(`Pack "${pack.id}" has unknown emulator "${pack.emulator}". Available emulators: ${Object.keys(EMULATORS).join(', ')}`);
+  }
+
   return true;
 }
 
 /**
  * Load a specific pack by ID
  *
+ * Built-in packs are imported from the packs directory; registered user
+ * packs are returned from the registry.
+ *
  * @param {string} packId - Pack identifier (e.g., 'neovim', 'tmux')
  * @returns {Promise<Object>} Validated pack object
  * @throws {Error} If pack cannot be loaded or is invalid
@@ -138,6 +214,12 @@ export async function loadPack(packId) {
     throw new Error('Pack ID must be a non-empty string');
   }
 
+  // User packs registered at startup (see registerUserPacks) have no file in packs/
+  const { PACKS, getPackSource } = await import('../packs/index.js');
+  if (PACKS[packId] && getPackSource(packId) !== 'built-in') {
+    return PACKS[packId];
+  }
+
   try {
     // Import pack from packs directory
     const packModule = await import(`../packs/${packId}.js`);
@@ -181,3 +263,201 @@ export async function listPacks() {
     throw new Error(`Failed to list packs: ${error.message}`);
   }
 }
+
+/**
+ * File extensions recognised in the user packs directory
+ */
+export const USER_PACK_EXTENSIONS = ['.js', '.mjs', '.json', '.yaml', '.yml'];
+
+/**
+ * Get the directory user packs are discovered in
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string} Absolute directory path
+ *
+ * @example
+ * getUserPacksDir() // '/home/me/.config/keyblitz/packs'
+ */
+export function getUserPacksDir(env = process.env) {
+  if (env.KEYBLITZ_PACKS_DIR) {
+    return env.KEYBLITZ_PACKS_DIR;
+  }
+  const configHome = env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'keyblitz', 'packs');
+}
+
+/**
+ * Build a pack object from parsed JSON/YAML data
+ *
+ * Target generators are declared as templates (see utils/templates.js) and
+ * compiled to functions here, so the result passes validatePack like any
+ * JavaScript pack.
+ *
+ * @param {Object} data - Parsed pack data
+ * @returns {Object} Pack object with generator functions
+ * @throws {Error} If placeholders or templates are invalid
+ *
+ * @example
+ * const pack = packFromData({
+ *   id: 'deploy', ...,
+ *   placeholders: { env: ['staging', 'production'] },
+ *   targetGenerators: { command: ['Deploy to {env}', 'Roll back {env}'] }
+ * });
+ */
+export function packFromData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Pack must be an object');
+  }
+
+  const placeholders = data.placeholders ?? {};
+  if (typeof placeholders !== 'object' || Array.isArray(placeholders) ||
+      Object.values(placeholders).some(values =>
+        !Array.isArray(values) || values.length === 0 || values.some(value => typeof value !== 'string'))) {
+    throw new Error(`Pack "${data.id}" "placeholders" must map names to non-empty lists of strings`);
+  }
+
+  if (!data.targetGenerators || typeof data.targetGenerators !== 'object') {
+    return data;
+  }
+
+  try {
+    return { ...data, targetGenerators: compileTargetGenerators(data.targetGenerators, placeholders) };
+  } catch (error) {
+    throw new Error(`Pack "${data.id}" ${error.message}`);
+  }
+}
+
+/**
+ * Read and validate a single pack file
+ *
+ * @param {string} filePath - Absolute path to a .js/.mjs/.json/.yaml/.yml file
+ * @returns {Promise<Object>} Validated pack object
+ * @throws {Error} If the file cannot be read, parsed or validated
+ *
+ * @example
+ * const pack = await loadPackFile('/home/me/.config/keyblitz/packs/deploy-tool.yaml');
+ */
+export async function loadPackFile(filePath) {
+  const extension = extname(filePath).toLowerCase();
+  let pack;
+
+  if (extension === '.js' || extension === '.mjs') {
+    const packModule = await import(pathToFileURL(filePath).href);
+    pack = packModule.default;
+    if (!pack) {
+      throw new Error(`Pack file ${filePath} did not export a default object`);
+    }
+  } else if (extension === '.json' || extension === '.yaml' || extension === '.yml') {
+    const text = await readFile(filePath, 'utf8');
+    let data;
+    try {
+      data = extension === '.json' ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+      throw new Error(`Pack file ${filePath} could not be parsed: ${error.message}`);
+    }
+    pack = packFromData(data);
+  } else {
+    throw new Error(`Pack file ${filePath} has unsupported extension "${extension}". Supported: ${USER_PACK_EXTENSIONS.join(', ')}`);
+  }
+
+  validatePack(pack);
+  return pack;
+}
+
+/**
+ * Discover and load every pack in the user packs directory
+ *
+ * A missing directory is not an error. Files that fail to load are
+ * reported in `errors` and skipped so one bad pack cannot block the rest.
+ *
+ * @param {string} dir - Directory to scan (defaults to getUserPacksDir())
+ * @returns {Promise<Object>} { packs: Array<{pack, source}>, errors: Array<{source, message}> }
+ */
+export async function loadUserPacks(dir = getUserPacksDir()) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { packs: [], errors: [] };
+    }
+    return { packs: [], errors: [{ source: dir, message: `Failed to read user packs directory: ${error.message}` }] };
+  }
+
+  const files = entries
+    .filter(entry => entry.isFile() && USER_PACK_EXTENSIONS.includes(extname(entry.name).toLowerCase()))
+    .map(entry => join(dir, entry.name))
+    .sort();
+
+  const packs = [];
+  const errors = [];
+  for (const source of files) {
+    try {
+      packs.push({ pack: await loadPackFile(source), source });
+    } catch (error) {
+      errors.push({ source, message: error.message });
+    }
+  }
+  return { packs, errors };
+}
+
+/**
+ * Load user packs and add them to the pack registry
+ *
+ * Packs whose id clashes with a built-in pack or another user pack are
+ * skipped and reported in `errors`.
+ *
+ * @param {string} dir - Directory to scan (defaults to getUserPacksDir())
+ * @returns {Promise<Object>} { registered: Array<string>, errors: Array<{source, message}> }
+ *
+ * @example
+ * const { errors } = await registerUserPacks();
+ * errors.forEach(e => console.error(`Skipped ${e.source}: ${e.message}`));
+ */
+export async function registerUserPacks(dir = getUserPacksDir()) {
+  const { registerPack } = await import('../packs/index.js');
+  const { packs, errors } = await loadUserPacks(dir);
+  const registered = [];
+
+  for (const { pack, source } of packs) {
+    try {
+      registerPack(pack, source);
+      registered.push(pack.id);
+    } catch (error) {
+      errors.push({ source, message: error.message });
+    }
+  }
+  return { registered, errors };
+}
+
+/**
+ * Save a data pack as YAML in the user packs directory
+ *
+ * The pack is validated first (via packFromData), so a file that is
+ * written will also load. Existing files are only replaced with `overwrite`.
+ *
+ * @param {Object} data - Pack data (templates, not generator functions)
+ * @param {string} dir - Directory to write to (defaults to getUserPacksDir())
+ * @param {Object} options - { overwrite: replace an existing file }
+ * @returns {Promise<string>} Path of the written file
+ * @throws {Error} If the pack is invalid or the file already exists
+ *
+ * @example
+ * const { pack } = importTmuxConf(text);
+ * await writeUserPack(pack) // '/home/me/.config/keyblitz/packs/tmux-personal.yaml'
+ */
+export async function writeUserPack(data, dir = getUserPacksDir(), options = {}) {
+  validatePack(packFromData(data));
+
+  const filePath = join(dir, `${data.id}.yaml`);
+  await mkdir(dir, { recursive: true });
+  try {
+    await writeFile(filePath, YAML.stringify(data), { encoding: 'utf8', flag: options.overwrite ? 'w' : 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`Pack file ${filePath} already exists`);
+    }
+    throw error;
+  }
+  return filePath;
+}
@@ -1,5 +1,69 @@
 import Conf from 'conf';
 
+/**
+ * Maximum number of attempts kept per command (oldest are dropped first)
+ */
+export const MAX_ATTEMPTS_PER_COMMAND = 50;
+
+/**
+ * Maximum number of finished sessions kept per pack (oldest are dropped first)
+ */
+export const MAX_SESSIONS = 50;
+
+/**
+ * Config key for user settings (shared by all packs)
+ */
+const SETTINGS_KEY = 'settings';
+
+/**
+ * Append an attempt to a progress object's per-command history
+ * Keeps at most `limit` entries per command, dropping the oldest
+ * @param {Object} progress - Progress object (mutated in place)
+ * @param {string} commandId - Command id (e.g., "delete-line"; keys like "dd" for packs without ids)
+ * @param {Object} attempt - Attempt record
+ * @param {number} attempt.timestamp - When the prompt was answered (ms)
+ * @param {number|null} attempt.firstKeyLatency - Time from prompt to first key (ms), null if none pressed
+ * @param {number} attempt.completionTime - Time from prompt to outcome (ms)
+ * @param {Array<string>} attempt.keys - Key tokens actually typed
+ * @param {Array<Object>} [attempt.steps] - Each step graded on its own ({ index, expected, pressed, outcome, time }),
+ *   outcome 'correct', 'wrong' or 'expired' (prefix timeout); time in ms since the previous step
+ * @param {number} [attempt.hints] - Hints taken before answering
+ * @param {string} attempt.outcome - 'correct', 'wrong' or 'timeout'
+ * @param {string} [attempt.grade] - SRS grade given for the attempt ('again', 'hard', 'good', 'easy')
+ * @param {number} attempt.level - SRS level at the time of the attempt
+ * @param {number} limit - Maximum attempts kept for the command
+ * @returns {Object} The same progress object
+ */
+export function appendAttempt(progress, commandId, attempt, limit = MAX_ATTEMPTS_PER_COMMAND) {
+  if (!progress.attemptLog || typeof progress.attemptLog !== 'object') {
+    progress.attemptLog = {};
+  }
+
+  const history = [...(progress.attemptLog[commandId] || []), attempt];
+  progress.attemptLog[commandId] = history.slice(-limit);
+  return progress;
+}
+
+/**
+ * Append a finished session to a progress object's session history
+ * Keeps at most `limit` sessions, dropping the oldest
+ * @param {Object} progress - Progress object (mutated in place)
+ * @param {Object} session - Session record
+ * @param {number} session.timestamp - When the session ended (ms)
+ * @param {number} session.duration - Time played (ms, pauses excluded)
+ * @param {number} session.score - Points earned
+ * @param {number} session.accuracy - Percent of attempts answered correctly
+ * @param {number} session.bestCombo - Longest streak
+ * @param {number} session.attempts - Commands answered
+ * @param {number} limit - Maximum sessions kept
+ * @returns {Object} The same progress object
+ */
+export function appendSession(progress, session, limit = MAX_SESSIONS) {
+  const history = Array.isArray(progress.sessions) ? progress.sessions : [];
+  progress.sessions = [...history, session].slice(-limit);
+  return progress;
+}
+
 /**
  * Storage class for persisting progress across sessions
  * Uses conf library which saves to ~/.config/keyblitz/ on Linux/Mac or AppData on Windows
@@ -26,6 +90,7 @@ export class Storage {
       currentGroup: 0,
       unlockedGroups: [0],
       commandStats: {},
+      attemptLog: {},
       globalStats: {
         totalCommands: 0,
         totalTime: 0,
@@ -64,6 +129,23 @@ export class Storage {
       return false;
     }
 
+    // attemptLog is optional (older saves predate it)
+    if ('attemptLog' in progress &&
+        (typeof progress.attemptLog !== 'object' || progress.attemptLog === null)) {
+      return false;
+    }
+
+    // sessions is optional (only written once a session ends)
+    if ('sessions' in progress && !Array.isArray(progress.sessions)) {
+      return false;
+    }
+
+    // retired is optional (only written once a pack drops a command)
+    if ('retired' in progress &&
+        (typeof progress.retired !== 'object' || progress.retired === null)) {
+      return false;
+    }
+
     const statsRequired = ['totalCommands', 'totalTime', 'bestCombo', 'totalScore'];
     for (const field of statsRequired) {
       if (!(field in progress.globalStats)) {
@@ -120,11 +202,11 @@ export class Storage {
   /**
    * Update state for a single command
    * Auto-saves immediately for crash safety
-   * @param {string} commandKey - Command key (e.g., "dd", "diw")
+   * @param {string} commandId - Command id (e.g., "delete-line"; keys like "dd" for packs without ids)
    * @param {Object} state - Command state object
    * @returns {boolean} True if update successful
    */
-  updateCommandState(commandKey, state) {
+  updateCommandState(commandId, state) {
     try {
       const progress = this.loadProgress();
 
@@ -141,7 +223,7 @@ export class Storage {
       }
 
       // Update command state
-      progress.commandStats[commandKey] = state;
+      progress.commandStats[commandId] = state;
 
       // Auto-save immediately
       return this.saveProgress(progress);
@@ -153,19 +235,130 @@ export class Storage {
 
   /**
    * Get state for a specific command
-   * @param {string} commandKey - Command key (e.g., "dd", "diw")
+   * @param {string} commandId - Command id (e.g., "delete-line"; keys like "dd" for packs without ids)
    * @returns {Object|null} Command state or null if not found
    */
-  getCommandState(commandKey) {
+  getCommandState(commandId) {
     try {
       const progress = this.loadProgress();
-      return progress.commandStats[commandKey] || null;
+      return progress.commandStats[commandId] || null;
     } catch (error) {
       console.error('Error getting command state:', error);
       return null;
     }
   }
 
+  /**
+   * Record a single attempt in the command's history
+   * Auto-saves immediately for crash safety
+   * @param {string} commandId - Command id (e.g., "delete-line"; keys like "dd" for packs without ids)
+   * @param {Object} attempt - Attempt record (see appendAttempt)
+   * @returns {boolean} True if record successful
+   */
+  recordAttempt(commandId, attempt) {
+    try {
+      if (!attempt || typeof attempt !== 'object') {
+        throw new Error('Invalid attempt record');
+      }
+
+      const requiredFields = ['timestamp', 'firstKeyLatency', 'completionTime', 'keys', 'outcome', 'level'];
+      for (const field of requiredFields) {
+        if (!(field in attempt)) {
+          throw new Error(`Missing required field: ${field}`);
+        }
+      }
+
+      if (!Array.isArray(attempt.keys)) {
+        throw new Error('Attempt keys must be an array');
+      }
+
+      const progress = this.loadProgress();
+      appendAttempt(progress, commandId, attempt);
+
+      return this.saveProgress(progress);
+    } catch (error) {
+      console.error('Error recording attempt:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get recorded attempts for a specific command, oldest first
+   * @param {string} commandId - Command id (e.g., "delete-line"; keys like "dd" for packs without ids)
+   * @returns {Array<Object>} Attempt records (empty if none)
+   */
+  getAttemptHistory(commandId) {
+    try {
+      const progress = this.loadProgress();
+      return progress.attemptLog?.[commandId] || [];
+    } catch (error) {
+      console.error('Error getting attempt history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get recorded attempts for every command in this pack
+   * @returns {Object} Map of command id -> attempt records
+   */
+  getAllAttemptHistory() {
+    try {
+      const progress = this.loadProgress();
+      return progress.attemptLog || {};
+    } catch (error) {
+      console.error('Error getting attempt history:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get user settings for this pack
+   * Pack-specific settings override global ones
+   * @returns {Object} Merged settings (empty object if none saved)
+   */
+  getSettings() {
+    try {
+      const settings = this.config.get(SETTINGS_KEY) || {};
+      const { packs = {}, ...global } = settings;
+      return { ...global, ...(packs[this.packId] || {}) };
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Update user settings
+   * @param {Object} changes - Settings to merge in (undefined values remove a setting)
+   * @param {Object} options - { global: true } to apply to every pack instead of this one
+   * @returns {boolean} True if update successful
+   */
+  updateSettings(changes, { global = false } = {}) {
+    try {
+      if (!changes || typeof changes !== 'object') {
+        throw new Error('Invalid settings');
+      }
+
+      const settings = this.config.get(SETTINGS_KEY) || {};
+      const packs = settings.packs || {};
+      const target = global ? settings : (packs[this.packId] || {});
+      const updated = { ...target, ...changes };
+      for (const [name, value] of Object.entries(updated)) {
+        if (value === undefined) delete updated[name];
+      }
+
+      const next = global
+        ? { ...updated, packs }
+        : { ...settings, packs: { ...packs, [this.packId]: updated } };
+
+      this.config.set(SETTINGS_KEY, next);
+      return true;
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      return false;
+    }
+  }
+
   /**
    * Reset all progress for this pack
    * @returns {boolean} True if reset successful
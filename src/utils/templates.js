@@ -0,0 +1,132 @@
+/**
+ * Target Templates - Compile declarative target text into generator functions
+ *
+ * Data packs (JSON/YAML) cannot ship JavaScript, so each target type lists
+ * sample texts instead. Samples may contain placeholders that are filled
+ * with a random value every time a target is generated:
+ *
+ *   "Delete the word {word}"   -> "Delete the word buffer"
+ *   "Move down {n} lines"      -> "Move down 4 lines"
+ *   "{{literal braces}}"       -> "{literal braces}"
+ *
+ * Packs can add their own placeholders (`placeholders: { file: [...] }`)
+ * or override the built-in ones.
+ */
+
+// Built-in placeholder values
+export const DEFAULT_PLACEHOLDERS = {
+  word: [
+    'hello', 'world', 'buffer', 'window', 'config', 'value',
+    'result', 'server', 'client', 'cursor', 'return', 'function'
+  ],
+  n: ['1', '2', '3', '4', '5', '6', '7', '8', '9'],
+  char: 'abcdefghijklmnopqrstuvwxyz'.split('')
+};
+
+// Matches escaped braces or a {name} placeholder
+const PLACEHOLDER_PATTERN = /\{\{|\}\}|\{([A-Za-z_][\w-]*)\}/g;
+
+/**
+ * List the placeholder names used in a template
+ *
+ * @param {string} template - Template text
+ * @returns {Array<string>} Unique placeholder names, in order of appearance
+ *
+ * @example
+ * getTemplatePlaceholders('Yank {n} lines from {file}') // ['n', 'file']
+ */
+export function getTemplatePlaceholders(template) {
+  const names = [];
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (match[1] && !names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Escape literal text so it compiles back to itself
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Template with braces doubled
+ *
+ * @example
+ * escapeTemplate('{ a }') // '{{ a }}'
+ */
+export function escapeTemplate(text) {
+  return text.replace(/[{}]/g, brace => brace + brace);
+}
+
+/**
+ * Compile a single template into a generator
+ *
+ * @param {string} template - Template text
+ * @param {Object} placeholders - Map of name -> array of values
+ * @returns {Function} Generator returning a filled-in string
+ * @throws {Error} If the template uses an unknown placeholder
+ *
+ * @example
+ * const gen = compileTemplate('{n}j', DEFAULT_PLACEHOLDERS);
+ * gen() // '3j'
+ */
+export function compileTemplate(template, placeholders = DEFAULT_PLACEHOLDERS) {
+  const unknown = getTemplatePlaceholders(template).filter(name => !placeholders[name]?.length);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder "{${unknown[0]}}" in "${template}". Available: ${Object.keys(placeholders).join(', ')}`);
+  }
+
+  return () => template.replace(PLACEHOLDER_PATTERN, (token, name) => {
+    if (!name) {
+      return token[0]; // "{{" -> "{", "}}" -> "}"
+    }
+    const values = placeholders[name];
+    return values[Math.floor(Math.random() * values.length)];
+  });
+}
+
+/**
+ * Compile a target type's declarative spec into a generator
+ *
+ * @param {string|Array<string>} spec - One template, or a list picked at random
+ * @param {Object} placeholders - Map of name -> array of values
+ * @returns {Function} Target generator
+ * @throws {Error} If the spec is not a string or a non-empty list of strings
+ */
+export function compileTargetGenerator(spec, placeholders = DEFAULT_PLACEHOLDERS) {
+  const templates = typeof spec === 'string' ? [spec] : spec;
+  if (!Array.isArray(templates) || templates.length === 0 || templates.some(item => typeof item !== 'string')) {
+    throw new Error('must be a string or a non-empty list of strings');
+  }
+
+  const generators = templates.map(template => compileTemplate(template, placeholders));
+  return () => generators[Math.floor(Math.random() * generators.length)]();
+}
+
+/**
+ * Compile every target type of a declarative pack
+ *
+ * @param {Object} targetGenerators - Map of targetType -> spec
+ * @param {Object} customPlaceholders - Pack placeholders (merged over the defaults)
+ * @returns {Object} Map of targetType -> generator function
+ * @throws {Error} Naming the target type whose spec is invalid
+ *
+ * @example
+ * const generators = compileTargetGenerators(
+ *   { file: ['Open {file}', 'Close {file}'] },
+ *   { file: ['main.rs', 'lib.rs'] }
+ * );
+ * generators.file() // 'Close main.rs'
+ */
+export function compileTargetGenerators(targetGenerators, customPlaceholders = {}) {
+  const placeholders = { ...DEFAULT_PLACEHOLDERS, ...customPlaceholders };
+  return Object.fromEntries(
+    Object.entries(targetGenerators).map(([targetType, spec]) => {
+      try {
+        return [targetType, compileTargetGenerator(spec, placeholders)];
+      } catch (error) {
+        throw new Error(`targetGenerators.${targetType}: ${error.message}`);
+      }
+    })
+  );
+}
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for command identity
+ *
+ * Tests cover:
+ * - Id resolution (explicit id, keys fallback)
+ * - Re-keying saves made before packs had ids
+ * - Shared key strings, aliases and renamed commands
+ * - Retiring and restoring progress for removed commands
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  COMMAND_ID_PATTERN,
+  getCommandId,
+  getPackCommands,
+  getPlayablePack,
+  migrateProgressIds
+} from '../../src/core/commands.js';
+
+const pack = {
+  id: 'test',
+  groups: [
+    {
+      name: 'Focus',
+      commands: [
+        { id: 'focus-left', keys: 'Super+h' },
+        { id: 'focus-down', keys: 'Super+j' }
+      ]
+    },
+    {
+      name: 'Layout',
+      commands: [
+        { id: 'toggle-split', keys: 'Super+j' },
+        { id: 'fullscreen', keys: 'Super+f', aliases: ['maximize'] }
+      ]
+    }
+  ]
+};
+
+const progressWith = (commandStats, extra = {}) => ({
+  app: 'test',
+  currentGroup: 0,
+  unlockedGroups: [0],
+  commandStats,
+  attemptLog: {},
+  globalStats: { totalCommands: 0, totalTime: 0, bestCombo: 0, totalScore: 0 },
+  ...extra
+});
+
+describe('getCommandId', () => {
+  it('should prefer id and fall back to keys', () => {
+    assert.equal(getCommandId({ id: 'delete-line', keys: 'dd' }), 'delete-line');
+    assert.equal(getCommandId({ keys: 'dd' }), 'dd');
+  });
+
+  it('should accept slug ids only', () => {
+    assert.ok(COMMAND_ID_PATTERN.test('delete-line'));
+    assert.ok(COMMAND_ID_PATTERN.test('nav.focus_down2'));
+    assert.ok(!COMMAND_ID_PATTERN.test('Delete Line'));
+    assert.ok(!COMMAND_ID_PATTERN.test('-leading'));
+  });
+});
+
+describe('getPackCommands', () => {
+  it('should flatten commands in group order', () => {
+    assert.deepEqual(getPackCommands(pack).map(getCommandId), ['focus-left', 'focus-down', 'toggle-split', 'fullscreen']);
+  });
+
+  it('should handle missing packs', () => {
+    assert.deepEqual(getPackCommands(null), []);
+  });
+});
+
+describe('getPlayablePack', () => {
+  const mixed = {
+    id: 'editor',
+    groups: [
+      { name: 'Basics', commands: [{ id: 'save', keys: 'Ctrl+S' }, { id: 'palette', keys: 'Ctrl+Shift+P' }] },
+      { name: 'Windows', commands: [{ id: 'focus-left', keys: 'Super+h' }] },
+      { name: 'Chords', commands: [{ id: 'shortcuts', keys: 'Ctrl+K Ctrl+S' }] }
+    ]
+  };
+
+  it('should return the pack itself under the kitty protocol', () => {
+    assert.equal(getPlayablePack(mixed, { kittyKeyboard: true }), mixed);
+  });
+
+  it('should leave out commands that need the protocol, keeping every group in place', () => {
+    const playable = getPlayablePack(mixed, { kittyKeyboard: false });
+    assert.deepEqual(playable.groups.map(group => group.commands.map(getCommandId)), [['save'], [], ['shortcuts']]);
+    assert.equal(mixed.groups[0].commands.length, 2);
+  });
+});
+
+describe('migrateProgressIds', () => {
+  it('should keep records already keyed by id', () => {
+    const saved = progressWith({ 'focus-left': { level: 3 } });
+    const { progress, migrated, retired } = migrateProgressIds(saved, pack);
+    assert.deepEqual(progress.commandStats, { 'focus-left': { level: 3 } });
+    assert.deepEqual(migrated, []);
+    assert.deepEqual(retired, []);
+  });
+
+  it('should re-key records saved under key strings', () => {
+    const saved = progressWith(
+      { 'Super+h': { level: 2 } },
+      { attemptLog: { 'Super+h': [{ outcome: 'correct' }] } }
+    );
+    const { progress, migrated } = migrateProgressIds(saved, pack);
+    assert.deepEqual(progress.commandStats, { 'focus-left': { level: 2 } });
+    assert.deepEqual(progress.attemptLog, { 'focus-left': [{ outcome: 'correct' }] });
+    assert.deepEqual(migrated, [{ from: 'Super+h', to: 'focus-left' }]);
+    assert.deepEqual(progress.retired, { commandStats: {}, attemptLog: {} });
+  });
+
+  it('should give a shared key record to every command using it', () => {
+    const saved = progressWith({ 'Super+j': { level: 4 } });
+    const { progress, migrated } = migrateProgressIds(saved, pack);
+    assert.equal(progress.commandStats['focus-down'].level, 4);
+    assert.equal(progress.commandStats['toggle-split'].level, 4);
+    assert.notEqual(progress.commandStats['focus-down'], progress.commandStats['toggle-split']);
+    assert.equal(migrated.length, 2);
+  });
+
+  it('should follow aliases for renamed commands', () => {
+    const saved = progressWith({ maximize: { level: 1 } });
+    const { progress, migrated } = migrateProgressIds(saved, pack);
+    assert.deepEqual(progress.commandStats, { fullscreen: { level: 1 } });
+    assert.deepEqual(migrated, [{ from: 'maximize', to: 'fullscreen' }]);
+  });
+
+  it('should prefer the id record over older keys', () => {
+    const saved = progressWith({ fullscreen: { level: 5 }, maximize: { level: 1 } });
+    const { progress } = migrateProgressIds(saved, pack);
+    assert.equal(progress.commandStats.fullscreen.level, 5);
+    assert.deepEqual(progress.retired.commandStats, { maximize: { level: 1 } });
+  });
+
+  it('should not let a key string steal another command\'s id', () => {
+    const clash = {
+      groups: [{ commands: [{ id: 'w', keys: 'e' }, { id: 'word', keys: 'w' }] }]
+    };
+    const saved = progressWith({ w: { level: 3 } });
+    const { progress } = migrateProgressIds(saved, clash);
+    assert.deepEqual(progress.commandStats, { w: { level: 3 } });
+  });
+
+  it('should retire records for removed commands', () => {
+    const saved = progressWith(
+      { 'focus-left': { level: 1 }, 'move-window': { level: 3 } },
+      { attemptLog: { 'move-window': [{ outcome: 'wrong' }] } }
+    );
+    const { progress, retired } = migrateProgressIds(saved, pack);
+    assert.deepEqual(Object.keys(progress.commandStats), ['focus-left']);
+    assert.deepEqual(retired, ['move-window']);
+    assert.deepEqual(progress.retired.commandStats, { 'move-window': { level: 3 } });
+    assert.deepEqual(progress.retired.attemptLog, { 'move-window': [{ outcome: 'wrong' }] });
+  });
+
+  it('should restore retired records when a command returns', () => {
+    const saved = progressWith({}, {
+      retired: { commandStats: { 'focus-down': { level: 2 } }, attemptLog: { 'focus-down': [] } }
+    });
+    const { progress, migrated } = migrateProgressIds(saved, pack);
+    assert.equal(progress.commandStats['focus-down'].level, 2);
+    assert.deepEqual(progress.retired, { commandStats: {}, attemptLog: {} });
+    assert.deepEqual(migrated, [{ from: 'focus-down', to: 'focus-down' }]);
+  });
+
+  it('should drop unlocked groups the pack no longer has', () => {
+    const saved = progressWith({}, { currentGroup: 4, unlockedGroups: [0, 1, 2, 3, 4] });
+    const { progress } = migrateProgressIds(saved, pack);
+    assert.deepEqual(progress.unlockedGroups, [0, 1]);
+    assert.equal(progress.currentGroup, 1);
+  });
+
+  it('should not mutate its input', () => {
+    const saved = progressWith({ 'Super+h': { level: 2 }, gone: { level: 1 } });
+    const snapshot = structuredClone(saved);
+    migrateProgressIds(saved, pack);
+    assert.deepEqual(saved, snapshot);
+  });
+
+  it('should be idempotent', () => {
+    const saved = progressWith({ 'Super+j': { level: 4 }, gone: { level: 1 } });
+    const once = migrateProgressIds(saved, pack).progress;
+    const twice = migrateProgressIds(once, pack);
+    assert.deepEqual(twice.progress, once);
+    assert.deepEqual(twice.migrated, []);
+  });
+});
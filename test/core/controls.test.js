@@ -0,0 +1,92 @@
+/**
+ * Unit tests for the in-game control key
+ *
+ * Tests cover:
+ * - Parsing a control key and rejecting ones that could be answers
+ * - Finding pack commands that use a key
+ * - Resolving the control key against the pack's bindings
+ * - Picking menu actions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CONTROL_KEYS,
+  MENU_ACTIONS,
+  parseControlKey,
+  findBinding,
+  resolveControlKey,
+  getMenuAction
+} from '../../src/core/controls.js';
+import { getPack, listPacks } from '../../src/packs/index.js';
+import { tokenizeKeys } from '../../src/utils/keyparser.js';
+
+const pack = (...keys) => ({
+  id: 'test',
+  groups: [{ commands: keys.map(k => ({ keys: k, concept: `Press ${k}` })) }]
+});
+
+describe('parseControlKey', () => {
+  it('should return the canonical token', () => {
+    assert.equal(parseControlKey('C-e'), 'Ctrl+e');
+    assert.equal(parseControlKey('<M-m>'), 'Alt+m');
+    assert.equal(parseControlKey('Super+Shift+1'), 'Super+Shift+1');
+  });
+
+  it('should reject keys that could be typed as answers', () => {
+    assert.throws(() => parseControlKey('q'), /needs Ctrl, Alt or Super/);
+    assert.throws(() => parseControlKey('<Esc>'), /needs Ctrl, Alt or Super/);
+    assert.throws(() => parseControlKey('S-a'), /needs Ctrl, Alt or Super/);
+  });
+
+  it('should reject sequences', () => {
+    assert.throws(() => parseControlKey('C-b C-e'), /single chord/);
+  });
+});
+
+describe('findBinding', () => {
+  it('should find a key at any step of a command', () => {
+    assert.equal(findBinding(pack('C-b %', 'gg'), 'Ctrl+b').keys, 'C-b %');
+    assert.equal(findBinding(pack('C-b %', 'gg'), '%').keys, 'C-b %');
+    assert.equal(findBinding(pack('C-b %', 'gg'), 'Ctrl+e'), null);
+  });
+});
+
+describe('resolveControlKey', () => {
+  it('should use the first default the pack leaves free', () => {
+    assert.equal(resolveControlKey(pack('dd'), {}), 'Ctrl+e');
+    assert.equal(resolveControlKey(pack('<C-e>', 'C-o'), {}), 'Ctrl+a');
+  });
+
+  it('should use the player\'s key when the pack leaves it free', () => {
+    assert.equal(resolveControlKey(pack('dd'), { controlKey: 'M-m' }), 'Alt+m');
+  });
+
+  it('should refuse a chosen key the pack uses', () => {
+    assert.throws(
+      () => resolveControlKey(pack('C-b %'), { controlKey: 'C-b' }),
+      /Control key "C-b" is used by "Press C-b %" in pack "test"/
+    );
+  });
+
+  it('should fail when the pack uses every default', () => {
+    assert.throws(() => resolveControlKey(pack(...DEFAULT_CONTROL_KEYS), {}), /uses every default control key/);
+  });
+
+  it('should find a free key for every built-in pack', () => {
+    for (const { id } of listPacks()) {
+      const builtIn = getPack(id);
+      const token = resolveControlKey(builtIn, {});
+      const used = builtIn.groups.flatMap(g => g.commands).flatMap(cmd => tokenizeKeys(cmd.keys));
+      assert.ok(!used.includes(token), `${id} binds ${token}`);
+    }
+  });
+});
+
+describe('getMenuAction', () => {
+  it('should map menu keys to actions', () => {
+    assert.deepEqual(MENU_ACTIONS.map(action => getMenuAction(action.key)), ['pause', 'stats', 'hint', 'skip', 'quit']);
+    assert.equal(getMenuAction('x'), null);
+    assert.equal(getMenuAction(undefined), null);
+  });
+});
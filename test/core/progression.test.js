@@ -0,0 +1,168 @@
+/**
+ * Unit tests for group progression
+ *
+ * Tests cover:
+ * - Restricting commands to unlocked groups
+ * - Group mastery calculation
+ * - Automatic unlocking of the next group
+ * - Pack-level and explicit threshold overrides
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_UNLOCK,
+  getUnlockRules,
+  getUnlockedGroups,
+  getUnlockedCommands,
+  getGroupMastery,
+  advanceGroups
+} from '../../src/core/progression.js';
+
+const pack = {
+  id: 'test',
+  groups: [
+    { name: 'One', commands: [{ keys: 'a' }, { keys: 'b' }, { keys: 'c' }, { keys: 'd' }, { keys: 'e' }] },
+    { name: 'Two', commands: [{ keys: 'f' }, { keys: 'g' }] },
+    { name: 'Three', commands: [{ keys: 'h' }] }
+  ]
+};
+
+function statsAt(levels) {
+  return Object.fromEntries(Object.entries(levels).map(([keys, level]) => [keys, { level }]));
+}
+
+describe('getUnlockRules', () => {
+  it('should default to 80% at FAMILIAR', () => {
+    assert.deepEqual(getUnlockRules({}), { masteryShare: 0.8, masteryLevel: 2 });
+    assert.deepEqual(getUnlockRules({}), DEFAULT_UNLOCK);
+  });
+
+  it('should apply pack overrides, then explicit overrides', () => {
+    const custom = { ...pack, unlock: { masteryShare: 0.5 } };
+    assert.deepEqual(getUnlockRules(custom), { masteryShare: 0.5, masteryLevel: 2 });
+    assert.deepEqual(getUnlockRules(custom, { masteryLevel: 4 }), { masteryShare: 0.5, masteryLevel: 4 });
+  });
+});
+
+describe('getUnlockedGroups', () => {
+  it('should always include the first group', () => {
+    assert.deepEqual(getUnlockedGroups({ unlockedGroups: [] }), [0]);
+    assert.deepEqual(getUnlockedGroups({}), [0]);
+  });
+
+  it('should sort and dedupe indexes', () => {
+    assert.deepEqual(getUnlockedGroups({ unlockedGroups: [1, 0, 1] }), [0, 1]);
+  });
+});
+
+describe('getUnlockedCommands', () => {
+  it('should only return commands from unlocked groups', () => {
+    const keys = getUnlockedCommands(pack, { unlockedGroups: [0] }).map(c => c.keys);
+    assert.deepEqual(keys, ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('should include every unlocked group', () => {
+    const commands = getUnlockedCommands(pack, { unlockedGroups: [0, 1] });
+    assert.equal(commands.length, 7);
+  });
+
+  it('should tag commands with their group index', () => {
+    const groups = getUnlockedCommands(pack, { unlockedGroups: [0, 1] }).map(c => c.group);
+    assert.deepEqual(groups, [0, 0, 0, 0, 0, 1, 1]);
+  });
+});
+
+describe('getGroupMastery', () => {
+  it('should count commands at or above the level', () => {
+    const stats = statsAt({ a: 2, b: 3, c: 1, d: 0 });
+    assert.equal(getGroupMastery(pack.groups[0], stats, 2), 0.4);
+  });
+
+  it('should treat commands without stats as level 0', () => {
+    assert.equal(getGroupMastery(pack.groups[0], {}, 1), 0);
+    assert.equal(getGroupMastery(pack.groups[0], {}, 0), 1);
+  });
+
+  it('should return 0 for empty groups', () => {
+    assert.equal(getGroupMastery({ commands: [] }, {}, 0), 0);
+  });
+});
+
+describe('advanceGroups', () => {
+  it('should not unlock below the threshold', () => {
+    const progress = { currentGroup: 0, unlockedGroups: [0], commandStats: statsAt({ a: 2, b: 2, c: 2 }) };
+    const result = advanceGroups(pack, progress);
+
+    assert.equal(result.unlockedGroup, null);
+    assert.equal(result.progress, progress);
+  });
+
+  it('should unlock the next group at the threshold', () => {
+    const progress = { currentGroup: 0, unlockedGroups: [0], commandStats: statsAt({ a: 2, b: 2, c: 2, d: 5 }) };
+    const result = advanceGroups(pack, progress);
+
+    assert.equal(result.unlockedGroup, 1);
+    assert.equal(result.progress.currentGroup, 1);
+    assert.deepEqual(result.progress.unlockedGroups, [0, 1]);
+  });
+
+  it('should not mutate the input progress', () => {
+    const progress = { currentGroup: 0, unlockedGroups: [0], commandStats: statsAt({ a: 5, b: 5, c: 5, d: 5, e: 5 }) };
+    advanceGroups(pack, progress);
+
+    assert.deepEqual(progress.unlockedGroups, [0]);
+    assert.equal(progress.currentGroup, 0);
+  });
+
+  it('should judge mastery on the highest unlocked group', () => {
+    const progress = { currentGroup: 1, unlockedGroups: [0, 1], commandStats: statsAt({ f: 2, g: 2 }) };
+    assert.equal(advanceGroups(pack, progress).unlockedGroup, 2);
+  });
+
+  it('should stop after the last group', () => {
+    const progress = { currentGroup: 2, unlockedGroups: [0, 1, 2], commandStats: statsAt({ h: 5 }) };
+    assert.equal(advanceGroups(pack, progress).unlockedGroup, null);
+  });
+
+  it('should honor configurable thresholds', () => {
+    const progress = { currentGroup: 0, unlockedGroups: [0], commandStats: statsAt({ a: 1 }) };
+
+    assert.equal(advanceGroups(pack, progress).unlockedGroup, null);
+    assert.equal(advanceGroups(pack, progress, { masteryShare: 0.2, masteryLevel: 1 }).unlockedGroup, 1);
+  });
+
+  describe('with groups left empty', () => {
+    const gapped = {
+      id: 'gapped',
+      groups: [
+        { name: 'One', commands: [{ keys: 'a' }] },
+        { name: 'Two', commands: [] },
+        { name: 'Three', commands: [{ keys: 'b' }] },
+        { name: 'Four', commands: [] }
+      ]
+    };
+
+    it('should unlock an empty group together with the next one that has commands', () => {
+      const progress = { currentGroup: 0, unlockedGroups: [0], commandStats: statsAt({ a: 2 }) };
+      const result = advanceGroups(gapped, progress);
+
+      assert.equal(result.unlockedGroup, 2);
+      assert.equal(result.progress.currentGroup, 2);
+      assert.deepEqual(result.progress.unlockedGroups, [0, 1, 2]);
+    });
+
+    it('should count an empty current group as mastered', () => {
+      const progress = { currentGroup: 1, unlockedGroups: [0, 1], commandStats: {} };
+      assert.equal(advanceGroups(gapped, progress).unlockedGroup, 2);
+    });
+
+    it('should open trailing empty groups without an intro', () => {
+      const progress = { currentGroup: 2, unlockedGroups: [0, 1, 2], commandStats: statsAt({ b: 2 }) };
+      const result = advanceGroups(gapped, progress);
+
+      assert.equal(result.unlockedGroup, null);
+      assert.deepEqual(result.progress.unlockedGroups, [0, 1, 2, 3]);
+    });
+  });
+});
@@ -1,6 +1,11 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { selectNextCommand, getCommandWeights } from '../../src/core/queue.js';
+import {
+  selectNextCommand,
+  getCommandWeights,
+  isCommandDue,
+  getMinimumGap
+} from '../../src/core/queue.js';
 
 describe('Queue Manager', () => {
   describe('getCommandWeights', () => {
@@ -399,4 +404,159 @@ describe('Queue Manager', () => {
       });
     });
   });
+
+  describe('isCommandDue', () => {
+    it('should use nextReview for commands without scheduling state', () => {
+      const now = Date.now();
+      assert.strictEqual(isCommandDue({ level: 2, nextReview: now - 1 }, now), true);
+      assert.strictEqual(isCommandDue({ level: 2, nextReview: now + 1 }, now), false);
+    });
+
+    it('should combine session counts and calendar due dates', () => {
+      const now = Date.now();
+      const future = now + 86400000;
+
+      // Not seen this session, calendar date not reached
+      assert.strictEqual(isCommandDue({ level: 3, dueDate: future, commandsSinceLastSeen: null }, now), false);
+      // Seen this session, count interval (25) reached
+      assert.strictEqual(isCommandDue({ level: 3, dueDate: future, commandsSinceLastSeen: 25 }, now), true);
+      // Calendar date reached
+      assert.strictEqual(isCommandDue({ level: 3, dueDate: now - 1, commandsSinceLastSeen: null }, now), true);
+    });
+  });
+
+  describe('allowEarlyReview', () => {
+    it('should return null when nothing is due by default', () => {
+      const future = Date.now() + 86400000;
+      const commands = [{ keys: 'dd', level: 3, dueDate: future, commandsSinceLastSeen: null }];
+      assert.strictEqual(selectNextCommand(commands), null);
+    });
+
+    it('should pick from all commands when nothing is due', () => {
+      const future = Date.now() + 86400000;
+      const commands = [
+        { keys: 'dd', level: 3, dueDate: future, commandsSinceLastSeen: null },
+        { keys: 'yy', level: 4, dueDate: future, commandsSinceLastSeen: null }
+      ];
+      const selected = selectNextCommand(commands, null, { allowEarlyReview: true });
+      assert.ok(['dd', 'yy'].includes(selected.keys));
+    });
+  });
+
+  describe('getMinimumGap', () => {
+    it('should scale with pool size and cap', () => {
+      assert.strictEqual(getMinimumGap(0), 0);
+      assert.strictEqual(getMinimumGap(1), 0);
+      assert.strictEqual(getMinimumGap(2), 1);
+      assert.strictEqual(getMinimumGap(3), 1);
+      assert.strictEqual(getMinimumGap(12), 3);
+      assert.strictEqual(getMinimumGap(100), 4);
+    });
+
+    it('should accept overrides', () => {
+      assert.strictEqual(getMinimumGap(100, { max: 10 }), 10);
+      assert.strictEqual(getMinimumGap(12, { share: 0.5 }), 4);
+    });
+  });
+
+  describe('Recent history', () => {
+    const pool = keys => keys.map(k => ({ keys: k, level: 1, nextReview: null }));
+
+    it('should never repeat a command inside the minimum gap', () => {
+      const commands = pool(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']); // gap 2
+      for (let i = 0; i < 100; i++) {
+        const selected = selectNextCommand(commands, null, { recent: ['a', 'b'] });
+        assert.ok(!['a', 'b'].includes(selected.keys));
+      }
+    });
+
+    it('should honour an explicit minGap', () => {
+      const commands = pool(['a', 'b', 'c', 'd']);
+      for (let i = 0; i < 50; i++) {
+        const selected = selectNextCommand(commands, null, { recent: ['a', 'b', 'c'], minGap: 3 });
+        assert.strictEqual(selected.keys, 'd');
+      }
+    });
+
+    it('should shrink the gap when the pool is too small', () => {
+      const commands = pool(['a', 'b']);
+      for (let i = 0; i < 50; i++) {
+        const selected = selectNextCommand(commands, null, { recent: ['a', 'b'], minGap: 2 });
+        assert.strictEqual(selected.keys, 'a');
+      }
+    });
+
+    it('should repeat when only one command exists', () => {
+      const selected = selectNextCommand(pool(['a']), null, { recent: ['a'] });
+      assert.strictEqual(selected.keys, 'a');
+    });
+
+    it('should track commands by id when present', () => {
+      const commands = [
+        { id: 'one', keys: 'x', level: 1 },
+        { id: 'two', keys: 'x', level: 1 }
+      ];
+      for (let i = 0; i < 50; i++) {
+        assert.strictEqual(selectNextCommand(commands, null, { recent: ['one'] }).id, 'two');
+      }
+    });
+  });
+
+  describe('Interleaving', () => {
+    it('should avoid the previous group and colour', () => {
+      const commands = [
+        { keys: 'a', level: 0, group: 0, color: 'cyan' },
+        { keys: 'b', level: 0, group: 0, color: 'cyan' },
+        { keys: 'c', level: 0, group: 0, color: 'red' },
+        { keys: 'd', level: 0, group: 1, color: 'cyan' },
+        { keys: 'e', level: 0, group: 1, color: 'red' }
+      ];
+      for (let i = 0; i < 100; i++) {
+        assert.strictEqual(selectNextCommand(commands, null, { recent: ['a'], minGap: 1 }).keys, 'e');
+      }
+    });
+
+    it('should fall back to a different colour within one group', () => {
+      const commands = [
+        { keys: 'a', level: 1, group: 0, color: 'cyan' },
+        { keys: 'b', level: 1, group: 0, color: 'cyan' },
+        { keys: 'c', level: 1, group: 0, color: 'blue' }
+      ];
+      for (let i = 0; i < 50; i++) {
+        assert.strictEqual(selectNextCommand(commands, null, { recent: ['a'], minGap: 1 }).keys, 'c');
+      }
+    });
+
+    it('should allow the same group and colour when the pool forces it', () => {
+      const commands = [
+        { keys: 'a', level: 1, group: 0, color: 'cyan' },
+        { keys: 'b', level: 1, group: 0, color: 'cyan' }
+      ];
+      assert.strictEqual(selectNextCommand(commands, null, { recent: ['a'] }).keys, 'b');
+    });
+
+    it('should keep level 0 priority over interleaving', () => {
+      const commands = [
+        { keys: 'a', level: 0, group: 0, color: 'cyan' },
+        { keys: 'b', level: 0, group: 0, color: 'cyan' },
+        { keys: 'c', level: 3, group: 1, color: 'red' }
+      ];
+      for (let i = 0; i < 50; i++) {
+        assert.strictEqual(selectNextCommand(commands, null, { recent: ['a'] }).keys, 'b');
+      }
+    });
+
+    it('should be disabled with interleave: false', () => {
+      const commands = [
+        { keys: 'a', level: 0, group: 0, color: 'cyan' },
+        { keys: 'b', level: 0, group: 0, color: 'cyan' },
+        { keys: 'c', level: 0, group: 0, color: 'red' }
+      ];
+      const seen = new Set();
+      for (let i = 0; i < 200; i++) {
+        seen.add(selectNextCommand(commands, null, { recent: ['a'], minGap: 1, interleave: false }).keys);
+      }
+      assert.deepStrictEqual([...seen].sort(), ['b', 'c']);
+    });
+  });
 });
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for recall fading
+ *
+ * Tests cover:
+ * - Default and pack-level fading thresholds
+ * - Key visibility by SRS level
+ * - Cutting a key sequence to its visible chords
+ * - Hints revealing one more chord at a time
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_RECALL,
+  getRecallRules,
+  getKeyVisibility,
+  getVisibleChords,
+  canHint
+} from '../../src/core/recall.js';
+
+const at = level => ({ keys: 'diw', level });
+
+describe('getRecallRules', () => {
+  it('should default to full keys at NEW and the first chord at LEARNING', () => {
+    assert.deepEqual(getRecallRules({}), { fullKeysUntil: 0, firstKeyUntil: 1 });
+    assert.deepEqual(getRecallRules(null), DEFAULT_RECALL);
+  });
+
+  it('should apply pack overrides', () => {
+    assert.deepEqual(getRecallRules({ recall: { firstKeyUntil: 3 } }), { fullKeysUntil: 0, firstKeyUntil: 3 });
+  });
+
+  it('should turn fading off for recall: false', () => {
+    assert.equal(getRecallRules({ recall: false }), null);
+  });
+});
+
+describe('getKeyVisibility', () => {
+  it('should fade keys as the level rises', () => {
+    assert.equal(getKeyVisibility(at(0), {}), 'full');
+    assert.equal(getKeyVisibility(at(1), {}), 'first');
+    assert.equal(getKeyVisibility(at(2), {}), 'none');
+    assert.equal(getKeyVisibility(at(5), {}), 'none');
+  });
+
+  it('should treat commands without a level as new', () => {
+    assert.equal(getKeyVisibility({ keys: 'w' }, {}), 'full');
+  });
+
+  it('should follow the pack\'s thresholds', () => {
+    const pack = { recall: { fullKeysUntil: 1, firstKeyUntil: 3 } };
+    assert.equal(getKeyVisibility(at(1), pack), 'full');
+    assert.equal(getKeyVisibility(at(3), pack), 'first');
+    assert.equal(getKeyVisibility(at(4), pack), 'none');
+    assert.equal(getKeyVisibility(at(0), { recall: { fullKeysUntil: -1 } }), 'first');
+    assert.equal(getKeyVisibility(at(5), { recall: false }), 'full');
+  });
+});
+
+describe('getVisibleChords', () => {
+  it('should cut a sequence to what is visible', () => {
+    assert.deepEqual(getVisibleChords('C-b %', 'full').map(chord => chord.token), ['Ctrl+b', '%']);
+    assert.deepEqual(getVisibleChords('C-b %', 'first').map(chord => chord.token), ['Ctrl+b']);
+    assert.deepEqual(getVisibleChords('C-b %', 'none'), []);
+  });
+
+  it('should reveal one more chord per hint', () => {
+    assert.deepEqual(getVisibleChords('diw', 'none', 1).map(chord => chord.token), ['d']);
+    assert.deepEqual(getVisibleChords('diw', 'first', 1).map(chord => chord.token), ['d', 'i']);
+    assert.equal(getVisibleChords('diw', 'first', 5).length, 3);
+  });
+});
+
+describe('canHint', () => {
+  it('should allow hints only while chords are hidden', () => {
+    assert.equal(canHint('diw', 'none', 0), true);
+    assert.equal(canHint('diw', 'first', 1), true);
+    assert.equal(canHint('diw', 'first', 2), false);
+    assert.equal(canHint('diw', 'full', 0), false);
+  });
+});
@@ -8,7 +8,8 @@ import {
   calculateScore,
   updateCombo,
   getComboMultiplier,
-  SessionScorer
+  SessionScorer,
+  HINT_SCORE_FACTOR
 } from '../../src/core/scorer.js';
 
 describe('Scoring System', () => {
@@ -37,6 +38,15 @@ describe('Scoring System', () => {
       assert.equal(score3, 137);
     });
 
+    it('should reduce points for each hint', () => {
+      assert.equal(HINT_SCORE_FACTOR, 0.5);
+      // (100 + 50) * 1 * 1 * 0.5 = 75
+      assert.equal(calculateScore(2.0, 2.0, 0, 0, 1), 75);
+      // Two hints compound: 150 * 0.25 = 37
+      assert.equal(calculateScore(2.0, 2.0, 0, 0, 2), 37);
+      assert.equal(calculateScore(2.0, 2.0, 0, 0, -1), 150);
+    });
+
     it('should apply level multiplier', () => {
       // Level 0: 1x multiplier
       const score0 = calculateScore(0, 2.0, 0, 0);
@@ -133,6 +143,13 @@ describe('Scoring System', () => {
       assert.equal(updateCombo(true, 99), 100);
     });
 
+    it('should pass hints through to the score', () => {
+      const session = new SessionScorer();
+      const result = session.recordAttempt(true, 2.0, 2.0, 0, 1);
+      assert.equal(result.score, 75);
+      assert.equal(result.combo, 1);
+    });
+
     it('should reset combo on incorrect answer', () => {
       assert.equal(updateCombo(false, 0), 0);
       assert.equal(updateCombo(false, 5), 0);
@@ -15,16 +15,29 @@ import assert from 'node:assert/strict';
 import {
   SRS_LEVELS,
   SRS_INTERVALS,
+  SRS_DAY_INTERVALS,
+  DAY_MS,
   SUCCESSES_TO_ADVANCE,
   MAX_LEVEL,
   LEVEL_NAMES,
   updateCommandState,
   shouldReviewCommand,
+  isCalendarDue,
   calculateNextReview,
+  calculateDueDate,
   getLevelName,
   calculateMastery,
   initializeCommandState,
-  initializeCommand
+  initializeCommand,
+  GRADES,
+  SRS_ALGORITHMS,
+  toGrade,
+  levelFromInterval,
+  getAlgorithm,
+  resolveAlgorithmId,
+  migrateCommandState,
+  LATENCY_THRESHOLDS,
+  gradeAnswer
 } from '../../src/core/srs.js';
 
 describe('SRS Constants', () => {
@@ -337,6 +350,66 @@ describe('shouldReviewCommand', () => {
   });
 });
 
+describe('shouldReviewCommand - calendar tier', () => {
+  it('should use the calendar due date when not seen this session', () => {
+    const now = Date.now();
+    const notDue = { level: 3, dueDate: now + DAY_MS, nextReview: now - 1000 };
+    const due = { level: 3, dueDate: now - 1000, nextReview: now + DAY_MS };
+
+    assert.equal(shouldReviewCommand(notDue, null, now), false);
+    assert.equal(shouldReviewCommand(due, null, now), true);
+  });
+
+  it('should use the command-count interval once seen this session', () => {
+    const now = Date.now();
+    const command = { level: 2, dueDate: now + 3 * DAY_MS };
+
+    assert.equal(shouldReviewCommand(command, 9, now), false);
+    assert.equal(shouldReviewCommand(command, 10, now), true);
+  });
+
+  it('should fall back to nextReview for saves without a due date', () => {
+    const now = Date.now();
+    assert.equal(shouldReviewCommand({ level: 2, nextReview: now - 1 }, null, now), true);
+    assert.equal(shouldReviewCommand({ level: 2, nextReview: now + 1 }, null, now), false);
+  });
+});
+
+describe('calculateDueDate', () => {
+  it('should use day-based intervals per level', () => {
+    assert.deepEqual(SRS_DAY_INTERVALS, [0, 1, 3, 7, 21, 60]);
+
+    const now = Date.now();
+    assert.equal(calculateDueDate(0, now), now);
+    assert.equal(calculateDueDate(1, now), now + DAY_MS);
+    assert.equal(calculateDueDate(5, now), now + 60 * DAY_MS);
+  });
+
+  it('should be set by updateCommandState', () => {
+    const now = Date.now();
+    let command = { level: 4, successes: 2, failures: 0, lastSeen: null, nextReview: null };
+
+    command = updateCommandState(command, true, now);
+    assert.equal(command.level, 5);
+    assert.equal(command.dueDate, now + 60 * DAY_MS);
+
+    command = updateCommandState(command, false, now);
+    assert.equal(command.dueDate, now, 'Failures are due immediately');
+  });
+});
+
+describe('isCalendarDue', () => {
+  it('should treat commands without any schedule as due', () => {
+    assert.equal(isCalendarDue({ level: 1 }), true);
+  });
+
+  it('should compare the due date to the current time', () => {
+    const now = Date.now();
+    assert.equal(isCalendarDue({ dueDate: now }, now), true);
+    assert.equal(isCalendarDue({ dueDate: now + 1 }, now), false);
+  });
+});
+
 describe('calculateNextReview', () => {
   it('should return current time for level 0', () => {
     const now = Date.now();
@@ -611,6 +684,335 @@ describe('Timestamp Persistence - Multi-session Support', () => {
   });
 });
 
+describe('SRS Algorithms', () => {
+  const fresh = () => initializeCommandState({ keys: 'dd' });
+
+  it('should register classic, sm2 and fsrs', () => {
+    assert.deepEqual(Object.keys(SRS_ALGORITHMS), ['classic', 'sm2', 'fsrs']);
+    Object.values(SRS_ALGORITHMS).forEach(algorithm => {
+      assert.equal(typeof algorithm.update, 'function');
+      assert.equal(typeof algorithm.migrate, 'function');
+      assert.equal(getAlgorithm(algorithm.id), algorithm);
+    });
+  });
+
+  it('should reject unknown algorithms', () => {
+    assert.throws(() => getAlgorithm('leitner'), /Unknown SRS algorithm "leitner"/);
+  });
+
+  it('should convert pass/fail answers to grades', () => {
+    assert.equal(toGrade(true), GRADES.GOOD);
+    assert.equal(toGrade(false), GRADES.AGAIN);
+    assert.equal(toGrade(GRADES.HARD), GRADES.HARD);
+  });
+
+  it('should map intervals onto levels', () => {
+    assert.equal(levelFromInterval(0), 0);
+    assert.equal(levelFromInterval(0.5), 0);
+    assert.equal(levelFromInterval(1), 1);
+    assert.equal(levelFromInterval(6), 2);
+    assert.equal(levelFromInterval(15), 3);
+    assert.equal(levelFromInterval(30), 4);
+    assert.equal(levelFromInterval(365), 5);
+  });
+
+  describe('classic', () => {
+    it('should behave like updateCommandState', () => {
+      const now = Date.now();
+      const viaAlgorithm = getAlgorithm('classic').update(fresh(), GRADES.GOOD, now);
+      const direct = updateCommandState(fresh(), true, now);
+
+      assert.equal(viaAlgorithm.level, direct.level);
+      assert.equal(viaAlgorithm.successes, direct.successes);
+      assert.equal(viaAlgorithm.algorithm, 'classic');
+    });
+  });
+
+  describe('sm2', () => {
+    const sm2 = getAlgorithm('sm2');
+
+    it('should grow intervals 1d, 6d, then by ease', () => {
+      let now = Date.now();
+      let command = sm2.update(fresh(), GRADES.GOOD, now);
+      assert.equal(command.intervalDays, 1);
+      assert.equal(command.level, 1);
+
+      now += 1 * DAY_MS;
+      command = sm2.update(command, GRADES.GOOD, now);
+      assert.equal(command.intervalDays, 6);
+      assert.equal(command.level, 2);
+
+      now += 6 * DAY_MS;
+      command = sm2.update(command, GRADES.GOOD, now);
+      assert.equal(command.intervalDays, 15);
+      assert.equal(command.level, 3);
+      assert.equal(command.dueDate, now + 15 * DAY_MS);
+    });
+
+    it('should not climb levels on repeats within one session', () => {
+      const start = Date.now();
+      let command = sm2.update(fresh(), GRADES.GOOD, start);
+      const { dueDate } = command;
+      for (let i = 1; i <= 5; i++) {
+        command = sm2.update(command, GRADES.GOOD, start + i * 60 * 1000);
+      }
+
+      assert.equal(command.level, 1);
+      assert.equal(command.repetitions, 1);
+      assert.equal(command.intervalDays, 1);
+      assert.equal(command.dueDate, dueDate);
+      assert.equal(command.successes, 6);
+      assert.equal(command.lastSeen, start + 5 * 60 * 1000);
+    });
+
+    it('should still lapse on an early miss', () => {
+      const now = Date.now();
+      const command = sm2.update(sm2.update(fresh(), GRADES.GOOD, now), GRADES.AGAIN, now + 60 * 1000);
+      assert.equal(command.repetitions, 0);
+      assert.equal(command.failures, 1);
+    });
+
+    it('should restart the interval on a lapse without wiping to NEW', () => {
+      let command = fresh();
+      for (let i = 0; i < 4; i++) command = sm2.update(command, GRADES.GOOD);
+
+      const lapsed = sm2.update(command, GRADES.AGAIN);
+      assert.equal(lapsed.intervalDays, 1);
+      assert.equal(lapsed.repetitions, 0);
+      assert.equal(lapsed.level, 1);
+      assert.equal(lapsed.failures, 1);
+      assert.ok(lapsed.ease < command.ease, 'Lapse should lower ease');
+    });
+
+    it('should never drop ease below 1.3', () => {
+      let command = fresh();
+      for (let i = 0; i < 20; i++) command = sm2.update(command, GRADES.AGAIN);
+      assert.equal(command.ease, 1.3);
+    });
+  });
+
+  describe('fsrs', () => {
+    const fsrs = getAlgorithm('fsrs');
+
+    it('should seed stability and difficulty from the first rating', () => {
+      const good = fsrs.update(fresh(), GRADES.GOOD);
+      const again = fsrs.update(fresh(), GRADES.AGAIN);
+
+      assert.equal(good.stability, 2.4);
+      assert.equal(good.level, 1);
+      assert.equal(again.stability, 0.4);
+      assert.equal(again.level, 0);
+      assert.ok(again.difficulty > good.difficulty);
+    });
+
+    it('should not grow stability on same-session repeats', () => {
+      const now = Date.now();
+      const first = fsrs.update(fresh(), GRADES.GOOD, now);
+      const repeat = fsrs.update(first, GRADES.GOOD, now);
+      assert.equal(repeat.stability, first.stability);
+    });
+
+    it('should grow stability after time has passed', () => {
+      const now = Date.now();
+      const first = fsrs.update(fresh(), GRADES.GOOD, now);
+      const later = fsrs.update(first, GRADES.GOOD, now + 3 * DAY_MS);
+      assert.ok(later.stability > first.stability);
+    });
+
+    it('should shrink but keep stability on a lapse', () => {
+      const now = Date.now();
+      const established = { ...fresh(), stability: 30, difficulty: 5, level: 4, lastSeen: now - 30 * DAY_MS, algorithm: 'fsrs' };
+      const lapsed = fsrs.update(established, GRADES.AGAIN, now);
+
+      assert.ok(lapsed.stability < 30);
+      assert.ok(lapsed.stability > 0);
+      assert.equal(lapsed.failures, 1);
+    });
+  });
+
+  describe('hinted answers', () => {
+    it('should never raise the level, whichever the scheme', () => {
+      for (const algorithm of Object.values(SRS_ALGORITHMS)) {
+        let now = Date.now();
+        let command = algorithm.update(fresh(), GRADES.GOOD, now);
+        const level = command.level;
+        for (let i = 0; i < 6; i++) {
+          now += 100 * DAY_MS;
+          command = algorithm.update(command, gradeAnswer(command, true, 1.0, 3), now, { hints: 3 });
+        }
+        assert.equal(command.level, level, algorithm.id);
+        assert.equal(command.failures, 0, algorithm.id);
+      }
+    });
+
+    it('should hold the scheme fields that drive the level', () => {
+      const now = Date.now();
+      const sm2 = getAlgorithm('sm2').update(
+        { level: 2, repetitions: 2, intervalDays: 6, ease: 2.5, lastSeen: now - 30 * DAY_MS, dueDate: now - 24 * DAY_MS },
+        GRADES.HARD, now, { hints: 1 }
+      );
+      assert.equal(sm2.repetitions, 2);
+      assert.equal(sm2.intervalDays, 6);
+
+      const fsrs = getAlgorithm('fsrs').update(
+        { level: 2, stability: 6, difficulty: 5, lastSeen: now - 30 * DAY_MS },
+        GRADES.HARD, now, { hints: 1 }
+      );
+      assert.equal(fsrs.stability, 6);
+    });
+  });
+
+  describe('resolveAlgorithmId', () => {
+    it('should prefer user settings, then pack, then classic', () => {
+      assert.equal(resolveAlgorithmId({}, {}), 'classic');
+      assert.equal(resolveAlgorithmId({ srsAlgorithm: 'sm2' }, {}), 'sm2');
+      assert.equal(resolveAlgorithmId({ srsAlgorithm: 'sm2' }, { srsAlgorithm: 'fsrs' }), 'fsrs');
+    });
+  });
+
+  describe('migrateCommandState', () => {
+    it('should leave state on the same scheme untouched', () => {
+      const command = { level: 2 };
+      assert.equal(migrateCommandState(command, 'classic'), command);
+    });
+
+    it('should carry classic progress into sm2 and fsrs', () => {
+      const classic = { level: 3, successes: 2, failures: 1, lastSeen: 1, nextReview: 2, dueDate: 3 };
+
+      const sm2 = migrateCommandState(classic, 'sm2');
+      assert.equal(sm2.algorithm, 'sm2');
+      assert.equal(sm2.level, 3);
+      assert.equal(sm2.intervalDays, 7);
+      assert.equal(sm2.dueDate, 3);
+
+      const fsrs = migrateCommandState(classic, 'fsrs');
+      assert.equal(fsrs.algorithm, 'fsrs');
+      assert.equal(fsrs.stability, 7);
+      assert.equal(fsrs.failures, 1);
+    });
+
+    it('should convert between sm2 and fsrs scheme fields', () => {
+      const sm2 = { level: 4, intervalDays: 30, ease: 2.8, algorithm: 'sm2' };
+      const fsrs = migrateCommandState(sm2, 'fsrs');
+      assert.equal(fsrs.stability, 30);
+      assert.ok(fsrs.difficulty < 5, 'High ease should mean low difficulty');
+
+      const back = migrateCommandState(fsrs, 'sm2');
+      assert.equal(back.intervalDays, 30);
+      assert.ok(Math.abs(back.ease - 2.8) < 1e-9);
+    });
+
+    it('should keep the success streak and drop scheme fields when moving to classic', () => {
+      const fsrs = { level: 2, successes: 9, stability: 4, difficulty: 6, algorithm: 'fsrs' };
+      const classic = migrateCommandState(fsrs, 'classic');
+      assert.deepEqual(classic, { level: 2, successes: 9, algorithm: 'classic' });
+    });
+
+    it('should round-trip sm2 and fsrs state through classic', () => {
+      const shared = { level: 3, successes: 4, failures: 1, lastSeen: 1, nextReview: 2, dueDate: 3 };
+      const sm2 = { ...shared, ease: 2.8, repetitions: 3, intervalDays: 15, algorithm: 'sm2' };
+      const fsrs = { ...shared, stability: 15, difficulty: 4, algorithm: 'fsrs' };
+
+      for (const [id, state, fields] of [['sm2', sm2, ['ease', 'repetitions', 'intervalDays']], ['fsrs', fsrs, ['stability', 'difficulty']]]) {
+        const classic = migrateCommandState(state, 'classic');
+        assert.deepEqual(classic, { ...shared, algorithm: 'classic' });
+
+        const back = migrateCommandState(classic, id);
+        assert.equal(back.algorithm, id);
+        assert.deepEqual(Object.keys(back).sort(), [...Object.keys(shared), 'algorithm', ...fields].sort());
+        assert.equal(back.level, 3);
+        assert.equal(back.successes, 4);
+        assert.equal(back.dueDate, 3);
+      }
+    });
+
+    it('should not carry one scheme\'s fields into the other', () => {
+      const fsrs = migrateCommandState({ level: 4, intervalDays: 30, ease: 2.8, repetitions: 4, algorithm: 'sm2' }, 'fsrs');
+      assert.equal(fsrs.ease, undefined);
+      assert.equal(fsrs.repetitions, undefined);
+      assert.equal(fsrs.intervalDays, undefined);
+
+      const sm2 = migrateCommandState(fsrs, 'sm2');
+      assert.equal(sm2.stability, undefined);
+      assert.equal(sm2.difficulty, undefined);
+    });
+  });
+});
+
+describe('Latency-aware grading', () => {
+  const command = (level, complexity = 1.0) => ({ keys: 'dd', level, complexity, successes: 0, failures: 0 });
+
+  it('should grade wrong answers as again regardless of speed', () => {
+    assert.equal(gradeAnswer(command(0), false, 0.5), GRADES.AGAIN);
+    assert.equal(gradeAnswer(command(0), false, null), GRADES.AGAIN);
+  });
+
+  it('should grade by share of the level base time', () => {
+    // Level 0 base time is 5.0s
+    assert.equal(gradeAnswer(command(0), true, 1.0), GRADES.EASY);
+    assert.equal(gradeAnswer(command(0), true, 2.5), GRADES.GOOD);
+    assert.equal(gradeAnswer(command(0), true, 4.5), GRADES.HARD);
+  });
+
+  it('should tighten thresholds at higher levels', () => {
+    // Level 5 base time is 2.0s, so 1.8s is hesitant there but fine at level 0
+    assert.equal(gradeAnswer(command(0), true, 1.8), GRADES.GOOD);
+    assert.equal(gradeAnswer(command(5), true, 1.8), GRADES.HARD);
+  });
+
+  it('should scale thresholds with complexity', () => {
+    assert.equal(gradeAnswer(command(0, 1.0), true, 4.5), GRADES.HARD);
+    assert.equal(gradeAnswer(command(0, 2.0), true, 4.5), GRADES.GOOD);
+  });
+
+  it('should grade hinted answers as hard however fast they were', () => {
+    assert.equal(gradeAnswer(command(0), true, 1.0, 1), GRADES.HARD);
+    assert.equal(gradeAnswer(command(0), false, 1.0, 1), GRADES.AGAIN);
+  });
+
+  it('should fall back to good when response time is unknown', () => {
+    assert.equal(gradeAnswer(command(0), true, null), GRADES.GOOD);
+    assert.equal(gradeAnswer(command(0), true, undefined), GRADES.GOOD);
+  });
+
+  it('should keep easy threshold below hard threshold', () => {
+    assert.ok(LATENCY_THRESHOLDS.easy < LATENCY_THRESHOLDS.hard);
+  });
+
+  describe('classic progression by grade', () => {
+    it('should not credit a success for hard answers', () => {
+      const state = updateCommandState(command(1), GRADES.HARD);
+      assert.equal(state.level, 1);
+      assert.equal(state.successes, 0);
+      assert.equal(state.failures, 0);
+    });
+
+    it('should credit two successes for easy answers', () => {
+      const state = updateCommandState(command(1), GRADES.EASY);
+      assert.equal(state.successes, 2);
+    });
+
+    it('should advance in two easy answers instead of three', () => {
+      let state = updateCommandState(command(1), GRADES.EASY);
+      state = updateCommandState(state, GRADES.EASY);
+      assert.equal(state.level, 2);
+      assert.equal(state.successes, 0);
+    });
+
+    it('should treat again like a wrong answer', () => {
+      const state = updateCommandState({ ...command(3), successes: 2 }, GRADES.AGAIN);
+      assert.equal(state.level, 0);
+      assert.equal(state.successes, 0);
+      assert.equal(state.failures, 1);
+    });
+
+    it('should pass grades through the classic algorithm', () => {
+      const state = getAlgorithm('classic').update(command(1), GRADES.EASY);
+      assert.equal(state.successes, 2);
+    });
+  });
+});
+
 describe('Integration Tests - Real-world Scenarios', () => {
   it('should handle typical learning progression', () => {
     // Simulate a user learning a new command
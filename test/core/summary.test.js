@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the end-of-session summary
+ *
+ * Tests cover:
+ * - Level changes over a session
+ * - Slowest and most-missed commands from the session's attempts
+ * - Comparison with earlier sessions
+ * - The full summary and its plain-text form
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getLevelChanges,
+  getSessionAttempts,
+  getSlowestCommands,
+  getMostFailedCommands,
+  compareSessions,
+  describeComparison,
+  summarizeSession,
+  formatSummary
+} from '../../src/core/summary.js';
+
+const attempt = (timestamp, outcome, completionTime = 1000) => ({ timestamp, outcome, completionTime });
+
+const pack = {
+  name: 'Test Pack',
+  groups: [{
+    commands: [
+      { id: 'delete-line', keys: 'dd', concept: 'DELETE LINE' },
+      { keys: 'gg', concept: 'GO TO TOP' },
+      { keys: 'w', concept: 'NEXT WORD' }
+    ]
+  }]
+};
+
+describe('getLevelChanges', () => {
+  it('should list commands that levelled up or fell back to 0', () => {
+    const changes = getLevelChanges(
+      { 'delete-line': 1, gg: 3, w: 0 },
+      { 'delete-line': { level: 2 }, gg: { level: 0 }, w: { level: 0 } }
+    );
+    assert.deepEqual(changes, {
+      levelledUp: [{ id: 'delete-line', from: 1, to: 2 }],
+      reset: [{ id: 'gg', from: 3 }]
+    });
+  });
+
+  it('should treat commands new this session as starting at 0', () => {
+    assert.deepEqual(getLevelChanges({}, { w: { level: 1 } }).levelledUp, [{ id: 'w', from: 0, to: 1 }]);
+  });
+});
+
+describe('session attempts', () => {
+  const log = {
+    'delete-line': [attempt(50, 'correct', 9000), attempt(100, 'correct', 2000), attempt(200, 'wrong')],
+    gg: [attempt(150, 'correct', 1000), attempt(250, 'timeout'), attempt(300, 'wrong')],
+    w: [attempt(10, 'wrong')]
+  };
+  const session = getSessionAttempts(log, 100);
+
+  it('should keep only attempts since the session began', () => {
+    assert.deepEqual(Object.keys(session), ['delete-line', 'gg']);
+    assert.equal(session['delete-line'].length, 2);
+  });
+
+  it('should rank commands by average correct answer time', () => {
+    assert.deepEqual(getSlowestCommands(session), [
+      { id: 'delete-line', averageTime: 2000 },
+      { id: 'gg', averageTime: 1000 }
+    ]);
+    assert.equal(getSlowestCommands(session, 1).length, 1);
+  });
+
+  it('should rank commands by misses', () => {
+    assert.deepEqual(getMostFailedCommands(session), [
+      { id: 'gg', failures: 2, attempts: 3 },
+      { id: 'delete-line', failures: 1, attempts: 2 }
+    ]);
+  });
+});
+
+describe('compareSessions', () => {
+  it('should return null for a first session', () => {
+    assert.equal(compareSessions({ score: 100, accuracy: 50 }, []), null);
+    assert.equal(compareSessions({ score: 100, accuracy: 50 }, undefined), null);
+  });
+
+  it('should compare with the average of recent sessions', () => {
+    const history = [{ score: 5000, accuracy: 10 }, { score: 800, accuracy: 70 }, { score: 1200, accuracy: 90 }];
+    assert.deepEqual(compareSessions({ score: 1100, accuracy: 85 }, history, 2), {
+      sessions: 2,
+      averageScore: 1000,
+      averageAccuracy: 80,
+      scoreDelta: 100,
+      accuracyDelta: 5,
+      bestScore: false
+    });
+  });
+
+  it('should flag a best score against every earlier session', () => {
+    assert.equal(compareSessions({ score: 900, accuracy: 0 }, [{ score: 800 }, { score: 700 }]).bestScore, true);
+  });
+});
+
+describe('describeComparison', () => {
+  it('should describe the change in one line', () => {
+    assert.equal(describeComparison(null), 'First session - nothing to compare yet');
+    assert.equal(
+      describeComparison({ sessions: 5, averageScore: 1000, averageAccuracy: 80, scoreDelta: 1200, accuracyDelta: -2.5, bestScore: true }),
+      'Score +1,200 vs. your last 5 sessions (avg 1,000), accuracy -2.5 pts (avg 80%) - best score yet!'
+    );
+  });
+});
+
+describe('summarizeSession', () => {
+  const progress = {
+    commandStats: { 'delete-line': { level: 2 }, gg: { level: 0 }, removed: { level: 4 } },
+    attemptLog: {
+      'delete-line': [attempt(100, 'correct', 1500)],
+      gg: [attempt(100, 'wrong')],
+      removed: [attempt(100, 'wrong')]
+    },
+    sessions: [{ score: 100, accuracy: 100 }]
+  };
+  const stats = { totalScore: 150, accuracy: 33.3, bestCombo: 1, totalAttempts: 3 };
+  const summary = summarizeSession({
+    pack,
+    progress,
+    stats,
+    duration: 65000,
+    startLevels: { 'delete-line': 1, gg: 2, removed: 0 },
+    since: 100,
+    now: 999
+  });
+
+  it('should record the session', () => {
+    assert.deepEqual(summary.session, { timestamp: 999, duration: 65000, score: 150, accuracy: 33.3, bestCombo: 1, attempts: 3 });
+    assert.equal(summary.comparison.scoreDelta, 50);
+  });
+
+  it('should name the commands the pack still has', () => {
+    assert.deepEqual(summary.levelledUp.map(entry => entry.command.concept), ['DELETE LINE']);
+    assert.deepEqual(summary.reset.map(entry => entry.command.keys), ['gg']);
+    assert.deepEqual(summary.mostFailed.map(entry => entry.id), ['gg']);
+  });
+
+  it('should format as plain text', () => {
+    const text = formatSummary(summary, { platform: 'linux' });
+    assert.match(text, /Session summary: Test Pack/);
+    assert.match(text, /Score: 150 {3}Accuracy: 33\.3% {3}Best combo: 1/);
+    assert.match(text, /3 commands in 1m 5s/);
+    assert.match(text, /Levelled up:\n {4}dd DELETE LINE \(level 1 → 2\)/);
+    assert.match(text, /Back to level 0:\n {4}gg GO TO TOP \(was level 2\)/);
+    assert.match(text, /Slowest:\n {4}dd DELETE LINE \(1\.5s avg\)/);
+    assert.match(text, /Most missed:\n {4}gg GO TO TOP \(1 of 1 missed\)/);
+    assert.ok(text.endsWith('\n'));
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for targets module
+ *
+ * Tests normalizing generator output, generating targets for a command,
+ * free-form challenges, text diffs and splitting buffers into styled line
+ * segments.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTarget, generateTarget, createChallenge, diffText, bufferLines } from '../../src/core/targets.js';
+
+describe('normalizeTarget', () => {
+  it('should treat plain text as a static target', () => {
+    assert.deepEqual(normalizeTarget('hello'), {
+      before: { text: 'hello', cursor: null, highlight: null, mode: null },
+      after: null
+    });
+  });
+
+  it('should keep before and after buffers', () => {
+    const target = normalizeTarget({ before: { text: 'ab', cursor: 1 }, after: { text: 'a', cursor: 0, highlight: [0, 1], mode: 'insert' } });
+    assert.deepEqual(target.before, { text: 'ab', cursor: 1, highlight: null, mode: null });
+    assert.deepEqual(target.after, { text: 'a', cursor: 0, highlight: [0, 1], mode: 'insert' });
+  });
+
+  it('should clamp cursors to the text', () => {
+    assert.equal(normalizeTarget({ before: { text: 'ab', cursor: 9 } }).before.cursor, 2);
+    assert.equal(normalizeTarget({ before: { text: 'ab', cursor: 'x' } }).before.cursor, null);
+  });
+
+  it('should handle missing output', () => {
+    assert.equal(normalizeTarget(undefined).before.text, '');
+  });
+});
+
+describe('generateTarget', () => {
+  it('should pass the command to its type\'s generator', () => {
+    const pack = { targetGenerators: { line: command => ({ before: { text: command.keys, cursor: 0 }, after: { text: '', cursor: 0 } }) } };
+    assert.equal(generateTarget(pack, { keys: 'dd', targetType: 'line' }).before.text, 'dd');
+  });
+
+  it('should return null without a generator', () => {
+    assert.equal(generateTarget({ targetGenerators: {} }, { targetType: 'line' }), null);
+    assert.equal(generateTarget(null, { targetType: 'line' }), null);
+  });
+});
+
+describe('createChallenge', () => {
+  const target = normalizeTarget({ before: { text: 'one two', cursor: 0 }, after: { text: 'two', cursor: 0 } });
+
+  it('should use the pack\'s emulator for previewed targets', () => {
+    const challenge = createChallenge({ emulator: 'vim' }, { keys: 'dw' }, target);
+    assert.equal(challenge.press('d'), 'progress');
+    assert.equal(challenge.press('w'), 'complete');
+  });
+
+  it('should return null when keys must match exactly', () => {
+    assert.equal(createChallenge({}, { keys: 'dw' }, target), null);
+    assert.equal(createChallenge({ emulator: 'vim' }, { keys: 'dw' }, normalizeTarget('one two')), null);
+  });
+});
+
+describe('diffText', () => {
+  it('should find a removed span', () => {
+    assert.deepEqual(diffText('a brown fox', 'a fox'), { removed: [2, 8], inserted: [2, 2] });
+  });
+
+  it('should find an inserted span', () => {
+    assert.deepEqual(diffText('ab', 'a\nb'), { removed: [1, 1], inserted: [1, 2] });
+  });
+
+  it('should not overlap prefix and suffix on repeated text', () => {
+    assert.deepEqual(diffText('a\nb\nc', 'a\nc'), { removed: [2, 4], inserted: [2, 2] });
+    assert.deepEqual(diffText('aaa', 'aa'), { removed: [2, 3], inserted: [2, 2] });
+  });
+
+  it('should report no change for equal text', () => {
+    assert.deepEqual(diffText('same', 'same'), { removed: [4, 4], inserted: [4, 4] });
+  });
+});
+
+describe('bufferLines', () => {
+  it('should mark the cursor', () => {
+    assert.deepEqual(bufferLines({ text: 'abc', cursor: 1 }), [[
+      { text: 'a', style: null },
+      { text: 'b', style: 'cursor' },
+      { text: 'c', style: null }
+    ]]);
+  });
+
+  it('should draw a cursor past the end of a line as a space', () => {
+    assert.deepEqual(bufferLines({ text: 'ab\n\ncd', cursor: 3 }), [
+      [{ text: 'ab', style: null }],
+      [{ text: ' ', style: 'cursor' }],
+      [{ text: 'cd', style: null }]
+    ]);
+  });
+
+  it('should style marked ranges across lines', () => {
+    assert.deepEqual(bufferLines({ text: 'ab\ncd', cursor: null }, { removed: [1, 4], inserted: [0, 0] }), [
+      [{ text: 'a', style: null }, { text: 'b', style: 'removed' }],
+      [{ text: 'c', style: 'removed' }, { text: 'd', style: null }]
+    ]);
+  });
+});
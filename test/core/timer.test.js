@@ -9,7 +9,10 @@ import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   getTimeLimit,
+  getAdaptiveTimeLimit,
+  ADAPTIVE_TIMING,
   createTimer,
+  createSessionClock,
   getBaseTime,
   getAllBaseTimes
 } from '../../src/core/timer.js';
@@ -409,6 +412,58 @@ test('createTimer - handles pause/resume cycles', async () => {
   timer.stop();
 });
 
+// Test suite: createSessionClock()
+test('createSessionClock - counts time since it was created', () => {
+  let now = 1000;
+  const clock = createSessionClock(() => now);
+  now = 4000;
+  assert.equal(clock.getElapsed(), 3000);
+});
+
+test('createSessionClock - leaves pauses out', () => {
+  let now = 0;
+  const clock = createSessionClock(() => now);
+  now = 1000;
+  clock.pause();
+  now = 61000;
+  assert.equal(clock.isPaused(), true);
+  assert.equal(clock.getElapsed(), 1000);
+  clock.resume();
+  now = 62000;
+  assert.equal(clock.isPaused(), false);
+  assert.equal(clock.getElapsed(), 2000);
+});
+
+test('createSessionClock - times an attempt paused midway by the time actually played', () => {
+  let now = 0;
+  const attempt = createSessionClock(() => now);
+  now = 500;
+  attempt.pause(); // Menu opened before the first key
+  now = 300500;
+  attempt.resume();
+  now = 300800;
+  const firstKeyLatency = attempt.getElapsed();
+  now = 301400;
+  const completionTime = attempt.getElapsed();
+  assert.equal(firstKeyLatency, 800);
+  assert.equal(completionTime, 1400);
+});
+
+test('createSessionClock - pause and resume are idempotent', () => {
+  let now = 0;
+  const clock = createSessionClock(() => now);
+  clock.resume();
+  now = 1000;
+  clock.pause();
+  now = 2000;
+  clock.pause();
+  now = 3000;
+  clock.resume();
+  clock.resume();
+  now = 4000;
+  assert.equal(clock.getElapsed(), 2000);
+});
+
 // Test suite: getBaseTime()
 test('getBaseTime - returns correct base time for each level', () => {
   assert.equal(getBaseTime(0), 5.0);
@@ -444,6 +499,96 @@ test('getAllBaseTimes - returns copy of array (not reference)', () => {
   assert.equal(baseTimes2[0], 5.0, 'Original value should be preserved');
 });
 
+// Test suite: getAdaptiveTimeLimit()
+const attempts = (seconds, { level = 1, outcome = 'correct', start = 0 } = {}) =>
+  seconds.map((s, i) => ({
+    timestamp: start + i,
+    firstKeyLatency: null,
+    completionTime: s * 1000,
+    keys: [],
+    outcome,
+    level
+  }));
+
+test('getAdaptiveTimeLimit - falls back to fixed table without history', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  assert.equal(getAdaptiveTimeLimit(command, {}), 3.0);
+  assert.equal(getAdaptiveTimeLimit(command, undefined), 3.0);
+});
+
+test('getAdaptiveTimeLimit - falls back with too few samples', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const log = { dd: attempts([2.0, 2.0]) };
+  assert.equal(getAdaptiveTimeLimit(command, log), 3.0);
+});
+
+test('getAdaptiveTimeLimit - uses percentile of correct answers with headroom', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const log = { dd: attempts([2.0, 2.0, 2.0, 2.0, 2.5]) };
+  // p90 of samples is 2.5s, plus 20% headroom
+  assert.ok(Math.abs(getAdaptiveTimeLimit(command, log) - 3.0) < 1e-9);
+});
+
+test('getAdaptiveTimeLimit - gives slow players more time up to the ceiling', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const slow = { dd: attempts([3.5, 3.5, 3.5, 3.5, 3.5]) };
+  assert.ok(Math.abs(getAdaptiveTimeLimit(command, slow) - 4.2) < 1e-9);
+
+  const verySlow = { dd: attempts([9, 9, 9, 9, 9]) };
+  assert.equal(getAdaptiveTimeLimit(command, verySlow), 3.0 * ADAPTIVE_TIMING.ceilingShare);
+});
+
+test('getAdaptiveTimeLimit - pushes fast players down to the floor', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const fast = { dd: attempts([0.3, 0.3, 0.3, 0.3, 0.3]) };
+  assert.equal(getAdaptiveTimeLimit(command, fast), 3.0 * ADAPTIVE_TIMING.floorShare);
+
+  // Absolute floor applies when half the fixed limit is tiny
+  const mastered = { keys: 'dd', level: 5, complexity: 1.0 };
+  const log = { dd: attempts([0.2, 0.2, 0.2, 0.2, 0.2], { level: 5 }) };
+  assert.equal(getAdaptiveTimeLimit(mastered, log), ADAPTIVE_TIMING.minSeconds);
+});
+
+test('getAdaptiveTimeLimit - ignores wrong answers, timeouts and other levels', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const log = {
+    dd: [
+      ...attempts([0.5, 0.5, 0.5], { outcome: 'wrong' }),
+      ...attempts([3.0, 3.0, 3.0], { outcome: 'timeout' }),
+      ...attempts([0.5, 0.5, 0.5, 0.5, 0.5], { level: 3 })
+    ]
+  };
+  assert.equal(getAdaptiveTimeLimit(command, log), 3.0);
+});
+
+test('getAdaptiveTimeLimit - ignores hinted answers', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const log = { dd: attempts([0.5, 0.5, 0.5, 0.5, 0.5]).map(a => ({ ...a, hints: 1 })) };
+  assert.equal(getAdaptiveTimeLimit(command, log), 3.0);
+});
+
+test('getAdaptiveTimeLimit - uses the level pool when the command has little history', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const log = {
+    dd: attempts([3.0], { start: 10 }),
+    yy: attempts([3.0, 3.0], { start: 0 }),
+    p: attempts([3.0, 3.0], { start: 5 })
+  };
+  assert.ok(Math.abs(getAdaptiveTimeLimit(command, log) - 3.6) < 1e-9);
+});
+
+test('getAdaptiveTimeLimit - only recent answers count', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const log = { dd: [...attempts(Array(10).fill(5.0)), ...attempts(Array(20).fill(2.0), { start: 10 })] };
+  assert.ok(Math.abs(getAdaptiveTimeLimit(command, log) - 2.4) < 1e-9);
+});
+
+test('getAdaptiveTimeLimit - accepts option overrides', () => {
+  const command = { keys: 'dd', level: 1, complexity: 1.0 };
+  const log = { dd: attempts([2.0, 2.0]) };
+  assert.ok(Math.abs(getAdaptiveTimeLimit(command, log, { minSamples: 2 }) - 2.4) < 1e-9);
+});
+
 // Integration test: Real-world scenario
 test('Integration - complete game timer scenario', async () => {
   // Simulate a level 2 command with complexity 1.5
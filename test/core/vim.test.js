@@ -0,0 +1,233 @@
+/**
+ * Unit tests for the Vim emulator
+ *
+ * Tests cover:
+ * - Motions, counts and find motions
+ * - Operators over motions, lines and text objects
+ * - Insert and visual modes, paste and undo
+ * - Free-form challenges against a target
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { VimEmulator, VimChallenge, runVimKeys, statesMatch } from '../../src/core/vim.js';
+import { normalizeTarget } from '../../src/core/targets.js';
+
+const LINE = 'The quick brown fox';
+// Cursor on "quick"
+const run = (keys, text = LINE, cursor = 4) => runVimKeys({ text, cursor }, keys);
+
+describe('VimEmulator motions', () => {
+  it('should move by words', () => {
+    assert.equal(run('w').cursor, 10);
+    assert.equal(run('b').cursor, 0);
+    assert.equal(run('e').cursor, 8);
+    assert.equal(run('3w').cursor, 18);
+    assert.equal(run('w', 'one two\nthree', 4).cursor, 8);
+  });
+
+  it('should treat punctuation as its own word and WORDs as non-blank runs', () => {
+    assert.equal(run('w', 'foo.bar baz', 0).cursor, 3);
+    assert.equal(run('W', 'foo.bar baz', 0).cursor, 8);
+  });
+
+  it('should move within the line', () => {
+    assert.equal(run('0').cursor, 0);
+    assert.equal(run('$').cursor, 18);
+    assert.equal(run('^', '  indented', 8).cursor, 2);
+    assert.equal(run('fx').cursor, 18);
+    assert.equal(run('tx').cursor, 17);
+    assert.equal(run('FT', LINE, 10).cursor, 0);
+    assert.equal(run('h', LINE, 0).cursor, 0);
+    assert.equal(run('l', LINE, 18).cursor, 18);
+  });
+
+  it('should move between lines', () => {
+    const text = 'one\ntwo\n  three';
+    assert.equal(run('j', text, 1).cursor, 5);
+    assert.equal(run('G', text, 1).cursor, 10);
+    assert.equal(run('gg', text, 10).cursor, 0);
+    assert.equal(run('2G', text, 0).cursor, 4);
+  });
+
+  it('should jump to the matching bracket', () => {
+    assert.equal(run('%', 'f(a[1])', 0).cursor, 6);
+    assert.equal(run('%', 'f(a[1])', 6).cursor, 1);
+  });
+});
+
+describe('VimEmulator operators', () => {
+  it('should delete a word several ways', () => {
+    for (const keys of ['dw', 'daw']) {
+      assert.deepEqual(run(keys), { text: 'The brown fox', cursor: 4, mode: 'normal', highlight: null }, keys);
+    }
+    for (const keys of ['diw', 'de', 'd5l']) {
+      assert.equal(run(keys).text, 'The  brown fox', keys);
+    }
+  });
+
+  it('should stop dw at the end of the line', () => {
+    assert.equal(run('dw', 'one two\nthree', 4).text, 'one \nthree');
+  });
+
+  it('should change like ce for cw and enter insert mode', () => {
+    assert.deepEqual(run('cw'), { text: 'The  brown fox', cursor: 4, mode: 'insert', highlight: null });
+    assert.equal(run('cwslow<Esc>').text, 'The slow brown fox');
+  });
+
+  it('should combine counts', () => {
+    assert.equal(run('d2w', LINE, 0).text, 'brown fox');
+    assert.equal(run('2d2w', 'a b c d e', 0).text, 'e');
+    assert.equal(run('3x').text, 'The ck brown fox');
+  });
+
+  it('should operate on whole lines', () => {
+    const text = 'one\n  two\nthree';
+    assert.deepEqual(run('dd', text, 0), { text: '  two\nthree', cursor: 2, mode: 'normal', highlight: null });
+    assert.equal(run('dd', text, 12).text, 'one\n  two');
+    assert.equal(run('dj', text, 0).text, 'three');
+    assert.deepEqual(run('cc', text, 6), { text: 'one\n  \nthree', cursor: 6, mode: 'insert', highlight: null });
+  });
+
+  it('should highlight yanked text without changing it', () => {
+    assert.deepEqual(run('yy'), { text: LINE, cursor: 4, mode: 'normal', highlight: [0, 19] });
+    assert.deepEqual(run('yiw').highlight, [4, 9]);
+  });
+
+  it('should handle the shorthand commands', () => {
+    assert.equal(run('D').text, 'The ');
+    assert.equal(run('X').text, 'Thequick brown fox');
+    assert.equal(run('C').mode, 'insert');
+  });
+
+  it('should keep the cursor on an emptied first line', () => {
+    const text = '}\nconsole.log(total)';
+    for (const keys of ['D', '0d$', 'x']) {
+      assert.deepEqual(run(keys, text, 0), { text: '\nconsole.log(total)', cursor: 0, mode: 'normal', highlight: null }, keys);
+    }
+    assert.equal(run('Dx', text, 0).text, '\nconsole.log(total)');
+    assert.equal(run('Dp', text, 0).text, '}\nconsole.log(total)');
+    assert.equal(run('Dj', text, 0).cursor, 1);
+  });
+});
+
+describe('VimEmulator text objects', () => {
+  it('should select quoted text', () => {
+    const text = 'say "hello there" now';
+    assert.deepEqual(run('ci"', text, 7), { text: 'say "" now', cursor: 5, mode: 'insert', highlight: null });
+    assert.equal(run('da"', text, 7).text, 'say now');
+  });
+
+  it('should select the innermost brackets', () => {
+    assert.equal(run('di(', 'f(a, (b), c)', 6).text, 'f(a, (), c)');
+    assert.equal(run('di(', 'f(a, (b), c)', 2).text, 'f()');
+    assert.equal(run('da[', 'x = [1, 2]', 6).text, 'x = ');
+    assert.equal(run('di(', 'no brackets', 3).text, 'no brackets');
+  });
+
+  it('should keep braces on their own lines for inner blocks', () => {
+    const text = 'if (x) {\n  foo()\n  bar()\n}';
+    assert.equal(run('di{', text, 12).text, 'if (x) {\n}');
+    assert.deepEqual(run('ci{', text, 12), { text: 'if (x) {\n\n}', cursor: 9, mode: 'insert', highlight: null });
+    assert.equal(run('da{', text, 12).text, 'if (x) ');
+  });
+});
+
+describe('VimEmulator modes', () => {
+  it('should insert text and return to normal mode', () => {
+    assert.deepEqual(run('iAB<Esc>', LINE, 0), { text: `AB${LINE}`, cursor: 1, mode: 'normal', highlight: null });
+    assert.equal(run('Ax<Esc>').text, `${LINE}x`);
+    assert.equal(run('I', '  two', 4).cursor, 2);
+  });
+
+  it('should keep the indent for new lines', () => {
+    assert.deepEqual(run('o', '  one', 2), { text: '  one\n  ', cursor: 8, mode: 'insert', highlight: null });
+    assert.equal(run('O', '  one', 2).text, '  \n  one');
+  });
+
+  it('should select and operate in visual mode', () => {
+    assert.deepEqual(run('v'), { text: LINE, cursor: 4, mode: 'visual', highlight: [4, 5] });
+    assert.deepEqual(run('viw').highlight, [4, 9]);
+    assert.equal(run('vjd', 'ab\ncd', 0).text, 'd');
+    assert.deepEqual(run('V', 'ab\ncd', 3).highlight, [3, 5]);
+    assert.equal(run('Vd', 'ab\ncd', 3).text, 'ab');
+    assert.equal(run('v<Esc>').mode, 'normal');
+  });
+
+  it('should paste and undo', () => {
+    assert.equal(run('yyp', 'one', 0).text, 'one\none');
+    assert.equal(run('ywP', 'one two', 0).text, 'one one two');
+    assert.equal(run('dwu').text, LINE);
+  });
+
+  it('should report pending and rejected keys', () => {
+    const vim = new VimEmulator({ text: LINE, cursor: 4 });
+    assert.equal(vim.press('d'), 'pending');
+    assert.equal(vim.isIdle(), false);
+    assert.equal(vim.press('i'), 'pending');
+    assert.equal(vim.press('w'), 'done');
+    assert.equal(vim.isIdle(), true);
+    assert.equal(vim.press('q'), 'error');
+    assert.equal(vim.press('d'), 'pending');
+    assert.equal(vim.press('z'), 'error');
+    assert.equal(vim.isIdle(), true);
+  });
+
+  it('should not operate on visual block selections', () => {
+    const vim = new VimEmulator({ text: 'ab\ncd', cursor: 0 });
+    vim.pressKeys('<C-v>');
+    assert.equal(vim.getState().mode, 'visual-block');
+    assert.equal(vim.press('d'), 'error');
+  });
+});
+
+describe('statesMatch', () => {
+  it('should compare text, cursor, mode and highlight', () => {
+    const state = { text: 'a', cursor: 0, mode: 'normal', highlight: null };
+    assert.equal(statesMatch(state, { text: 'a', cursor: 0 }), true);
+    assert.equal(statesMatch(state, { text: 'a', cursor: 0, mode: 'insert' }), false);
+    assert.equal(statesMatch(state, { text: 'a', cursor: 0, highlight: [0, 1] }), false);
+    assert.equal(statesMatch({ ...state, highlight: [0, 1] }, { text: 'a', cursor: 0, highlight: [0, 1] }), true);
+  });
+});
+
+describe('VimChallenge', () => {
+  const before = { text: LINE, cursor: 4 };
+  const deleteQuick = normalizeTarget({ before, after: runVimKeys(before, 'diw') });
+  const answer = (keys, challenge = new VimChallenge(deleteQuick, 'diw')) => {
+    let status;
+    for (const token of keys) {
+      status = challenge.press(token);
+      if (status !== 'progress') break;
+    }
+    return { status, reason: challenge.reason };
+  };
+
+  it('should accept any keys that reach the result', () => {
+    assert.equal(answer(['d', 'i', 'w']).status, 'complete');
+    assert.equal(answer(['d', 'e']).status, 'complete');
+    assert.equal(answer(['c', 'w', 'Escape', 'l']).status, 'complete');
+  });
+
+  it('should allow moving before the edit', () => {
+    assert.equal(answer(['w', 'b', 'd', 'e']).status, 'complete');
+  });
+
+  it('should fail on an edit that misses the result', () => {
+    assert.deepEqual(answer(['d', 'w']), { status: 'wrong', reason: 'wrong-edit' });
+  });
+
+  it('should fail on a key Vim rejects', () => {
+    assert.deepEqual(answer(['d', 'z']), { status: 'wrong', reason: 'not-a-command' });
+  });
+
+  it('should fail after too many keys', () => {
+    assert.deepEqual(answer(['l', 'h', 'l', 'h', 'l', 'h', 'l', 'h', 'l']), { status: 'wrong', reason: 'too-many-keys' });
+  });
+
+  it('should need a yank to match a highlighted result', () => {
+    const target = normalizeTarget({ before, after: runVimKeys(before, 'yy') });
+    assert.equal(answer(['l', 'h'], new VimChallenge(target, 'yy')).status, 'progress');
+    assert.equal(answer(['y', 'y'], new VimChallenge(target, 'yy')).status, 'complete');
+  });
+});
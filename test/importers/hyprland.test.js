@@ -0,0 +1,254 @@
+/**
+ * Unit tests for the hyprland.conf importer
+ *
+ * Tests cover:
+ * - Variables, comments, category blocks and submaps
+ * - bind flag variants (binde, bindm, bindd) and unbind
+ * - source = includes
+ * - Mapping dispatchers to built-in concepts
+ * - Building a valid personal pack
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  parseHyprlandConf,
+  hyprKeyToNotation,
+  matchDispatcher,
+  importHyprlandConf
+} from '../../src/importers/hyprland.js';
+import { validatePack, packFromData } from '../../src/utils/loader.js';
+
+const CONF = `
+$mainMod = SUPER
+$terminal = kitty
+$menu = wofi --show drun
+
+general {
+    gaps_in = 5
+}
+
+bind = $mainMod, Return, exec, $terminal
+bind = $mainMod, Q, killactive,
+bind = $mainMod, D, exec, $menu
+bind = $mainMod, h, movefocus, l
+bind = $mainMod, J, togglesplit, # dwindle
+bind = $mainMod, code:10, workspace, 1
+bind = $mainMod, 0, workspace, 10
+bind = $mainMod SHIFT, 7, movetoworkspace, 7
+binde = $mainMod CTRL, l, resizeactive, 30 0
+bindm = $mainMod, mouse:272, movewindow
+bindd = $mainMod, B, Open browser, exec, firefox
+bind = $mainMod, V, togglefloating,
+bind = $mainMod SHIFT, comma, layoutmsg, orientationnext
+bindel = , XF86AudioRaiseVolume, exec, wpctl set-volume @DEFAULT_AUDIO_SINK@ 5%+
+bind = $mainMod, R, submap, resize
+submap = resize
+binde = , right, resizeactive, 10 0
+submap = reset
+unbind = $mainMod, V
+`;
+
+const allCommands = pack => pack.groups.flatMap(group => group.commands);
+const byKeys = (pack, keys) => allCommands(pack).find(cmd => cmd.keys === keys);
+
+describe('parseHyprlandConf', () => {
+  it('should expand variables and split bind fields', () => {
+    const { binds, variables } = parseHyprlandConf(CONF);
+    assert.equal(variables.mainMod, 'SUPER');
+    assert.deepEqual(binds[0].mods, ['Super']);
+    assert.equal(binds[0].dispatcher, 'exec');
+    assert.equal(binds[0].params, 'kitty');
+  });
+
+  it('should read bind flags', () => {
+    const { binds } = parseHyprlandConf(CONF);
+    const find = key => binds.find(bind => bind.key === key);
+    assert.equal(find('l').repeat, true);
+    assert.equal(find('mouse:272').mouse, true);
+    assert.equal(find('B').description, 'Open browser');
+    assert.equal(find('B').dispatcher, 'exec');
+  });
+
+  it('should keep commas inside exec arguments', () => {
+    const { binds } = parseHyprlandConf('bind = SUPER, P, exec, notify-send "a, b"');
+    assert.equal(binds[0].params, 'notify-send "a, b"');
+  });
+
+  it('should ignore comments, category blocks and other keywords', () => {
+    const { binds } = parseHyprlandConf('# bind = SUPER, X, exit\ninput {\n  bind = SUPER, Y, exit\n}\nmonitor = ,preferred,auto,1');
+    assert.deepEqual(binds, []);
+  });
+
+  it('should accept the different modifier spellings', () => {
+    const mods = text => parseHyprlandConf(`bind = ${text}, x, exit`).binds[0].mods;
+    assert.deepEqual(mods('SUPER_SHIFT'), ['Super', 'Shift']);
+    assert.deepEqual(mods('SHIFT SUPER'), ['Super', 'Shift']);
+    assert.deepEqual(mods('CONTROL ALT'), ['Ctrl', 'Alt']);
+    assert.deepEqual(mods(''), []);
+  });
+
+  it('should remove unbound combinations', () => {
+    const { binds } = parseHyprlandConf(CONF);
+    assert.equal(binds.find(bind => bind.key === 'V'), undefined);
+  });
+
+  it('should skip submap bindings', () => {
+    const { binds, skipped } = parseHyprlandConf(CONF);
+    assert.equal(binds.find(bind => bind.key === 'right'), undefined);
+    assert.deepEqual(skipped.map(s => s.reason), ['submap "resize" is not imported']);
+  });
+
+  describe('source includes', () => {
+    let dir;
+
+    before(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'keyblitz-hypr-'));
+      await mkdir(join(dir, 'conf.d'));
+      await writeFile(join(dir, 'vars.conf'), '$mod = ALT\n');
+      await writeFile(join(dir, 'conf.d', 'a.conf'), 'bind = $mod, a, exec, foot\n');
+      await writeFile(join(dir, 'conf.d', 'b.conf'), 'bind = $mod, b, pin\nsource = ../hyprland.conf\n');
+    });
+
+    after(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should follow relative and glob includes in order', () => {
+      const path = join(dir, 'hyprland.conf');
+      const { binds, skipped } = parseHyprlandConf(
+        'source = ./vars.conf\nsource = conf.d/*.conf\nsource = ./missing.conf',
+        { path }
+      );
+      assert.deepEqual(binds.map(bind => `${bind.mods.join('+')}+${bind.key}`), ['Alt+a', 'Alt+b']);
+      assert.equal(binds[1].file, join(dir, 'conf.d', 'b.conf'));
+      assert.equal(skipped.length, 1);
+      assert.match(skipped[0].reason, /cannot read source ".*missing\.conf"/);
+    });
+  });
+});
+
+describe('hyprKeyToNotation', () => {
+  it('should convert key names to pack notation', () => {
+    assert.equal(hyprKeyToNotation(['Super', 'Shift'], 'Q'), 'Super+Shift+q');
+    assert.equal(hyprKeyToNotation(['Super'], 'code:10'), 'Super+1');
+    assert.equal(hyprKeyToNotation(['Super'], 'code:19'), 'Super+0');
+    assert.equal(hyprKeyToNotation(['Super'], 'comma'), 'Super+,');
+    assert.equal(hyprKeyToNotation(['Super'], 'return'), 'Super+Return');
+  });
+
+  it('should reject keys a terminal cannot send', () => {
+    for (const key of ['F1', 'Insert', 'KP_1', 'Print', 'XF86AudioMute', 'code:67', 'mouse:272', 'mouse_down']) {
+      assert.equal(hyprKeyToNotation(['Super'], key), null, key);
+    }
+  });
+});
+
+describe('matchDispatcher', () => {
+  it('should map standard dispatchers to built-in ids', () => {
+    assert.equal(matchDispatcher('movefocus', 'l'), 'focus-left');
+    assert.equal(matchDispatcher('movewindow', 'd'), 'move-window-down');
+    assert.equal(matchDispatcher('workspace', '3'), 'workspace-3');
+    assert.equal(matchDispatcher('workspace', 'e+1'), 'next-workspace');
+    assert.equal(matchDispatcher('movetoworkspace', '2'), 'move-to-workspace-2');
+    assert.equal(matchDispatcher('togglefloating', ''), 'floating-toggle');
+    assert.equal(matchDispatcher('fullscreen', '1'), 'maximize-toggle');
+    assert.equal(matchDispatcher('resizeactive', '0 -20'), 'resize-up');
+    assert.equal(matchDispatcher('killactive', ''), 'close-window');
+  });
+
+  it('should recognise terminals, launchers and reloads', () => {
+    assert.equal(matchDispatcher('exec', 'uwsm app -- alacritty'), 'launch-terminal');
+    assert.equal(matchDispatcher('exec', 'rofi -show drun'), 'launch-menu');
+    assert.equal(matchDispatcher('exec', 'my-term', { variables: { terminal: 'my-term' } }), 'launch-terminal');
+    assert.equal(matchDispatcher('exec', 'hyprctl reload'), 'reload-config');
+    assert.equal(matchDispatcher('exec', 'firefox'), null);
+  });
+});
+
+describe('importHyprlandConf', () => {
+  it('should reuse built-in concepts and groups', () => {
+    const { pack } = importHyprlandConf(CONF);
+    assert.equal(byKeys(pack, 'Super+Return').id, 'launch-terminal');
+    assert.equal(byKeys(pack, 'Super+d').concept, 'LAUNCH MENU');
+    assert.equal(byKeys(pack, 'Super+j').id, 'toggle-split');
+    assert.equal(byKeys(pack, 'Super+Ctrl+l').concept, 'RESIZE RIGHT');
+    const navigation = pack.groups.find(group => group.name === 'Window Navigation');
+    assert.deepEqual(navigation.commands.map(cmd => cmd.id), ['focus-left']);
+  });
+
+  it('should number workspaces the built-in pack does not list', () => {
+    const { pack } = importHyprlandConf(CONF);
+    assert.equal(byKeys(pack, 'Super+0').concept, 'WORKSPACE 10');
+    assert.equal(byKeys(pack, 'Super+Shift+7').id, 'move-to-workspace-7');
+  });
+
+  it('should name relative workspace binds on keys', () => {
+    const { pack } = importHyprlandConf('bind = SUPER, period, workspace, e+1\nbind = SUPER, comma, workspace, e-1');
+    assert.equal(byKeys(pack, 'Super+.').concept, 'NEXT WORKSPACE');
+    assert.equal(byKeys(pack, 'Super+,').concept, 'PREV WORKSPACE');
+  });
+
+  it('should keep repeat flags', () => {
+    const { pack } = importHyprlandConf(CONF);
+    assert.equal(byKeys(pack, 'Super+Ctrl+l').repeat, true);
+  });
+
+  it('should generate concepts for custom bindings', () => {
+    const { pack } = importHyprlandConf(CONF);
+    const custom = pack.groups.find(group => group.name === 'Custom Bindings');
+    assert.deepEqual(custom.commands.map(cmd => [cmd.keys, cmd.concept]), [
+      ['Super+b', 'OPEN BROWSER'],
+      ['Super+Shift+,', 'LAYOUT ORIENTATIONNEXT'],
+      ['Super+r', 'MODE RESIZE']
+    ]);
+    assert.equal(byKeys(pack, 'Super+b').color, 'green');
+  });
+
+  it('should skip keys a terminal never receives', () => {
+    const { pack, skipped } = importHyprlandConf(CONF);
+    assert.equal(allCommands(pack).find(cmd => cmd.keys.includes('XF86')), undefined);
+    assert.ok(skipped.some(s => s.reason === 'key "XF86AudioRaiseVolume" cannot be practised in a terminal'));
+  });
+
+  it('should skip F-keys, Insert and keypad keys', () => {
+    const { pack, skipped } = importHyprlandConf('bind = SUPER, F1, exec, foot\nbind = SUPER, Insert, pin\nbind = SUPER, KP_1, workspace, 1');
+    assert.deepEqual(allCommands(pack), []);
+    assert.deepEqual(skipped.map(s => s.reason), [
+      'key "F1" cannot be practised in a terminal',
+      'key "Insert" cannot be practised in a terminal',
+      'key "KP_1" cannot be practised in a terminal'
+    ]);
+  });
+
+  it('should skip mouse button and wheel binds', () => {
+    const { pack, skipped } = importHyprlandConf(
+      'bindm = SUPER, mouse:272, movewindow\nbindm = SUPER, mouse:273, resizewindow\n' +
+      'bind = SUPER, mouse_down, workspace, e+1\nbind = SUPER, mouse_up, workspace, e-1'
+    );
+    assert.deepEqual(allCommands(pack), []);
+    assert.deepEqual(skipped.map(s => s.reason), [
+      'key "mouse:272" cannot be practised in a terminal',
+      'key "mouse:273" cannot be practised in a terminal',
+      'key "mouse_down" cannot be practised in a terminal',
+      'key "mouse_up" cannot be practised in a terminal'
+    ]);
+  });
+
+  it('should give duplicate commands unique ids', () => {
+    const { pack } = importHyprlandConf('bind = SUPER, Q, killactive\nbind = ALT, W, killactive');
+    assert.deepEqual(allCommands(pack).map(cmd => cmd.id), ['close-window', 'close-window-2']);
+  });
+
+  it('should produce a valid data pack with the requested metadata', () => {
+    const { pack } = importHyprlandConf(CONF, { id: 'hypr-laptop', name: 'Laptop', source: 'hyprland.conf' });
+    assert.equal(validatePack(packFromData(pack)), true);
+    assert.deepEqual(JSON.parse(JSON.stringify(pack)), pack, 'pack is plain data');
+    assert.equal(pack.id, 'hypr-laptop');
+    assert.equal(pack.name, 'Laptop');
+    assert.match(pack.description, /hyprland\.conf/);
+  });
+});
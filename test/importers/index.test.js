@@ -0,0 +1,47 @@
+/**
+ * Unit tests for the importer registry
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { IMPORTERS, getImporter, importConfigFile } from '../../src/importers/index.js';
+
+describe('getImporter', () => {
+  it('should return importers by tool name', () => {
+    assert.equal(getImporter('tmux'), IMPORTERS.tmux);
+    assert.equal(getImporter('hyprland').name, 'Hyprland');
+  });
+
+  it('should list the available tools for unknown ones', () => {
+    assert.throws(() => getImporter('emacs'), /No importer for "emacs". Available: tmux, hyprland, neovim, vscode/);
+  });
+});
+
+describe('importConfigFile', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'keyblitz-import-'));
+    await writeFile(join(dir, 'tmux.conf'), 'set -g prefix C-a\n');
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should read the file and pass on pack options', async () => {
+    const path = join(dir, 'tmux.conf');
+    const result = await importConfigFile('tmux', path, { id: 'work-tmux' });
+    assert.equal(result.path, path);
+    assert.equal(result.pack.id, 'work-tmux');
+    assert.equal(result.pack.description, `Your tmux bindings, imported from ${path}`);
+    assert.equal(result.prefix, 'C-a');
+  });
+
+  it('should name the file it cannot read', async () => {
+    await assert.rejects(() => importConfigFile('hyprland', join(dir, 'nope.conf')), /Cannot read Hyprland config .*nope\.conf/);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Unit tests for the Neovim mapping importer
+ *
+ * Tests cover:
+ * - Key notation and <leader>/<localleader> resolution
+ * - init.lua (vim.keymap.set, aliases, helpers, del) and init.vim sources
+ * - :map listings and nvim_get_keymap() JSON dumps
+ * - Concepts, built-in reuse and grouping
+ * - Building a valid personal pack
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_LEADER,
+  splitVimKeys,
+  vimKeysToNotation,
+  parseNeovimMappings,
+  importNeovimMappings
+} from '../../src/importers/neovim.js';
+import { validatePack, packFromData } from '../../src/utils/loader.js';
+import { tokenizeKeys } from '../../src/utils/keyparser.js';
+import neovimPack from '../../src/packs/neovim.js';
+
+const INIT_LUA = `
+vim.g.mapleader = ' '
+vim.g.maplocalleader = ','
+local map = vim.keymap.set
+local builtin = require('telescope.builtin')
+
+local function nmap(keys, func, desc)
+  vim.keymap.set('n', keys, func, { desc = desc })
+end
+
+map('n', '<leader>ff', builtin.find_files, { desc = 'Find files' })
+map('n', '<leader>fg', builtin.live_grep, { desc = 'Live grep' })
+map('n', '<leader>fb', '<cmd>Telescope buffers<cr>', { desc = 'Find buffers' })
+map('n', '<leader>gs', function()
+  if vim.fn.exists(':Git') then vim.cmd('Git') end
+end, { desc = 'Git status' })
+nmap('<leader>hd', vim.diagnostic.open_float, 'Hover diagnostics')
+map({ 'n', 'v' }, '<leader>y', '"+y')
+map('n', '<C-d>', '<C-d>zz')
+map('n', '<leader>w', '<cmd>w<CR>')
+map('i', 'jk', '<Esc>')
+map('n', '<F5>', ':make<CR>')
+map('x', '<leader>p', '"_dP', { desc = 'Paste without yank' })
+map('n', '<localleader>r', ':!cargo run<CR>')
+vim.keymap.set('n', '<Plug>(foo)', 'bar')
+vim.api.nvim_set_keymap('n', '<leader>e', ':Ex<CR>', { noremap = true })
+vim.keymap.del('n', '<leader>w')
+`;
+
+const INIT_VIM = `
+let mapleader = "\\<Space>"
+" comment
+nnoremap <silent> <leader>w :w<CR>
+nmap <Leader>bd :bd<CR>
+inoremap jk <Esc>
+noremap! <C-a> <Home>
+nunmap <leader>w
+map <localleader>t :vsplit<CR>
+`;
+
+const MAP_LISTING = `
+n  <Space>ff  * <Lua 45: ~/.config/nvim/lua/keymaps.lua:6>
+                 Find files
+\tLast set from Lua (run Nvim with -V1 for more details)
+n  <Space>fb  * <Cmd>Telescope buffers<CR>
+x  <Space>p   * "_dP
+n  <Space>q   * :q<CR>
+i  jk        * <Esc>
+n  <Plug>(MatchitNormalForward) * :<C-U>call matchit#Match_wrapper()<CR>
+   Y           * y$
+                 :help Y-default
+n  <C-L>       * <Cmd>nohlsearch<CR>
+`;
+
+const DUMP = JSON.stringify([
+  { lhs: ' ff', mode: 'n', desc: 'Find files', rhs: '' },
+  { lhs: ' fg', mode: 'n', desc: 'Live grep' },
+  { lhs: ' fb', mode: 'n', rhs: '<Cmd>Telescope buffers<CR>' },
+  { lhs: ' q', mode: 'n', rhs: ':q<CR>' },
+  { lhs: 'gx', mode: ' ', desc: 'Open path under cursor' }
+]);
+
+const allCommands = pack => pack.groups.flatMap(group => group.commands);
+const byKeys = (pack, keys) => allCommands(pack).find(cmd => cmd.keys === keys);
+
+describe('splitVimKeys', () => {
+  it('should split key groups', () => {
+    assert.deepEqual(splitVimKeys('<leader>ff'), ['<leader>', 'f', 'f']);
+    assert.deepEqual(splitVimKeys('<C-w><C-d>'), ['<C-w>', '<C-d>']);
+    assert.deepEqual(splitVimKeys('a<b'), ['a', '<', 'b']);
+  });
+});
+
+describe('vimKeysToNotation', () => {
+  it('should default the leader to backslash', () => {
+    assert.equal(DEFAULT_LEADER, '\\');
+    assert.equal(vimKeysToNotation('<leader>w'), '\\w');
+  });
+
+  it('should resolve leaders', () => {
+    assert.equal(vimKeysToNotation('<leader>ff', { leader: ' ' }), '<Space>ff');
+    assert.equal(vimKeysToNotation('<Leader>x', { leader: ',' }), ',x');
+    assert.equal(vimKeysToNotation('<LocalLeader>r', { localleader: ',' }), ',r');
+  });
+
+  it('should normalize key names to the neovim pack spelling', () => {
+    assert.equal(vimKeysToNotation('<C-W>v'), '<C-w>v');
+    assert.equal(vimKeysToNotation('<c-d>'), '<C-d>');
+    assert.equal(vimKeysToNotation('<cr>'), '<CR>');
+    assert.equal(vimKeysToNotation('<lt>a<Bar>'), '<a|');
+    assert.equal(vimKeysToNotation(' x'), '<Space>x');
+  });
+
+  it('should produce notation the key parser understands', () => {
+    assert.deepEqual(tokenizeKeys(vimKeysToNotation('<leader>ff', { leader: ' ' })), ['Space', 'f', 'f']);
+    assert.deepEqual(tokenizeKeys(vimKeysToNotation('<C-W><C-D>')), ['Ctrl+w', 'Ctrl+d']);
+  });
+});
+
+describe('parseNeovimMappings', () => {
+  it('should read leaders and mappings from init.lua', () => {
+    const { format, mappings, leader, localleader } = parseNeovimMappings(INIT_LUA);
+    assert.equal(format, 'source');
+    assert.equal(leader, ' ');
+    assert.equal(localleader, ',');
+
+    const find = lhs => mappings.find(mapping => mapping.lhs === lhs);
+    assert.equal(find('<leader>ff').description, 'Find files');
+    assert.equal(find('<leader>gs').description, 'Git status');
+    assert.equal(find('<leader>hd').description, 'Hover diagnostics', 'helper function desc');
+    assert.deepEqual(mappings.filter(m => m.lhs === '<leader>y').map(m => m.mode), ['n', 'v']);
+    assert.equal(find('<leader>e').rhs, ':Ex<CR>');
+    assert.equal(find('<leader>w'), undefined, 'deleted mapping');
+  });
+
+  it('should read Vim script map commands', () => {
+    const { mappings, leader } = parseNeovimMappings(INIT_VIM);
+    assert.equal(leader, ' ');
+    assert.equal(mappings.find(m => m.lhs === '<leader>w'), undefined, 'unmapped');
+    assert.equal(mappings.find(m => m.lhs === '<Leader>bd').rhs, ':bd<CR>');
+    assert.deepEqual(mappings.filter(m => m.lhs === '<C-a>').map(m => m.mode), ['i', 'c']);
+    assert.equal(mappings.find(m => m.lhs === '<localleader>t').mode, 'n');
+  });
+
+  it('should read :map listings with descriptions', () => {
+    const { format, mappings } = parseNeovimMappings(MAP_LISTING);
+    assert.equal(format, 'listing');
+    assert.equal(mappings.find(m => m.lhs === '<Space>ff').description, 'Find files');
+    assert.equal(mappings.find(m => m.lhs === '<Space>p').mode, 'x');
+  });
+
+  it('should read nvim_get_keymap() dumps and guess the leader', () => {
+    const { format, mappings, leader } = parseNeovimMappings(DUMP);
+    assert.equal(format, 'dump');
+    assert.equal(leader, ' ');
+    assert.equal(mappings.length, 5);
+  });
+});
+
+describe('importNeovimMappings', () => {
+  it('should use descriptions as concepts and group by leader prefix', () => {
+    const { pack } = importNeovimMappings(INIT_LUA);
+    const leaderF = pack.groups.find(group => group.name === 'Leader f');
+    assert.deepEqual(leaderF.commands.map(cmd => [cmd.keys, cmd.concept]), [
+      ['<Space>ff', 'FIND FILES'],
+      ['<Space>fg', 'LIVE GREP'],
+      ['<Space>fb', 'FIND BUFFERS']
+    ]);
+    assert.equal(byKeys(pack, ',r').concept, 'CARGO RUN');
+    assert.equal(byKeys(pack, '<Space>p').targetType, 'visual');
+  });
+
+  it('should reuse built-in concepts for remapped standard keys', () => {
+    const { pack } = importNeovimMappings(INIT_LUA);
+    const builtin = allCommands(neovimPack).find(cmd => cmd.keys === '<C-d>');
+    const command = byKeys(pack, '<C-d>');
+    assert.equal(command.concept, builtin.concept);
+    assert.equal(command.color, builtin.color);
+  });
+
+  it('should name ex commands', () => {
+    const { pack } = importNeovimMappings(INIT_VIM);
+    assert.equal(byKeys(pack, '<Space>bd').concept, 'DELETE BUFFER');
+    assert.equal(byKeys(pack, '<Space>bd').color, 'red');
+    assert.equal(byKeys(pack, '\\t').concept, 'SPLIT VERTICAL');
+  });
+
+  it('should skip other modes and keys a terminal cannot send', () => {
+    const { pack, skipped } = importNeovimMappings(INIT_LUA);
+    assert.deepEqual(skipped.map(s => s.reason), [
+      'jk: mode "i" is not imported',
+      '<F5>: keys cannot be practised in a terminal'
+    ]);
+    assert.equal(allCommands(pack).find(cmd => cmd.keys.includes('Plug')), undefined);
+  });
+
+  it('should import a key only once across modes', () => {
+    const { pack } = importNeovimMappings(INIT_LUA);
+    assert.equal(allCommands(pack).filter(cmd => cmd.keys === '<Space>y').length, 1);
+  });
+
+  it('should drop default mappings from listings', () => {
+    const { pack } = importNeovimMappings(MAP_LISTING);
+    assert.equal(byKeys(pack, 'Y'), undefined);
+    assert.equal(byKeys(pack, '<C-l>').concept, 'CLEAR SEARCH HIGHLIGHT');
+  });
+
+  it('should give remapped text objects targets', () => {
+    const { pack } = importNeovimMappings('nnoremap Y diw\nnnoremap X ci"\nnnoremap Z da(\nnnoremap W ya}');
+    assert.deepEqual(allCommands(pack).map(cmd => [cmd.keys, cmd.targetType]), [
+      ['Y', 'word'], ['X', 'quote'], ['Z', 'paren'], ['W', 'block']
+    ]);
+    const loaded = packFromData(pack);
+    assert.equal(validatePack(loaded), true);
+    allCommands(loaded).forEach(cmd => assert.equal(typeof loaded.targetGenerators[cmd.targetType](), 'string'));
+  });
+
+  it('should produce a valid data pack with the requested metadata', () => {
+    const { pack } = importNeovimMappings(INIT_LUA, { id: 'nvim-work', name: 'Work Neovim', source: 'init.lua' });
+    assert.equal(validatePack(packFromData(pack)), true);
+    assert.deepEqual(JSON.parse(JSON.stringify(pack)), pack, 'pack is plain data');
+    assert.equal(pack.id, 'nvim-work');
+    assert.equal(pack.name, 'Work Neovim');
+    assert.match(pack.description, /init\.lua/);
+    assert.deepEqual(pack.keyNotation, neovimPack.keyNotation);
+    allCommands(pack).forEach(cmd => assert.ok(tokenizeKeys(cmd.keys).length > 0));
+  });
+});
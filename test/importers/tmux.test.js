@@ -0,0 +1,245 @@
+/**
+ * Unit tests for the tmux.conf importer
+ *
+ * Tests cover:
+ * - Line tokenizing (quotes, escapes, separators, comments)
+ * - bind-key / unbind-key / set-option prefix parsing
+ * - Matching standard commands to built-in concepts
+ * - Building a valid personal pack
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PREFIX,
+  tokenizeTmuxLine,
+  parseTmuxConf,
+  tmuxKeyToNotation,
+  matchKnownCommand,
+  importTmuxConf
+} from '../../src/importers/tmux.js';
+import { validatePack, packFromData } from '../../src/utils/loader.js';
+import { tokenizeKeys } from '../../src/utils/keyparser.js';
+import tmuxPack from '../../src/packs/tmux.js';
+
+const CONF = `
+# Personal tmux config
+set -g prefix C-a
+unbind C-b
+bind C-a send-prefix
+set -sg escape-time 0
+
+unbind %
+unbind '"'
+bind | split-window -h -c "#{pane_current_path}"
+bind - split-window -v -c "#{pane_current_path}"
+bind r source-file ~/.tmux.conf \\; display "Reloaded"
+bind -n M-h select-pane -L
+bind -r H resize-pane -L 5
+bind g display-popup -E -w 80% -h 80% "lazygit"
+bind -N "Open scratch notes" N new-window -n notes "nvim ~/notes.md"
+bind -T copy-mode-vi v send -X begin-selection
+bind-key -r C-h \\
+  select-window -t :-
+`;
+
+const allCommands = pack => pack.groups.flatMap(group => group.commands);
+const byKeys = (pack, keys) => allCommands(pack).find(cmd => cmd.keys === keys);
+
+describe('tokenizeTmuxLine', () => {
+  const values = line => tokenizeTmuxLine(line).map(token => (token.separator ? '<;>' : token.value));
+
+  it('should split words and honour quotes', () => {
+    assert.deepEqual(values(`bind '"' split-window -c "#{pane_current_path}"`),
+      ['bind', '"', 'split-window', '-c', '#{pane_current_path}']);
+  });
+
+  it('should treat \\; and bare ; as command separators', () => {
+    assert.deepEqual(values('bind r source-file ~/.tmux.conf \\; display "ok"'),
+      ['bind', 'r', 'source-file', '~/.tmux.conf', '<;>', 'display', 'ok']);
+  });
+
+  it('should drop comments but keep # inside words and quotes', () => {
+    assert.deepEqual(values('bind x kill-pane # close it'), ['bind', 'x', 'kill-pane']);
+    assert.deepEqual(values('set -g status-left "#S"'), ['set', '-g', 'status-left', '#S']);
+    assert.deepEqual(values('bind \\# list-buffers'), ['bind', '#', 'list-buffers']);
+  });
+});
+
+describe('parseTmuxConf', () => {
+  it('should read the prefix', () => {
+    const { statements } = parseTmuxConf('set-option -g prefix C-Space\nset -g prefix2 C-s');
+    assert.deepEqual(statements, [{ type: 'prefix', key: 'C-Space' }]);
+  });
+
+  it('should parse bind flags, tables and notes', () => {
+    const { statements } = parseTmuxConf([
+      'bind -n M-h select-pane -L',
+      'bind -r H resize-pane -L 5',
+      'bind-key -T copy-mode-vi v send -X begin-selection',
+      'bind -N "Scratch" N new-window'
+    ].join('\n'));
+
+    assert.equal(statements[0].table, 'root');
+    assert.equal(statements[1].repeat, true);
+    assert.equal(statements[1].table, 'prefix');
+    assert.equal(statements[2].table, 'copy-mode-vi');
+    assert.equal(statements[3].note, 'Scratch');
+    assert.deepEqual(statements[3].commands, [['new-window']]);
+  });
+
+  it('should join continuation lines', () => {
+    const { statements } = parseTmuxConf('bind-key -r C-h \\\n  select-window -t :-');
+    assert.equal(statements.length, 1);
+    assert.deepEqual(statements[0].commands, [['select-window', '-t', ':-']]);
+  });
+
+  it('should parse unbind variants', () => {
+    const { statements } = parseTmuxConf('unbind %\nunbind -n M-h\nunbind-key -a');
+    assert.deepEqual(statements.map(s => [s.key, s.table, s.all]), [
+      ['%', 'prefix', false],
+      ['M-h', 'root', false],
+      [null, 'prefix', true]
+    ]);
+  });
+
+  it('should accept ; as a key', () => {
+    const { statements } = parseTmuxConf('bind \\; last-pane');
+    assert.equal(statements[0].key, ';');
+    assert.deepEqual(statements[0].commands, [['last-pane']]);
+  });
+
+  it('should report binds without a command', () => {
+    const { statements, skipped } = parseTmuxConf('bind x');
+    assert.deepEqual(statements, []);
+    assert.equal(skipped[0].line, 1);
+  });
+});
+
+describe('tmuxKeyToNotation', () => {
+  it('should rename tmux-specific key names', () => {
+    assert.equal(tmuxKeyToNotation('BSpace'), '<BS>');
+    assert.equal(tmuxKeyToNotation('C-PPage'), '<C-PageUp>');
+    assert.equal(tmuxKeyToNotation('M-Left'), '<M-Left>');
+    assert.equal(tmuxKeyToNotation('M-h'), 'M-h');
+    assert.equal(tmuxKeyToNotation('|'), '|');
+  });
+
+  it('should produce notation the key parser understands', () => {
+    assert.deepEqual(tokenizeKeys(`C-a ${tmuxKeyToNotation('M-Left')}`), ['Ctrl+a', 'Alt+ArrowLeft']);
+    assert.deepEqual(tokenizeKeys(tmuxKeyToNotation('Home')), ['Home']);
+    assert.deepEqual(tokenizeKeys(`C-b ${tmuxKeyToNotation('NPage')}`), ['Ctrl+b', 'PageDown']);
+  });
+
+  it('should reject keys a terminal cannot send', () => {
+    for (const key of ['F2', 'C-F12', 'IC', 'KP1', 'MouseDown1Pane']) {
+      assert.equal(tmuxKeyToNotation(key), null, key);
+    }
+  });
+});
+
+describe('matchKnownCommand', () => {
+  const match = line => matchKnownCommand(parseTmuxConf(`bind x ${line}`).statements[0].commands);
+
+  it('should match standard commands and their aliases', () => {
+    assert.equal(match('split-window -h'), 'split-vertical');
+    assert.equal(match('splitw -v -c "#{pane_current_path}"'), 'split-horizontal');
+    assert.equal(match('select-pane -t :.+'), 'next-pane');
+    assert.equal(match('resize-pane -Z'), 'zoom-pane');
+    assert.equal(match('choose-tree -Zs'), 'list-sessions');
+    assert.equal(match('select-window -t :=3'), 'window-3');
+  });
+
+  it('should unwrap confirm-before, command-prompt and brace blocks', () => {
+    assert.equal(match('confirm-before -p "kill-pane #P? (y/n)" kill-pane'), 'close-pane');
+    assert.equal(match(`command-prompt -I "#W" "rename-window -- '%%'"`), 'rename-window');
+    assert.equal(match('{ kill-window }'), 'close-window');
+    assert.equal(match('command-prompt'), 'command-prompt');
+  });
+
+  it('should return null for custom commands', () => {
+    assert.equal(match('display-popup -E "lazygit"'), null);
+    assert.equal(match('run-shell "~/bin/sessionizer"'), null);
+  });
+});
+
+describe('importTmuxConf', () => {
+  it('should keep the built-in pack as the default', () => {
+    const { pack, prefix } = importTmuxConf('');
+    assert.equal(prefix, DEFAULT_PREFIX);
+    assert.deepEqual(
+      allCommands(pack).map(cmd => [cmd.id, cmd.keys]),
+      allCommands(tmuxPack).map(cmd => [cmd.id, cmd.keys])
+    );
+  });
+
+  it('should move prefix bindings to the new prefix', () => {
+    const { pack, prefix } = importTmuxConf(CONF);
+    assert.equal(prefix, 'C-a');
+    assert.equal(byKeys(pack, 'C-a c').id, 'new-window');
+    assert.ok(allCommands(pack).every(cmd => !cmd.keys.startsWith('C-b')));
+  });
+
+  it('should reuse built-in concepts for rebound standard commands', () => {
+    const { pack } = importTmuxConf(CONF);
+    const split = byKeys(pack, 'C-a |');
+    assert.equal(split.id, 'split-vertical');
+    assert.equal(split.concept, 'SPLIT VERTICAL');
+    assert.equal(byKeys(pack, 'C-a -').concept, 'SPLIT HORIZONTAL');
+    assert.equal(byKeys(pack, 'C-a r').concept, 'RELOAD CONFIG');
+    assert.equal(byKeys(pack, 'C-a %'), undefined, 'unbound default is removed');
+  });
+
+  it('should import root bindings without the prefix and keep repeat flags', () => {
+    const { pack } = importTmuxConf(CONF);
+    assert.equal(byKeys(pack, 'M-h').concept, 'PANE LEFT');
+    assert.equal(byKeys(pack, 'C-a H').repeat, true);
+    assert.equal(byKeys(pack, 'C-a C-h').concept, 'PREVIOUS WINDOW');
+  });
+
+  it('should generate concepts for custom bindings', () => {
+    const { pack } = importTmuxConf(CONF);
+    const custom = pack.groups.find(group => group.name === 'Custom Bindings');
+    assert.deepEqual(custom.commands.map(cmd => cmd.concept), ['DISPLAY POPUP LAZYGIT', 'OPEN SCRATCH NOTES']);
+    assert.equal(byKeys(pack, 'C-a N').id, 'open-scratch-notes');
+  });
+
+  it('should report other key tables as skipped', () => {
+    const { skipped } = importTmuxConf(CONF);
+    assert.deepEqual(skipped.map(s => s.reason), ['key table "copy-mode-vi" is not imported']);
+  });
+
+  it('should import named keys as single keys and skip ones a terminal cannot send', () => {
+    const { pack, skipped } = importTmuxConf('bind -n Home select-window -t 0\nbind -n F2 new-window\nbind IC kill-pane\nbind PPage copy-mode -u');
+    assert.deepEqual(allCommands(pack).filter(cmd => /[<]/.test(cmd.keys)).map(cmd => tokenizeKeys(cmd.keys)), [
+      ['Home'],
+      ['Ctrl+b', 'PageUp']
+    ]);
+    assert.deepEqual(skipped.map(s => [s.line, s.reason]), [
+      [2, 'key "F2" cannot be practised in a terminal'],
+      [3, 'key "IC" cannot be practised in a terminal']
+    ]);
+  });
+
+  it('should clear a table with unbind -a', () => {
+    const { pack } = importTmuxConf('unbind -a\nbind x kill-pane');
+    assert.deepEqual(allCommands(pack).map(cmd => cmd.keys), ['C-b x']);
+  });
+
+  it('should give duplicate commands unique ids', () => {
+    const { pack } = importTmuxConf('bind v split-window -h');
+    const ids = allCommands(pack).map(cmd => cmd.id);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.equal(byKeys(pack, 'C-b v').id, 'split-vertical-2');
+  });
+
+  it('should produce a valid pack with the requested metadata', () => {
+    const { pack } = importTmuxConf(CONF, { id: 'tmux-work', name: 'Work Tmux', source: '~/.tmux.conf' });
+    assert.equal(validatePack(packFromData(pack)), true);
+    assert.deepEqual(JSON.parse(JSON.stringify(pack)), pack, 'pack is plain data');
+    assert.equal(pack.id, 'tmux-work');
+    assert.equal(pack.name, 'Work Tmux');
+    assert.match(pack.description, /~\/\.tmux\.conf/);
+    allCommands(pack).forEach(cmd => assert.ok(tokenizeKeys(cmd.keys).length > 0));
+  });
+});
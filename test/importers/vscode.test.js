@@ -0,0 +1,194 @@
+/**
+ * Unit tests for the VS Code keybindings.json importer
+ *
+ * Tests cover:
+ * - JSONC parsing (comments, trailing commas) and entry line numbers
+ * - Key conversion per platform
+ * - Replaying removals, replacements and key takeovers on the defaults
+ * - when clauses as context and category groups
+ * - Building a valid personal pack
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseKeybindingsJson,
+  vscodeKeyToNotation,
+  importVscodeKeybindings
+} from '../../src/importers/vscode.js';
+import { validatePack, packFromData } from '../../src/utils/loader.js';
+import { tokenizeKeys } from '../../src/utils/keyparser.js';
+import { createVscodePack } from '../../src/packs/vscode.js';
+
+const KEYBINDINGS = `// Place your key bindings in this file to override the defaults
+[
+  {
+    "key": "ctrl+shift+d",
+    "command": "editor.action.addSelectionToNextFindMatch",
+    "when": "editorFocus"
+  },
+  { "key": "ctrl+d", "command": "-editor.action.addSelectionToNextFindMatch" },
+  /* terminal */
+  { "key": "ctrl+alt+j", "command": "workbench.action.terminal.focusNext", "when": "terminalFocus" },
+  { "key": "ctrl+k ctrl+g", "command": "gitlens.showQuickCommitFileDetails" },
+  { "key": "ctrl+b", "command": "workbench.action.terminal.new" },
+  { "key": "f5", "command": "workbench.action.debug.start" },
+  { "key": "ctrl+alt+r", "command": "rust-analyzer.run" },
+  { "key": "ctrl+shift+k", "command": "-editor.action.deleteLines", "when": "textInputFocus && !editorReadonly" },
+  { "key": "ctrl+e", "command": "type", "args": { "text": "=>" } },
+  { "key": "ctrl+k ctrl+s" },
+]
+`;
+
+const allCommands = pack => pack.groups.flatMap(group => group.commands);
+const byKeys = (pack, keys) => allCommands(pack).find(cmd => cmd.keys === keys);
+const byId = (pack, id) => allCommands(pack).find(cmd => cmd.id === id);
+const linux = { platform: 'linux' };
+
+describe('parseKeybindingsJson', () => {
+  it('should accept comments and trailing commas', () => {
+    const { entries } = parseKeybindingsJson(KEYBINDINGS);
+    assert.equal(entries.length, 9);
+    assert.deepEqual(entries[0], {
+      key: 'ctrl+shift+d',
+      command: 'editor.action.addSelectionToNextFindMatch',
+      when: 'editorFocus',
+      args: undefined,
+      line: 3
+    });
+    assert.equal(entries[2].line, 10);
+  });
+
+  it('should keep comment markers inside strings', () => {
+    const { entries } = parseKeybindingsJson('[{ "key": "ctrl+/", "command": "type", "args": { "text": "// " } }]');
+    assert.equal(entries[0].key, 'ctrl+/');
+    assert.deepEqual(entries[0].args, { text: '// ' });
+  });
+
+  it('should report entries without a key or command', () => {
+    const { skipped } = parseKeybindingsJson(KEYBINDINGS);
+    assert.deepEqual(skipped, [{ line: 17, reason: 'entry needs a "key" and a "command"' }]);
+  });
+
+  it('should allow removals without a key', () => {
+    const { entries, skipped } = parseKeybindingsJson('[{ "command": "-workbench.action.quickOpen" }]');
+    assert.equal(entries[0].key, '');
+    assert.deepEqual(skipped, []);
+  });
+
+  it('should reject files that are not a list of keybindings', () => {
+    assert.throws(() => parseKeybindingsJson('{ "key": "ctrl+a" }'), /expected an array/);
+    assert.throws(() => parseKeybindingsJson('[{ "key": }]'), /Invalid keybindings\.json/);
+    assert.deepEqual(parseKeybindingsJson('// nothing yet\n').entries, []);
+  });
+});
+
+describe('vscodeKeyToNotation', () => {
+  it('should convert chords in VS Code modifier order', () => {
+    assert.equal(vscodeKeyToNotation('ctrl+k ctrl+s', linux), 'Ctrl+K Ctrl+S');
+    assert.equal(vscodeKeyToNotation('alt+shift+f', linux), 'Shift+Alt+F');
+    assert.equal(vscodeKeyToNotation('ctrl+k z', linux), 'Ctrl+K z');
+    assert.equal(vscodeKeyToNotation('ctrl+pagedown', linux), 'Ctrl+PageDown');
+    assert.equal(vscodeKeyToNotation('ctrl+=', linux), 'Ctrl+=');
+  });
+
+  it('should name modifiers for the platform', () => {
+    assert.equal(vscodeKeyToNotation('alt+cmd+up', { platform: 'darwin' }), 'Cmd+Option+Up');
+    assert.equal(vscodeKeyToNotation('shift+alt+f', { platform: 'darwin' }), 'Option+Shift+F');
+    assert.equal(vscodeKeyToNotation('meta+e', linux), 'Super+E');
+    assert.equal(vscodeKeyToNotation('win+e', { platform: 'win32' }), 'Win+E');
+  });
+
+  it('should return null for keys a terminal cannot send', () => {
+    assert.equal(vscodeKeyToNotation('f12', linux), null);
+    assert.equal(vscodeKeyToNotation('ctrl+k ctrl+numpad0', linux), null);
+    assert.equal(vscodeKeyToNotation('hyper+x', linux), null);
+  });
+
+  it('should produce notation the key parser understands', () => {
+    assert.deepEqual(tokenizeKeys(vscodeKeyToNotation('ctrl+k ctrl+s', linux)), ['Ctrl+k', 'Ctrl+s']);
+    assert.deepEqual(tokenizeKeys(vscodeKeyToNotation('cmd+alt+up', { platform: 'darwin' })), ['Super+Alt+ArrowUp']);
+  });
+});
+
+describe('importVscodeKeybindings', () => {
+  it('should keep the built-in pack as the default', () => {
+    const { pack } = importVscodeKeybindings('[]', linux);
+    assert.deepEqual(
+      allCommands(pack).map(cmd => [cmd.id, cmd.keys]),
+      allCommands(createVscodePack('linux')).map(cmd => [cmd.id, cmd.keys])
+    );
+  });
+
+  it('should replace default keys for standard commands and keep their concept', () => {
+    const { pack } = importVscodeKeybindings(KEYBINDINGS, linux);
+    const command = byId(pack, 'add-next-match');
+    assert.equal(command.keys, 'Ctrl+Shift+D');
+    assert.equal(command.concept, 'ADD NEXT MATCH');
+    assert.equal(byKeys(pack, 'Ctrl+D'), undefined);
+  });
+
+  it('should remove defaults with -command entries', () => {
+    const { pack } = importVscodeKeybindings(KEYBINDINGS, linux);
+    assert.equal(byId(pack, 'delete-line'), undefined);
+  });
+
+  it('should only remove the binding on the given key', () => {
+    const { pack } = importVscodeKeybindings('[{ "key": "ctrl+x", "command": "-workbench.action.quickOpen" }]', linux);
+    assert.equal(byId(pack, 'quick-open').keys, 'Ctrl+P');
+  });
+
+  it('should let a binding take over a default\'s keys', () => {
+    const { pack } = importVscodeKeybindings(KEYBINDINGS, linux);
+    assert.equal(byId(pack, 'toggle-sidebar'), undefined);
+    assert.equal(byKeys(pack, 'Ctrl+B').id, 'new-terminal');
+  });
+
+  it('should show when clauses as context', () => {
+    const { pack } = importVscodeKeybindings(KEYBINDINGS, linux);
+    assert.equal(byId(pack, 'add-next-match').context, 'editorFocus');
+    assert.equal(byKeys(pack, 'Ctrl+Alt+J').context, 'terminalFocus');
+    assert.equal(byId(pack, 'command-palette').context, undefined);
+  });
+
+  it('should group other commands by category', () => {
+    const { pack } = importVscodeKeybindings(KEYBINDINGS, linux);
+    const group = name => pack.groups.find(g => g.name === name).commands.map(cmd => [cmd.keys, cmd.concept]);
+    assert.deepEqual(group('Terminal'), [['Ctrl+Alt+J', 'TERMINAL FOCUS NEXT']]);
+    assert.deepEqual(group('Source Control'), [['Ctrl+K Ctrl+G', 'GIT SHOW QUICK COMMIT FILE DETAILS']]);
+    assert.deepEqual(group('Rust Analyzer'), [['Ctrl+Alt+R', 'RUST ANALYZER RUN']]);
+    assert.equal(byKeys(pack, 'Ctrl+E').concept, 'TYPE =>');
+  });
+
+  it('should skip keys a terminal cannot send', () => {
+    const { skipped } = importVscodeKeybindings(KEYBINDINGS, linux);
+    assert.ok(skipped.some(s => s.line === 13 && s.reason === 'key "f5" cannot be practised in a terminal'));
+  });
+
+  it('should read keys for the platform the file was written on', () => {
+    const { pack } = importVscodeKeybindings('[{ "key": "cmd+shift+d", "command": "editor.action.addSelectionToNextFindMatch" }]', { platform: 'darwin' });
+    assert.equal(byId(pack, 'add-next-match').keys, 'Cmd+Shift+D');
+    assert.equal(byId(pack, 'command-palette').keys, 'Cmd+Shift+P');
+  });
+
+  it('should give duplicate commands unique ids', () => {
+    const { pack } = importVscodeKeybindings(
+      '[{ "key": "ctrl+alt+p", "command": "workbench.action.showCommands" }, { "key": "ctrl+alt+o", "command": "workbench.action.showCommands" }]',
+      linux
+    );
+    assert.deepEqual(
+      allCommands(pack).filter(cmd => cmd.concept === 'COMMAND PALETTE').map(cmd => [cmd.id, cmd.keys]),
+      [['command-palette', 'Ctrl+Alt+P'], ['command-palette-2', 'Ctrl+Alt+O']]
+    );
+  });
+
+  it('should produce a valid data pack with the requested metadata', () => {
+    const { pack } = importVscodeKeybindings(KEYBINDINGS, { ...linux, id: 'vscode-work', name: 'Work VS Code', source: 'keybindings.json' });
+    assert.equal(validatePack(packFromData(pack)), true);
+    assert.deepEqual(JSON.parse(JSON.stringify(pack)), pack, 'pack is plain data');
+    assert.equal(pack.id, 'vscode-work');
+    assert.equal(pack.name, 'Work VS Code');
+    assert.match(pack.description, /keybindings\.json/);
+    allCommands(pack).forEach(cmd => assert.ok(tokenizeKeys(cmd.keys).length > 0));
+  });
+});
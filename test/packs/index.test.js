@@ -8,21 +8,121 @@ import {
   PACKS,
   getPack,
   listPacks,
-  getPackSummary
+  getPackSummary,
+  registerPack,
+  unregisterPack,
+  getPackSource
 } from '../../src/packs/index.js';
+import { parseKeySequence, normalizeKeyEvent, needsKittyKeyboard } from '../../src/utils/keyparser.js';
+// Ink's own decoder; not in its public exports
+import parseKeypress, { nonAlphanumericKeys } from '../../node_modules/ink/build/parse-keypress.js';
+
+const CSI = '\x1b[';
+// Final bytes and ~ numbers of the keys terminals send as CSI sequences (modifiers go in a ;m parameter)
+const CSI_LETTERS = { ArrowUp: 'A', ArrowDown: 'B', ArrowRight: 'C', ArrowLeft: 'D', Home: 'H', End: 'F' };
+const CSI_NUMBERS = { Delete: 3, PageUp: 5, PageDown: 6 };
+const CONTROL_BYTES = { Enter: '\r', Tab: '\t', Backspace: '\x7f', Escape: '\x1b', Space: ' ' };
+const KITTY_CODEPOINTS = { Enter: 13, Tab: 9, Backspace: 127, Escape: 27, Space: 32 };
+
+const modifierParam = (mods, bits) => 1 + mods.reduce((sum, mod) => sum + (bits[mod] ?? 0), 0);
+
+function csiKey(mods, key, bits) {
+  const m = modifierParam(mods, bits);
+  if (CSI_LETTERS[key]) {
+    return m > 1 ? `${CSI}1;${m}${CSI_LETTERS[key]}` : `${CSI}${CSI_LETTERS[key]}`;
+  }
+  return CSI_NUMBERS[key] ? `${CSI}${CSI_NUMBERS[key]}${m > 1 ? `;${m}` : ''}~` : null;
+}
+
+/**
+ * The bytes an xterm-style terminal sends for a chord without the kitty protocol, or null
+ */
+function legacyBytes({ modifiers, key }) {
+  const held = mod => modifiers.includes(mod);
+  if (held('Super')) {
+    return null;
+  }
+  const csi = csiKey(modifiers, key, { Shift: 1, Alt: 2, Ctrl: 4 });
+  if (csi) {
+    return csi;
+  }
+  let bytes;
+  if (key === 'Tab' && held('Shift')) {
+    bytes = `${CSI}Z`;
+  } else if (CONTROL_BYTES[key]) {
+    bytes = key === 'Space' && held('Ctrl') ? '\x00' : CONTROL_BYTES[key];
+  } else if (held('Ctrl')) {
+    // Ctrl clears the top bits of letters and [\]; ` and / have their own codes; Shift is lost
+    bytes = /^[a-z[\\\]]$/.test(key) ? String.fromCharCode(key.toUpperCase().charCodeAt(0) & 0x1f)
+      : { '`': '\x00', '/': '\x1f' }[key] ?? key;
+  } else {
+    bytes = held('Shift') && /^[a-z]$/.test(key) ? key.toUpperCase() : key;
+  }
+  return held('Alt') ? `\x1b${bytes}` : bytes;
+}
+
+/**
+ * The bytes a terminal sends for a chord with kitty's disambiguate flag on
+ */
+function kittyBytes({ modifiers, key }) {
+  const bits = { Shift: 1, Alt: 2, Ctrl: 4, Super: 8 };
+  const csi = csiKey(modifiers, key, bits);
+  if (csi) {
+    return csi;
+  }
+  const codepoint = KITTY_CODEPOINTS[key] ?? key.codePointAt(0);
+  const m = modifierParam(modifiers, bits);
+  return m > 1 || key === 'Escape' ? `${CSI}${codepoint};${m}u` : String.fromCodePoint(codepoint);
+}
+
+/**
+ * The key tokens the game sees for some bytes, building useInput's arguments as Ink does
+ */
+function tokensFor(bytes) {
+  const keypress = parseKeypress(bytes);
+  const key = {
+    upArrow: keypress.name === 'up', downArrow: keypress.name === 'down',
+    leftArrow: keypress.name === 'left', rightArrow: keypress.name === 'right',
+    pageDown: keypress.name === 'pagedown', pageUp: keypress.name === 'pageup',
+    home: keypress.name === 'home', end: keypress.name === 'end',
+    return: keypress.name === 'return', escape: keypress.name === 'escape',
+    tab: keypress.name === 'tab', backspace: keypress.name === 'backspace', delete: keypress.name === 'delete',
+    ctrl: keypress.ctrl, shift: keypress.shift, super: keypress.super ?? false,
+    meta: keypress.meta || keypress.name === 'escape' || keypress.option
+  };
+  let input;
+  if (keypress.isKittyProtocol) {
+    input = keypress.isPrintable ? keypress.text ?? keypress.name
+      : keypress.ctrl && keypress.name.length === 1 ? keypress.name : '';
+  } else {
+    input = keypress.ctrl ? keypress.name : keypress.sequence;
+    if (nonAlphanumericKeys.includes(keypress.name)) {
+      input = '';
+    }
+  }
+  if (input.startsWith('\x1b')) {
+    input = input.slice(1);
+  }
+  if (/^[A-Z]$/.test(input)) {
+    key.shift = true;
+  }
+  return normalizeKeyEvent(input, key);
+}
 
 describe('Pack Registry', () => {
   describe('PACKS export', () => {
-    it('should export all three packs', () => {
+    it('should export all four packs', () => {
       assert.ok(PACKS.neovim, 'neovim pack should exist');
       assert.ok(PACKS.hyprland, 'hyprland pack should exist');
       assert.ok(PACKS.tmux, 'tmux pack should exist');
+      assert.ok(PACKS.vscode, 'vscode pack should exist');
     });
 
     it('should have correct pack IDs', () => {
       assert.equal(PACKS.neovim.id, 'neovim');
       assert.equal(PACKS.hyprland.id, 'hyprland');
       assert.equal(PACKS.tmux.id, 'tmux');
+      assert.equal(PACKS.vscode.id, 'vscode');
     });
 
     it('should have all required pack fields', () => {
@@ -87,6 +187,10 @@ describe('Pack Registry', () => {
       const tmux = getPack('tmux');
       assert.equal(tmux.id, 'tmux');
       assert.equal(tmux.name, 'Tmux');
+
+      const vscode = getPack('vscode');
+      assert.equal(vscode.id, 'vscode');
+      assert.equal(vscode.name, 'VS Code');
     });
 
     it('should throw error for non-existent pack', () => {
@@ -102,7 +206,7 @@ describe('Pack Registry', () => {
       assert.throws(
         () => getPack('invalid'),
         {
-          message: /Available packs: neovim, hyprland, tmux/
+          message: /Available packs: neovim, hyprland, tmux, vscode/
         }
       );
     });
@@ -111,6 +215,7 @@ describe('Pack Registry', () => {
       assert.equal(getPack('neovim'), PACKS.neovim);
       assert.equal(getPack('hyprland'), PACKS.hyprland);
       assert.equal(getPack('tmux'), PACKS.tmux);
+      assert.equal(getPack('vscode'), PACKS.vscode);
     });
   });
 
@@ -118,13 +223,13 @@ describe('Pack Registry', () => {
     it('should return array of pack summaries', () => {
       const packs = listPacks();
       assert.ok(Array.isArray(packs));
-      assert.equal(packs.length, 3);
+      assert.equal(packs.length, 4);
     });
 
     it('should include all pack IDs', () => {
       const packs = listPacks();
       const ids = packs.map(p => p.id);
-      assert.deepEqual(ids, ['neovim', 'hyprland', 'tmux']);
+      assert.deepEqual(ids, ['neovim', 'hyprland', 'tmux', 'vscode']);
     });
 
     it('should have required fields in each pack summary', () => {
@@ -250,7 +355,7 @@ describe('Pack Registry', () => {
       assert.equal(summary.groups[0].name, 'Window Navigation');
       assert.equal(summary.groups[0].commandCount, 7);
       assert.equal(summary.groups[1].name, 'Workspace Control');
-      assert.equal(summary.groups[1].commandCount, 16);
+      assert.equal(summary.groups[1].commandCount, 14);
     });
 
     it('should provide accurate group summaries for tmux', () => {
@@ -319,3 +424,87 @@ describe('Pack Registry', () => {
     });
   });
 });
+
+describe('Built-in pack keys', () => {
+  const commands = listPacks().flatMap(({ id }) =>
+    getPack(id).groups.flatMap(g => g.commands).map(command => ({ id, command })));
+
+  it('should only use keys a terminal can send with the kitty protocol', () => {
+    for (const { id, command } of commands) {
+      for (const chord of parseKeySequence(command.keys)) {
+        assert.deepEqual(tokensFor(kittyBytes(chord)), [chord.token], `${id}: "${command.keys}"`);
+      }
+    }
+  });
+
+  it('should mark exactly the keys that need the kitty protocol', () => {
+    for (const { id, command } of commands) {
+      const legacyWorks = parseKeySequence(command.keys).every(chord => {
+        const bytes = legacyBytes(chord);
+        return bytes !== null && tokensFor(bytes).join() === chord.token;
+      });
+      assert.equal(needsKittyKeyboard(command.keys), !legacyWorks, `${id}: "${command.keys}"`);
+    }
+  });
+
+  it('should read the keys a legacy terminal garbles as something else', () => {
+    assert.deepEqual(tokensFor('\x08'), ['Backspace']); // Ctrl+h
+    assert.deepEqual(tokensFor('\t'), ['Tab']); // Ctrl+Tab
+    assert.deepEqual(tokensFor('\x10'), ['Ctrl+p']); // Ctrl+Shift+p
+    assert.deepEqual(tokensFor(`${CSI}104;5u`), ['Ctrl+h']);
+    assert.deepEqual(tokensFor(`${CSI}9;5u`), ['Ctrl+Tab']);
+  });
+});
+
+describe('User pack registration', () => {
+  const userPack = {
+    id: 'deploy-tool',
+    name: 'Deploy Tool',
+    description: 'Internal deploy shortcuts',
+    groups: [{ name: 'Basics', description: 'Start here', commands: [{ keys: 'd', concept: 'DEPLOY' }] }]
+  };
+
+  it('should add a pack to the registry and listing', () => {
+    registerPack(userPack, '/packs/deploy-tool.json');
+    try {
+      assert.equal(getPack('deploy-tool'), userPack);
+      assert.equal(getPackSource('deploy-tool'), '/packs/deploy-tool.json');
+      const listed = listPacks().find(p => p.id === 'deploy-tool');
+      assert.equal(listed.source, '/packs/deploy-tool.json');
+      assert.equal(listed.commandCount, 1);
+    } finally {
+      unregisterPack('deploy-tool');
+    }
+    assert.equal(getPackSource('deploy-tool'), null);
+  });
+
+  it('should mark built-in packs', () => {
+    assert.equal(getPackSource('neovim'), 'built-in');
+    listPacks().forEach(pack => assert.equal(pack.source, 'built-in'));
+  });
+
+  it('should reject a clash with a built-in pack', () => {
+    assert.throws(
+      () => registerPack({ ...userPack, id: 'tmux' }, '/packs/tmux.yaml'),
+      /Pack "tmux" from \/packs\/tmux.yaml clashes with the built-in pack "tmux"/
+    );
+    assert.equal(getPackSource('tmux'), 'built-in');
+  });
+
+  it('should reject a clash between user packs', () => {
+    registerPack(userPack, '/packs/a.json');
+    try {
+      assert.throws(
+        () => registerPack(userPack, '/packs/b.yaml'),
+        /Pack "deploy-tool" from \/packs\/b.yaml clashes with pack "deploy-tool" from \/packs\/a.json/
+      );
+    } finally {
+      unregisterPack('deploy-tool');
+    }
+  });
+
+  it('should not unregister built-in packs', () => {
+    assert.equal(unregisterPack('neovim'), false);
+    assert.ok(PACKS.neovim);
+  });
+});
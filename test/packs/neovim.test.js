@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the Neovim pack's effect previews
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import neovimPack from '../../src/packs/neovim.js';
+import { validatePack } from '../../src/utils/loader.js';
+import { generateTarget } from '../../src/core/targets.js';
+
+const allCommands = pack => pack.groups.flatMap(group => group.commands);
+const command = id => allCommands(neovimPack).find(cmd => cmd.id === id);
+const target = id => generateTarget(neovimPack, command(id));
+
+// [start, end] of the Vim word covering an offset
+const wordSpan = (text, offset) => [...text.matchAll(/\w+|[^\w\s]+/g)]
+  .map(match => [match.index, match.index + match[0].length])
+  .find(([start, end]) => offset >= start && offset < end);
+
+describe('neovim pack targets', () => {
+  it('should be a valid pack', () => {
+    assert.equal(validatePack(neovimPack), true);
+  });
+
+  it('should give every command a target with a cursor on the text', () => {
+    allCommands(neovimPack).forEach(cmd => {
+      for (let i = 0; i < 20; i++) {
+        const { before, after } = generateTarget(neovimPack, cmd);
+        assert.ok(before.text.length > 0, cmd.id);
+        if (after) {
+          assert.ok(before.cursor < before.text.length && before.text[before.cursor] !== '\n', `${cmd.id} cursor`);
+          assert.ok(after.cursor !== null, `${cmd.id} result cursor`);
+        }
+      }
+    });
+  });
+
+  it('should delete the word under the cursor for diw', () => {
+    for (let i = 0; i < 20; i++) {
+      const { before, after } = target('delete-inner-word');
+      const [start, end] = wordSpan(before.text, before.cursor);
+      assert.equal(after.text, before.text.slice(0, start) + before.text.slice(end));
+      // Deleting the last word leaves the cursor on the new last character
+      assert.equal(after.cursor, Math.min(start, after.text.length - 1));
+    }
+  });
+
+  it('should move to the next word for w', () => {
+    const { before, after } = target('word-forward');
+    assert.equal(before.text, after.text);
+    assert.ok(after.cursor > before.cursor);
+    assert.match(before.text.slice(before.cursor, after.cursor), /\s$/);
+  });
+
+  it('should delete the current line for dd', () => {
+    const { before, after } = target('delete-line');
+    const lines = before.text.split('\n');
+    assert.equal(after.text.split('\n').length, lines.length - 1);
+    assert.equal(after.text, [lines[0], lines[2]].join('\n'));
+  });
+
+  it('should empty the quotes for ci"', () => {
+    const { after } = target('change-inner-quotes');
+    assert.match(after.text, /""/);
+    assert.equal(after.text[after.cursor - 1], '"');
+  });
+
+  it('should keep the text and highlight the yank for yy', () => {
+    const { before, after } = target('yank-line');
+    assert.equal(after.text, before.text);
+    assert.deepEqual(after.highlight, [0, before.text.length]);
+  });
+
+  it('should fall back to sample text for commands without a preview', () => {
+    const { before, after } = target('undo');
+    assert.equal(after, null);
+    assert.equal(before.cursor, null);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for the platform-aware VS Code pack
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVscodePack } from '../../src/packs/vscode.js';
+import { validatePack } from '../../src/utils/loader.js';
+import { tokenizeKeys } from '../../src/utils/keyparser.js';
+
+const allCommands = pack => pack.groups.flatMap(group => group.commands);
+const keysById = pack => Object.fromEntries(allCommands(pack).map(cmd => [cmd.id, cmd.keys]));
+
+describe('createVscodePack', () => {
+  it('should use Ctrl on Linux and Windows and Cmd on macOS', () => {
+    assert.equal(keysById(createVscodePack('linux'))['command-palette'], 'Ctrl+Shift+P');
+    assert.equal(keysById(createVscodePack('win32'))['command-palette'], 'Ctrl+Shift+P');
+    assert.equal(keysById(createVscodePack('darwin'))['command-palette'], 'Cmd+Shift+P');
+    assert.equal(keysById(createVscodePack('darwin'))['keyboard-shortcuts'], 'Cmd+K Cmd+S');
+  });
+
+  it('should use each platform\'s own bindings where they differ', () => {
+    assert.equal(keysById(createVscodePack('linux'))['format-document'], 'Ctrl+Shift+I');
+    assert.equal(keysById(createVscodePack('win32'))['format-document'], 'Shift+Alt+F');
+    assert.equal(keysById(createVscodePack('darwin'))['format-document'], 'Option+Shift+F');
+    assert.equal(keysById(createVscodePack('win32'))['go-back'], 'Alt+Left');
+  });
+
+  it('should keep the same command ids on every platform', () => {
+    const ids = pack => allCommands(pack).map(cmd => cmd.id);
+    assert.deepEqual(ids(createVscodePack('darwin')), ids(createVscodePack('linux')));
+    assert.deepEqual(ids(createVscodePack('win32')), ids(createVscodePack('linux')));
+  });
+
+  it('should be a valid pack with unique, tokenizable keys on every platform', () => {
+    for (const platform of ['linux', 'darwin', 'win32']) {
+      const pack = createVscodePack(platform);
+      assert.equal(validatePack(pack), true);
+      const tokens = allCommands(pack).map(cmd => tokenizeKeys(cmd.keys).join(' '));
+      assert.equal(new Set(tokens).size, tokens.length, `${platform} keys are unique`);
+    }
+  });
+
+  it('should tokenize chords into one token per step', () => {
+    assert.deepEqual(tokenizeKeys(keysById(createVscodePack('linux'))['keyboard-shortcuts']), ['Ctrl+k', 'Ctrl+s']);
+    assert.deepEqual(tokenizeKeys(keysById(createVscodePack('darwin'))['zen-mode']), ['Super+k', 'z']);
+  });
+});
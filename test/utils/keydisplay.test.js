@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the key display layer
+ *
+ * Tests cover:
+ * - Platform modifier names and symbols
+ * - Formatting chords, tokens and whole sequences
+ * - Keyboard layout hints for symbols
+ * - Resolving display options from settings
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatChord,
+  formatKeyToken,
+  formatKeys,
+  getLayoutHints,
+  describeKeys,
+  resolveKeyDisplay,
+  getDefaultPlatform,
+  getPlatform,
+  getLayout
+} from '../../src/utils/keydisplay.js';
+import { parseChord, tokenizeKeys } from '../../src/utils/keyparser.js';
+
+const mac = { platform: 'mac' };
+const linux = { platform: 'linux' };
+const windows = { platform: 'windows' };
+
+describe('formatChord', () => {
+  it('should name modifiers for Linux and Windows', () => {
+    assert.equal(formatChord(parseChord('C-b'), linux), 'Ctrl+B');
+    assert.equal(formatChord(parseChord('Super+Shift+1'), linux), 'Super+Shift+1');
+    assert.equal(formatChord(parseChord('Super+Shift+1'), windows), 'Win+Shift+1');
+  });
+
+  it('should use symbols in Apple order on macOS', () => {
+    assert.equal(formatChord(parseChord('Cmd+Shift+P'), mac), '⇧⌘P');
+    assert.equal(formatChord(parseChord('Ctrl+Alt+Left'), mac), '⌃⌥←');
+    assert.equal(formatChord(parseChord('Super+Return'), mac), '⌘↩');
+  });
+
+  it('should leave plain characters as typed', () => {
+    assert.equal(formatChord(parseChord('%'), mac), '%');
+    assert.equal(formatChord(parseChord('G'), linux), 'G');
+    assert.equal(formatChord(parseChord('x'), linux), 'x');
+  });
+});
+
+describe('formatKeyToken', () => {
+  it('should format tokens from the key parser', () => {
+    tokenizeKeys('C-b %').forEach(token => assert.ok(formatKeyToken(token, linux)));
+    assert.equal(formatKeyToken('Ctrl+b', mac), '⌃B');
+    assert.equal(formatKeyToken('Escape', linux), 'Esc');
+  });
+});
+
+describe('formatKeys', () => {
+  it('should space chords and keep plain sequences joined', () => {
+    assert.equal(formatKeys('C-b %', linux), 'Ctrl+B %');
+    assert.equal(formatKeys('Ctrl+K Ctrl+S', mac), '⌃K ⌃S');
+    assert.equal(formatKeys('<C-w>v', linux), 'Ctrl+W v');
+    assert.equal(formatKeys('diw', mac), 'diw');
+    assert.equal(formatKeys('ci"', linux), 'ci"');
+  });
+
+  it('should handle empty input', () => {
+    assert.equal(formatKeys('', linux), '');
+  });
+});
+
+describe('getLayoutHints', () => {
+  it('should add nothing on US layouts', () => {
+    assert.deepEqual(getLayoutHints('C-b "', { layout: 'us', ...linux }), []);
+    assert.deepEqual(getLayoutHints('ci{', { layout: 'dvorak', ...linux }), []);
+  });
+
+  it('should show symbols that move on QWERTZ and AZERTY', () => {
+    assert.deepEqual(getLayoutHints('C-b "', { layout: 'qwertz', ...linux }), [{ char: '"', keys: 'Shift+2' }]);
+    assert.deepEqual(getLayoutHints('ci{', { layout: 'qwertz', ...linux }), [{ char: '{', keys: 'AltGr+7' }]);
+    assert.deepEqual(getLayoutHints('5j', { layout: 'azerty', ...linux }), [{ char: '5', keys: 'Shift+(' }]);
+  });
+
+  it('should skip symbols typed without modifiers on the layout', () => {
+    assert.deepEqual(getLayoutHints('C-b "', { layout: 'azerty', ...linux }), []);
+  });
+
+  it('should format Shift for the platform and list each symbol once', () => {
+    assert.deepEqual(getLayoutHints('"a"', { layout: 'qwertz', ...mac }), [{ char: '"', keys: '⇧2' }]);
+  });
+
+  it('should leave modifier chords alone', () => {
+    assert.deepEqual(getLayoutHints('Super+Shift+1', { layout: 'azerty', ...linux }), []);
+  });
+});
+
+describe('describeKeys', () => {
+  it('should append layout hints', () => {
+    assert.equal(describeKeys('C-b "', { platform: 'linux', layout: 'qwertz' }), 'Ctrl+B " (" = Shift+2)');
+    assert.equal(describeKeys('C-b %', { platform: 'linux', layout: 'us' }), 'Ctrl+B %');
+  });
+});
+
+describe('resolveKeyDisplay', () => {
+  it('should read platform and layout from settings', () => {
+    assert.deepEqual(resolveKeyDisplay({ keyPlatform: 'mac', keyboardLayout: 'azerty' }), { platform: 'mac', layout: 'azerty' });
+  });
+
+  it('should fall back to this OS and a US layout', () => {
+    assert.deepEqual(resolveKeyDisplay({}), { platform: getDefaultPlatform(), layout: 'us' });
+    assert.deepEqual(resolveKeyDisplay({ keyPlatform: 'amiga', keyboardLayout: 'xx' }), { platform: getDefaultPlatform(), layout: 'us' });
+  });
+
+  it('should map Node platforms', () => {
+    assert.equal(getDefaultPlatform('darwin'), 'mac');
+    assert.equal(getDefaultPlatform('win32'), 'windows');
+    assert.equal(getDefaultPlatform('linux'), 'linux');
+  });
+});
+
+describe('getPlatform / getLayout', () => {
+  it('should reject unknown ids', () => {
+    assert.throws(() => getPlatform('amiga'), /Available platforms: mac, linux, windows/);
+    assert.throws(() => getLayout('xx'), /Available layouts: us, azerty, qwertz, dvorak/);
+  });
+});
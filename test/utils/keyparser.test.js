@@ -4,7 +4,20 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { parseKeyNotation, normalizeKeys, InputBuffer } from '../../src/utils/keyparser.js';
+import {
+  parseKeyNotation,
+  normalizeKeys,
+  InputBuffer,
+  tokenizeKeys,
+  normalizeKeyEvent,
+  parseFocusEvent,
+  needsKittyKeyboard,
+  detectKittyKeyboard,
+  parseChord,
+  parseKeySequence,
+  ChordSequence,
+  PREFIX_TIMEOUT
+} from '../../src/utils/keyparser.js';
 
 describe('parseKeyNotation', () => {
   it('should handle simple key sequences', () => {
@@ -136,6 +149,176 @@ describe('normalizeKeys', () => {
   });
 });
 
+describe('tokenizeKeys', () => {
+  it('should split vim sequences into single keys', () => {
+    assert.deepStrictEqual(tokenizeKeys('gg'), ['g', 'g']);
+    assert.deepStrictEqual(tokenizeKeys('diw'), ['d', 'i', 'w']);
+    assert.deepStrictEqual(tokenizeKeys('ci"'), ['c', 'i', '"']);
+  });
+
+  it('should convert bracketed chords and special keys', () => {
+    assert.deepStrictEqual(tokenizeKeys('<C-d>'), ['Ctrl+d']);
+    assert.deepStrictEqual(tokenizeKeys('<C-w>h'), ['Ctrl+w', 'h']);
+    assert.deepStrictEqual(tokenizeKeys('<Esc>'), ['Escape']);
+    assert.deepStrictEqual(tokenizeKeys('<S-a>'), ['A']);
+  });
+
+  it('should keep unknown angle brackets literal', () => {
+    assert.deepStrictEqual(tokenizeKeys('<<'), ['<', '<']);
+    assert.deepStrictEqual(tokenizeKeys('<foo>'), ['<', 'f', 'o', 'o', '>']);
+  });
+
+  it('should split space-separated chord sequences', () => {
+    assert.deepStrictEqual(tokenizeKeys('C-b %'), ['Ctrl+b', '%']);
+    assert.deepStrictEqual(tokenizeKeys('C-b "'), ['Ctrl+b', '"']);
+    assert.deepStrictEqual(tokenizeKeys('Ctrl+K Ctrl+S'), ['Ctrl+k', 'Ctrl+s']);
+  });
+
+  it('should unwrap bracketed keys in chord sequences', () => {
+    assert.deepStrictEqual(tokenizeKeys('C-b <Home>'), ['Ctrl+b', 'Home']);
+    assert.deepStrictEqual(tokenizeKeys('C-a <C-PageUp>'), ['Ctrl+a', 'Ctrl+PageUp']);
+    assert.deepStrictEqual(tokenizeKeys('C-b <'), ['Ctrl+b', '<']);
+  });
+
+  it('should not name mouse wheel keys, which never reach the game', () => {
+    assert.deepStrictEqual(tokenizeKeys('Super+mouse_down'), ['Super+mouse_down']);
+    assert.deepStrictEqual(tokenizeKeys('C-b <WheelUp>'), ['Ctrl+b', '<WheelUp>']);
+  });
+
+  it('should canonicalize plus-joined chords', () => {
+    assert.deepStrictEqual(tokenizeKeys('Super+h'), ['Super+h']);
+    assert.deepStrictEqual(tokenizeKeys('Ctrl+Super+h'), ['Super+Ctrl+h']);
+    assert.deepStrictEqual(tokenizeKeys('Super+Shift+1'), ['Super+Shift+1']);
+    assert.deepStrictEqual(tokenizeKeys('Super+Return'), ['Super+Enter']);
+    assert.deepStrictEqual(tokenizeKeys('Alt+Tab'), ['Alt+Tab']);
+  });
+
+  it('should handle empty or invalid input', () => {
+    assert.deepStrictEqual(tokenizeKeys(''), []);
+    assert.deepStrictEqual(tokenizeKeys(null), []);
+  });
+});
+
+describe('parseChord', () => {
+  it('should split a chord into modifiers and key', () => {
+    assert.deepStrictEqual(parseChord('C-b'), { modifiers: ['Ctrl'], key: 'b', token: 'Ctrl+b' });
+    assert.deepStrictEqual(parseChord('%'), { modifiers: [], key: '%', token: '%' });
+    assert.deepStrictEqual(parseChord('Ctrl+Super+Return'), { modifiers: ['Super', 'Ctrl'], key: 'Enter', token: 'Super+Ctrl+Enter' });
+  });
+
+  it('should keep Shift explicit only alongside other modifiers', () => {
+    assert.deepStrictEqual(parseChord('S-a'), { modifiers: [], key: 'A', token: 'A' });
+    assert.deepStrictEqual(parseChord('Super+Shift+1'), { modifiers: ['Super', 'Shift'], key: '1', token: 'Super+Shift+1' });
+  });
+});
+
+describe('parseKeySequence', () => {
+  it('should return one chord per step', () => {
+    assert.deepStrictEqual(parseKeySequence('C-b %'), [
+      { modifiers: ['Ctrl'], key: 'b', token: 'Ctrl+b' },
+      { modifiers: [], key: '%', token: '%' }
+    ]);
+    assert.deepStrictEqual(parseKeySequence('<C-w>h').map(chord => chord.key), ['w', 'h']);
+    assert.strictEqual(parseKeySequence('Ctrl+K Ctrl+S').length, 2);
+    assert.strictEqual(parseKeySequence('Super+Shift+1').length, 1);
+  });
+
+  it('should agree with tokenizeKeys', () => {
+    ['gg', 'ci"', '<C-d>', '<<', 'C-b "', 'Alt+Tab'].forEach(keys => {
+      assert.deepStrictEqual(parseKeySequence(keys).map(chord => chord.token), tokenizeKeys(keys));
+    });
+  });
+
+  it('should handle empty or invalid input', () => {
+    assert.deepStrictEqual(parseKeySequence(''), []);
+    assert.deepStrictEqual(parseKeySequence(undefined), []);
+  });
+});
+
+describe('normalizeKeyEvent', () => {
+  it('should pass plain characters through', () => {
+    assert.deepStrictEqual(normalizeKeyEvent('d', {}), ['d']);
+    assert.deepStrictEqual(normalizeKeyEvent('%', {}), ['%']);
+    assert.deepStrictEqual(normalizeKeyEvent('G', { shift: true }), ['G']);
+  });
+
+  it('should fold modifiers into the token', () => {
+    assert.deepStrictEqual(normalizeKeyEvent('d', { ctrl: true }), ['Ctrl+d']);
+    assert.deepStrictEqual(normalizeKeyEvent('x', { meta: true }), ['Alt+x']);
+    assert.deepStrictEqual(normalizeKeyEvent('h', { super: true, ctrl: true }), ['Super+Ctrl+h']);
+  });
+
+  it('should unshift symbols when other modifiers are held', () => {
+    assert.deepStrictEqual(normalizeKeyEvent('!', { super: true, shift: true }), ['Super+Shift+1']);
+    assert.deepStrictEqual(normalizeKeyEvent('1', { super: true, shift: true }), ['Super+Shift+1']);
+  });
+
+  it('should map named keys', () => {
+    assert.deepStrictEqual(normalizeKeyEvent('', { escape: true, meta: true }), ['Escape']);
+    assert.deepStrictEqual(normalizeKeyEvent('', { return: true, super: true }), ['Super+Enter']);
+    assert.deepStrictEqual(normalizeKeyEvent('', { tab: true, shift: true }), ['Shift+Tab']);
+    assert.deepStrictEqual(normalizeKeyEvent('', { downArrow: true }), ['ArrowDown']);
+    assert.deepStrictEqual(normalizeKeyEvent(' ', { super: true }), ['Super+Space']);
+  });
+
+  it('should split pasted text into characters', () => {
+    assert.deepStrictEqual(normalizeKeyEvent('dd', {}), ['d', 'd']);
+  });
+
+  it('should ignore empty input', () => {
+    assert.deepStrictEqual(normalizeKeyEvent('', {}), []);
+  });
+
+  it('should produce the tokens tokenizeKeys expects', () => {
+    const typed = [
+      ...normalizeKeyEvent('b', { ctrl: true }),
+      ...normalizeKeyEvent('%', {})
+    ];
+    assert.deepStrictEqual(typed, tokenizeKeys('C-b %'));
+  });
+});
+
+describe('parseFocusEvent', () => {
+  it('should recognize focus reports as Ink delivers them', () => {
+    assert.strictEqual(parseFocusEvent('[I'), 'in');
+    assert.strictEqual(parseFocusEvent('[O'), 'out');
+  });
+
+  it('should ignore keypresses', () => {
+    assert.strictEqual(parseFocusEvent('['), null);
+    assert.strictEqual(parseFocusEvent('O'), null);
+    assert.strictEqual(parseFocusEvent(''), null);
+  });
+});
+
+describe('needsKittyKeyboard', () => {
+  it('should pass keys a legacy terminal sends as they are', () => {
+    ['C-b %', 'dd', '<C-d>', 'Ctrl+`', 'M-h', 'Alt+1', 'Ctrl+Alt+Up', 'Shift+Tab', 'Ctrl+K Ctrl+S']
+      .forEach(keys => assert.strictEqual(needsKittyKeyboard(keys), false, keys));
+  });
+
+  it('should flag keys a legacy terminal garbles or cannot send', () => {
+    ['Super+h', 'Ctrl+Shift+P', 'Ctrl+H', 'Ctrl+Tab', 'Ctrl+\\', 'Ctrl+Shift+`', 'Ctrl+1', 'Ctrl+Space', 'Alt+Tab', 'M-%', 'C-M-x', 'Ctrl+K Ctrl+/']
+      .forEach(keys => assert.strictEqual(needsKittyKeyboard(keys), true, keys));
+  });
+});
+
+describe('detectKittyKeyboard', () => {
+  const tty = { isTTY: true };
+
+  it('should recognize terminals Ink enables the protocol for', () => {
+    assert.strictEqual(detectKittyKeyboard({ env: { TERM: 'xterm-kitty' }, stdin: tty, stdout: tty }), true);
+    assert.strictEqual(detectKittyKeyboard({ env: { KITTY_WINDOW_ID: '1' }, stdin: tty, stdout: tty }), true);
+    assert.strictEqual(detectKittyKeyboard({ env: { TERM_PROGRAM: 'WezTerm' }, stdin: tty, stdout: tty }), true);
+  });
+
+  it('should say no for other terminals, pipes and CI', () => {
+    assert.strictEqual(detectKittyKeyboard({ env: { TERM: 'xterm-256color' }, stdin: tty, stdout: tty }), false);
+    assert.strictEqual(detectKittyKeyboard({ env: { TERM: 'xterm-kitty' }, stdin: {}, stdout: tty }), false);
+    assert.strictEqual(detectKittyKeyboard({ env: { TERM: 'xterm-kitty', CI: 'true' }, stdin: tty, stdout: tty }), false);
+  });
+});
+
 describe('InputBuffer', () => {
   it('should initialize with empty buffer', () => {
     const buffer = new InputBuffer();
@@ -237,4 +420,127 @@ describe('InputBuffer', () => {
     assert.strictEqual(buffer.matches('x'), true);
     assert.strictEqual(buffer.matches('xx'), false);
   });
+
+  it('should match token sequences', () => {
+    const buffer = new InputBuffer();
+    buffer.addKey('Ctrl+b');
+    assert.strictEqual(buffer.isPartialMatch(['Ctrl+b', '%']), true);
+    assert.strictEqual(buffer.matches(['Ctrl+b', '%']), false);
+    buffer.addKey('%');
+    assert.strictEqual(buffer.matches(['Ctrl+b', '%']), true);
+    assert.deepStrictEqual(buffer.getKeys(), ['Ctrl+b', '%']);
+    buffer.clear();
+    assert.deepStrictEqual(buffer.getKeys(), []);
+  });
+
+  it('should report the first diverging key', () => {
+    const buffer = new InputBuffer();
+    buffer.addKey('Ctrl+b');
+    assert.strictEqual(buffer.getMismatch(['Ctrl+b', '%']), null);
+    buffer.addKey('x');
+    assert.deepStrictEqual(buffer.getMismatch(['Ctrl+b', '%']), { index: 1, pressed: 'x', expected: '%' });
+  });
+
+  it('should report extra keys past the end of the target', () => {
+    const buffer = new InputBuffer();
+    buffer.addKey('d');
+    buffer.addKey('d');
+    assert.deepStrictEqual(buffer.getMismatch(['d']), { index: 1, pressed: 'd', expected: null });
+  });
+});
+
+describe('ChordSequence', () => {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('should allow less time between steps than InputBuffer', () => {
+    assert.ok(PREFIX_TIMEOUT < 2000);
+    assert.strictEqual(new ChordSequence('C-b %').prefixTimeout, PREFIX_TIMEOUT);
+  });
+
+  it('should advance one step per correct key', () => {
+    const sequence = new ChordSequence('C-b %');
+    assert.strictEqual(sequence.press('Ctrl+b'), 'progress');
+    assert.strictEqual(sequence.position, 1);
+    assert.strictEqual(sequence.press('%'), 'complete');
+    assert.strictEqual(sequence.isComplete(), true);
+    assert.deepStrictEqual(sequence.steps.map(step => [step.expected, step.outcome]), [['Ctrl+b', 'correct'], ['%', 'correct']]);
+    sequence.dispose();
+  });
+
+  it('should grade a wrong step and report it', () => {
+    const sequence = new ChordSequence('C-b %');
+    sequence.press('Ctrl+b');
+    assert.strictEqual(sequence.getMismatch(), null);
+    assert.strictEqual(sequence.press('x'), 'wrong');
+    assert.deepStrictEqual(sequence.getMismatch(), { index: 1, pressed: 'x', expected: '%' });
+    assert.strictEqual(sequence.steps[1].outcome, 'wrong');
+    sequence.dispose();
+  });
+
+  it('should complete single-chord commands on one key', () => {
+    const sequence = new ChordSequence('Super+Shift+1');
+    assert.strictEqual(sequence.press('Super+Shift+1'), 'complete');
+  });
+
+  it('should time each step from the previous one', () => {
+    const sequence = new ChordSequence('gg');
+    sequence.press('g');
+    sequence.press('g');
+    sequence.steps.forEach(step => assert.ok(step.time >= 0));
+  });
+
+  it('should expire a pending prefix and start over', async () => {
+    const expired = [];
+    const sequence = new ChordSequence('C-b %', { prefixTimeout: 20, onExpire: seq => expired.push(seq.position) });
+    sequence.press('Ctrl+b');
+    await wait(40);
+
+    assert.deepStrictEqual(expired, [0]);
+    assert.strictEqual(sequence.expired, true);
+    assert.deepStrictEqual(sequence.steps[1], { index: 1, expected: '%', pressed: null, outcome: 'expired', time: 20 });
+    assert.deepStrictEqual(sequence.getCurrentSteps(), []);
+
+    // The prefix has to be pressed again
+    assert.strictEqual(sequence.press('%'), 'wrong');
+    assert.deepStrictEqual(sequence.getMismatch(), { index: 0, pressed: '%', expected: 'Ctrl+b' });
+    assert.strictEqual(sequence.expired, false);
+  });
+
+  it('should not expire after the last step or once disposed', async () => {
+    let calls = 0;
+    const onExpire = () => calls++;
+    const done = new ChordSequence('C-b %', { prefixTimeout: 20, onExpire });
+    done.press('Ctrl+b');
+    done.press('%');
+    const abandoned = new ChordSequence('C-b %', { prefixTimeout: 20, onExpire });
+    abandoned.press('Ctrl+b');
+    abandoned.dispose();
+    await wait(40);
+    assert.strictEqual(calls, 0);
+  });
+
+  it('should hold a pending prefix while paused', async () => {
+    let calls = 0;
+    const sequence = new ChordSequence('C-b %', { prefixTimeout: 40, onExpire: () => calls++ });
+    sequence.press('Ctrl+b');
+    sequence.pause();
+    await wait(80);
+    assert.strictEqual(calls, 0);
+
+    sequence.resume();
+    assert.strictEqual(sequence.press('%'), 'complete');
+    assert.ok(sequence.steps[1].time < 40);
+  });
+
+  it('should expire with the time left once resumed', async () => {
+    let calls = 0;
+    const sequence = new ChordSequence('C-b %', { prefixTimeout: 40, onExpire: () => calls++ });
+    sequence.press('Ctrl+b');
+    await wait(20);
+    sequence.pause();
+    sequence.resume();
+    await wait(40);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(sequence.position, 0);
+  });
 });
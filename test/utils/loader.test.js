@@ -2,9 +2,28 @@
  * Unit tests for Pack Loader utility
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
-import { validatePack, loadPack, listPacks } from '../../src/utils/loader.js';
+import { mkdtemp, writeFile, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  validatePack,
+  loadPack,
+  listPacks,
+  getUserPacksDir,
+  loadPackFile,
+  loadUserPacks,
+  registerUserPacks,
+  packFromData,
+  writeUserPack,
+  VALID_TARGET_TYPES
+} from '../../src/utils/loader.js';
+import { COLORS } from '../../src/utils/colors.js';
+import { SRS_ALGORITHMS } from '../../src/core/srs.js';
+import { EMULATORS } from '../../src/core/targets.js';
+import { COMMAND_ID_PATTERN } from '../../src/core/commands.js';
+import { getPack, unregisterPack } from '../../src/packs/index.js';
 
 describe('validatePack', () => {
   it('should validate a well-formed pack', () => {
@@ -331,6 +350,194 @@ describe('validatePack', () => {
 
     assert.doesNotThrow(() => validatePack(pack));
   });
+
+  it('should validate unlock thresholds if present', () => {
+    const pack = {
+      id: 'test',
+      name: 'Test',
+      description: 'Test',
+      groups: [{
+        name: 'Group',
+        description: 'Desc',
+        commands: [{
+          keys: 'gg',
+          concept: 'GO TOP',
+          color: 'cyan',
+          complexity: 1.0,
+          targetType: 'motion'
+        }]
+      }],
+      targetGenerators: {motion: () => 'test'},
+      unlock: 'invalid'
+    };
+
+    assert.throws(() => validatePack(pack), /has invalid "unlock" field/);
+
+    pack.unlock = {masteryShare: 1.5};
+    assert.throws(() => validatePack(pack), /unlock.masteryShare must be a number/);
+
+    pack.unlock = {masteryLevel: 7};
+    assert.throws(() => validatePack(pack), /unlock.masteryLevel must be an integer/);
+
+    pack.unlock = {masteryShare: 0.5, masteryLevel: 3};
+    assert.doesNotThrow(() => validatePack(pack));
+  });
+
+  it('should validate srsAlgorithm if present', () => {
+    const pack = {
+      id: 'test',
+      name: 'Test',
+      description: 'Test',
+      groups: [{
+        name: 'Group',
+        description: 'Desc',
+        commands: [{
+          keys: 'gg',
+          concept: 'GO TOP',
+          color: 'cyan',
+          complexity: 1.0,
+          targetType: 'motion'
+        }]
+      }],
+      targetGenerators: {motion: () => 'test'},
+      srsAlgorithm: 'leitner'
+    };
+
+    assert.throws(() => validatePack(pack), /unknown srsAlgorithm "leitner"/);
+
+    pack.srsAlgorithm = 'fsrs';
+    assert.doesNotThrow(() => validatePack(pack));
+  });
+
+  it('should validate recall if present', () => {
+    const pack = {
+      id: 'test',
+      name: 'Test',
+      description: 'Test',
+      groups: [{
+        name: 'Group',
+        description: 'Desc',
+        commands: [{
+          keys: 'gg',
+          concept: 'GO TOP',
+          color: 'cyan',
+          complexity: 1.0,
+          targetType: 'motion'
+        }]
+      }],
+      targetGenerators: {motion: () => 'test'},
+      recall: 'sometimes'
+    };
+
+    assert.throws(() => validatePack(pack), /has invalid "recall" field/);
+
+    pack.recall = {fullKeysUntil: 6};
+    assert.throws(() => validatePack(pack), /recall\.fullKeysUntil must be an integer between -1 and 5/);
+
+    pack.recall = {fullKeysUntil: 2, firstKeyUntil: 1};
+    assert.throws(() => validatePack(pack), /recall\.firstKeyUntil \(1\) must not be below recall\.fullKeysUntil \(2\)/);
+
+    pack.recall = {fullKeysUntil: -1, firstKeyUntil: 2};
+    assert.doesNotThrow(() => validatePack(pack));
+
+    pack.recall = false;
+    assert.doesNotThrow(() => validatePack(pack));
+  });
+
+  it('should validate emulator if present', () => {
+    const pack = {
+      id: 'test',
+      name: 'Test',
+      description: 'Test',
+      groups: [{
+        name: 'Group',
+        description: 'Desc',
+        commands: [{
+          keys: 'dw',
+          concept: 'DELETE WORD',
+          color: 'red',
+          complexity: 1.0,
+          targetType: 'motion'
+        }]
+      }],
+      targetGenerators: {motion: () => 'test'},
+      emulator: 'emacs'
+    };
+
+    assert.throws(() => validatePack(pack), /unknown emulator "emacs"\. Available emulators: vim/);
+
+    pack.emulator = 'vim';
+    assert.doesNotThrow(() => validatePack(pack));
+  });
+
+  it('should validate command ids and aliases', () => {
+    const command = {
+      id: 'go-top',
+      keys: 'gg',
+      concept: 'GO TOP',
+      color: 'cyan',
+      complexity: 1.0,
+      targetType: 'motion'
+    };
+    const pack = {
+      id: 'test',
+      name: 'Test',
+      description: 'Test',
+      groups: [{name: 'Group', description: 'Desc', commands: [command]}],
+      targetGenerators: {motion: () => 'test'}
+    };
+
+    assert.doesNotThrow(() => validatePack(pack));
+
+    command.id = 'Go Top';
+    assert.throws(() => validatePack(pack), /has invalid "id" "Go Top"/);
+
+    command.id = 'go-top';
+    command.aliases = 'gg';
+    assert.throws(() => validatePack(pack), /has invalid "aliases" field/);
+
+    command.aliases = ['gg', ''];
+    assert.throws(() => validatePack(pack), /has invalid "aliases" field/);
+
+    command.aliases = ['gg'];
+    assert.doesNotThrow(() => validatePack(pack));
+  });
+
+  it('should reject duplicate command ids', () => {
+    const command = {keys: 'Super+j', concept: 'FOCUS DOWN', color: 'cyan', complexity: 1.0, targetType: 'window'};
+    const pack = {
+      id: 'test',
+      name: 'Test',
+      description: 'Test',
+      groups: [
+        {name: 'Focus', description: 'Desc', commands: [{...command}]},
+        {name: 'Layout', description: 'Desc', commands: [{...command, concept: 'TOGGLE SPLIT'}]}
+      ],
+      targetGenerators: {window: () => 'test'}
+    };
+
+    // Without ids, shared keys collide
+    assert.throws(
+      () => validatePack(pack),
+      /duplicate command id "Super\+j" in groups "Focus" and "Layout" \(commands sharing keys need explicit "id" fields\)/
+    );
+
+    pack.groups[0].commands[0].id = 'focus-down';
+    pack.groups[1].commands[0].id = 'toggle-split';
+    assert.doesNotThrow(() => validatePack(pack));
+
+    pack.groups[1].commands[0].id = 'focus-down';
+    assert.throws(() => validatePack(pack), /duplicate command id "focus-down"/);
+  });
+
+  it('should give every built-in pack command a unique id', async () => {
+    for (const packId of ['neovim', 'tmux', 'hyprland', 'vscode']) {
+      const pack = await loadPack(packId);
+      pack.groups.forEach(group => group.commands.forEach(cmd => {
+        assert.strictEqual(typeof cmd.id, 'string', `${packId} "${cmd.concept}" has no id`);
+      }));
+    }
+  });
 });
 
 describe('loadPack', async () => {
@@ -414,3 +621,209 @@ describe('listPacks', async () => {
     });
   });
 });
+
+describe('User packs', () => {
+  let dir;
+
+  const packData = (id) => ({
+    id,
+    name: `Pack ${id}`,
+    description: 'A user pack',
+    groups: [{
+      name: 'Group',
+      description: 'Desc',
+      commands: [
+        {id: 'first', keys: 'a', concept: 'FIRST', color: 'cyan', complexity: 1.0, targetType: 'text'},
+        {id: 'second', keys: 'C-b', concept: 'SECOND', color: 'red', complexity: 1.2, targetType: 'pane'}
+      ]
+    }],
+    targetGenerators: {
+      text: 'some text',
+      pane: ['left pane', 'right pane']
+    }
+  });
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'keyblitz-packs-'));
+    await writeFile(join(dir, 'json-pack.json'), JSON.stringify(packData('json-pack')));
+    await writeFile(join(dir, 'yaml-pack.yaml'), [
+      'id: yaml-pack',
+      'name: YAML Pack',
+      'description: A user pack',
+      'groups:',
+      '  - name: Group',
+      '    description: Desc',
+      '    commands:',
+      '      - {id: first, keys: a, concept: FIRST, color: cyan, complexity: 1.0, targetType: text}',
+      'targetGenerators:',
+      '  text: [one, two]',
+      ''
+    ].join('\n'));
+    await writeFile(join(dir, 'js-pack.js'), `export default {
+      id: 'js-pack',
+      name: 'JS Pack',
+      description: 'A user pack',
+      groups: [{name: 'Group', description: 'Desc', commands: [
+        {id: 'first', keys: 'a', concept: 'FIRST', color: 'cyan', complexity: 1.0, targetType: 'text'}
+      ]}],
+      targetGenerators: {text: () => 'generated'}
+    };`);
+    await writeFile(join(dir, 'notes.txt'), 'not a pack');
+    await writeFile(join(dir, 'broken.json'), '{ "id": ');
+    await writeFile(join(dir, 'invalid.json'), JSON.stringify({ ...packData('invalid'), groups: [] }));
+    await writeFile(join(dir, 'tmux-clash.json'), JSON.stringify(packData('tmux')));
+  });
+
+  after(async () => {
+    ['json-pack', 'yaml-pack', 'js-pack'].forEach(unregisterPack);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should resolve the packs directory from the environment', () => {
+    assert.strictEqual(getUserPacksDir({ KEYBLITZ_PACKS_DIR: '/tmp/p' }), '/tmp/p');
+    assert.strictEqual(getUserPacksDir({ XDG_CONFIG_HOME: '/cfg' }), join('/cfg', 'keyblitz', 'packs'));
+    assert.ok(getUserPacksDir({}).endsWith(join('.config', 'keyblitz', 'packs')));
+  });
+
+  it('should load JSON packs with data target generators', async () => {
+    const pack = await loadPackFile(join(dir, 'json-pack.json'));
+    assert.strictEqual(pack.id, 'json-pack');
+    assert.strictEqual(pack.targetGenerators.text(), 'some text');
+    assert.ok(['left pane', 'right pane'].includes(pack.targetGenerators.pane()));
+  });
+
+  it('should load YAML and JS packs', async () => {
+    const yamlPack = await loadPackFile(join(dir, 'yaml-pack.yaml'));
+    assert.strictEqual(yamlPack.groups[0].commands[0].concept, 'FIRST');
+    assert.ok(['one', 'two'].includes(yamlPack.targetGenerators.text()));
+
+    const jsPack = await loadPackFile(join(dir, 'js-pack.js'));
+    assert.strictEqual(jsPack.targetGenerators.text(), 'generated');
+  });
+
+  it('should report parse and validation errors with the file', async () => {
+    await assert.rejects(() => loadPackFile(join(dir, 'broken.json')), /broken.json could not be parsed/);
+    await assert.rejects(() => loadPackFile(join(dir, 'invalid.json')), /Pack "invalid" must have at least one group/);
+    await assert.rejects(() => loadPackFile(join(dir, 'notes.txt')), /unsupported extension ".txt"/);
+  });
+
+  it('should reject non-string data target generators', async () => {
+    const file = join(dir, 'bad-generator.json');
+    await writeFile(file, JSON.stringify({ ...packData('bad-generator'), targetGenerators: { text: 42, pane: 'x' } }));
+    try {
+      await assert.rejects(() => loadPackFile(file), /targetGenerators.text: must be a string or a non-empty list of strings/);
+    } finally {
+      await rm(file);
+    }
+  });
+
+  it('should load every pack file and collect errors', async () => {
+    const { packs, errors } = await loadUserPacks(dir);
+    assert.deepStrictEqual(packs.map(p => p.pack.id).sort(), ['js-pack', 'json-pack', 'tmux', 'yaml-pack']);
+    assert.deepStrictEqual(errors.map(e => e.source).sort(), [join(dir, 'broken.json'), join(dir, 'invalid.json')]);
+  });
+
+  it('should treat a missing directory as empty', async () => {
+    const result = await loadUserPacks(join(dir, 'does-not-exist'));
+    assert.deepStrictEqual(result, { packs: [], errors: [] });
+  });
+
+  it('should register user packs and report clashes', async () => {
+    const { registered, errors } = await registerUserPacks(dir);
+    assert.deepStrictEqual(registered.sort(), ['js-pack', 'json-pack', 'yaml-pack']);
+
+    const clash = errors.find(e => e.source.endsWith('tmux-clash.json'));
+    assert.match(clash.message, /clashes with the built-in pack "tmux"/);
+    assert.strictEqual(getPack('tmux').name, 'Tmux');
+
+    assert.strictEqual(getPack('yaml-pack').name, 'YAML Pack');
+    assert.strictEqual((await loadPack('json-pack')).id, 'json-pack');
+    assert.ok((await listPacks()).some(p => p.id === 'js-pack'));
+  });
+
+  it('should write data packs as YAML that load back', async () => {
+    const out = join(dir, 'written');
+    const file = await writeUserPack(packData('written-pack'), out);
+    assert.strictEqual(file, join(out, 'written-pack.yaml'));
+
+    const pack = await loadPackFile(file);
+    assert.strictEqual(pack.name, 'Pack written-pack');
+    assert.strictEqual(pack.targetGenerators.text(), 'some text');
+  });
+
+  it('should not overwrite a pack file unless asked', async () => {
+    const out = join(dir, 'overwrite');
+    await writeUserPack(packData('again'), out);
+    await assert.rejects(() => writeUserPack(packData('again'), out), /again.yaml already exists/);
+
+    await writeUserPack({ ...packData('again'), name: 'Replaced' }, out, { overwrite: true });
+    assert.strictEqual((await loadPackFile(join(out, 'again.yaml'))).name, 'Replaced');
+  });
+
+  it('should refuse to write invalid packs', async () => {
+    await assert.rejects(() => writeUserPack({ ...packData('empty'), groups: [] }, join(dir, 'invalid-out')), /must have at least one group/);
+  });
+});
+
+describe('Declarative packs', () => {
+  const data = {
+    id: 'deploy',
+    name: 'Deploy',
+    description: 'Deploy shortcuts',
+    placeholders: {env: ['staging', 'production']},
+    groups: [{
+      name: 'Basics',
+      description: 'Desc',
+      commands: [{id: 'ship', keys: 'C-d', concept: 'DEPLOY', color: 'green', complexity: 1.0, targetType: 'command'}]
+    }],
+    targetGenerators: {command: ['Deploy to {env}', 'Deploy build {n} to {env}']}
+  };
+
+  it('should compile templates into valid generators', () => {
+    const pack = packFromData(data);
+    assert.strictEqual(validatePack(pack), true);
+    for (let i = 0; i < 20; i++) {
+      assert.match(pack.targetGenerators.command(), /^Deploy (build \d )?to (staging|production)$/);
+    }
+  });
+
+  it('should not modify the parsed data', () => {
+    packFromData(data);
+    assert.ok(Array.isArray(data.targetGenerators.command));
+  });
+
+  it('should reject unknown placeholders with the pack and target type', () => {
+    assert.throws(
+      () => packFromData({...data, targetGenerators: {command: 'Deploy to {region}'}}),
+      /Pack "deploy" targetGenerators.command: Unknown placeholder "\{region\}"/
+    );
+  });
+
+  it('should reject malformed placeholders', () => {
+    assert.throws(() => packFromData({...data, placeholders: {env: 'staging'}}), /"placeholders" must map names/);
+    assert.throws(() => packFromData({...data, placeholders: {env: []}}), /"placeholders" must map names/);
+    assert.throws(() => packFromData({...data, placeholders: ['env']}), /"placeholders" must map names/);
+  });
+});
+
+describe('Pack JSON Schema', () => {
+  let schema;
+
+  before(async () => {
+    schema = JSON.parse(await readFile(new URL('../../schema/pack.schema.json', import.meta.url), 'utf8'));
+  });
+
+  it('should require the same top-level fields as validatePack', () => {
+    assert.deepStrictEqual(schema.required, ['id', 'name', 'description', 'groups', 'targetGenerators']);
+    assert.deepStrictEqual(schema.$defs.command.required, ['keys', 'concept', 'color', 'complexity', 'targetType']);
+  });
+
+  it('should stay in sync with loader constants', () => {
+    const command = schema.$defs.command.properties;
+    assert.deepStrictEqual(command.color.enum, Object.keys(COLORS));
+    assert.deepStrictEqual(command.targetType.enum, [...VALID_TARGET_TYPES]);
+    assert.strictEqual(command.id.pattern, COMMAND_ID_PATTERN.source);
+    assert.deepStrictEqual(schema.properties.srsAlgorithm.enum, Object.keys(SRS_ALGORITHMS));
+    assert.deepStrictEqual(schema.properties.emulator.enum, Object.keys(EMULATORS));
+  });
+});
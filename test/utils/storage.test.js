@@ -1,6 +1,6 @@
 import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
-import { Storage } from '../../src/utils/storage.js';
+import { Storage, appendAttempt, appendSession, MAX_ATTEMPTS_PER_COMMAND, MAX_SESSIONS } from '../../src/utils/storage.js';
 import fs from 'node:fs';
 import path from 'node:path';
 
@@ -236,6 +236,147 @@ describe('Storage', () => {
     });
   });
 
+  describe('recordAttempt', () => {
+    const makeAttempt = (overrides = {}) => ({
+      timestamp: Date.now(),
+      firstKeyLatency: 420,
+      completionTime: 910,
+      keys: ['d', 'd'],
+      outcome: 'correct',
+      level: 1,
+      ...overrides,
+    });
+
+    before(() => {
+      storage.deleteProgress();
+    });
+
+    it('should record attempts and return them oldest first', () => {
+      const first = makeAttempt({ outcome: 'wrong', keys: ['d', 'w'] });
+      const second = makeAttempt();
+
+      assert.equal(storage.recordAttempt('dd', first), true);
+      assert.equal(storage.recordAttempt('dd', second), true);
+
+      assert.deepEqual(storage.getAttemptHistory('dd'), [first, second]);
+    });
+
+    it('should keep histories separate per command', () => {
+      const timeout = makeAttempt({ outcome: 'timeout', keys: [], firstKeyLatency: null });
+      storage.recordAttempt('diw', timeout);
+
+      const all = storage.getAllAttemptHistory();
+      assert.equal(all.dd.length, 2);
+      assert.deepEqual(all.diw, [timeout]);
+    });
+
+    it('should return empty history for unknown command', () => {
+      assert.deepEqual(storage.getAttemptHistory('non-existent'), []);
+    });
+
+    it('should not disturb command stats', () => {
+      const state = {
+        level: 1,
+        successes: 1,
+        failures: 0,
+        lastSeen: Date.now(),
+        nextReview: Date.now(),
+      };
+      storage.updateCommandState('dd', state);
+      storage.recordAttempt('dd', makeAttempt());
+
+      assert.deepEqual(storage.getCommandState('dd'), state);
+    });
+
+    it('should reject attempts with missing fields', () => {
+      assert.equal(storage.recordAttempt('dd', { outcome: 'correct' }), false);
+      assert.equal(storage.recordAttempt('dd', makeAttempt({ keys: 'dd' })), false);
+      assert.equal(storage.recordAttempt('dd', null), false);
+    });
+
+    it('should load progress saved before attempt logging existed', () => {
+      const legacy = storage._getDefaultProgress();
+      delete legacy.attemptLog;
+      storage.saveProgress(legacy);
+
+      assert.deepEqual(storage.getAttemptHistory('dd'), []);
+      assert.equal(storage.recordAttempt('dd', makeAttempt()), true);
+      assert.equal(storage.getAttemptHistory('dd').length, 1);
+    });
+  });
+
+  describe('appendAttempt', () => {
+    it('should bound history to the most recent attempts', () => {
+      const progress = { attemptLog: {} };
+      for (let i = 0; i < MAX_ATTEMPTS_PER_COMMAND + 5; i++) {
+        appendAttempt(progress, 'dd', { timestamp: i });
+      }
+
+      assert.equal(progress.attemptLog.dd.length, MAX_ATTEMPTS_PER_COMMAND);
+      assert.equal(progress.attemptLog.dd[0].timestamp, 5);
+    });
+
+    it('should honor a custom limit', () => {
+      const progress = {};
+      [1, 2, 3].forEach(timestamp => appendAttempt(progress, 'gg', { timestamp }, 2));
+
+      assert.deepEqual(progress.attemptLog.gg, [{ timestamp: 2 }, { timestamp: 3 }]);
+    });
+  });
+
+  describe('appendSession', () => {
+    it('should bound history to the most recent sessions', () => {
+      const progress = {};
+      for (let i = 0; i < MAX_SESSIONS + 5; i++) {
+        appendSession(progress, { timestamp: i });
+      }
+
+      assert.equal(progress.sessions.length, MAX_SESSIONS);
+      assert.equal(progress.sessions[0].timestamp, 5);
+    });
+
+    it('should save sessions with the progress', () => {
+      const progress = appendSession(storage.loadProgress(), { timestamp: 1, score: 100 });
+      assert.equal(storage.saveProgress(progress), true);
+      assert.deepEqual(storage.loadProgress().sessions, [{ timestamp: 1, score: 100 }]);
+
+      assert.equal(storage.saveProgress({ ...progress, sessions: {} }), false);
+    });
+  });
+
+  describe('settings', () => {
+    after(() => {
+      storage.config.delete('settings');
+    });
+
+    it('should return empty settings by default', () => {
+      storage.config.delete('settings');
+      assert.deepEqual(storage.getSettings(), {});
+    });
+
+    it('should store pack-specific settings', () => {
+      assert.equal(storage.updateSettings({ srsAlgorithm: 'fsrs' }), true);
+      assert.equal(storage.getSettings().srsAlgorithm, 'fsrs');
+      assert.deepEqual(new Storage('other-pack').getSettings(), {});
+    });
+
+    it('should let pack settings override global ones', () => {
+      storage.updateSettings({ srsAlgorithm: 'sm2' }, { global: true });
+
+      assert.equal(storage.getSettings().srsAlgorithm, 'fsrs');
+      assert.equal(new Storage('other-pack').getSettings().srsAlgorithm, 'sm2');
+    });
+
+    it('should remove settings set to undefined', () => {
+      storage.updateSettings({ srsAlgorithm: undefined });
+      assert.equal(storage.getSettings().srsAlgorithm, 'sm2');
+    });
+
+    it('should reject invalid settings', () => {
+      assert.equal(storage.updateSettings(null), false);
+    });
+  });
+
   describe('resetProgress', () => {
     it('should reset progress to default', () => {
       // Add some data
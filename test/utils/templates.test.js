@@ -0,0 +1,101 @@
+/**
+ * Unit tests for target templates
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PLACEHOLDERS,
+  getTemplatePlaceholders,
+  escapeTemplate,
+  compileTemplate,
+  compileTargetGenerator,
+  compileTargetGenerators
+} from '../../src/utils/templates.js';
+
+describe('getTemplatePlaceholders', () => {
+  it('should list unique placeholder names in order', () => {
+    assert.deepEqual(getTemplatePlaceholders('Yank {n} lines from {file} ({n})'), ['n', 'file']);
+  });
+
+  it('should ignore escaped braces', () => {
+    assert.deepEqual(getTemplatePlaceholders('function() {{ return {word}; }}'), ['word']);
+    assert.deepEqual(getTemplatePlaceholders('plain text'), []);
+  });
+});
+
+describe('compileTemplate', () => {
+  it('should return plain text unchanged', () => {
+    assert.equal(compileTemplate('The quick brown fox')(), 'The quick brown fox');
+  });
+
+  it('should fill placeholders from their value lists', () => {
+    const generate = compileTemplate('Move {n} lines past {word}');
+    for (let i = 0; i < 50; i++) {
+      const match = generate().match(/^Move (\d) lines past (\w+)$/);
+      assert.ok(match);
+      assert.ok(DEFAULT_PLACEHOLDERS.n.includes(match[1]));
+      assert.ok(DEFAULT_PLACEHOLDERS.word.includes(match[2]));
+    }
+  });
+
+  it('should pick each occurrence independently', () => {
+    const generate = compileTemplate('{char}{char}{char}{char}{char}{char}');
+    const results = new Set(Array.from({ length: 20 }, generate));
+    assert.ok(results.size > 1);
+  });
+
+  it('should unescape doubled braces', () => {
+    assert.equal(compileTemplate('{{x}} = {v}', { v: ['1'] })(), '{x} = 1');
+  });
+
+  it('should reject unknown placeholders', () => {
+    assert.throws(() => compileTemplate('Open {file}'), /Unknown placeholder "\{file\}" in "Open \{file\}"/);
+    assert.throws(() => compileTemplate('{empty}', { empty: [] }), /Unknown placeholder "\{empty\}"/);
+  });
+});
+
+describe('escapeTemplate', () => {
+  it('should round-trip literal text through compileTemplate', () => {
+    const text = 'if (x) { return {n}; }';
+    assert.equal(compileTemplate(escapeTemplate(text))(), text);
+  });
+});
+
+describe('compileTargetGenerator', () => {
+  it('should accept one template or a list', () => {
+    assert.equal(compileTargetGenerator('only')(), 'only');
+    const generate = compileTargetGenerator(['left', 'right']);
+    const results = new Set(Array.from({ length: 50 }, generate));
+    assert.deepEqual([...results].sort(), ['left', 'right']);
+  });
+
+  it('should reject anything else', () => {
+    assert.throws(() => compileTargetGenerator([]), /non-empty list of strings/);
+    assert.throws(() => compileTargetGenerator(['a', 1]), /non-empty list of strings/);
+    assert.throws(() => compileTargetGenerator({ text: 'a' }), /non-empty list of strings/);
+  });
+});
+
+describe('compileTargetGenerators', () => {
+  it('should compile every target type with pack placeholders', () => {
+    const generators = compileTargetGenerators(
+      { file: 'Open {file}', line: ['{n}: {word}'] },
+      { file: ['main.rs'] }
+    );
+    assert.equal(generators.file(), 'Open main.rs');
+    assert.match(generators.line(), /^\d: \w+$/);
+  });
+
+  it('should let packs override built-in placeholders', () => {
+    const generators = compileTargetGenerators({ text: '{word}' }, { word: ['custom'] });
+    assert.equal(generators.text(), 'custom');
+  });
+
+  it('should name the target type in errors', () => {
+    assert.throws(
+      () => compileTargetGenerators({ pane: 'Split {side}' }),
+      /targetGenerators.pane: Unknown placeholder "\{side\}"/
+    );
+  });
+});